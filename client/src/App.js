@@ -1,81 +1,258 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { BrowserRouter, Routes, Route, NavLink } from 'react-router-dom';
 import { useSocket } from './hooks/useSocket';
+import { authApi, workspacesApi, setUnauthorizedHandler, setWorkspaceId } from './services/api';
+import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Websites from './pages/Websites';
 import Products from './pages/Products';
 import Matching from './pages/Matching';
 import Comparison from './pages/Comparison';
 import Export from './pages/Export';
+import Currencies from './pages/Currencies';
+import Brands from './pages/Brands';
+import Alerts from './pages/Alerts';
+import Webhooks from './pages/Webhooks';
+import Digest from './pages/Digest';
+import Users from './pages/Users';
+import Workspaces from './pages/Workspaces';
+import Account from './pages/Account';
+import { hasRole } from './utils/permissions';
 import './App.css';
 
 // Create context for socket
 export const SocketContext = React.createContext(null);
 
+// Signed-in user
+export const AuthContext = React.createContext(null);
+
+// Workspaces and the selected workspace ({ workspaces, workspace, selectWorkspace, reloadWorkspaces })
+export const WorkspaceContext = React.createContext(null);
+
+const WORKSPACE_STORAGE_KEY = 'workspaceId';
+
 function App() {
-  const socketData = useSocket();
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setSelectedWorkspaceId] = useState(null);
+  const socketData = useSocket(Boolean(user) && Boolean(workspaceId), workspaceId);
+
+  useEffect(() => {
+    // Show the login page whenever the session expires
+    setUnauthorizedHandler(() => setUser(null));
+
+    authApi.getMe()
+      .then(setUser)
+      .catch(() => setUser(null))
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  // API requests use the selected workspace, remembered between visits
+  const selectWorkspace = useCallback((id) => {
+    setWorkspaceId(id);
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, id);
+    setSelectedWorkspaceId(id);
+  }, []);
+
+  const reloadWorkspaces = useCallback(async () => {
+    try {
+      const data = await workspacesApi.getAll();
+      setWorkspaces(data);
+
+      // Keep the selection while it exists, otherwise fall back to the first workspace
+      const stored = Number(localStorage.getItem(WORKSPACE_STORAGE_KEY));
+      const selected = data.find(w => w.id === stored) || data[0];
+      if (selected) {
+        selectWorkspace(selected.id);
+      }
+    } catch (error) {
+      console.error('Error loading workspaces:', error);
+    }
+  }, [selectWorkspace]);
+
+  useEffect(() => {
+    if (user) {
+      reloadWorkspaces();
+    }
+  }, [user, reloadWorkspaces]);
+
+  const handleLogout = async () => {
+    try {
+      await authApi.logout();
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    setUser(null);
+  };
+
+  if (!authChecked) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Login onLogin={setUser} />;
+  }
+
+  if (!workspaceId) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  // Webhooks, the digest, workspaces and user accounts are managed by admins
+  const isAdmin = hasRole(user, 'admin');
+  const workspaceData = {
+    workspaces,
+    workspace: workspaces.find(w => w.id === workspaceId),
+    selectWorkspace,
+    reloadWorkspaces
+  };
 
   return (
-    <SocketContext.Provider value={socketData}>
-      <BrowserRouter>
-        <div className="app">
-          <nav className="sidebar">
-            <div className="logo">
-              <h1>EcomCompare</h1>
-              <span className="connection-status">
-                {socketData.isConnected ? (
-                  <span className="connected">Connected</span>
-                ) : (
-                  <span className="disconnected">Disconnected</span>
-                )}
-              </span>
+    <AuthContext.Provider value={user}>
+      <WorkspaceContext.Provider value={workspaceData}>
+        <SocketContext.Provider value={socketData}>
+          <BrowserRouter>
+            <div className="app">
+              <nav className="sidebar">
+                <div className="logo">
+                  <h1>EcomCompare</h1>
+                  <span className="connection-status">
+                    {socketData.isConnected ? (
+                      <span className="connected">Connected</span>
+                    ) : (
+                      <span className="disconnected">Disconnected</span>
+                    )}
+                  </span>
+                  <div className="sidebar-user">
+                    <NavLink to="/account">
+                      {user.username} <span style={{ opacity: 0.7 }}>({user.role})</span>
+                    </NavLink>
+                    <button onClick={handleLogout}>Sign out</button>
+                  </div>
+                  <select
+                    className="workspace-switcher"
+                    value={workspaceId}
+                    onChange={e => selectWorkspace(Number(e.target.value))}
+                    title="Workspace"
+                  >
+                    {workspaces.map(workspace => (
+                      <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <ul className="nav-links">
+                  <li>
+                    <NavLink to="/" className={({ isActive }) => isActive ? 'active' : ''}>
+                      Dashboard
+                    </NavLink>
+                  </li>
+                  <li>
+                    <NavLink to="/websites" className={({ isActive }) => isActive ? 'active' : ''}>
+                      Websites
+                    </NavLink>
+                  </li>
+                  <li>
+                    <NavLink to="/products" className={({ isActive }) => isActive ? 'active' : ''}>
+                      Products
+                    </NavLink>
+                  </li>
+                  <li>
+                    <NavLink to="/matching" className={({ isActive }) => isActive ? 'active' : ''}>
+                      Matching
+                    </NavLink>
+                  </li>
+                  <li>
+                    <NavLink to="/comparison" className={({ isActive }) => isActive ? 'active' : ''}>
+                      Comparison
+                    </NavLink>
+                  </li>
+                  <li>
+                    <NavLink to="/alerts" className={({ isActive }) => isActive ? 'active' : ''}>
+                      Alerts
+                      {socketData.unreadAlerts > 0 && (
+                        <span className="badge badge-danger" style={{ marginLeft: '8px' }}>
+                          {socketData.unreadAlerts}
+                        </span>
+                      )}
+                    </NavLink>
+                  </li>
+                  <li>
+                    <NavLink to="/export" className={({ isActive }) => isActive ? 'active' : ''}>
+                      Export
+                    </NavLink>
+                  </li>
+                  <li>
+                    <NavLink to="/currencies" className={({ isActive }) => isActive ? 'active' : ''}>
+                      Currencies
+                    </NavLink>
+                  </li>
+                  <li>
+                    <NavLink to="/brands" className={({ isActive }) => isActive ? 'active' : ''}>
+                      Brands
+                    </NavLink>
+                  </li>
+                  {isAdmin && (
+                    <>
+                      <li>
+                        <NavLink to="/webhooks" className={({ isActive }) => isActive ? 'active' : ''}>
+                          Webhooks
+                        </NavLink>
+                      </li>
+                      <li>
+                        <NavLink to="/digest" className={({ isActive }) => isActive ? 'active' : ''}>
+                          Digest
+                        </NavLink>
+                      </li>
+                      <li>
+                        <NavLink to="/workspaces" className={({ isActive }) => isActive ? 'active' : ''}>
+                          Workspaces
+                        </NavLink>
+                      </li>
+                      <li>
+                        <NavLink to="/users" className={({ isActive }) => isActive ? 'active' : ''}>
+                          Users
+                        </NavLink>
+                      </li>
+                    </>
+                  )}
+                </ul>
+              </nav>
+              {/* Pages reload their data when the workspace changes */}
+              <main className="main-content" key={workspaceId}>
+                <Routes>
+                  <Route path="/" element={<Dashboard />} />
+                  <Route path="/websites" element={<Websites />} />
+                  <Route path="/products" element={<Products />} />
+                  <Route path="/matching" element={<Matching />} />
+                  <Route path="/comparison" element={<Comparison />} />
+                  <Route path="/alerts" element={<Alerts />} />
+                  <Route path="/export" element={<Export />} />
+                  <Route path="/currencies" element={<Currencies />} />
+                  <Route path="/brands" element={<Brands />} />
+                  <Route path="/account" element={<Account />} />
+                  {isAdmin && (
+                    <>
+                      <Route path="/webhooks" element={<Webhooks />} />
+                      <Route path="/digest" element={<Digest />} />
+                      <Route path="/workspaces" element={<Workspaces />} />
+                      <Route path="/users" element={<Users />} />
+                    </>
+                  )}
+                </Routes>
+              </main>
             </div>
-            <ul className="nav-links">
-              <li>
-                <NavLink to="/" className={({ isActive }) => isActive ? 'active' : ''}>
-                  Dashboard
-                </NavLink>
-              </li>
-              <li>
-                <NavLink to="/websites" className={({ isActive }) => isActive ? 'active' : ''}>
-                  Websites
-                </NavLink>
-              </li>
-              <li>
-                <NavLink to="/products" className={({ isActive }) => isActive ? 'active' : ''}>
-                  Products
-                </NavLink>
-              </li>
-              <li>
-                <NavLink to="/matching" className={({ isActive }) => isActive ? 'active' : ''}>
-                  Matching
-                </NavLink>
-              </li>
-              <li>
-                <NavLink to="/comparison" className={({ isActive }) => isActive ? 'active' : ''}>
-                  Comparison
-                </NavLink>
-              </li>
-              <li>
-                <NavLink to="/export" className={({ isActive }) => isActive ? 'active' : ''}>
-                  Export
-                </NavLink>
-              </li>
-            </ul>
-          </nav>
-          <main className="main-content">
-            <Routes>
-              <Route path="/" element={<Dashboard />} />
-              <Route path="/websites" element={<Websites />} />
-              <Route path="/products" element={<Products />} />
-              <Route path="/matching" element={<Matching />} />
-              <Route path="/comparison" element={<Comparison />} />
-              <Route path="/export" element={<Export />} />
-            </Routes>
-          </main>
-        </div>
-      </BrowserRouter>
-    </SocketContext.Provider>
+          </BrowserRouter>
+        </SocketContext.Provider>
+      </WorkspaceContext.Provider>
+    </AuthContext.Provider>
   );
 }
 
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { auditApi } from '../services/api';
+
+const ACTION_LABELS = {
+  'website.create': 'Added the website',
+  'website.update': 'Changed website settings',
+  'website.delete': 'Deleted the website',
+  'website.set_source': 'Set as the source website',
+  'website.unset_source': 'No longer the source website',
+  'website.selectors': 'Changed CSS selectors',
+  'website.groups': 'Changed competitor groups',
+  'product.create': 'Added the product',
+  'product.delete': 'Deleted the product',
+  'match.create': 'Created a match',
+  'match.update': 'Updated a match',
+  'match.confirm': 'Confirmed a match',
+  'match.delete': 'Removed a match',
+  'crawl.queue': 'Queued a crawl',
+  'crawl.complete': 'Crawl completed',
+  'crawl.fail': 'Crawl failed',
+  'crawl.cancel': 'Cancelled a crawl',
+  'schedule.set': 'Set the crawl schedule',
+  'schedule.delete': 'Removed the crawl schedule'
+};
+
+// Ids that only link an entry to its website or products
+const HIDDEN_FIELDS = ['id', 'website_id', 'previous_source_id'];
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Entry timestamps are SQLite UTC times
+function formatTime(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`).toLocaleString();
+}
+
+// The fields an entry changed, as [field, before, after]
+function describeChanges(entry) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !HIDDEN_FIELDS.includes(field));
+
+  return fields
+    .filter(field => !entry.before || !entry.after || formatValue(before[field]) !== formatValue(after[field]))
+    .map(field => [field, before[field], after[field]]);
+}
+
+// Timeline of the audit log entries matching `filters` (e.g. { product_id: 1 })
+function AuditTimeline({ filters }) {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const filterKey = JSON.stringify(filters);
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    auditApi.getEntries({ ...JSON.parse(filterKey), limit: 50 })
+      .then(data => {
+        if (!active) return;
+        setEntries(data.entries);
+        setTotal(data.total);
+      })
+      .catch(error => console.error('Error loading audit log:', error))
+      .finally(() => active && setLoading(false));
+    return () => {
+      active = false;
+    };
+  }, [filterKey]);
+
+  if (loading) {
+    return <p style={{ color: 'var(--text-light)' }}>Loading activity...</p>;
+  }
+
+  if (entries.length === 0) {
+    return <p style={{ color: 'var(--text-light)' }}>No activity recorded yet.</p>;
+  }
+
+  return (
+    <div className="audit-timeline">
+      {entries.map(entry => (
+        <div key={entry.id} className="audit-entry">
+          <div className="audit-entry-header">
+            <strong>{ACTION_LABELS[entry.action] || entry.action}</strong>
+            <span style={{ color: 'var(--text-light)', fontSize: '0.8125rem' }}>
+              {entry.actor_name || 'System'} &middot; {formatTime(entry.created_at)}
+            </span>
+          </div>
+          {describeChanges(entry).map(([field, before, after]) => (
+            <div key={field} className="audit-change">
+              <code>{field}</code>{' '}
+              {entry.before && <span style={{ color: 'var(--text-light)' }}>{formatValue(before)} &rarr; </span>}
+              {entry.after ? formatValue(after) : <s>{formatValue(before)}</s>}
+            </div>
+          ))}
+        </div>
+      ))}
+      {total > entries.length && (
+        <p style={{ color: 'var(--text-light)', fontSize: '0.8125rem' }}>
+          Showing the latest {entries.length} of {total} entries.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default AuditTimeline;
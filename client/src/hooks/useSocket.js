@@ -3,14 +3,24 @@ import { io } from 'socket.io-client';
 
 const SOCKET_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
 
-export function useSocket() {
+// Connects only while `enabled` (the server accepts signed-in users only).
+// Crawl and alert events are those of `workspaceId`; switching workspace reconnects.
+export function useSocket(enabled = true, workspaceId = null) {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [crawlProgress, setCrawlProgress] = useState({});
+  const [crawlQueue, setCrawlQueue] = useState([]);
+  const [unreadAlerts, setUnreadAlerts] = useState(0);
+  const [latestAlert, setLatestAlert] = useState(null);
 
   useEffect(() => {
+    if (!enabled) return undefined;
+
+    // The session cookie authenticates the connection
     const newSocket = io(SOCKET_URL, {
-      transports: ['websocket', 'polling']
+      transports: ['websocket', 'polling'],
+      withCredentials: true,
+      auth: { workspace_id: workspaceId }
     });
 
     newSocket.on('connect', () => {
@@ -23,6 +33,10 @@ export function useSocket() {
       setIsConnected(false);
     });
 
+    newSocket.on('connect_error', (error) => {
+      console.log('Socket connection error:', error.message);
+    });
+
     newSocket.on('crawl-progress', (data) => {
       setCrawlProgress(prev => ({
         ...prev,
@@ -44,6 +58,18 @@ export function useSocket() {
       }));
     });
 
+    newSocket.on('crawl-queue', (queue) => {
+      setCrawlQueue(queue);
+    });
+
+    newSocket.on('alert', (alert) => {
+      setLatestAlert(alert);
+    });
+
+    newSocket.on('unread-alerts', (count) => {
+      setUnreadAlerts(count);
+    });
+
     newSocket.on('running-jobs', (jobs) => {
       const progressMap = {};
       jobs.forEach(job => {
@@ -62,8 +88,12 @@ export function useSocket() {
 
     return () => {
       newSocket.close();
+      setSocket(null);
+      setIsConnected(false);
+      setCrawlProgress({});
+      setCrawlQueue([]);
     };
-  }, []);
+  }, [enabled, workspaceId]);
 
   const clearProgress = useCallback((websiteId) => {
     setCrawlProgress(prev => {
@@ -77,6 +107,9 @@ export function useSocket() {
     socket,
     isConnected,
     crawlProgress,
+    crawlQueue,
+    unreadAlerts,
+    latestAlert,
     clearProgress
   };
 }
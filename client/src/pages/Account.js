@@ -0,0 +1,102 @@
+import React, { useState, useContext } from 'react';
+import { AuthContext } from '../App';
+import { authApi } from '../services/api';
+import { ROLE_DESCRIPTIONS } from '../utils/permissions';
+
+const EMPTY_PASSWORD = { current: '', next: '', confirm: '' };
+
+function Account() {
+  const user = useContext(AuthContext);
+  const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD);
+  const [passwordError, setPasswordError] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState('');
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setPasswordError('');
+    setPasswordMessage('');
+
+    if (passwordForm.next !== passwordForm.confirm) {
+      setPasswordError('New passwords do not match');
+      return;
+    }
+
+    try {
+      await authApi.changePassword(passwordForm.current, passwordForm.next);
+      setPasswordForm(EMPTY_PASSWORD);
+      setPasswordMessage('Password changed. Your other sessions have been signed out.');
+    } catch (error) {
+      setPasswordError(error.message);
+    }
+  };
+
+  return (
+    <div className="account-page">
+      <div className="page-header">
+        <h2>Account</h2>
+      </div>
+
+      <div className="grid-2">
+        <div className="card">
+          <div className="card-header">
+            <h3>{user.username}</h3>
+            <span className="badge badge-info">{user.role}</span>
+          </div>
+          <p style={{ color: 'var(--text-light)', fontSize: '0.875rem' }}>
+            {ROLE_DESCRIPTIONS[user.role]}
+          </p>
+        </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Change Your Password</h3>
+        </div>
+        {passwordError && <div className="alert alert-danger">{passwordError}</div>}
+        {passwordMessage && <div className="alert alert-success">{passwordMessage}</div>}
+        <form onSubmit={handleChangePassword}>
+          <div className="form-group">
+            <label>Current Password</label>
+            <input
+              type="password"
+              className="form-control"
+              value={passwordForm.current}
+              onChange={e => setPasswordForm({ ...passwordForm, current: e.target.value })}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <div className="grid-2">
+            <div className="form-group">
+              <label>New Password</label>
+              <input
+                type="password"
+                className="form-control"
+                value={passwordForm.next}
+                onChange={e => setPasswordForm({ ...passwordForm, next: e.target.value })}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Confirm New Password</label>
+              <input
+                type="password"
+                className="form-control"
+                value={passwordForm.confirm}
+                onChange={e => setPasswordForm({ ...passwordForm, confirm: e.target.value })}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+          </div>
+          <button type="submit" className="btn btn-primary">
+            Change Password
+          </button>
+        </form>
+      </div>
+      </div>
+    </div>
+  );
+}
+
+export default Account;
@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { SocketContext, AuthContext } from '../App';
+import { alertsApi, websitesApi } from '../services/api';
+import { hasRole } from '../utils/permissions';
+
+const RULE_TYPES = {
+  undercut: { label: 'Competitor undercuts our price', badge: 'badge-danger' },
+  out_of_stock: { label: 'Competitor product went out of stock', badge: 'badge-warning' },
+  price_drop: { label: 'Competitor price dropped', badge: 'badge-info' }
+};
+
+const EMPTY_RULE = { name: '', rule_type: 'undercut', threshold: '5', website_id: '' };
+
+function Alerts() {
+  const [alerts, setAlerts] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [websites, setWebsites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('');
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [error, setError] = useState('');
+  const { latestAlert } = useContext(SocketContext);
+  // Analysts and admins manage rules and alerts
+  const canManage = hasRole(useContext(AuthContext), 'analyst');
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      const data = await alertsApi.getAll(activeTab);
+      setAlerts(data.alerts);
+    } catch (error) {
+      console.error('Error loading alerts:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [activeTab]);
+
+  // Reload when the tab changes or a new alert is pushed
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts, latestAlert]);
+
+  const loadRules = async () => {
+    try {
+      const [rulesData, sites] = await Promise.all([alertsApi.getRules(), websitesApi.getAll()]);
+      setRules(rulesData);
+      setWebsites(sites.filter(w => !w.is_source));
+    } catch (error) {
+      console.error('Error loading alert rules:', error);
+    }
+  };
+
+  const handleMarkRead = async (id) => {
+    try {
+      await alertsApi.markRead(id);
+      loadAlerts();
+    } catch (error) {
+      alert('Error updating alert: ' + error.message);
+    }
+  };
+
+  const handleDismiss = async (id) => {
+    try {
+      await alertsApi.dismiss(id);
+      loadAlerts();
+    } catch (error) {
+      alert('Error dismissing alert: ' + error.message);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await alertsApi.markAllRead();
+      loadAlerts();
+    } catch (error) {
+      alert('Error updating alerts: ' + error.message);
+    }
+  };
+
+  const handleCheckNow = async () => {
+    try {
+      const result = await alertsApi.check();
+      if (result.alerts_triggered === 0) {
+        alert('No new alerts');
+      }
+      loadAlerts();
+    } catch (error) {
+      alert('Error checking alert rules: ' + error.message);
+    }
+  };
+
+  const handleCreateRule = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      await alertsApi.createRule({
+        name: ruleForm.name,
+        rule_type: ruleForm.rule_type,
+        threshold: ruleForm.rule_type === 'out_of_stock' ? null : parseFloat(ruleForm.threshold) || 0,
+        website_id: ruleForm.website_id ? parseInt(ruleForm.website_id, 10) : null
+      });
+      setRuleForm(EMPTY_RULE);
+      loadRules();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleToggleRule = async (rule) => {
+    try {
+      await alertsApi.updateRule(rule.id, { enabled: !rule.enabled });
+      loadRules();
+    } catch (error) {
+      alert('Error updating alert rule: ' + error.message);
+    }
+  };
+
+  const handleDeleteRule = async (id) => {
+    if (!window.confirm('Delete this alert rule? Its alerts are kept.')) {
+      return;
+    }
+
+    try {
+      await alertsApi.deleteRule(id);
+      loadRules();
+    } catch (error) {
+      alert('Error deleting alert rule: ' + error.message);
+    }
+  };
+
+  // "Competitor undercuts our price by more than 5% (Shop B)"
+  const describeRule = (rule) => {
+    const type = RULE_TYPES[rule.rule_type];
+    const label = type ? type.label : rule.rule_type;
+    const threshold = rule.rule_type !== 'out_of_stock' ? ` by more than ${rule.threshold || 0}%` : '';
+    return `${label}${threshold} (${rule.website_name || 'any competitor'})`;
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="alerts-page">
+      <div className="page-header">
+        <h2>Alerts</h2>
+        {canManage && (
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <button className="btn btn-outline" onClick={handleCheckNow}>
+              Check Rules Now
+            </button>
+            <button className="btn btn-primary" onClick={handleMarkAllRead}>
+              Mark All Read
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="tabs">
+        <button className={`tab ${activeTab === '' ? 'active' : ''}`} onClick={() => setActiveTab('')}>
+          All
+        </button>
+        <button
+          className={`tab ${activeTab === 'unread' ? 'active' : ''}`}
+          onClick={() => setActiveTab('unread')}
+        >
+          Unread
+        </button>
+        <button
+          className={`tab ${activeTab === 'dismissed' ? 'active' : ''}`}
+          onClick={() => setActiveTab('dismissed')}
+        >
+          Dismissed
+        </button>
+      </div>
+
+      <div className="card">
+        {alerts.length === 0 ? (
+          <div className="empty-state">
+            <h3>No alerts</h3>
+            <p>Alerts appear here when a rule triggers after a crawl or a matching run.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Alert</th>
+                  <th>Rule</th>
+                  <th>Time</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {alerts.map(item => (
+                  <tr key={item.id} style={{ fontWeight: item.status === 'unread' ? 600 : 400 }}>
+                    <td>
+                      <div>{item.message}</div>
+                      {item.competitor_url && (
+                        <a
+                          href={item.competitor_url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          style={{ fontSize: '0.8125rem', fontWeight: 400 }}
+                        >
+                          View competitor product
+                        </a>
+                      )}
+                    </td>
+                    <td>
+                      <span className={`badge ${(RULE_TYPES[item.rule_type] || {}).badge || 'badge-secondary'}`}>
+                        {item.rule_name || item.rule_type.replace(/_/g, ' ')}
+                      </span>
+                    </td>
+                    <td style={{ fontSize: '0.8125rem', fontWeight: 400, color: 'var(--text-light)' }}>
+                      {new Date(item.created_at).toLocaleString()}
+                    </td>
+                    <td>
+                      {canManage && (
+                        <div className="actions">
+                          {item.status === 'unread' && (
+                            <button className="btn btn-sm btn-outline" onClick={() => handleMarkRead(item.id)}>
+                              Mark Read
+                            </button>
+                          )}
+                          {item.status !== 'dismissed' && (
+                            <button className="btn btn-sm btn-danger" onClick={() => handleDismiss(item.id)}>
+                              Dismiss
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="grid-2">
+        <div className="card">
+          <div className="card-header">
+            <h3>Rules</h3>
+          </div>
+          {rules.length === 0 ? (
+            <p style={{ color: 'var(--text-light)' }}>No alert rules yet.</p>
+          ) : (
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Rule</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.map(rule => (
+                    <tr key={rule.id}>
+                      <td>
+                        {rule.name && <div style={{ fontWeight: 500 }}>{rule.name}</div>}
+                        <div style={{ fontSize: '0.8125rem', color: 'var(--text-light)' }}>
+                          {describeRule(rule)}
+                        </div>
+                      </td>
+                      <td>
+                        <span className={`badge ${rule.enabled ? 'badge-success' : 'badge-secondary'}`}>
+                          {rule.enabled ? 'Enabled' : 'Disabled'}
+                        </span>
+                      </td>
+                      <td>
+                        {canManage && (
+                          <div className="actions">
+                            <button className="btn btn-sm btn-outline" onClick={() => handleToggleRule(rule)}>
+                              {rule.enabled ? 'Disable' : 'Enable'}
+                            </button>
+                            <button className="btn btn-sm btn-danger" onClick={() => handleDeleteRule(rule.id)}>
+                              Delete
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {canManage && (
+          <div className="card">
+            <div className="card-header">
+              <h3>New Rule</h3>
+            </div>
+            {error && <div className="alert alert-danger">{error}</div>}
+            <form onSubmit={handleCreateRule}>
+              <div className="form-group">
+                <label>Name</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  value={ruleForm.name}
+                  onChange={e => setRuleForm({ ...ruleForm, name: e.target.value })}
+                  placeholder="Optional"
+                />
+              </div>
+              <div className="form-group">
+                <label>Condition</label>
+                <select
+                  className="form-control"
+                  value={ruleForm.rule_type}
+                  onChange={e => setRuleForm({ ...ruleForm, rule_type: e.target.value })}
+                >
+                  {Object.entries(RULE_TYPES).map(([value, type]) => (
+                    <option key={value} value={value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid-2">
+                {ruleForm.rule_type !== 'out_of_stock' && (
+                  <div className="form-group">
+                    <label>{ruleForm.rule_type === 'undercut' ? 'By More Than (%)' : 'Drop Since Last Crawl (%)'}</label>
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      className="form-control"
+                      value={ruleForm.threshold}
+                      onChange={e => setRuleForm({ ...ruleForm, threshold: e.target.value })}
+                    />
+                  </div>
+                )}
+                <div className="form-group">
+                  <label>Competitor</label>
+                  <select
+                    className="form-control"
+                    value={ruleForm.website_id}
+                    onChange={e => setRuleForm({ ...ruleForm, website_id: e.target.value })}
+                  >
+                    <option value="">Any competitor</option>
+                    {websites.map(w => (
+                      <option key={w.id} value={w.id}>{w.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <button type="submit" className="btn btn-primary">
+                Add Rule
+              </button>
+            </form>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Alerts;
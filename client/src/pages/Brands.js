@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { AuthContext } from '../App';
+import { brandsApi, categoriesApi } from '../services/api';
+import { hasRole } from '../utils/permissions';
+
+const TABS = {
+  brands: { api: brandsApi, label: 'Brand', example: 'e.g. HP', aliasExample: 'e.g. Hewlett-Packard, HP Inc.' },
+  categories: { api: categoriesApi, label: 'Category', example: 'e.g. Laptops', aliasExample: 'e.g. Notebooks' }
+};
+
+// Comma-separated alias input as a list of names
+function parseAliases(text) {
+  return text.split(',').map(alias => alias.trim()).filter(Boolean);
+}
+
+function Brands() {
+  const user = useContext(AuthContext);
+  const isAdmin = hasRole(user, 'admin');
+  const [activeTab, setActiveTab] = useState('brands');
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ name: '', aliases: '' });
+  const [formError, setFormError] = useState('');
+  const { api, label, example, aliasExample } = TABS[activeTab];
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      setEntries(await api.getAll());
+    } catch (error) {
+      console.error(`Error loading ${activeTab}:`, error);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, activeTab]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    setForm({ name: '', aliases: '' });
+    setFormError('');
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    try {
+      await api.create(form.name, parseAliases(form.aliases));
+      setForm({ name: '', aliases: '' });
+      loadEntries();
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  const handleRename = async (entry) => {
+    const name = window.prompt(`${label} name:`, entry.name);
+    if (!name || name === entry.name) {
+      return;
+    }
+
+    try {
+      await api.update(entry.id, { name });
+      loadEntries();
+    } catch (error) {
+      alert(`Error renaming ${label.toLowerCase()}: ` + error.message);
+    }
+  };
+
+  const handleEditAliases = async (entry) => {
+    const aliases = window.prompt(
+      `Other names for ${entry.name}, separated by commas. ` +
+      `An alias that is the name of another ${label.toLowerCase()} merges it into ${entry.name}.`,
+      entry.aliases.join(', ')
+    );
+    if (aliases === null) {
+      return;
+    }
+
+    try {
+      await api.update(entry.id, { aliases: parseAliases(aliases) });
+      loadEntries();
+    } catch (error) {
+      alert('Error saving aliases: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    const message = `Delete ${entry.name}? Its products have no ${label.toLowerCase()} until they are crawled again.`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      await api.delete(entry.id);
+      loadEntries();
+    } catch (error) {
+      alert(`Error deleting ${label.toLowerCase()}: ` + error.message);
+    }
+  };
+
+  return (
+    <div className="brands-page">
+      <div className="page-header">
+        <h2>Brands &amp; Categories</h2>
+      </div>
+
+      <div className="alert alert-info">
+        Brands and categories are read from product data, breadcrumbs and product pages when websites are crawled.
+        Spellings that differ only in case, accents, spaces or punctuation are treated as the same name; aliases map
+        other names (such as "Hewlett-Packard" for "HP") to one entry.
+      </div>
+
+      <div className="tabs">
+        <button
+          className={`tab ${activeTab === 'brands' ? 'active' : ''}`}
+          onClick={() => handleTabChange('brands')}
+        >
+          Brands
+        </button>
+        <button
+          className={`tab ${activeTab === 'categories' ? 'active' : ''}`}
+          onClick={() => handleTabChange('categories')}
+        >
+          Categories
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="card">
+          <div className="empty-state">
+            <p>No {activeTab} yet. They are added as websites are crawled.</p>
+          </div>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Aliases</th>
+                  <th>Products</th>
+                  {isAdmin && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td style={{ fontWeight: 500 }}>{entry.name}</td>
+                    <td>
+                      {entry.aliases.length === 0 ? (
+                        <span style={{ color: 'var(--text-light)' }}>None</span>
+                      ) : entry.aliases.map(alias => (
+                        <span key={alias} className="badge badge-secondary" style={{ marginRight: '4px' }}>
+                          {alias}
+                        </span>
+                      ))}
+                    </td>
+                    <td>{entry.product_count}</td>
+                    {isAdmin && (
+                      <td>
+                        <div className="actions">
+                          <button className="btn btn-sm btn-outline" onClick={() => handleEditAliases(entry)}>
+                            Aliases
+                          </button>
+                          <button className="btn btn-sm btn-outline" onClick={() => handleRename(entry)}>
+                            Rename
+                          </button>
+                          <button className="btn btn-sm btn-danger" onClick={() => handleDelete(entry)}>
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {isAdmin && (
+        <div className="grid-2">
+          <div className="card">
+            <div className="card-header">
+              <h3>Add {label}</h3>
+            </div>
+            {formError && <div className="alert alert-danger">{formError}</div>}
+            <form onSubmit={handleCreate}>
+              <div className="form-group">
+                <label>Name</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  value={form.name}
+                  onChange={e => setForm({ ...form, name: e.target.value })}
+                  placeholder={example}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Aliases</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  value={form.aliases}
+                  onChange={e => setForm({ ...form, aliases: e.target.value })}
+                  placeholder={aliasExample}
+                />
+                <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+                  Separate names with commas
+                </small>
+              </div>
+              <button type="submit" className="btn btn-primary">
+                Add {label}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Brands;
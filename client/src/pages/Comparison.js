@@ -1,29 +1,56 @@
-import React, { useState, useEffect } from 'react';
-import { matchingApi } from '../services/api';
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { AuthContext } from '../App';
+import { matchingApi, currencyApi, websitesApi } from '../services/api';
+import { formatPrice } from '../utils/formatPrice';
+import { formatAvailability } from '../utils/availability';
+import { hasRole } from '../utils/permissions';
+
+// Matches found by a GTIN, MPN or SKU (see server/services/matchingService.js)
+const IDENTIFIER_MATCH_TYPES = ['gtin_exact', 'mpn_exact', 'sku_exact', 'variant_sku'];
 
 function Comparison() {
+  // Analysts and admins confirm and reject matches
+  const canMatch = hasRole(useContext(AuthContext), 'analyst');
   const [comparison, setComparison] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState({
     search: '',
     priceFilter: 'all', // all, cheaper, same, expensive
-    matchStatus: 'all' // all, matched, unmatched
+    matchStatus: 'all', // all, matched, unmatched
+    promotions: 'all' // all, competitor
   });
+  const [expandedMatches, setExpandedMatches] = useState([]);
+  const [reportingCurrency, setReportingCurrency] = useState('USD');
+  // Leave out-of-stock competitor offers out of the lowest/highest prices
+  const [excludeOutOfStock, setExcludeOutOfStock] = useState(false);
+  // Compare against the competitors of one group ('' for all competitors)
+  const [groups, setGroups] = useState([]);
+  const [group, setGroup] = useState('');
 
-  useEffect(() => {
-    loadComparison();
-  }, []);
+  const loadComparison = useCallback(async () => {
+    const params = {};
+    if (excludeOutOfStock) params.exclude_out_of_stock = true;
+    if (group) params.group = group;
 
-  const loadComparison = async () => {
     try {
-      const data = await matchingApi.getComparison();
+      const [data, rates, groupList] = await Promise.all([
+        matchingApi.getComparison(params),
+        currencyApi.getRates(),
+        websitesApi.getGroups()
+      ]);
       setComparison(data);
+      setReportingCurrency(rates.reporting_currency);
+      setGroups(groupList);
     } catch (error) {
       console.error('Error loading comparison:', error);
     } finally {
       setLoading(false);
     }
-  };
+  }, [excludeOutOfStock, group]);
+
+  useEffect(() => {
+    loadComparison();
+  }, [loadComparison]);
 
   const handleDeleteMatch = async (matchId) => {
     if (!window.confirm('Are you sure you want to remove this match?')) {
@@ -47,6 +74,26 @@ function Comparison() {
     }
   };
 
+  const toggleVariants = (matchId) => {
+    setExpandedMatches(expandedMatches.includes(matchId)
+      ? expandedMatches.filter(id => id !== matchId)
+      : [...expandedMatches, matchId]);
+  };
+
+  const handleRematchVariants = async (matchId) => {
+    try {
+      await matchingApi.rematchVariants(matchId);
+      loadComparison();
+    } catch (error) {
+      alert('Error matching variants: ' + error.message);
+    }
+  };
+
+  const formatOptions = (variant) => {
+    const values = Object.values(variant.options || {});
+    return values.length > 0 ? values.join(' / ') : (variant.title || '-');
+  };
+
   const filteredComparison = comparison.filter(item => {
     // Search filter
     if (filter.search) {
@@ -61,6 +108,9 @@ function Comparison() {
     if (filter.matchStatus === 'matched' && !item.has_matches) return false;
     if (filter.matchStatus === 'unmatched' && item.has_matches) return false;
 
+    // Promotion filter
+    if (filter.promotions === 'competitor' && item.competitor_promotions === 0) return false;
+
     // Price filter
     if (filter.priceFilter !== 'all' && item.has_matches) {
       const hasCheaper = item.matches.some(m => m.price_difference < -1);
@@ -75,17 +125,79 @@ function Comparison() {
     return true;
   });
 
+  // Differences are in the reporting currency
   const formatPriceDiff = (diff) => {
     if (diff === null) return '-';
     const sign = diff > 0 ? '+' : '';
     const className = diff > 1 ? 'positive' : diff < -1 ? 'negative' : 'neutral';
     return (
       <span className={`price-diff ${className}`}>
-        {sign}${diff.toFixed(2)}
+        {sign}{formatPrice(diff, reportingCurrency)}
       </span>
     );
   };
 
+  // Price in its own currency, with the reporting currency amount when they differ,
+  // the struck-through list price when discounted and the shipping cost when known
+  const renderPrice = (product) => {
+    if (product.price === null) return '-';
+    return (
+      <>
+        {formatPrice(product.price, product.currency)}
+        {product.discount_percent !== null && (
+          <span style={{
+            marginLeft: '6px',
+            fontSize: '0.8125rem',
+            fontWeight: 400,
+            color: 'var(--text-light)',
+            textDecoration: 'line-through'
+          }}>
+            {formatPrice(product.list_price, product.currency)}
+          </span>
+        )}
+        {product.currency && product.currency !== reportingCurrency && (
+          <div style={{ fontSize: '0.75rem', fontWeight: 400, color: 'var(--text-light)' }}>
+            {product.reporting_price !== null
+              ? `≈ ${formatPrice(product.reporting_price, reportingCurrency)}`
+              : `No ${product.currency} rate`}
+          </div>
+        )}
+        {product.shipping_cost !== null && (
+          <div style={{ fontSize: '0.75rem', fontWeight: 400, color: 'var(--text-light)' }}>
+            {product.shipping_cost === 0
+              ? 'Free shipping'
+              : `+ ${formatPrice(product.shipping_cost, product.currency)} shipping`}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  // Discount depth and promo badge text
+  const renderPromotion = (product) => {
+    if (!product.on_promotion) return null;
+    return (
+      <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginTop: '4px' }}>
+        {product.discount_percent !== null && (
+          <span className="badge badge-danger">-{product.discount_percent}%</span>
+        )}
+        {product.promo_text && (
+          <span className="badge badge-warning">{product.promo_text}</span>
+        )}
+      </div>
+    );
+  };
+
+  const renderAvailability = (product) => {
+    const availability = formatAvailability(product.availability, product.stock_quantity);
+    if (!availability) return null;
+    return (
+      <div style={{ marginTop: '4px' }}>
+        <span className={availability.className}>{availability.label}</span>
+      </div>
+    );
+  };
+
   if (loading) {
     return (
       <div className="loading">
@@ -115,6 +227,20 @@ function Comparison() {
               onChange={e => setFilter({ ...filter, search: e.target.value })}
             />
           </div>
+          {groups.length > 0 && (
+            <div className="form-group" style={{ margin: 0, minWidth: '150px' }}>
+              <select
+                className="form-control"
+                value={group}
+                onChange={e => setGroup(e.target.value)}
+              >
+                <option value="">All Competitors</option>
+                {groups.map(g => (
+                  <option key={g.name} value={g.name}>{g.name} ({g.website_count})</option>
+                ))}
+              </select>
+            </div>
+          )}
           <div className="form-group" style={{ margin: 0, minWidth: '150px' }}>
             <select
               className="form-control"
@@ -138,6 +264,24 @@ function Comparison() {
               <option value="expensive">Competitors More Expensive</option>
             </select>
           </div>
+          <div className="form-group" style={{ margin: 0, minWidth: '150px' }}>
+            <select
+              className="form-control"
+              value={filter.promotions}
+              onChange={e => setFilter({ ...filter, promotions: e.target.value })}
+            >
+              <option value="all">All Promotions</option>
+              <option value="competitor">Competitor Promotions</option>
+            </select>
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.875rem' }}>
+            <input
+              type="checkbox"
+              checked={excludeOutOfStock}
+              onChange={e => setExcludeOutOfStock(e.target.checked)}
+            />
+            Exclude out-of-stock offers from lowest price
+          </label>
         </div>
       </div>
 
@@ -180,9 +324,11 @@ function Comparison() {
                   </div>
                   <div style={{ textAlign: 'right' }}>
                     <div style={{ fontSize: '1.25rem', fontWeight: 600, color: 'var(--primary)' }}>
-                      {item.source.price !== null ? `$${item.source.price.toFixed(2)}` : 'No price'}
+                      {item.source.price !== null ? renderPrice(item.source) : 'No price'}
                     </div>
                     <span className="badge badge-info">Your Price</span>
+                    {renderPromotion(item.source)}
+                    {renderAvailability(item.source)}
                   </div>
                 </div>
                 {item.source.product_url && (
@@ -202,9 +348,15 @@ function Comparison() {
             {item.has_matches ? (
               <div style={{ borderTop: '1px solid var(--border)', paddingTop: '16px' }}>
                 <div style={{ fontSize: '0.875rem', color: 'var(--text-light)', marginBottom: '12px' }}>
-                  {item.matches.length} competitor{item.matches.length !== 1 ? 's' : ''} |
-                  Lowest: ${item.lowest_competitor_price?.toFixed(2)} |
-                  Highest: ${item.highest_competitor_price?.toFixed(2)}
+                  {item.matches.length} competitor{item.matches.length !== 1 ? 's' : ''}
+                  {group && ` in ${group}`} |
+                  Lowest{excludeOutOfStock ? ' in stock' : ''}: {formatPrice(item.lowest_competitor_price, reportingCurrency)} |
+                  Highest: {formatPrice(item.highest_competitor_price, reportingCurrency)}
+                  {item.competitor_promotions > 0 && (
+                    <span className="badge badge-warning" style={{ marginLeft: '8px' }}>
+                      {item.competitor_promotions} on promotion
+                    </span>
+                  )}
                 </div>
                 <div className="table-container">
                   <table style={{ marginBottom: 0 }}>
@@ -215,68 +367,150 @@ function Comparison() {
                         <th>SKU</th>
                         <th>Price</th>
                         <th>Difference</th>
+                        <th>Landed Diff</th>
                         <th>Match</th>
                         <th>Actions</th>
                       </tr>
                     </thead>
                     <tbody>
                       {item.matches.map(match => (
-                        <tr key={match.id}>
-                          <td>
-                            <span className="badge badge-secondary">{match.website}</span>
-                          </td>
-                          <td>
-                            <div>{match.name}</div>
-                            {match.product_url && (
-                              <a
-                                href={match.product_url}
-                                target="_blank"
-                                rel="noopener noreferrer"
-                                style={{ fontSize: '0.75rem' }}
-                              >
-                                View
-                              </a>
-                            )}
-                          </td>
-                          <td style={{ fontFamily: 'monospace', fontSize: '0.8125rem' }}>
-                            {match.sku || '-'}
-                          </td>
-                          <td style={{ fontWeight: 500 }}>
-                            {match.price !== null ? `$${match.price.toFixed(2)}` : '-'}
-                          </td>
-                          <td>{formatPriceDiff(match.price_difference)}</td>
-                          <td>
-                            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                              <span className={`badge badge-${
-                                match.match_type === 'sku_exact' ? 'success' :
-                                match.match_type === 'manual' ? 'info' : 'secondary'
-                              }`}>
-                                {match.match_type.replace(/_/g, ' ')}
-                              </span>
-                              {match.is_confirmed && (
-                                <span className="badge badge-success">Confirmed</span>
-                              )}
-                            </div>
-                          </td>
-                          <td>
-                            <div className="actions">
-                              {!match.is_confirmed && (
-                                <button
-                                  className="btn btn-sm btn-success"
-                                  onClick={() => handleConfirmMatch(match.id)}
+                        <React.Fragment key={match.id}>
+                          <tr>
+                            <td>
+                              <span className="badge badge-secondary">{match.website}</span>
+                            </td>
+                            <td>
+                              <div>{match.name}</div>
+                              {match.product_url && (
+                                <a
+                                  href={match.product_url}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  style={{ fontSize: '0.75rem' }}
                                 >
-                                  Confirm
-                                </button>
+                                  View
+                                </a>
                               )}
-                              <button
-                                className="btn btn-sm btn-danger"
-                                onClick={() => handleDeleteMatch(match.id)}
-                              >
-                                Remove
-                              </button>
-                            </div>
-                          </td>
-                        </tr>
+                            </td>
+                            <td style={{ fontFamily: 'monospace', fontSize: '0.8125rem' }}>
+                              {match.sku || '-'}
+                            </td>
+                            <td style={{ fontWeight: 500 }}>
+                              {renderPrice(match)}
+                              {renderPromotion(match)}
+                              {renderAvailability(match)}
+                            </td>
+                            <td>{formatPriceDiff(match.price_difference)}</td>
+                            <td>{formatPriceDiff(match.landed_price_difference)}</td>
+                            <td>
+                              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                                <span className={`badge badge-${
+                                  IDENTIFIER_MATCH_TYPES.includes(match.match_type) ? 'success' :
+                                  match.match_type === 'manual' ? 'info' : 'secondary'
+                                }`}>
+                                  {match.match_type.replace(/_/g, ' ')}
+                                </span>
+                                {match.is_confirmed && (
+                                  <span className="badge badge-success">Confirmed</span>
+                                )}
+                              </div>
+                            </td>
+                            <td>
+                              <div className="actions">
+                                {match.variants.length > 0 && (
+                                  <button
+                                    className="btn btn-sm btn-outline"
+                                    onClick={() => toggleVariants(match.id)}
+                                  >
+                                    {expandedMatches.includes(match.id) ? 'Hide' : 'Variants'} ({match.variants.length})
+                                  </button>
+                                )}
+                                {canMatch && !match.is_confirmed && (
+                                  <button
+                                    className="btn btn-sm btn-success"
+                                    onClick={() => handleConfirmMatch(match.id)}
+                                  >
+                                    Confirm
+                                  </button>
+                                )}
+                                {canMatch && (
+                                  <button
+                                    className="btn btn-sm btn-danger"
+                                    onClick={() => handleDeleteMatch(match.id)}
+                                  >
+                                    Remove
+                                  </button>
+                                )}
+                              </div>
+                            </td>
+                          </tr>
+                          {expandedMatches.includes(match.id) && (
+                            <tr>
+                              <td colSpan={8} style={{ background: 'var(--background)' }}>
+                                <table style={{ marginBottom: '8px' }}>
+                                  <thead>
+                                    <tr>
+                                      <th>Your Variant</th>
+                                      <th>Your Price</th>
+                                      <th>Competitor Variant</th>
+                                      <th>Competitor Price</th>
+                                      <th>Difference</th>
+                                      <th>Match</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {match.variants.map(variant => (
+                                      <tr key={variant.id}>
+                                        <td>
+                                          <div>{formatOptions(variant.source)}</div>
+                                          {variant.source.sku && (
+                                            <div style={{ fontFamily: 'monospace', fontSize: '0.75rem', color: 'var(--text-light)' }}>
+                                              {variant.source.sku}
+                                            </div>
+                                          )}
+                                        </td>
+                                        <td>
+                                          {formatPrice(variant.source.price, item.source.currency)}
+                                          {variant.source.available === false && (
+                                            <span className="badge badge-warning" style={{ marginLeft: '6px' }}>Out of stock</span>
+                                          )}
+                                        </td>
+                                        <td>
+                                          <div>{formatOptions(variant.competitor)}</div>
+                                          {variant.competitor.sku && (
+                                            <div style={{ fontFamily: 'monospace', fontSize: '0.75rem', color: 'var(--text-light)' }}>
+                                              {variant.competitor.sku}
+                                            </div>
+                                          )}
+                                        </td>
+                                        <td>
+                                          {formatPrice(variant.competitor.price, match.currency)}
+                                          {variant.competitor.available === false && (
+                                            <span className="badge badge-warning" style={{ marginLeft: '6px' }}>Out of stock</span>
+                                          )}
+                                        </td>
+                                        <td>{formatPriceDiff(variant.price_difference)}</td>
+                                        <td>
+                                          <span className="badge badge-secondary">
+                                            {variant.match_type.replace(/_/g, ' ')}
+                                          </span>
+                                        </td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                                {canMatch && (
+                                  <button
+                                    className="btn btn-sm btn-outline"
+                                    onClick={() => handleRematchVariants(match.id)}
+                                  >
+                                    Re-match Variants
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
                       ))}
                     </tbody>
                   </table>
@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { AuthContext } from '../App';
+import { currencyApi } from '../services/api';
+import { hasRole } from '../utils/permissions';
+
+function Currencies() {
+  // Only admins edit exchange rates
+  const canEdit = hasRole(useContext(AuthContext), 'admin');
+  const [data, setData] = useState({ base: 'USD', reporting_currency: 'USD', rates: [] });
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ currency: '', rate: '' });
+  const [importText, setImportText] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadRates();
+  }, []);
+
+  const loadRates = async () => {
+    try {
+      setData(await currencyApi.getRates());
+    } catch (error) {
+      console.error('Error loading exchange rates:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSetRate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    try {
+      await currencyApi.setRate(form.currency, parseFloat(form.rate));
+      setForm({ currency: '', rate: '' });
+      loadRates();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleDelete = async (currency) => {
+    if (!window.confirm(`Delete the exchange rate for ${currency}?`)) {
+      return;
+    }
+
+    try {
+      await currencyApi.deleteRate(currency);
+      loadRates();
+    } catch (error) {
+      alert('Error deleting exchange rate: ' + error.message);
+    }
+  };
+
+  // JSON ({ base, rates }) or CSV lines "currency,rate"
+  const handleImport = async () => {
+    setError('');
+    setMessage('');
+
+    let payload;
+    try {
+      payload = JSON.parse(importText);
+    } catch {
+      payload = { csv: importText };
+    }
+
+    try {
+      const result = await currencyApi.importRates(payload);
+      setMessage(`Imported ${result.imported} exchange rates`);
+      setImportText('');
+      setData(result);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="currencies-page">
+      <div className="page-header">
+        <h2>Exchange Rates</h2>
+        <span style={{ color: 'var(--text-light)' }}>
+          Reporting currency: <strong>{data.reporting_currency}</strong>
+        </span>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+      {message && <div className="alert alert-success">{message}</div>}
+
+      <div className="grid-2">
+        <div className="card">
+          <div className="card-header">
+            <h3>Rates per 1 {data.base}</h3>
+          </div>
+          {data.rates.length === 0 ? (
+            <p style={{ color: 'var(--text-light)' }}>
+              No exchange rates yet. Prices in other currencies are left out of price differences.
+            </p>
+          ) : (
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Currency</th>
+                    <th>Rate</th>
+                    <th>Updated</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.rates.map(rate => (
+                    <tr key={rate.currency}>
+                      <td style={{ fontWeight: 500 }}>{rate.currency}</td>
+                      <td style={{ fontFamily: 'monospace' }}>{rate.rate}</td>
+                      <td style={{ fontSize: '0.8125rem', color: 'var(--text-light)' }}>
+                        {new Date(rate.updated_at).toLocaleString()}
+                      </td>
+                      <td>
+                        {canEdit && (
+                          <div className="actions">
+                            <button
+                              className="btn btn-sm btn-outline"
+                              onClick={() => setForm({ currency: rate.currency, rate: String(rate.rate) })}
+                            >
+                              Edit
+                            </button>
+                            <button
+                              className="btn btn-sm btn-danger"
+                              onClick={() => handleDelete(rate.currency)}
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {canEdit && (
+          <div>
+            <div className="card">
+              <div className="card-header">
+                <h3>Set Rate</h3>
+              </div>
+              <form onSubmit={handleSetRate}>
+                <div className="grid-2">
+                  <div className="form-group">
+                    <label>Currency</label>
+                    <input
+                      type="text"
+                      className="form-control"
+                      value={form.currency}
+                      onChange={e => setForm({ ...form, currency: e.target.value.toUpperCase() })}
+                      placeholder="EUR"
+                      maxLength={3}
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Units per 1 {data.base}</label>
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      className="form-control"
+                      value={form.rate}
+                      onChange={e => setForm({ ...form, rate: e.target.value })}
+                      placeholder="0.92"
+                      required
+                    />
+                  </div>
+                </div>
+                <button type="submit" className="btn btn-primary">
+                  Save Rate
+                </button>
+              </form>
+            </div>
+
+            <div className="card">
+              <div className="card-header">
+                <h3>Import Rates</h3>
+              </div>
+              <p style={{ color: 'var(--text-light)', marginBottom: '12px', fontSize: '0.875rem' }}>
+                Paste JSON such as <code>{'{"base": "EUR", "rates": {"USD": 1.08, "GBP": 0.85}}'}</code> or
+                CSV lines <code>currency,rate</code> (per 1 {data.base}).
+              </p>
+              <div className="form-group">
+                <textarea
+                  className="form-control"
+                  rows={6}
+                  value={importText}
+                  onChange={e => setImportText(e.target.value)}
+                  style={{ fontFamily: 'monospace' }}
+                />
+              </div>
+              <button className="btn btn-primary" onClick={handleImport} disabled={!importText.trim()}>
+                Import
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Currencies;
@@ -9,7 +9,7 @@ function Dashboard() {
   const [websites, setWebsites] = useState([]);
   const [runningJobs, setRunningJobs] = useState([]);
   const [loading, setLoading] = useState(true);
-  const { crawlProgress } = useContext(SocketContext);
+  const { crawlProgress, crawlQueue } = useContext(SocketContext);
 
   useEffect(() => {
     loadData();
@@ -126,6 +126,37 @@ function Dashboard() {
         </div>
       )}
 
+      {/* Crawl Queue */}
+      {crawlQueue.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Queued Crawls</h3>
+          </div>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Position</th>
+                  <th>Website</th>
+                  <th>Crawler</th>
+                  <th>Queued</th>
+                </tr>
+              </thead>
+              <tbody>
+                {crawlQueue.map(item => (
+                  <tr key={item.job_id}>
+                    <td>#{item.position}</td>
+                    <td>{item.website_name}</td>
+                    <td style={{ textTransform: 'capitalize' }}>{item.crawler_type || item.crawl_type}</td>
+                    <td>{new Date(item.queued_at).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Quick Actions */}
       <div className="grid-2">
         <div className="card">
@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { digestApi } from '../services/api';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function Digest() {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const applySettings = useCallback((data) => {
+    setSettings(data);
+    setForm({
+      enabled: data.enabled,
+      frequency: data.frequency,
+      send_hour: data.send_hour,
+      send_day: data.send_day,
+      recipients: data.recipients.join(', ')
+    });
+  }, []);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      applySettings(await digestApi.getSettings());
+    } catch (error) {
+      console.error('Error loading digest settings:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [applySettings]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const parseRecipients = () => {
+    return form.recipients.split(/[\s,;]+/).filter(Boolean);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setSaving(true);
+
+    try {
+      applySettings(await digestApi.updateSettings({
+        enabled: form.enabled,
+        frequency: form.frequency,
+        send_hour: parseInt(form.send_hour, 10),
+        send_day: parseInt(form.send_day, 10),
+        recipients: parseRecipients()
+      }));
+      setMessage('Digest settings saved');
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSendNow = async () => {
+    setError('');
+    setMessage('');
+    setSending(true);
+
+    try {
+      const result = await digestApi.send();
+      setMessage(`Digest sent to ${result.accepted.join(', ')}`);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!form) {
+    return (
+      <div className="empty-state">
+        <h3>Digest settings could not be loaded</h3>
+      </div>
+    );
+  }
+
+  return (
+    <div className="digest-page">
+      <div className="page-header">
+        <h2>Email Digest</h2>
+        <div style={{ display: 'flex', gap: '12px' }}>
+          <a className="btn btn-outline" href={digestApi.previewUrl()} target="_blank" rel="noopener noreferrer">
+            Preview
+          </a>
+          <button
+            className="btn btn-primary"
+            onClick={handleSendNow}
+            disabled={sending || !settings.smtp_configured || settings.recipients.length === 0}
+          >
+            {sending ? 'Sending...' : 'Send Now'}
+          </button>
+        </div>
+      </div>
+
+      {!settings.smtp_configured && (
+        <div className="alert alert-danger">
+          SMTP is not configured. Set <code>SMTP_HOST</code> (and <code>SMTP_PORT</code>, <code>SMTP_USER</code>,
+          <code> SMTP_PASS</code> as needed) on the server to send digests.
+        </div>
+      )}
+      {error && <div className="alert alert-danger">{error}</div>}
+      {message && <div className="alert alert-success">{message}</div>}
+
+      <div className="grid-2">
+        <div className="card">
+          <div className="card-header">
+            <h3>Settings</h3>
+          </div>
+          <form onSubmit={handleSave}>
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={e => setForm({ ...form, enabled: e.target.checked })}
+                />
+                Send the digest automatically
+              </label>
+            </div>
+            <div className="grid-2">
+              <div className="form-group">
+                <label>Frequency</label>
+                <select
+                  className="form-control"
+                  value={form.frequency}
+                  onChange={e => setForm({ ...form, frequency: e.target.value })}
+                >
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                </select>
+              </div>
+              {form.frequency === 'weekly' && (
+                <div className="form-group">
+                  <label>Day</label>
+                  <select
+                    className="form-control"
+                    value={form.send_day}
+                    onChange={e => setForm({ ...form, send_day: e.target.value })}
+                  >
+                    {WEEKDAYS.map((day, index) => (
+                      <option key={day} value={index}>{day}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="form-group">
+                <label>Hour</label>
+                <select
+                  className="form-control"
+                  value={form.send_hour}
+                  onChange={e => setForm({ ...form, send_hour: e.target.value })}
+                >
+                  {Array.from({ length: 24 }, (_, hour) => (
+                    <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="form-group">
+              <label>Recipients</label>
+              <textarea
+                className="form-control"
+                rows="3"
+                value={form.recipients}
+                onChange={e => setForm({ ...form, recipients: e.target.value })}
+                placeholder="manager@example.com, buyer@example.com"
+              />
+              <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+                Separate addresses with commas or new lines.
+              </small>
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Settings'}
+            </button>
+          </form>
+        </div>
+
+        <div className="card">
+          <div className="card-header">
+            <h3>Schedule</h3>
+          </div>
+          <table>
+            <tbody>
+              <tr>
+                <td style={{ color: 'var(--text-light)' }}>Status</td>
+                <td>
+                  <span className={`badge ${settings.enabled ? 'badge-success' : 'badge-secondary'}`}>
+                    {settings.enabled ? 'Enabled' : 'Disabled'}
+                  </span>
+                </td>
+              </tr>
+              <tr>
+                <td style={{ color: 'var(--text-light)' }}>Schedule</td>
+                <td>{settings.schedule} (server time)</td>
+              </tr>
+              <tr>
+                <td style={{ color: 'var(--text-light)' }}>Next digest</td>
+                <td>{settings.next_send_at ? new Date(settings.next_send_at).toLocaleString() : '-'}</td>
+              </tr>
+              <tr>
+                <td style={{ color: 'var(--text-light)' }}>Last sent</td>
+                <td>{settings.last_sent_at ? new Date(settings.last_sent_at).toLocaleString() : 'Never'}</td>
+              </tr>
+              {settings.last_error && (
+                <tr>
+                  <td style={{ color: 'var(--text-light)' }}>Last error</td>
+                  <td style={{ color: 'var(--danger)' }}>{settings.last_error}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+          <p style={{ color: 'var(--text-light)', marginTop: '16px', fontSize: '0.875rem' }}>
+            Each workspace has its own digest. It covers the time since the previous scheduled one: new matches,
+            the biggest competitor price drops, products where you are no longer the cheapest and failed crawls.
+            Sending a digest now does not change the period of the next scheduled one.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Digest;
@@ -1,30 +1,35 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { websitesApi, productsApi, matchingApi, exportApi } from '../services/api';
 
 function Export() {
   const [stats, setStats] = useState(null);
   const [websites, setWebsites] = useState([]);
   const [loading, setLoading] = useState(true);
+  // Exports cover the competitors of one group ('' for all competitors)
+  const [groups, setGroups] = useState([]);
+  const [group, setGroup] = useState('');
 
-  useEffect(() => {
-    loadData();
-  }, []);
-
-  const loadData = async () => {
+  const loadData = useCallback(async () => {
     try {
-      const [productStats, matchStats, sites] = await Promise.all([
+      const [productStats, matchStats, sites, groupList] = await Promise.all([
         productsApi.getStats(),
-        matchingApi.getStats(),
-        websitesApi.getAll()
+        matchingApi.getStats(group ? { group } : {}),
+        websitesApi.getAll(),
+        websitesApi.getGroups()
       ]);
       setStats({ ...productStats, ...matchStats });
       setWebsites(sites);
+      setGroups(groupList);
     } catch (error) {
       console.error('Error loading data:', error);
     } finally {
       setLoading(false);
     }
-  };
+  }, [group]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
 
   const handleExport = (url, filename) => {
     const link = document.createElement('a');
@@ -47,6 +52,19 @@ function Export() {
     <div className="export-page">
       <div className="page-header">
         <h2>Export Data</h2>
+        {groups.length > 0 && (
+          <select
+            className="form-control"
+            style={{ width: 'auto' }}
+            value={group}
+            onChange={e => setGroup(e.target.value)}
+          >
+            <option value="">All Competitors</option>
+            {groups.map(g => (
+              <option key={g.name} value={g.name}>{g.name} ({g.website_count})</option>
+            ))}
+          </select>
+        )}
       </div>
 
       {/* Summary */}
@@ -81,13 +99,13 @@ function Export() {
           <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
             <button
               className="btn btn-primary"
-              onClick={() => handleExport(exportApi.products('csv'), 'products.csv')}
+              onClick={() => handleExport(exportApi.products('csv', null, group), 'products.csv')}
             >
               Download CSV
             </button>
             <button
               className="btn btn-outline"
-              onClick={() => handleExport(exportApi.products('json'), 'products.json')}
+              onClick={() => handleExport(exportApi.products('json', null, group), 'products.json')}
             >
               Download JSON
             </button>
@@ -105,13 +123,13 @@ function Export() {
           <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
             <button
               className="btn btn-primary"
-              onClick={() => handleExport(exportApi.comparison('csv'), 'price-comparison.csv')}
+              onClick={() => handleExport(exportApi.comparison('csv', group), 'price-comparison.csv')}
             >
               Download CSV
             </button>
             <button
               className="btn btn-outline"
-              onClick={() => handleExport(exportApi.comparison('json'), 'price-comparison.json')}
+              onClick={() => handleExport(exportApi.comparison('json', group), 'price-comparison.json')}
             >
               Download JSON
             </button>
@@ -129,13 +147,13 @@ function Export() {
           <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
             <button
               className="btn btn-primary"
-              onClick={() => handleExport(exportApi.unmatched('csv'), 'unmatched-products.csv')}
+              onClick={() => handleExport(exportApi.unmatched('csv', group), 'unmatched-products.csv')}
             >
               Download CSV
             </button>
             <button
               className="btn btn-outline"
-              onClick={() => handleExport(exportApi.unmatched('json'), 'unmatched-products.json')}
+              onClick={() => handleExport(exportApi.unmatched('json', group), 'unmatched-products.json')}
             >
               Download JSON
             </button>
@@ -153,13 +171,13 @@ function Export() {
           <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
             <button
               className="btn btn-primary"
-              onClick={() => handleExport(exportApi.report('csv'), 'full-report.csv')}
+              onClick={() => handleExport(exportApi.report('csv', group), 'full-report.csv')}
             >
               Download CSV
             </button>
             <button
               className="btn btn-outline"
-              onClick={() => handleExport(exportApi.report('json'), 'full-report.json')}
+              onClick={() => handleExport(exportApi.report('json', group), 'full-report.json')}
             >
               Download JSON
             </button>
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { authApi } from '../services/api';
+
+function Login({ onLogin }) {
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [form, setForm] = useState({ username: '', password: '', confirm: '' });
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    authApi.getStatus()
+      .then(status => setSetupRequired(status.setup_required))
+      .catch(error => console.error('Error loading auth status:', error));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (setupRequired && form.password !== form.confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const session = setupRequired
+        ? await authApi.setup(form.username, form.password)
+        : await authApi.login(form.username, form.password);
+      onLogin(session.user);
+    } catch (error) {
+      setError(error.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="card">
+        <div className="card-header">
+          <h3>{setupRequired ? 'Create Your Account' : 'Sign In to EcomCompare'}</h3>
+        </div>
+        {setupRequired && (
+          <p style={{ color: 'var(--text-light)', marginBottom: '16px' }}>
+            No accounts exist yet. The first account is an admin and can add the others from the Users page.
+          </p>
+        )}
+        {error && <div className="alert alert-danger">{error}</div>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Username</label>
+            <input
+              type="text"
+              className="form-control"
+              value={form.username}
+              onChange={e => setForm({ ...form, username: e.target.value })}
+              autoComplete="username"
+              autoFocus
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Password</label>
+            <input
+              type="password"
+              className="form-control"
+              value={form.password}
+              onChange={e => setForm({ ...form, password: e.target.value })}
+              autoComplete={setupRequired ? 'new-password' : 'current-password'}
+              required
+            />
+          </div>
+          {setupRequired && (
+            <div className="form-group">
+              <label>Confirm Password</label>
+              <input
+                type="password"
+                className="form-control"
+                value={form.confirm}
+                onChange={e => setForm({ ...form, confirm: e.target.value })}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+          )}
+          <button type="submit" className="btn btn-primary" style={{ width: '100%' }} disabled={submitting}>
+            {setupRequired ? 'Create Account' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
@@ -1,7 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
+import { AuthContext } from '../App';
 import { matchingApi, productsApi } from '../services/api';
+import { formatPrice } from '../utils/formatPrice';
+import { hasRole } from '../utils/permissions';
 
 function Matching() {
+  // Analysts and admins run matching and create matches
+  const canMatch = hasRole(useContext(AuthContext), 'analyst');
   const [stats, setStats] = useState(null);
   const [unmatched, setUnmatched] = useState([]);
   const [unmatchedCompetitors, setUnmatchedCompetitors] = useState([]);
@@ -13,7 +18,9 @@ function Matching() {
   const [matchOptions, setMatchOptions] = useState({
     minSimilarity: 0.6,
     allowDuplicateMatches: false,
-    maxMatchesPerProduct: 5
+    maxMatchesPerProduct: 5,
+    sameBrand: false,
+    sameCategory: false
   });
 
   useEffect(() => {
@@ -87,13 +94,15 @@ function Matching() {
     <div className="matching-page">
       <div className="page-header">
         <h2>Product Matching</h2>
-        <button
-          className="btn btn-primary"
-          onClick={handleRunMatching}
-          disabled={running}
-        >
-          {running ? 'Running...' : 'Run Automatic Matching'}
-        </button>
+        {canMatch && (
+          <button
+            className="btn btn-primary"
+            onClick={handleRunMatching}
+            disabled={running}
+          >
+            {running ? 'Running...' : 'Run Automatic Matching'}
+          </button>
+        )}
       </div>
 
       {/* Stats */}
@@ -179,6 +188,31 @@ function Matching() {
               />
               Allow Duplicate Matches
             </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                type="checkbox"
+                checked={matchOptions.sameBrand}
+                onChange={e => setMatchOptions({
+                  ...matchOptions,
+                  sameBrand: e.target.checked
+                })}
+              />
+              Same Brand Only
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                type="checkbox"
+                checked={matchOptions.sameCategory}
+                onChange={e => setMatchOptions({
+                  ...matchOptions,
+                  sameCategory: e.target.checked
+                })}
+              />
+              Same Category Only
+            </label>
+            <small style={{ color: 'var(--text-light)', display: 'block' }}>
+              Products without a known brand or category are still compared.
+            </small>
           </div>
         </div>
       </div>
@@ -210,14 +244,16 @@ function Matching() {
                       <div style={{ fontWeight: 500 }}>{product.name}</div>
                     </td>
                     <td style={{ fontFamily: 'monospace' }}>{product.sku || '-'}</td>
-                    <td>{product.price !== null ? `$${product.price.toFixed(2)}` : '-'}</td>
+                    <td>{formatPrice(product.price, product.currency)}</td>
                     <td>
-                      <button
-                        className="btn btn-sm btn-primary"
-                        onClick={() => handleSelectSource(product)}
-                      >
-                        Find Match
-                      </button>
+                      {canMatch && (
+                        <button
+                          className="btn btn-sm btn-primary"
+                          onClick={() => handleSelectSource(product)}
+                        >
+                          Find Match
+                        </button>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -241,7 +277,7 @@ function Matching() {
               <div className="alert alert-info" style={{ marginBottom: '16px' }}>
                 <strong>Source Product:</strong> {selectedSource.name}
                 {selectedSource.sku && <span> | SKU: {selectedSource.sku}</span>}
-                {selectedSource.price && <span> | Price: ${selectedSource.price.toFixed(2)}</span>}
+                {selectedSource.price && <span> | Price: {formatPrice(selectedSource.price, selectedSource.currency)}</span>}
               </div>
 
               <h4 style={{ marginBottom: '12px' }}>Suggested Matches</h4>
@@ -275,7 +311,7 @@ function Matching() {
                             {suggestion.sku || '-'}
                           </td>
                           <td>
-                            {suggestion.price !== null ? `$${suggestion.price.toFixed(2)}` : '-'}
+                            {formatPrice(suggestion.price, suggestion.currency)}
                           </td>
                           <td>
                             <div className="match-score">
@@ -338,7 +374,7 @@ function Matching() {
                           {product.sku || '-'}
                         </td>
                         <td>
-                          {product.price !== null ? `$${product.price.toFixed(2)}` : '-'}
+                          {formatPrice(product.price, product.currency)}
                         </td>
                         <td>
                           <button
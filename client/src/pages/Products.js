@@ -1,32 +1,43 @@
-import React, { useState, useEffect } from 'react';
-import { productsApi, websitesApi } from '../services/api';
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { AuthContext } from '../App';
+import { productsApi, websitesApi, brandsApi, categoriesApi } from '../services/api';
+import { formatPrice } from '../utils/formatPrice';
+import { formatAvailability } from '../utils/availability';
+import { hasRole } from '../utils/permissions';
+import AuditTimeline from '../components/AuditTimeline';
 
 function Products() {
+  const user = useContext(AuthContext);
   const [products, setProducts] = useState([]);
   const [websites, setWebsites] = useState([]);
+  const [brands, setBrands] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState({ website_id: '', search: '' });
+  const [filter, setFilter] = useState({ website_id: '', brand_id: '', category_id: '', search: '' });
   const [activeTab, setActiveTab] = useState('all');
+  const [historyProduct, setHistoryProduct] = useState(null);
+  const [history, setHistory] = useState([]);
 
-  useEffect(() => {
-    loadData();
-  }, []);
-
-  useEffect(() => {
-    loadProducts();
-  }, [activeTab, filter.website_id]);
-
-  const loadData = async () => {
+  const loadData = useCallback(async () => {
     try {
-      const sites = await websitesApi.getAll();
+      const [sites, brandList, categoryList] = await Promise.all([
+        websitesApi.getAll(),
+        brandsApi.getAll(),
+        categoriesApi.getAll()
+      ]);
       setWebsites(sites);
+      setBrands(brandList);
+      setCategories(categoryList);
     } catch (error) {
-      console.error('Error loading websites:', error);
+      console.error('Error loading filters:', error);
     }
-    await loadProducts();
-  };
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
 
-  const loadProducts = async () => {
+  const loadProducts = useCallback(async () => {
     setLoading(true);
     try {
       let params = {};
@@ -37,6 +48,8 @@ function Products() {
       } else if (activeTab === 'competitor') {
         params.competitor_only = 'true';
       }
+      if (filter.brand_id) params.brand_id = filter.brand_id;
+      if (filter.category_id) params.category_id = filter.category_id;
 
       const data = await productsApi.getAll(params);
       setProducts(data);
@@ -45,7 +58,11 @@ function Products() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [activeTab, filter.website_id, filter.brand_id, filter.category_id]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
 
   const handleDelete = async (id) => {
     if (!window.confirm('Are you sure you want to delete this product?')) {
@@ -60,6 +77,17 @@ function Products() {
     }
   };
 
+  const handleShowHistory = async (product) => {
+    setHistoryProduct(product);
+    setHistory([]);
+    try {
+      const data = await productsApi.getHistory(product.id);
+      setHistory(data);
+    } catch (error) {
+      console.error('Error loading price history:', error);
+    }
+  };
+
   const filteredProducts = products.filter(p => {
     if (!filter.search) return true;
     const search = filter.search.toLowerCase();
@@ -67,6 +95,11 @@ function Products() {
            (p.sku && p.sku.toLowerCase().includes(search));
   });
 
+  const renderAvailability = (item) => {
+    const availability = formatAvailability(item.availability, item.stock_quantity);
+    return availability && <span className={availability.className}>{availability.label}</span>;
+  };
+
   return (
     <div className="products-page">
       <div className="page-header">
@@ -126,6 +159,30 @@ function Products() {
               ))}
             </select>
           </div>
+          <div className="form-group" style={{ margin: 0, minWidth: '160px' }}>
+            <select
+              className="form-control"
+              value={filter.brand_id}
+              onChange={e => setFilter({ ...filter, brand_id: e.target.value })}
+            >
+              <option value="">All Brands</option>
+              {brands.map(b => (
+                <option key={b.id} value={b.id}>{b.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group" style={{ margin: 0, minWidth: '160px' }}>
+            <select
+              className="form-control"
+              value={filter.category_id}
+              onChange={e => setFilter({ ...filter, category_id: e.target.value })}
+            >
+              <option value="">All Categories</option>
+              {categories.map(c => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+          </div>
         </div>
       </div>
 
@@ -154,6 +211,7 @@ function Products() {
                   <th style={{ width: '60px' }}>Image</th>
                   <th>Name</th>
                   <th>Website</th>
+                  <th>Brand / Category</th>
                   <th>SKU</th>
                   <th>Price</th>
                   <th>Actions</th>
@@ -198,6 +256,11 @@ function Products() {
                     </td>
                     <td>
                       <div style={{ fontWeight: 500 }}>{product.name}</div>
+                      {product.variant_count > 0 && (
+                        <span className="badge badge-secondary" style={{ marginRight: '8px' }}>
+                          {product.variant_count} variant{product.variant_count !== 1 ? 's' : ''}
+                        </span>
+                      )}
                       {product.product_url && (
                         <a
                           href={product.product_url}
@@ -214,20 +277,51 @@ function Products() {
                         {product.website_name}
                       </span>
                     </td>
+                    <td>
+                      <div>{product.brand_name || '-'}</div>
+                      {product.category_name && (
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-light)' }}>{product.category_name}</div>
+                      )}
+                    </td>
                     <td style={{ fontFamily: 'monospace', fontSize: '0.8125rem' }}>
                       {product.sku || '-'}
+                      {product.gtin && (
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-light)' }}>GTIN {product.gtin}</div>
+                      )}
+                      {product.mpn && (
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-light)' }}>MPN {product.mpn}</div>
+                      )}
                     </td>
                     <td style={{ fontWeight: 600 }}>
-                      {product.price !== null ? `$${product.price.toFixed(2)}` : '-'}
+                      {formatPrice(product.price, product.currency)}
+                      {product.list_price > product.price && (
+                        <div style={{ fontSize: '0.75rem', fontWeight: 400, color: 'var(--text-light)' }}>
+                          <span style={{ textDecoration: 'line-through' }}>
+                            {formatPrice(product.list_price, product.currency)}
+                          </span>
+                        </div>
+                      )}
+                      {product.promo_text && (
+                        <span className="badge badge-warning">{product.promo_text}</span>
+                      )}
+                      {renderAvailability(product)}
                     </td>
                     <td>
                       <div className="actions">
                         <button
-                          className="btn btn-sm btn-danger"
-                          onClick={() => handleDelete(product.id)}
+                          className="btn btn-sm btn-outline"
+                          onClick={() => handleShowHistory(product)}
                         >
-                          Delete
+                          History
                         </button>
+                        {hasRole(user, 'admin') && (
+                          <button
+                            className="btn btn-sm btn-danger"
+                            onClick={() => handleDelete(product.id)}
+                          >
+                            Delete
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -237,6 +331,74 @@ function Products() {
           </div>
         </div>
       )}
+
+      {/* Price History and Activity Modal */}
+      {historyProduct && (
+        <div className="modal-overlay" onClick={() => setHistoryProduct(null)}>
+          <div className="modal" style={{ maxWidth: '700px' }} onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>History: {historyProduct.name}</h3>
+              <button className="modal-close" onClick={() => setHistoryProduct(null)}>&times;</button>
+            </div>
+            <div className="modal-body">
+              <h4 style={{ marginBottom: '12px' }}>Prices</h4>
+              {history.length === 0 ? (
+                <p>No price observations recorded yet.</p>
+              ) : (
+                <div className="table-container" style={{ maxHeight: '400px', overflowY: 'auto' }}>
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Observed</th>
+                        <th>Crawl Job</th>
+                        <th>Price</th>
+                        <th>List Price</th>
+                        <th>Stock</th>
+                        <th>Change</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {history.map((entry, index) => {
+                        const previous = history[index + 1];
+                        const change = previous && entry.price !== null && previous.price !== null
+                          ? entry.price - previous.price
+                          : null;
+                        return (
+                          <tr key={entry.id}>
+                            <td>{new Date(entry.observed_at).toLocaleString()}</td>
+                            <td>{entry.crawl_job_id ? `#${entry.crawl_job_id}` : '-'}</td>
+                            <td style={{ fontWeight: 600 }}>
+                              {formatPrice(entry.price, entry.currency)}
+                            </td>
+                            <td style={{ color: 'var(--text-light)' }}>
+                              {entry.list_price ? formatPrice(entry.list_price, entry.currency) : '-'}
+                            </td>
+                            <td>{renderAvailability(entry) || '-'}</td>
+                            <td>
+                              {change === null ? '-' : (
+                                <span className={`price-diff ${change > 0 ? 'positive' : change < 0 ? 'negative' : 'neutral'}`}>
+                                  {change > 0 ? '+' : ''}{change.toFixed(2)}
+                                </span>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <h4 style={{ margin: '24px 0 12px' }}>Activity</h4>
+              <AuditTimeline filters={{ product_id: historyProduct.id }} />
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-outline" onClick={() => setHistoryProduct(null)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { AuthContext } from '../App';
+import { usersApi } from '../services/api';
+import { ROLES, ROLE_DESCRIPTIONS } from '../utils/permissions';
+
+const EMPTY_USER = { username: '', password: '', role: 'viewer' };
+
+function Users() {
+  const currentUser = useContext(AuthContext);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [userForm, setUserForm] = useState(EMPTY_USER);
+  const [userError, setUserError] = useState('');
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const loadUsers = async () => {
+    try {
+      setUsers(await usersApi.getAll());
+    } catch (error) {
+      console.error('Error loading users:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setUserError('');
+
+    try {
+      await usersApi.create(userForm.username, userForm.password, userForm.role);
+      setUserForm(EMPTY_USER);
+      loadUsers();
+    } catch (error) {
+      setUserError(error.message);
+    }
+  };
+
+  const handleResetPassword = async (user) => {
+    const password = window.prompt(`New password for ${user.username}:`);
+    if (!password) {
+      return;
+    }
+
+    try {
+      await usersApi.setPassword(user.id, password);
+      alert(`Password changed. ${user.username} has been signed out.`);
+    } catch (error) {
+      alert('Error changing password: ' + error.message);
+    }
+  };
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      await usersApi.updateRole(user.id, role);
+      loadUsers();
+    } catch (error) {
+      alert('Error changing role: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Delete the account ${user.username}?`)) {
+      return;
+    }
+
+    try {
+      await usersApi.delete(user.id);
+      loadUsers();
+    } catch (error) {
+      alert('Error deleting user: ' + error.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="users-page">
+      <div className="page-header">
+        <h2>Users</h2>
+      </div>
+
+      <div className="card">
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Username</th>
+                <th>Role</th>
+                <th>Created</th>
+                <th>Last Sign-in</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(user => (
+                <tr key={user.id}>
+                  <td style={{ fontWeight: 500 }}>
+                    {user.username}
+                    {user.id === currentUser.id && (
+                      <span className="badge badge-info" style={{ marginLeft: '8px' }}>You</span>
+                    )}
+                  </td>
+                  <td>
+                    {user.id === currentUser.id ? (
+                      <span className="badge badge-info">{user.role}</span>
+                    ) : (
+                      <select
+                        className="form-control"
+                        style={{ width: 'auto', padding: '4px 8px' }}
+                        value={user.role}
+                        onChange={e => handleRoleChange(user, e.target.value)}
+                      >
+                        {ROLES.map(role => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                    )}
+                  </td>
+                  <td style={{ fontSize: '0.8125rem', color: 'var(--text-light)' }}>
+                    {new Date(user.created_at).toLocaleDateString()}
+                  </td>
+                  <td style={{ fontSize: '0.8125rem', color: 'var(--text-light)' }}>
+                    {user.last_login_at ? new Date(user.last_login_at).toLocaleString() : 'Never'}
+                  </td>
+                  <td>
+                    {user.id !== currentUser.id && (
+                      <div className="actions">
+                        <button className="btn btn-sm btn-outline" onClick={() => handleResetPassword(user)}>
+                          Reset Password
+                        </button>
+                        <button className="btn btn-sm btn-danger" onClick={() => handleDelete(user)}>
+                          Delete
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="grid-2">
+        <div className="card">
+          <div className="card-header">
+            <h3>Add User</h3>
+          </div>
+          {userError && <div className="alert alert-danger">{userError}</div>}
+          <form onSubmit={handleCreate}>
+            <div className="form-group">
+              <label>Username</label>
+              <input
+                type="text"
+                className="form-control"
+                value={userForm.username}
+                onChange={e => setUserForm({ ...userForm, username: e.target.value })}
+                autoComplete="off"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Password</label>
+              <input
+                type="password"
+                className="form-control"
+                value={userForm.password}
+                onChange={e => setUserForm({ ...userForm, password: e.target.value })}
+                autoComplete="new-password"
+                placeholder="At least 8 characters"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Role</label>
+              <select
+                className="form-control"
+                value={userForm.role}
+                onChange={e => setUserForm({ ...userForm, role: e.target.value })}
+              >
+                {ROLES.map(role => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+              <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+                {ROLE_DESCRIPTIONS[userForm.role]}
+              </small>
+            </div>
+            <button type="submit" className="btn btn-primary">
+              Add User
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Users;
@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from 'react';
+import { webhooksApi } from '../services/api';
+
+const EMPTY_FORM = { url: '', description: '', events: [], secret: '' };
+
+const DELIVERY_BADGES = {
+  success: 'badge-success',
+  pending: 'badge-warning',
+  failed: 'badge-danger'
+};
+
+function Webhooks() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [deliveriesWebhook, setDeliveriesWebhook] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+
+  useEffect(() => {
+    loadWebhooks();
+  }, []);
+
+  const loadWebhooks = async () => {
+    try {
+      const data = await webhooksApi.getAll();
+      setWebhooks(data.webhooks);
+      setEvents(data.events);
+    } catch (error) {
+      console.error('Error loading webhooks:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleEvent = (event) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(e => e !== event)
+        : [...prev.events, event]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      await webhooksApi.create({
+        url: form.url,
+        description: form.description,
+        events: form.events,
+        secret: form.secret || undefined
+      });
+      setForm(EMPTY_FORM);
+      loadWebhooks();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleToggle = async (webhook) => {
+    try {
+      await webhooksApi.update(webhook.id, { enabled: !webhook.enabled });
+      loadWebhooks();
+    } catch (error) {
+      alert('Error updating webhook: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this webhook and its delivery log?')) {
+      return;
+    }
+
+    try {
+      await webhooksApi.delete(id);
+      loadWebhooks();
+    } catch (error) {
+      alert('Error deleting webhook: ' + error.message);
+    }
+  };
+
+  const loadDeliveries = async (webhook) => {
+    try {
+      setDeliveries(await webhooksApi.getDeliveries(webhook.id));
+    } catch (error) {
+      console.error('Error loading deliveries:', error);
+    }
+  };
+
+  const handleShowDeliveries = (webhook) => {
+    setDeliveriesWebhook(webhook);
+    setDeliveries([]);
+    loadDeliveries(webhook);
+  };
+
+  const handlePing = async (webhook) => {
+    try {
+      await webhooksApi.ping(webhook.id);
+      handleShowDeliveries(webhook);
+    } catch (error) {
+      alert('Error sending ping: ' + error.message);
+    }
+  };
+
+  const handleRetry = async (deliveryId) => {
+    try {
+      await webhooksApi.retryDelivery(deliveriesWebhook.id, deliveryId);
+      loadDeliveries(deliveriesWebhook);
+    } catch (error) {
+      alert('Error retrying delivery: ' + error.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="webhooks-page">
+      <div className="page-header">
+        <h2>Webhooks</h2>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Subscriptions</h3>
+        </div>
+        {webhooks.length === 0 ? (
+          <p style={{ color: 'var(--text-light)' }}>
+            No webhooks yet. Add one to receive this workspace's crawl, match and alert events.
+          </p>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>URL</th>
+                  <th>Events</th>
+                  <th>Secret</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {webhooks.map(webhook => (
+                  <tr key={webhook.id}>
+                    <td>
+                      <div style={{ fontWeight: 500, wordBreak: 'break-all' }}>{webhook.url}</div>
+                      {webhook.description && (
+                        <div style={{ fontSize: '0.8125rem', color: 'var(--text-light)' }}>
+                          {webhook.description}
+                        </div>
+                      )}
+                    </td>
+                    <td style={{ fontSize: '0.8125rem' }}>
+                      {webhook.events.length === 0 ? 'All events' : webhook.events.join(', ')}
+                    </td>
+                    <td style={{ fontFamily: 'monospace', fontSize: '0.75rem', wordBreak: 'break-all' }}>
+                      {webhook.secret}
+                    </td>
+                    <td>
+                      <span className={`badge ${webhook.enabled ? 'badge-success' : 'badge-secondary'}`}>
+                        {webhook.enabled ? 'Enabled' : 'Disabled'}
+                      </span>
+                      {webhook.failed_deliveries > 0 && (
+                        <div style={{ marginTop: '4px' }}>
+                          <span className="badge badge-danger">{webhook.failed_deliveries} failed</span>
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      <div className="actions">
+                        <button className="btn btn-sm btn-outline" onClick={() => handlePing(webhook)}>
+                          Ping
+                        </button>
+                        <button className="btn btn-sm btn-outline" onClick={() => handleShowDeliveries(webhook)}>
+                          Deliveries
+                        </button>
+                        <button className="btn btn-sm btn-outline" onClick={() => handleToggle(webhook)}>
+                          {webhook.enabled ? 'Disable' : 'Enable'}
+                        </button>
+                        <button className="btn btn-sm btn-danger" onClick={() => handleDelete(webhook.id)}>
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Add Webhook</h3>
+        </div>
+        {error && <div className="alert alert-danger">{error}</div>}
+        <form onSubmit={handleCreate}>
+          <div className="grid-2">
+            <div className="form-group">
+              <label>Payload URL</label>
+              <input
+                type="url"
+                className="form-control"
+                value={form.url}
+                onChange={e => setForm({ ...form, url: e.target.value })}
+                placeholder="https://example.com/hooks/ecomcompare"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Description</label>
+              <input
+                type="text"
+                className="form-control"
+                value={form.description}
+                onChange={e => setForm({ ...form, description: e.target.value })}
+                placeholder="Optional"
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Events</label>
+            <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap' }}>
+              {events.map(event => (
+                <label key={event} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontWeight: 400 }}>
+                  <input
+                    type="checkbox"
+                    checked={form.events.includes(event)}
+                    onChange={() => toggleEvent(event)}
+                  />
+                  {event}
+                </label>
+              ))}
+            </div>
+            <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+              Leave all unchecked to receive every event.
+            </small>
+          </div>
+          <div className="form-group">
+            <label>Secret</label>
+            <input
+              type="text"
+              className="form-control"
+              value={form.secret}
+              onChange={e => setForm({ ...form, secret: e.target.value })}
+              placeholder="Generated when empty"
+            />
+            <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+              Requests carry <code>X-EcomCompare-Signature: sha256=&lt;HMAC-SHA256 of the body&gt;</code>.
+            </small>
+          </div>
+          <button type="submit" className="btn btn-primary">
+            Add Webhook
+          </button>
+        </form>
+      </div>
+
+      {/* Deliveries Modal */}
+      {deliveriesWebhook && (
+        <div className="modal-overlay" onClick={() => setDeliveriesWebhook(null)}>
+          <div className="modal" style={{ maxWidth: '800px' }} onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Deliveries: {deliveriesWebhook.url}</h3>
+              <button className="modal-close" onClick={() => setDeliveriesWebhook(null)}>&times;</button>
+            </div>
+            <div className="modal-body">
+              {deliveries.length === 0 ? (
+                <p style={{ color: 'var(--text-light)' }}>No deliveries yet.</p>
+              ) : (
+                <div className="table-container">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Event</th>
+                        <th>Status</th>
+                        <th>Attempts</th>
+                        <th>Response</th>
+                        <th>Created</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {deliveries.map(delivery => (
+                        <tr key={delivery.id}>
+                          <td style={{ fontFamily: 'monospace', fontSize: '0.8125rem' }}>{delivery.event}</td>
+                          <td>
+                            <span className={`badge ${DELIVERY_BADGES[delivery.status] || 'badge-secondary'}`}>
+                              {delivery.status}
+                            </span>
+                          </td>
+                          <td>{delivery.attempts}</td>
+                          <td style={{ fontSize: '0.8125rem' }}>
+                            {delivery.error_message || delivery.response_status || '-'}
+                            {delivery.status === 'pending' && delivery.next_attempt_at && delivery.attempts > 0 && (
+                              <div style={{ color: 'var(--text-light)' }}>
+                                Next attempt {new Date(delivery.next_attempt_at).toLocaleTimeString()}
+                              </div>
+                            )}
+                          </td>
+                          <td style={{ fontSize: '0.8125rem', color: 'var(--text-light)' }}>
+                            {new Date(delivery.created_at).toLocaleString()}
+                          </td>
+                          <td>
+                            {delivery.status === 'failed' && (
+                              <button className="btn btn-sm btn-outline" onClick={() => handleRetry(delivery.id)}>
+                                Retry
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-outline" onClick={() => loadDeliveries(deliveriesWebhook)}>
+                Refresh
+              </button>
+              <button className="btn btn-primary" onClick={() => setDeliveriesWebhook(null)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Webhooks;
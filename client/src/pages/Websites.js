@@ -1,14 +1,53 @@
 import React, { useState, useEffect, useContext } from 'react';
-import { SocketContext } from '../App';
+import { SocketContext, AuthContext } from '../App';
 import { websitesApi } from '../services/api';
+import { hasRole } from '../utils/permissions';
+import AuditTimeline from '../components/AuditTimeline';
+
+const SCHEDULE_PRESETS = [
+  { label: 'Every hour', value: '0 * * * *' },
+  { label: 'Every 6 hours', value: '0 */6 * * *' },
+  { label: 'Daily at 03:00', value: '0 3 * * *' },
+  { label: 'Weekly on Monday at 03:00', value: '0 3 * * 1' }
+];
+
+const SELECTOR_FIELDS = [
+  { key: 'container', label: 'Product Container', placeholder: '.product-card' },
+  { key: 'name', label: 'Name', placeholder: '.product-card__title' },
+  { key: 'price', label: 'Price', placeholder: '.price .amount' },
+  { key: 'list_price', label: 'List Price', placeholder: '.price del' },
+  { key: 'promo', label: 'Promo Badge', placeholder: '.onsale' },
+  { key: 'availability', label: 'Stock Status', placeholder: '.stock' },
+  { key: 'sku', label: 'SKU', placeholder: '[data-sku]' },
+  { key: 'image', label: 'Image', placeholder: '.product-card img' },
+  { key: 'link', label: 'Product Link', placeholder: 'a.product-card__link' },
+  { key: 'pagination', label: 'Pagination', placeholder: '.pagination a' }
+];
 
 function Websites() {
   const [websites, setWebsites] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
-  const [formData, setFormData] = useState({ url: '', name: '', crawl_type: 'auto', is_source: false });
+  const [formData, setFormData] = useState({ url: '', name: '', crawl_type: 'auto', is_source: false, crawl_details: false });
   const [error, setError] = useState('');
-  const { crawlProgress, clearProgress } = useContext(SocketContext);
+  const [scheduleWebsite, setScheduleWebsite] = useState(null);
+  const [scheduleForm, setScheduleForm] = useState({ cron_expression: '0 3 * * *', enabled: true });
+  const [scheduleError, setScheduleError] = useState('');
+  const [settingsWebsite, setSettingsWebsite] = useState(null);
+  const [settingsForm, setSettingsForm] = useState({});
+  const [settingsError, setSettingsError] = useState('');
+  const [selectorsWebsite, setSelectorsWebsite] = useState(null);
+  const [selectorsForm, setSelectorsForm] = useState({});
+  const [selectorsError, setSelectorsError] = useState('');
+  const [historyWebsite, setHistoryWebsite] = useState(null);
+  const [previewForm, setPreviewForm] = useState({ url: '', crawl_type: 'auto' });
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [previewError, setPreviewError] = useState('');
+  const { crawlProgress, crawlQueue, clearProgress } = useContext(SocketContext);
+  const user = useContext(AuthContext);
+  // Only admins manage websites and crawls
+  const canManage = hasRole(user, 'admin');
 
   useEffect(() => {
     loadWebsites();
@@ -32,7 +71,7 @@ function Websites() {
     try {
       await websitesApi.create(formData);
       setShowModal(false);
-      setFormData({ url: '', name: '', crawl_type: 'auto', is_source: false });
+      setFormData({ url: '', name: '', crawl_type: 'auto', is_source: false, crawl_details: false });
       loadWebsites();
     } catch (error) {
       setError(error.message);
@@ -80,7 +119,144 @@ function Websites() {
     }
   };
 
+  const handleOpenSchedule = (website) => {
+    setScheduleWebsite(website);
+    setScheduleError('');
+    setScheduleForm({
+      cron_expression: website.schedule?.cron_expression || '0 3 * * *',
+      enabled: website.schedule ? website.schedule.enabled === 1 : true
+    });
+  };
+
+  const handleSaveSchedule = async (e) => {
+    e.preventDefault();
+    setScheduleError('');
+
+    try {
+      await websitesApi.setSchedule(scheduleWebsite.id, scheduleForm);
+      setScheduleWebsite(null);
+      loadWebsites();
+    } catch (error) {
+      setScheduleError(error.message);
+    }
+  };
+
+  const handleRemoveSchedule = async () => {
+    try {
+      await websitesApi.removeSchedule(scheduleWebsite.id);
+      setScheduleWebsite(null);
+      loadWebsites();
+    } catch (error) {
+      setScheduleError(error.message);
+    }
+  };
+
+  const handleOpenSettings = (website) => {
+    setSettingsWebsite(website);
+    setSettingsError('');
+    setSettingsForm({
+      name: website.name || '',
+      crawl_type: website.crawl_type || 'auto',
+      crawl_details: website.crawl_details === 1,
+      max_detail_pages: website.max_detail_pages || 50,
+      detail_delay: website.detail_delay || '',
+      discovery_mode: website.discovery_mode || 'links',
+      currency: website.currency || '',
+      shipping_type: website.shipping_type || 'none',
+      shipping_fee: website.shipping_fee !== null && website.shipping_fee !== undefined ? website.shipping_fee : '',
+      free_shipping_threshold: website.free_shipping_threshold !== null &&
+        website.free_shipping_threshold !== undefined ? website.free_shipping_threshold : '',
+      groups: (website.groups || []).join(', ')
+    });
+  };
+
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    setSettingsError('');
+
+    try {
+      await websitesApi.update(settingsWebsite.id, {
+        ...settingsForm,
+        max_detail_pages: parseInt(settingsForm.max_detail_pages, 10) || 50,
+        detail_delay: settingsForm.detail_delay === '' ? null : parseInt(settingsForm.detail_delay, 10),
+        shipping_fee: settingsForm.shipping_fee === '' ? null : parseFloat(settingsForm.shipping_fee),
+        free_shipping_threshold: settingsForm.free_shipping_threshold === ''
+          ? null
+          : parseFloat(settingsForm.free_shipping_threshold),
+        groups: settingsForm.groups.split(',').map(name => name.trim()).filter(Boolean)
+      });
+      setSettingsWebsite(null);
+      loadWebsites();
+    } catch (error) {
+      setSettingsError(error.message);
+    }
+  };
+
+  const handleOpenSelectors = async (website) => {
+    setSelectorsError('');
+    setSelectorsForm({});
+    setSelectorsWebsite(website);
+    setPreviewForm({ url: website.url, crawl_type: website.crawl_type || 'auto' });
+    setPreview(null);
+    setPreviewError('');
+
+    try {
+      const data = await websitesApi.getSelectors(website.id);
+      const form = {};
+      for (const field of SELECTOR_FIELDS) {
+        form[field.key] = (data.selectors[field.key] || []).join('\n');
+      }
+      setSelectorsForm(form);
+    } catch (error) {
+      setSelectorsError(error.message);
+    }
+  };
+
+  const handleSaveSelectors = async (e) => {
+    e.preventDefault();
+    setSelectorsError('');
+
+    try {
+      await websitesApi.setSelectors(selectorsWebsite.id, selectorsForm);
+      setSelectorsWebsite(null);
+      loadWebsites();
+    } catch (error) {
+      setSelectorsError(error.message);
+    }
+  };
+
+  // Run extraction on one page with the selectors currently in the form
+  const handlePreview = async () => {
+    setPreviewError('');
+    setPreviewLoading(true);
+
+    try {
+      const data = await websitesApi.preview(selectorsWebsite.id, {
+        url: previewForm.url,
+        crawl_type: previewForm.crawl_type,
+        selectors: selectorsForm
+      });
+      setPreview(data);
+    } catch (error) {
+      setPreview(null);
+      setPreviewError(error.message);
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const renderMatched = (selector) => (
+    <div style={{ fontFamily: 'monospace', fontSize: '0.75rem', color: 'var(--text-light)' }}>
+      {selector || 'no match'}
+    </div>
+  );
+
   const getCrawlStatus = (website) => {
+    const queued = crawlQueue.find(item => item.website_id === website.id);
+    if (queued) {
+      return { status: 'queued', position: queued.position };
+    }
+
     const progress = crawlProgress[website.id];
     if (progress) {
       if (progress.status === 'completed') {
@@ -92,6 +268,7 @@ function Websites() {
       return {
         status: 'running',
         pagesCrawled: progress.pagesCrawled || 0,
+        detailPagesCrawled: progress.detailPagesCrawled || 0,
         productsFound: progress.productsFound || 0
       };
     }
@@ -110,9 +287,11 @@ function Websites() {
     <div className="websites-page">
       <div className="page-header">
         <h2>Websites</h2>
-        <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-          Add Website
-        </button>
+        {canManage && (
+          <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+            Add Website
+          </button>
+        )}
       </div>
 
       {websites.length === 0 ? (
@@ -120,9 +299,11 @@ function Websites() {
           <div className="empty-state">
             <h3>No websites added yet</h3>
             <p>Add your source e-commerce website and competitor websites to start comparing prices.</p>
-            <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-              Add Your First Website
-            </button>
+            {canManage && (
+              <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+                Add Your First Website
+              </button>
+            )}
           </div>
         </div>
       ) : (
@@ -137,13 +318,15 @@ function Websites() {
                   <th>Products</th>
                   <th>Status</th>
                   <th>Last Crawled</th>
+                  <th>Schedule</th>
                   <th>Actions</th>
                 </tr>
               </thead>
               <tbody>
                 {websites.map(website => {
                   const crawlStatus = getCrawlStatus(website);
-                  const isRunning = crawlStatus?.status === 'running' || website.status === 'crawling';
+                  const isQueued = crawlStatus?.status === 'queued';
+                  const isRunning = isQueued || crawlStatus?.status === 'running' || website.status === 'crawling';
 
                   return (
                     <tr key={website.id}>
@@ -162,16 +345,22 @@ function Websites() {
                         <span className={`badge ${website.is_source ? 'badge-info' : 'badge-secondary'}`}>
                           {website.is_source ? 'Source' : 'Competitor'}
                         </span>
+                        {!website.is_source && website.groups.map(name => (
+                          <span key={name} className="badge badge-info" style={{ marginLeft: '4px' }}>{name}</span>
+                        ))}
                       </td>
                       <td style={{ textTransform: 'capitalize' }}>{website.crawl_type}</td>
                       <td>{website.product_count}</td>
                       <td>
-                        {isRunning ? (
+                        {isQueued ? (
+                          <span className="badge badge-info">Queued #{crawlStatus.position}</span>
+                        ) : isRunning ? (
                           <div>
                             <span className="badge badge-warning">Crawling...</span>
                             {crawlStatus && (
                               <div style={{ fontSize: '0.75rem', marginTop: '4px' }}>
                                 {crawlStatus.pagesCrawled} pages | {crawlStatus.productsFound} products
+                                {crawlStatus.detailPagesCrawled > 0 && ` | ${crawlStatus.detailPagesCrawled} details`}
                               </div>
                             )}
                           </div>
@@ -189,37 +378,79 @@ function Websites() {
                           ? new Date(website.last_crawled_at).toLocaleString()
                           : 'Never'}
                       </td>
+                      <td>
+                        {website.schedule ? (
+                          <div>
+                            <code style={{ fontSize: '0.8125rem' }}>{website.schedule.cron_expression}</code>
+                            <div style={{ fontSize: '0.75rem', color: 'var(--text-light)' }}>
+                              {website.schedule.enabled && website.schedule.next_run_at
+                                ? `Next: ${new Date(website.schedule.next_run_at).toLocaleString()}`
+                                : 'Paused'}
+                            </div>
+                          </div>
+                        ) : (
+                          <span style={{ color: 'var(--text-light)' }}>Manual</span>
+                        )}
+                      </td>
                       <td>
                         <div className="actions">
-                          {isRunning ? (
-                            <button
-                              className="btn btn-sm btn-danger"
-                              onClick={() => handleCancelCrawl(website.id)}
-                            >
-                              Cancel
-                            </button>
-                          ) : (
-                            <button
-                              className="btn btn-sm btn-primary"
-                              onClick={() => handleStartCrawl(website.id)}
-                            >
-                              Crawl
-                            </button>
-                          )}
-                          {!website.is_source && (
-                            <button
-                              className="btn btn-sm btn-outline"
-                              onClick={() => handleSetSource(website.id)}
-                            >
-                              Set as Source
-                            </button>
+                          {canManage && (
+                            <>
+                              {isRunning ? (
+                                <button
+                                  className="btn btn-sm btn-danger"
+                                  onClick={() => handleCancelCrawl(website.id)}
+                                >
+                                  Cancel
+                                </button>
+                              ) : (
+                                <button
+                                  className="btn btn-sm btn-primary"
+                                  onClick={() => handleStartCrawl(website.id)}
+                                >
+                                  Crawl
+                                </button>
+                              )}
+                              <button
+                                className="btn btn-sm btn-outline"
+                                onClick={() => handleOpenSettings(website)}
+                              >
+                                Settings
+                              </button>
+                              <button
+                                className="btn btn-sm btn-outline"
+                                onClick={() => handleOpenSchedule(website)}
+                              >
+                                Schedule
+                              </button>
+                              <button
+                                className="btn btn-sm btn-outline"
+                                onClick={() => handleOpenSelectors(website)}
+                              >
+                                Selectors
+                              </button>
+                              {!website.is_source && (
+                                <button
+                                  className="btn btn-sm btn-outline"
+                                  onClick={() => handleSetSource(website.id)}
+                                >
+                                  Set as Source
+                                </button>
+                              )}
+                              <button
+                                className="btn btn-sm btn-danger"
+                                onClick={() => handleDelete(website.id)}
+                                disabled={isRunning}
+                              >
+                                Delete
+                              </button>
+                            </>
                           )}
                           <button
-                            className="btn btn-sm btn-danger"
-                            onClick={() => handleDelete(website.id)}
-                            disabled={isRunning}
+                            className="btn btn-sm btn-outline"
+                            onClick={() => setHistoryWebsite(website)}
                           >
-                            Delete
+                            History
                           </button>
                         </div>
                       </td>
@@ -277,6 +508,8 @@ function Websites() {
                     <option value="auto">Auto-detect</option>
                     <option value="cheerio">Static HTML (Cheerio)</option>
                     <option value="puppeteer">JavaScript Rendered (Puppeteer)</option>
+                    <option value="shopify">Shopify API (/products.json)</option>
+                    <option value="woocommerce">WooCommerce Store API</option>
                   </select>
                   <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
                     Auto-detect will analyze the website and choose the best method.
@@ -296,6 +529,21 @@ function Websites() {
                     The source website is your store. Competitor prices will be compared to it.
                   </small>
                 </div>
+
+                <div className="form-group">
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <input
+                      type="checkbox"
+                      checked={formData.crawl_details}
+                      onChange={e => setFormData({ ...formData, crawl_details: e.target.checked })}
+                    />
+                    Crawl Product Detail Pages
+                  </label>
+                  <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+                    Visits each product page after the listings to collect description, brand, GTIN/MPN,
+                    availability and all images. Slower, but more complete.
+                  </small>
+                </div>
               </div>
               <div className="modal-footer">
                 <button type="button" className="btn btn-outline" onClick={() => setShowModal(false)}>
@@ -309,6 +557,454 @@ function Websites() {
           </div>
         </div>
       )}
+
+      {/* Settings Modal */}
+      {settingsWebsite && (
+        <div className="modal-overlay" onClick={() => setSettingsWebsite(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Settings: {settingsWebsite.name}</h3>
+              <button className="modal-close" onClick={() => setSettingsWebsite(null)}>&times;</button>
+            </div>
+            <form onSubmit={handleSaveSettings}>
+              <div className="modal-body">
+                {settingsError && <div className="alert alert-danger">{settingsError}</div>}
+
+                <div className="form-group">
+                  <label>Name</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={settingsForm.name}
+                    onChange={e => setSettingsForm({ ...settingsForm, name: e.target.value })}
+                  />
+                </div>
+
+                {!settingsWebsite.is_source && (
+                  <div className="form-group">
+                    <label>Competitor Groups</label>
+                    <input
+                      type="text"
+                      className="form-control"
+                      value={settingsForm.groups}
+                      onChange={e => setSettingsForm({ ...settingsForm, groups: e.target.value })}
+                      placeholder="e.g. marketplaces, regional"
+                    />
+                    <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+                      Comma-separated. The Comparison and Export pages can be limited to one group.
+                    </small>
+                  </div>
+                )}
+
+                <div className="form-group">
+                  <label>Crawl Method</label>
+                  <select
+                    className="form-control"
+                    value={settingsForm.crawl_type}
+                    onChange={e => setSettingsForm({ ...settingsForm, crawl_type: e.target.value })}
+                  >
+                    <option value="auto">Auto-detect</option>
+                    <option value="cheerio">Static HTML (Cheerio)</option>
+                    <option value="puppeteer">JavaScript Rendered (Puppeteer)</option>
+                    <option value="shopify">Shopify API (/products.json)</option>
+                    <option value="woocommerce">WooCommerce Store API</option>
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label>URL Discovery</label>
+                  <select
+                    className="form-control"
+                    value={settingsForm.discovery_mode}
+                    onChange={e => setSettingsForm({ ...settingsForm, discovery_mode: e.target.value })}
+                  >
+                    <option value="links">Follow links</option>
+                    <option value="sitemap">Sitemap first</option>
+                    <option value="both">Sitemap and links</option>
+                  </select>
+                  <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+                    Sitemaps are read from robots.txt (or /sitemap.xml). Sitemap first only follows
+                    pagination links and falls back to link following when no sitemap is found.
+                  </small>
+                </div>
+
+                <div className="form-group">
+                  <label>Currency</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={settingsForm.currency}
+                    onChange={e => setSettingsForm({ ...settingsForm, currency: e.target.value.toUpperCase() })}
+                    placeholder="Auto-detect"
+                    maxLength={3}
+                    style={{ width: '120px' }}
+                  />
+                  <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+                    ISO code such as EUR. Leave empty to detect it from prices, structured data or the site locale.
+                  </small>
+                </div>
+
+                <div className="form-group">
+                  <label>Shipping</label>
+                  <select
+                    className="form-control"
+                    value={settingsForm.shipping_type}
+                    onChange={e => setSettingsForm({ ...settingsForm, shipping_type: e.target.value })}
+                  >
+                    <option value="none">Not tracked</option>
+                    <option value="flat">Flat fee</option>
+                    <option value="scraped">From product pages</option>
+                  </select>
+                  <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+                    Shipping is added to prices for landed price comparison. &quot;From product pages&quot; needs
+                    detail page crawling and uses the flat fee when a page shows none.
+                  </small>
+                </div>
+
+                {settingsForm.shipping_type !== 'none' && (
+                  <div className="grid-2">
+                    <div className="form-group">
+                      <label>Shipping Fee</label>
+                      <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        className="form-control"
+                        value={settingsForm.shipping_fee}
+                        onChange={e => setSettingsForm({ ...settingsForm, shipping_fee: e.target.value })}
+                        placeholder="4.99"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Free Shipping From</label>
+                      <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        className="form-control"
+                        value={settingsForm.free_shipping_threshold}
+                        onChange={e => setSettingsForm({ ...settingsForm, free_shipping_threshold: e.target.value })}
+                        placeholder="No threshold"
+                      />
+                    </div>
+                  </div>
+                )}
+
+                <div className="form-group">
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <input
+                      type="checkbox"
+                      checked={settingsForm.crawl_details}
+                      onChange={e => setSettingsForm({ ...settingsForm, crawl_details: e.target.checked })}
+                    />
+                    Crawl Product Detail Pages
+                  </label>
+                </div>
+
+                {settingsForm.crawl_details && (
+                  <div className="grid-2">
+                    <div className="form-group">
+                      <label>Max Detail Pages</label>
+                      <input
+                        type="number"
+                        min="1"
+                        className="form-control"
+                        value={settingsForm.max_detail_pages}
+                        onChange={e => setSettingsForm({ ...settingsForm, max_detail_pages: e.target.value })}
+                        required
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Detail Page Delay (ms)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        className="form-control"
+                        value={settingsForm.detail_delay}
+                        onChange={e => setSettingsForm({ ...settingsForm, detail_delay: e.target.value })}
+                        placeholder="Same as listing pages"
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-outline" onClick={() => setSettingsWebsite(null)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  Save Settings
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Selectors Modal */}
+      {selectorsWebsite && (
+        <div className="modal-overlay" onClick={() => setSelectorsWebsite(null)}>
+          <div className="modal" style={{ maxWidth: '900px' }} onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Custom Selectors: {selectorsWebsite.name}</h3>
+              <button className="modal-close" onClick={() => setSelectorsWebsite(null)}>&times;</button>
+            </div>
+            <form onSubmit={handleSaveSelectors}>
+              <div className="modal-body">
+                {selectorsError && <div className="alert alert-danger">{selectorsError}</div>}
+                <p style={{ color: 'var(--text-light)', marginBottom: '16px', fontSize: '0.875rem' }}>
+                  CSS selectors, one per line. They are tried before the built-in selectors;
+                  leave a field empty to use the built-in selectors only.
+                </p>
+
+                <div className="grid-2">
+                  {SELECTOR_FIELDS.map(field => (
+                    <div key={field.key} className="form-group">
+                      <label>{field.label}</label>
+                      <textarea
+                        className="form-control"
+                        rows="2"
+                        style={{ fontFamily: 'monospace', fontSize: '0.8125rem' }}
+                        value={selectorsForm[field.key] || ''}
+                        onChange={e => setSelectorsForm({ ...selectorsForm, [field.key]: e.target.value })}
+                        placeholder={field.placeholder}
+                      />
+                    </div>
+                  ))}
+                </div>
+
+                <h4 style={{ margin: '8px 0 12px' }}>Preview</h4>
+                <p style={{ color: 'var(--text-light)', marginBottom: '12px', fontSize: '0.875rem' }}>
+                  Extract products from one page using the selectors above. Nothing is saved.
+                </p>
+                <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+                  <input
+                    type="url"
+                    className="form-control"
+                    value={previewForm.url}
+                    onChange={e => setPreviewForm({ ...previewForm, url: e.target.value })}
+                    placeholder={selectorsWebsite.url}
+                  />
+                  <select
+                    className="form-control"
+                    style={{ width: '160px' }}
+                    value={previewForm.crawl_type}
+                    onChange={e => setPreviewForm({ ...previewForm, crawl_type: e.target.value })}
+                  >
+                    <option value="auto">Auto</option>
+                    <option value="cheerio">Cheerio</option>
+                    <option value="puppeteer">Puppeteer</option>
+                    <option value="shopify">Shopify API</option>
+                    <option value="woocommerce">WooCommerce API</option>
+                  </select>
+                  <button
+                    type="button"
+                    className="btn btn-outline"
+                    onClick={handlePreview}
+                    disabled={previewLoading}
+                  >
+                    {previewLoading ? 'Loading...' : 'Run Preview'}
+                  </button>
+                </div>
+
+                {previewError && <div className="alert alert-danger">{previewError}</div>}
+
+                {preview && (
+                  <div>
+                    <p style={{ fontSize: '0.875rem', marginBottom: '8px' }}>
+                      <strong>{preview.products.length}</strong> products found
+                      {' '}&middot; crawler <span className="badge badge-info">{preview.crawler_type}</span>
+                      {' '}&middot; platform <span className="badge badge-secondary">{preview.platform}</span>
+                      {' '}&middot; {preview.links.length} links to follow
+                    </p>
+                    {preview.products.length > 0 && (
+                      <div className="table-container" style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                        <table>
+                          <thead>
+                            <tr>
+                              <th>Name</th>
+                              <th>Price</th>
+                              <th>List Price</th>
+                              <th>Promo</th>
+                              <th>Stock</th>
+                              <th>SKU</th>
+                              <th>Image</th>
+                              <th>Link</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {preview.products.map((product, index) => (
+                              <tr key={index}>
+                                <td>
+                                  {product.name}
+                                  {renderMatched(product.matched_selectors.name)}
+                                </td>
+                                <td>
+                                  {product.price !== null ? product.price.toFixed(2) : '-'}
+                                  {renderMatched(product.matched_selectors.price)}
+                                </td>
+                                <td>
+                                  {product.list_price ? product.list_price.toFixed(2) : '-'}
+                                  {renderMatched(product.matched_selectors.list_price)}
+                                </td>
+                                <td>
+                                  {product.promo_text || '-'}
+                                  {renderMatched(product.matched_selectors.promo)}
+                                </td>
+                                <td>
+                                  {product.availability
+                                    ? product.availability.replace(/_/g, ' ') +
+                                      (Number.isInteger(product.stock_quantity) ? ` (${product.stock_quantity})` : '')
+                                    : '-'}
+                                  {renderMatched(product.matched_selectors.availability)}
+                                </td>
+                                <td>
+                                  {product.sku || '-'}
+                                  {renderMatched(product.matched_selectors.sku)}
+                                </td>
+                                <td>
+                                  {product.image_url ? 'Yes' : '-'}
+                                  {renderMatched(product.matched_selectors.image)}
+                                </td>
+                                <td>
+                                  {product.product_url ? (
+                                    <a href={product.product_url} target="_blank" rel="noopener noreferrer">Open</a>
+                                  ) : '-'}
+                                  {renderMatched(product.matched_selectors.link)}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                    {preview.products.length > 0 && (
+                      <p style={{ color: 'var(--text-light)', marginTop: '8px', fontSize: '0.8125rem' }}>
+                        Container: <code>{preview.products[0].matched_selectors.container}</code>
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-outline" onClick={() => setSelectorsWebsite(null)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  Save Selectors
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Schedule Modal */}
+      {scheduleWebsite && (
+        <div className="modal-overlay" onClick={() => setScheduleWebsite(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Crawl Schedule: {scheduleWebsite.name}</h3>
+              <button className="modal-close" onClick={() => setScheduleWebsite(null)}>&times;</button>
+            </div>
+            <form onSubmit={handleSaveSchedule}>
+              <div className="modal-body">
+                {scheduleError && <div className="alert alert-danger">{scheduleError}</div>}
+
+                <div className="form-group">
+                  <label>Preset</label>
+                  <select
+                    className="form-control"
+                    value={SCHEDULE_PRESETS.some(p => p.value === scheduleForm.cron_expression)
+                      ? scheduleForm.cron_expression
+                      : ''}
+                    onChange={e => e.target.value && setScheduleForm({ ...scheduleForm, cron_expression: e.target.value })}
+                  >
+                    <option value="">Custom</option>
+                    {SCHEDULE_PRESETS.map(preset => (
+                      <option key={preset.value} value={preset.value}>{preset.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label>Cron Expression</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={scheduleForm.cron_expression}
+                    onChange={e => setScheduleForm({ ...scheduleForm, cron_expression: e.target.value })}
+                    placeholder="minute hour day-of-month month day-of-week"
+                    required
+                  />
+                  <small style={{ color: 'var(--text-light)', marginTop: '4px', display: 'block' }}>
+                    Five fields (minute hour day-of-month month day-of-week), e.g. <code>0 3 * * *</code> for daily at 03:00 server time.
+                  </small>
+                </div>
+
+                <div className="form-group">
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <input
+                      type="checkbox"
+                      checked={scheduleForm.enabled}
+                      onChange={e => setScheduleForm({ ...scheduleForm, enabled: e.target.checked })}
+                    />
+                    Enabled
+                  </label>
+                </div>
+
+                {scheduleWebsite.schedule && (
+                  <div style={{ fontSize: '0.8125rem', color: 'var(--text-light)' }}>
+                    <div>
+                      Last run: {scheduleWebsite.schedule.last_run_at
+                        ? new Date(scheduleWebsite.schedule.last_run_at).toLocaleString()
+                        : 'Never'}
+                    </div>
+                    <div>
+                      Next run: {scheduleWebsite.schedule.next_run_at
+                        ? new Date(scheduleWebsite.schedule.next_run_at).toLocaleString()
+                        : '-'}
+                    </div>
+                  </div>
+                )}
+              </div>
+              <div className="modal-footer">
+                {scheduleWebsite.schedule && (
+                  <button type="button" className="btn btn-danger" onClick={handleRemoveSchedule}>
+                    Remove Schedule
+                  </button>
+                )}
+                <button type="button" className="btn btn-outline" onClick={() => setScheduleWebsite(null)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  Save Schedule
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Website History Modal */}
+      {historyWebsite && (
+        <div className="modal-overlay" onClick={() => setHistoryWebsite(null)}>
+          <div className="modal" style={{ maxWidth: '700px' }} onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>History: {historyWebsite.name}</h3>
+              <button className="modal-close" onClick={() => setHistoryWebsite(null)}>&times;</button>
+            </div>
+            <div className="modal-body">
+              <AuditTimeline filters={{ website_id: historyWebsite.id }} />
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-outline" onClick={() => setHistoryWebsite(null)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,134 @@
+import React, { useState, useContext } from 'react';
+import { WorkspaceContext } from '../App';
+import { workspacesApi } from '../services/api';
+
+function Workspaces() {
+  const { workspaces, workspace: current, reloadWorkspaces } = useContext(WorkspaceContext);
+  const [name, setName] = useState('');
+  const [formError, setFormError] = useState('');
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    try {
+      await workspacesApi.create(name);
+      setName('');
+      reloadWorkspaces();
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  const handleRename = async (workspace) => {
+    const newName = window.prompt('Workspace name:', workspace.name);
+    if (!newName || newName === workspace.name) {
+      return;
+    }
+
+    try {
+      await workspacesApi.rename(workspace.id, newName);
+      reloadWorkspaces();
+    } catch (error) {
+      alert('Error renaming workspace: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (workspace) => {
+    if (!window.confirm(`Delete the workspace ${workspace.name}?`)) {
+      return;
+    }
+
+    try {
+      await workspacesApi.delete(workspace.id);
+      reloadWorkspaces();
+    } catch (error) {
+      alert('Error deleting workspace: ' + error.message);
+    }
+  };
+
+  return (
+    <div className="workspaces-page">
+      <div className="page-header">
+        <h2>Workspaces</h2>
+      </div>
+
+      <div className="alert alert-info">
+        Each workspace has its own source website and competitors. Products, matches, comparisons and exports
+        are shown for the workspace selected in the sidebar. Alerts, webhooks and the digest cover all workspaces.
+      </div>
+
+      <div className="card">
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Source Website</th>
+                <th>Websites</th>
+                <th>Created</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {workspaces.map(workspace => (
+                <tr key={workspace.id}>
+                  <td style={{ fontWeight: 500 }}>
+                    {workspace.name}
+                    {current && workspace.id === current.id && (
+                      <span className="badge badge-info" style={{ marginLeft: '8px' }}>Selected</span>
+                    )}
+                  </td>
+                  <td>{workspace.source_website || <span style={{ color: 'var(--text-light)' }}>None</span>}</td>
+                  <td>{workspace.website_count}</td>
+                  <td style={{ fontSize: '0.8125rem', color: 'var(--text-light)' }}>
+                    {new Date(workspace.created_at).toLocaleDateString()}
+                  </td>
+                  <td>
+                    <div className="actions">
+                      <button className="btn btn-sm btn-outline" onClick={() => handleRename(workspace)}>
+                        Rename
+                      </button>
+                      {workspaces.length > 1 && workspace.website_count === 0 && (
+                        <button className="btn btn-sm btn-danger" onClick={() => handleDelete(workspace)}>
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="grid-2">
+        <div className="card">
+          <div className="card-header">
+            <h3>Add Workspace</h3>
+          </div>
+          {formError && <div className="alert alert-danger">{formError}</div>}
+          <form onSubmit={handleCreate}>
+            <div className="form-group">
+              <label>Name</label>
+              <input
+                type="text"
+                className="form-control"
+                value={name}
+                onChange={e => setName(e.target.value)}
+                placeholder="e.g. Brand B"
+                required
+              />
+            </div>
+            <button type="submit" className="btn btn-primary">
+              Add Workspace
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Workspaces;
@@ -1,27 +1,177 @@
 const API_BASE = '/api';
 
+// Called when a request fails because the session is missing or expired
+let unauthorizedHandler = null;
+
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
+// The workspace API requests work in; sent as the X-Workspace-Id header
+let workspaceId = null;
+
+export function setWorkspaceId(id) {
+  workspaceId = id;
+}
+
+function apiFetch(url, options = {}) {
+  const headers = workspaceId ? { ...options.headers, 'X-Workspace-Id': workspaceId } : options.headers;
+  return fetch(url, { ...options, headers });
+}
+
+// Download links cannot send headers, so they select the workspace in the query string
+function withWorkspace(params) {
+  if (workspaceId) params.set('workspace_id', workspaceId);
+  return params;
+}
+
 async function handleResponse(response) {
   const data = await response.json();
+  if (response.status === 401 && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
   if (!response.ok) {
     throw new Error(data.error || 'API request failed');
   }
   return data;
 }
 
+// Auth API
+export const authApi = {
+  getStatus: async () => {
+    const response = await apiFetch(`${API_BASE}/auth/status`);
+    return handleResponse(response);
+  },
+
+  setup: async (username, password) => {
+    const response = await apiFetch(`${API_BASE}/auth/setup`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    return handleResponse(response);
+  },
+
+  login: async (username, password) => {
+    const response = await apiFetch(`${API_BASE}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    return handleResponse(response);
+  },
+
+  logout: async () => {
+    const response = await apiFetch(`${API_BASE}/auth/logout`, {
+      method: 'POST'
+    });
+    return handleResponse(response);
+  },
+
+  getMe: async () => {
+    const response = await apiFetch(`${API_BASE}/auth/me`);
+    return handleResponse(response);
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await apiFetch(`${API_BASE}/auth/password`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ current_password: currentPassword, new_password: newPassword })
+    });
+    return handleResponse(response);
+  }
+};
+
+// Workspaces API
+export const workspacesApi = {
+  getAll: async () => {
+    const response = await apiFetch(`${API_BASE}/workspaces`);
+    return handleResponse(response);
+  },
+
+  create: async (name) => {
+    const response = await apiFetch(`${API_BASE}/workspaces`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    return handleResponse(response);
+  },
+
+  rename: async (id, name) => {
+    const response = await apiFetch(`${API_BASE}/workspaces/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    return handleResponse(response);
+  },
+
+  delete: async (id) => {
+    const response = await apiFetch(`${API_BASE}/workspaces/${id}`, {
+      method: 'DELETE'
+    });
+    return handleResponse(response);
+  }
+};
+
+// Users API
+export const usersApi = {
+  getAll: async () => {
+    const response = await apiFetch(`${API_BASE}/users`);
+    return handleResponse(response);
+  },
+
+  create: async (username, password, role) => {
+    const response = await apiFetch(`${API_BASE}/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password, role })
+    });
+    return handleResponse(response);
+  },
+
+  updateRole: async (id, role) => {
+    const response = await apiFetch(`${API_BASE}/users/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ role })
+    });
+    return handleResponse(response);
+  },
+
+  setPassword: async (id, password) => {
+    const response = await apiFetch(`${API_BASE}/users/${id}/password`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password })
+    });
+    return handleResponse(response);
+  },
+
+  delete: async (id) => {
+    const response = await apiFetch(`${API_BASE}/users/${id}`, {
+      method: 'DELETE'
+    });
+    return handleResponse(response);
+  }
+};
+
 // Websites API
 export const websitesApi = {
   getAll: async () => {
-    const response = await fetch(`${API_BASE}/websites`);
+    const response = await apiFetch(`${API_BASE}/websites`);
     return handleResponse(response);
   },
 
   getById: async (id) => {
-    const response = await fetch(`${API_BASE}/websites/${id}`);
+    const response = await apiFetch(`${API_BASE}/websites/${id}`);
     return handleResponse(response);
   },
 
   create: async (data) => {
-    const response = await fetch(`${API_BASE}/websites`, {
+    const response = await apiFetch(`${API_BASE}/websites`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data)
@@ -30,7 +180,7 @@ export const websitesApi = {
   },
 
   update: async (id, data) => {
-    const response = await fetch(`${API_BASE}/websites/${id}`, {
+    const response = await apiFetch(`${API_BASE}/websites/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data)
@@ -39,21 +189,21 @@ export const websitesApi = {
   },
 
   delete: async (id) => {
-    const response = await fetch(`${API_BASE}/websites/${id}`, {
+    const response = await apiFetch(`${API_BASE}/websites/${id}`, {
       method: 'DELETE'
     });
     return handleResponse(response);
   },
 
   setSource: async (id) => {
-    const response = await fetch(`${API_BASE}/websites/${id}/set-source`, {
+    const response = await apiFetch(`${API_BASE}/websites/${id}/set-source`, {
       method: 'POST'
     });
     return handleResponse(response);
   },
 
   startCrawl: async (id, options = {}) => {
-    const response = await fetch(`${API_BASE}/websites/${id}/crawl`, {
+    const response = await apiFetch(`${API_BASE}/websites/${id}/crawl`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(options)
@@ -62,14 +212,63 @@ export const websitesApi = {
   },
 
   cancelCrawl: async (id) => {
-    const response = await fetch(`${API_BASE}/websites/${id}/crawl/cancel`, {
+    const response = await apiFetch(`${API_BASE}/websites/${id}/crawl/cancel`, {
       method: 'POST'
     });
     return handleResponse(response);
   },
 
   getJobs: async (id) => {
-    const response = await fetch(`${API_BASE}/websites/${id}/jobs`);
+    const response = await apiFetch(`${API_BASE}/websites/${id}/jobs`);
+    return handleResponse(response);
+  },
+
+  getGroups: async () => {
+    const response = await apiFetch(`${API_BASE}/websites/groups`);
+    return handleResponse(response);
+  },
+
+  getSelectors: async (id) => {
+    const response = await apiFetch(`${API_BASE}/websites/${id}/selectors`);
+    return handleResponse(response);
+  },
+
+  setSelectors: async (id, selectors) => {
+    const response = await apiFetch(`${API_BASE}/websites/${id}/selectors`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(selectors)
+    });
+    return handleResponse(response);
+  },
+
+  preview: async (id, data) => {
+    const response = await apiFetch(`${API_BASE}/websites/${id}/preview`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return handleResponse(response);
+  },
+
+  getSchedule: async (id) => {
+    const response = await apiFetch(`${API_BASE}/websites/${id}/schedule`);
+    return handleResponse(response);
+  },
+
+  setSchedule: async (id, data) => {
+    const response = await apiFetch(`${API_BASE}/websites/${id}/schedule`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return handleResponse(response);
+  },
+
+  removeSchedule: async (id) => {
+    const response = await apiFetch(`${API_BASE}/websites/${id}/schedule`, {
+      method: 'DELETE'
+    });
     return handleResponse(response);
   }
 };
@@ -78,27 +277,37 @@ export const websitesApi = {
 export const productsApi = {
   getAll: async (params = {}) => {
     const query = new URLSearchParams(params).toString();
-    const response = await fetch(`${API_BASE}/products${query ? `?${query}` : ''}`);
+    const response = await apiFetch(`${API_BASE}/products${query ? `?${query}` : ''}`);
     return handleResponse(response);
   },
 
   getById: async (id) => {
-    const response = await fetch(`${API_BASE}/products/${id}`);
+    const response = await apiFetch(`${API_BASE}/products/${id}`);
+    return handleResponse(response);
+  },
+
+  getHistory: async (id) => {
+    const response = await apiFetch(`${API_BASE}/products/${id}/history`);
+    return handleResponse(response);
+  },
+
+  getVariants: async (id) => {
+    const response = await apiFetch(`${API_BASE}/products/${id}/variants`);
     return handleResponse(response);
   },
 
   search: async (query) => {
-    const response = await fetch(`${API_BASE}/products/search/${encodeURIComponent(query)}`);
+    const response = await apiFetch(`${API_BASE}/products/search/${encodeURIComponent(query)}`);
     return handleResponse(response);
   },
 
   getStats: async () => {
-    const response = await fetch(`${API_BASE}/products/stats/overview`);
+    const response = await apiFetch(`${API_BASE}/products/stats/overview`);
     return handleResponse(response);
   },
 
   delete: async (id) => {
-    const response = await fetch(`${API_BASE}/products/${id}`, {
+    const response = await apiFetch(`${API_BASE}/products/${id}`, {
       method: 'DELETE'
     });
     return handleResponse(response);
@@ -106,29 +315,68 @@ export const productsApi = {
 };
 
 // Matching API
+// Brands and categories share one API (see server/routes/taxonomy.js)
+function taxonomyApi(path) {
+  return {
+    getAll: async () => {
+      const response = await apiFetch(`${API_BASE}/${path}`);
+      return handleResponse(response);
+    },
+
+    create: async (name, aliases = []) => {
+      const response = await apiFetch(`${API_BASE}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, aliases })
+      });
+      return handleResponse(response);
+    },
+
+    // data: { name, aliases }, either may be left out
+    update: async (id, data) => {
+      const response = await apiFetch(`${API_BASE}/${path}/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data)
+      });
+      return handleResponse(response);
+    },
+
+    delete: async (id) => {
+      const response = await apiFetch(`${API_BASE}/${path}/${id}`, {
+        method: 'DELETE'
+      });
+      return handleResponse(response);
+    }
+  };
+}
+
+export const brandsApi = taxonomyApi('brands');
+export const categoriesApi = taxonomyApi('categories');
+
 export const matchingApi = {
   getAll: async () => {
-    const response = await fetch(`${API_BASE}/matching`);
+    const response = await apiFetch(`${API_BASE}/matching`);
     return handleResponse(response);
   },
 
   getUnmatched: async () => {
-    const response = await fetch(`${API_BASE}/matching/unmatched`);
+    const response = await apiFetch(`${API_BASE}/matching/unmatched`);
     return handleResponse(response);
   },
 
   getUnmatchedCompetitors: async () => {
-    const response = await fetch(`${API_BASE}/matching/unmatched-competitors`);
+    const response = await apiFetch(`${API_BASE}/matching/unmatched-competitors`);
     return handleResponse(response);
   },
 
   getSuggestions: async (sourceId, limit = 10) => {
-    const response = await fetch(`${API_BASE}/matching/suggestions/${sourceId}?limit=${limit}`);
+    const response = await apiFetch(`${API_BASE}/matching/suggestions/${sourceId}?limit=${limit}`);
     return handleResponse(response);
   },
 
   runMatching: async (options = {}) => {
-    const response = await fetch(`${API_BASE}/matching/run`, {
+    const response = await apiFetch(`${API_BASE}/matching/run`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(options)
@@ -137,7 +385,7 @@ export const matchingApi = {
   },
 
   createManual: async (sourceProductId, competitorProductId) => {
-    const response = await fetch(`${API_BASE}/matching/manual`, {
+    const response = await apiFetch(`${API_BASE}/matching/manual`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -148,61 +396,277 @@ export const matchingApi = {
     return handleResponse(response);
   },
 
+  getVariants: async (id) => {
+    const response = await apiFetch(`${API_BASE}/matching/${id}/variants`);
+    return handleResponse(response);
+  },
+
+  rematchVariants: async (id) => {
+    const response = await apiFetch(`${API_BASE}/matching/${id}/variants`, {
+      method: 'POST'
+    });
+    return handleResponse(response);
+  },
+
   confirm: async (id) => {
-    const response = await fetch(`${API_BASE}/matching/${id}/confirm`, {
+    const response = await apiFetch(`${API_BASE}/matching/${id}/confirm`, {
       method: 'POST'
     });
     return handleResponse(response);
   },
 
   delete: async (id) => {
-    const response = await fetch(`${API_BASE}/matching/${id}`, {
+    const response = await apiFetch(`${API_BASE}/matching/${id}`, {
       method: 'DELETE'
     });
     return handleResponse(response);
   },
 
-  getStats: async () => {
-    const response = await fetch(`${API_BASE}/matching/stats`);
+  getStats: async (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    const response = await apiFetch(`${API_BASE}/matching/stats${query ? `?${query}` : ''}`);
     return handleResponse(response);
   },
 
-  getComparison: async () => {
-    const response = await fetch(`${API_BASE}/matching/comparison`);
+  getComparison: async (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    const response = await apiFetch(`${API_BASE}/matching/comparison${query ? `?${query}` : ''}`);
     return handleResponse(response);
   }
 };
 
+// Export links for a format, limited to a competitor group when given
+function exportParams(format, group) {
+  const params = withWorkspace(new URLSearchParams({ format }));
+  if (group) params.append('group', group);
+  return params;
+}
+
 // Export API
 export const exportApi = {
-  products: (format = 'json', websiteId = null) => {
-    const params = new URLSearchParams({ format });
+  products: (format = 'json', websiteId = null, group = null) => {
+    const params = exportParams(format, group);
     if (websiteId) params.append('website_id', websiteId);
     return `${API_BASE}/export/products?${params}`;
   },
 
-  comparison: (format = 'json') => {
-    return `${API_BASE}/export/comparison?format=${format}`;
+  comparison: (format = 'json', group = null) => {
+    return `${API_BASE}/export/comparison?${exportParams(format, group)}`;
   },
 
-  unmatched: (format = 'json') => {
-    return `${API_BASE}/export/unmatched?format=${format}`;
+  unmatched: (format = 'json', group = null) => {
+    return `${API_BASE}/export/unmatched?${exportParams(format, group)}`;
   },
 
-  report: (format = 'json') => {
-    return `${API_BASE}/export/report?format=${format}`;
+  report: (format = 'json', group = null) => {
+    return `${API_BASE}/export/report?${exportParams(format, group)}`;
   }
 };
 
 // Jobs API
 export const jobsApi = {
   getAll: async () => {
-    const response = await fetch(`${API_BASE}/jobs`);
+    const response = await apiFetch(`${API_BASE}/jobs`);
     return handleResponse(response);
   },
 
   getRunning: async () => {
-    const response = await fetch(`${API_BASE}/jobs/running`);
+    const response = await apiFetch(`${API_BASE}/jobs/running`);
+    return handleResponse(response);
+  },
+
+  getQueue: async () => {
+    const response = await apiFetch(`${API_BASE}/jobs/queue`);
+    return handleResponse(response);
+  }
+};
+
+// Alerts API
+export const alertsApi = {
+  getAll: async (status = '') => {
+    const response = await apiFetch(`${API_BASE}/alerts${status ? `?status=${status}` : ''}`);
+    return handleResponse(response);
+  },
+
+  markRead: async (id) => {
+    const response = await apiFetch(`${API_BASE}/alerts/${id}/read`, {
+      method: 'POST'
+    });
+    return handleResponse(response);
+  },
+
+  dismiss: async (id) => {
+    const response = await apiFetch(`${API_BASE}/alerts/${id}/dismiss`, {
+      method: 'POST'
+    });
+    return handleResponse(response);
+  },
+
+  markAllRead: async () => {
+    const response = await apiFetch(`${API_BASE}/alerts/read-all`, {
+      method: 'POST'
+    });
+    return handleResponse(response);
+  },
+
+  check: async () => {
+    const response = await apiFetch(`${API_BASE}/alerts/check`, {
+      method: 'POST'
+    });
+    return handleResponse(response);
+  },
+
+  getRules: async () => {
+    const response = await apiFetch(`${API_BASE}/alerts/rules`);
+    return handleResponse(response);
+  },
+
+  createRule: async (data) => {
+    const response = await apiFetch(`${API_BASE}/alerts/rules`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return handleResponse(response);
+  },
+
+  updateRule: async (id, data) => {
+    const response = await apiFetch(`${API_BASE}/alerts/rules/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return handleResponse(response);
+  },
+
+  deleteRule: async (id) => {
+    const response = await apiFetch(`${API_BASE}/alerts/rules/${id}`, {
+      method: 'DELETE'
+    });
+    return handleResponse(response);
+  }
+};
+
+// Webhooks API
+export const webhooksApi = {
+  getAll: async () => {
+    const response = await apiFetch(`${API_BASE}/webhooks`);
+    return handleResponse(response);
+  },
+
+  create: async (data) => {
+    const response = await apiFetch(`${API_BASE}/webhooks`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return handleResponse(response);
+  },
+
+  update: async (id, data) => {
+    const response = await apiFetch(`${API_BASE}/webhooks/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return handleResponse(response);
+  },
+
+  delete: async (id) => {
+    const response = await apiFetch(`${API_BASE}/webhooks/${id}`, {
+      method: 'DELETE'
+    });
+    return handleResponse(response);
+  },
+
+  ping: async (id) => {
+    const response = await apiFetch(`${API_BASE}/webhooks/${id}/ping`, {
+      method: 'POST'
+    });
+    return handleResponse(response);
+  },
+
+  getDeliveries: async (id) => {
+    const response = await apiFetch(`${API_BASE}/webhooks/${id}/deliveries`);
+    return handleResponse(response);
+  },
+
+  retryDelivery: async (id, deliveryId) => {
+    const response = await apiFetch(`${API_BASE}/webhooks/${id}/deliveries/${deliveryId}/retry`, {
+      method: 'POST'
+    });
+    return handleResponse(response);
+  }
+};
+
+// Digest API
+export const digestApi = {
+  getSettings: async () => {
+    const response = await apiFetch(`${API_BASE}/digest`);
+    return handleResponse(response);
+  },
+
+  updateSettings: async (data) => {
+    const response = await apiFetch(`${API_BASE}/digest`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return handleResponse(response);
+  },
+
+  previewUrl: () => {
+    return `${API_BASE}/digest/preview?${withWorkspace(new URLSearchParams())}`;
+  },
+
+  send: async (recipients = null) => {
+    const response = await apiFetch(`${API_BASE}/digest/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(recipients ? { recipients } : {})
+    });
+    return handleResponse(response);
+  }
+};
+
+// Audit Log API
+export const auditApi = {
+  getEntries: async (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    const response = await apiFetch(`${API_BASE}/audit?${query}`);
+    return handleResponse(response);
+  }
+};
+
+// Exchange Rates API
+export const currencyApi = {
+  getRates: async () => {
+    const response = await apiFetch(`${API_BASE}/exchange-rates`);
+    return handleResponse(response);
+  },
+
+  setRate: async (currency, rate) => {
+    const response = await apiFetch(`${API_BASE}/exchange-rates/${currency}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rate })
+    });
+    return handleResponse(response);
+  },
+
+  deleteRate: async (currency) => {
+    const response = await apiFetch(`${API_BASE}/exchange-rates/${currency}`, {
+      method: 'DELETE'
+    });
+    return handleResponse(response);
+  },
+
+  importRates: async (data) => {
+    const response = await apiFetch(`${API_BASE}/exchange-rates/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
     return handleResponse(response);
   }
 };
@@ -0,0 +1,20 @@
+// Labels and badge colours for the stored availability values
+const AVAILABILITY = {
+  in_stock: { label: 'In stock', badge: 'badge-success' },
+  out_of_stock: { label: 'Out of stock', badge: 'badge-danger' },
+  pre_order: { label: 'Pre-order', badge: 'badge-info' },
+  back_order: { label: 'Backorder', badge: 'badge-warning' }
+};
+
+// Availability as a badge, with the quantity when the site shows it
+export function formatAvailability(availability, quantity) {
+  const state = AVAILABILITY[availability];
+  if (!state) return null;
+
+  return {
+    label: Number.isInteger(quantity) && availability !== 'out_of_stock'
+      ? `${state.label} (${quantity})`
+      : state.label,
+    className: `badge ${state.badge}`
+  };
+}
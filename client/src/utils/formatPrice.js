@@ -0,0 +1,12 @@
+// Format a price in its currency ("$12.00", "€12.00", "CA$5.00"); prices
+// without a known currency are shown with a dollar sign
+export function formatPrice(price, currency) {
+  if (price === null || price === undefined) return '-';
+  if (!currency) return `$${price.toFixed(2)}`;
+
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(price);
+  } catch {
+    return `${price.toFixed(2)} ${currency}`;
+  }
+}
@@ -0,0 +1,13 @@
+// Roles from least to most privileged; each role can do everything the ones before it can
+export const ROLES = ['viewer', 'analyst', 'admin'];
+
+export const ROLE_DESCRIPTIONS = {
+  viewer: 'Read-only access to products, comparisons, alerts and exports.',
+  analyst: 'Can also run matching, confirm and reject matches and manage alert rules.',
+  admin: 'Can also manage websites, crawls, products, exchange rates, webhooks, the digest and users.'
+};
+
+// Whether a user has the given role or a more privileged one
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
@@ -0,0 +1,177 @@
+const BaseCrawler = require('./baseCrawler');
+
+// Base class for crawlers that page through a shop platform's public JSON API
+// instead of scraping HTML. Subclasses set PLATFORM and PAGE_SIZE and
+// implement getProductsUrl(), fetchProductsPage() and productFromItem().
+class ApiCrawler extends BaseCrawler {
+  static PLATFORM = null;
+  static PAGE_SIZE = 100;
+
+  constructor(websiteUrl, options = {}) {
+    super(websiteUrl, options);
+    // May already be set by restoreCheckpoint()
+    this.apiPage = this.apiPage || 1;
+    this.platform = this.constructor.PLATFORM;
+  }
+
+  getProductsUrl(page, perPage) {
+    throw new Error('getProductsUrl() must be implemented by subclass');
+  }
+
+  // Raw items of one API page
+  async fetchProductsPage(page, perPage) {
+    throw new Error('fetchProductsPage() must be implemented by subclass');
+  }
+
+  // Convert raw API items into products
+  async productsFromItems(items) {
+    const products = [];
+    for (const item of items) {
+      const product = this.productFromItem(item);
+      if (product && product.name) {
+        products.push(product);
+      }
+    }
+    return products;
+  }
+
+  productFromItem(item) {
+    throw new Error('productFromItem() must be implemented by subclass');
+  }
+
+  // Store currency for APIs whose products do not carry one (sets siteCurrency)
+  async loadStoreCurrency() {}
+
+  // True when the shop answers on its API endpoint
+  async isAvailable() {
+    try {
+      const items = await this.fetchProductsPage(1, 1);
+      return Array.isArray(items);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async crawl() {
+    const name = this.constructor.PLATFORM;
+    const pageSize = this.constructor.PAGE_SIZE;
+
+    this.onProgress({
+      status: 'starting',
+      message: this.resumed ? `Resuming ${name} API crawl from checkpoint...` : `Starting ${name} API crawl...`,
+      pagesCrawled: this.pagesCrawled,
+      productsFound: this.products.length
+    });
+
+    if (!this.siteCurrency) {
+      await this.loadStoreCurrency();
+    }
+
+    while (!this.apiDone && this.pagesCrawled < this.options.maxPages && !this.stopped) {
+      try {
+        const items = await this.fetchProductsPage(this.apiPage, pageSize);
+        this.products.push(...this.applyCurrency(await this.productsFromItems(items)));
+
+        this.pagesCrawled++;
+        this.onProgress({
+          status: 'crawling',
+          message: `Fetched ${name} products page ${this.apiPage}`,
+          pagesCrawled: this.pagesCrawled,
+          productsFound: this.products.length
+        });
+
+        if (items.length < pageSize) {
+          this.apiDone = true;
+        } else {
+          this.apiPage++;
+        }
+        this.checkpointIfDue();
+
+        // Rate limiting
+        await this.sleep(this.options.delay);
+      } catch (error) {
+        console.error(`Error fetching ${name} products page ${this.apiPage}:`, error.message);
+        // Nothing fetched at all: the API is not usable, fail the crawl
+        if (this.products.length === 0) {
+          throw error;
+        }
+        this.onProgress({
+          status: 'error',
+          message: `Error fetching ${name} products page ${this.apiPage}: ${error.message}`,
+          pagesCrawled: this.pagesCrawled,
+          productsFound: this.products.length
+        });
+        break;
+      }
+    }
+
+    this.onProgress({
+      status: 'completed',
+      message: `Crawl completed. Found ${this.products.length} products.`,
+      pagesCrawled: this.pagesCrawled,
+      productsFound: this.products.length
+    });
+
+    return this.products;
+  }
+
+  // Why a page cannot be previewed, or null. The API has no pages, so the
+  // preview shows what a crawl of the website URL fetches.
+  previewScopeError(pageUrl) {
+    const page = new URL(pageUrl);
+    const path = (url) => url.pathname.replace(/\/+$/, '');
+    if (page.origin === this.parsedUrl.origin && path(page) === path(this.parsedUrl)) {
+      return null;
+    }
+    return `${this.constructor.PLATFORM} websites are crawled through the shop API, ` +
+      'so only the website URL can be previewed';
+  }
+
+  // First API page for a page accepted by previewScopeError(); every field is
+  // reported as coming from the API
+  async preview(pageUrl = this.baseUrl) {
+    const source = `${this.constructor.PLATFORM}-api`;
+    this.parsedUrl = new URL(pageUrl);
+    await this.loadStoreCurrency();
+    const products = this.applyCurrency(await this.productsFromItems(await this.fetchProductsPage(1, 20)));
+
+    if (this.options.traceSelectors) {
+      for (const product of products) {
+        product.matched_selectors = {
+          container: source,
+          name: source,
+          price: source,
+          list_price: product.list_price ? source : null,
+          promo: product.promo_text ? source : null,
+          availability: product.availability ? source : null,
+          sku: source,
+          image: source,
+          link: source
+        };
+      }
+    }
+
+    return {
+      url: this.getProductsUrl(1, 20),
+      platform: this.platform,
+      products,
+      links: []
+    };
+  }
+
+  getCheckpoint() {
+    return {
+      ...super.getCheckpoint(),
+      apiPage: this.apiPage,
+      apiDone: !!this.apiDone
+    };
+  }
+
+  restoreCheckpoint(checkpoint) {
+    super.restoreCheckpoint(checkpoint);
+    this.apiPage = checkpoint.apiPage || 1;
+    this.apiDone = !!checkpoint.apiDone;
+  }
+}
+
+module.exports = ApiCrawler;
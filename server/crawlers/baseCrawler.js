@@ -1,4 +1,7 @@
 const { URL } = require('url');
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const RobotsTxt = require('./robotsTxt');
 
 class BaseCrawler {
   constructor(websiteUrl, options = {}) {
@@ -9,11 +12,34 @@ class BaseCrawler {
       maxPages: options.maxPages || 100,
       delay: options.delay || 1000,
       timeout: options.timeout || 30000,
+      // Save a checkpoint every N crawled pages
+      checkpointInterval: options.checkpointInterval || 5,
+      // Optional second pass over product detail pages
+      crawlDetails: false,
+      maxDetailPages: options.maxDetailPages || 50,
+      detailDelay: options.detailDelay || options.delay || 1000,
+      // 'links' (follow links), 'sitemap' (sitemap first) or 'both'
+      discoveryMode: options.discoveryMode || 'links',
       ...options
     };
+    this.urlsToVisit = [websiteUrl];
+    // Product pages found in sitemaps, visited after the listing pages
+    this.productUrlsToVisit = [];
+    this.robots = null;
     this.visitedUrls = new Set();
     this.products = [];
+    this.pagesCrawled = 0;
+    this.detailVisited = new Set();
+    this.detailPagesCrawled = 0;
+    this.stopped = false;
     this.onProgress = options.onProgress || (() => {});
+    this.onCheckpoint = options.onCheckpoint || (() => {});
+    // Per-website selector overrides, tried before the built-in lists
+    this.customSelectors = options.selectors || null;
+
+    if (options.checkpoint) {
+      this.restoreCheckpoint(options.checkpoint);
+    }
   }
 
   // Common product selectors for various e-commerce platforms
@@ -40,14 +66,47 @@ class BaseCrawler {
         'h2 a',
         'h3 a'
       ],
+      // Current price; a discounted price comes before the regular one
       price: [
+        '.sale-price',
+        '.current-price',
         '.price',
         '.product-price',
         '[data-price]',
-        '.current-price',
-        '.sale-price',
+        'span.amount',
+        '.regular-price'
+      ],
+      // Regular price shown struck through next to a discounted price
+      listPrice: [
         '.regular-price',
-        'span.amount'
+        '.was-price',
+        '.old-price',
+        '.compare-at-price',
+        '.original-price',
+        '.list-price',
+        '.price del',
+        'del',
+        's'
+      ],
+      promo: [
+        '.onsale',
+        '.sale-badge',
+        '.badge--sale',
+        '.promo-badge',
+        '.promotion',
+        '.discount-badge',
+        '.label-sale'
+      ],
+      // Stock text such as "In stock", "Only 3 left" or "Sold out"
+      availability: [
+        '[data-availability]',
+        '.stock',
+        '.availability',
+        '.stock-status',
+        '.product-stock',
+        '.inventory',
+        '.sold-out',
+        '.out-of-stock'
       ],
       sku: [
         '[data-sku]',
@@ -84,7 +143,10 @@ class BaseCrawler {
     shopify: {
       productContainer: ['.product-card', '.grid__item', '.product-item'],
       name: ['.product-card__title', '.product__title', 'h3'],
-      price: ['.price', '.product__price', '.money'],
+      price: ['.price-item--sale', '.price', '.product__price', '.money'],
+      listPrice: ['.price-item--regular', '.price__compare', '.compare-at-price', 's .money'],
+      promo: ['.badge--sale', '.price__badge-sale', '.product-badge'],
+      availability: ['.badge--sold-out', '.price__badge-sold-out', '.product-inventory'],
       sku: ['[data-variant-id]'],
       image: ['.product-card__image img', 'img.lazyload'],
       link: ['.product-card__link', 'a.product__link']
@@ -93,7 +155,10 @@ class BaseCrawler {
     woocommerce: {
       productContainer: ['.product', '.type-product'],
       name: ['.woocommerce-loop-product__title', 'h2'],
-      price: ['.price', '.woocommerce-Price-amount'],
+      price: ['.price ins', '.price', '.woocommerce-Price-amount'],
+      listPrice: ['.price del'],
+      promo: ['.onsale'],
+      availability: ['.stock'],
       sku: ['[data-product_id]'],
       image: ['.woocommerce-LoopProduct-link img'],
       link: ['.woocommerce-LoopProduct-link']
@@ -102,13 +167,78 @@ class BaseCrawler {
     magento: {
       productContainer: ['.product-item', '.item.product'],
       name: ['.product-item-name', '.product-name'],
-      price: ['.price-box .price', '[data-price-amount]'],
+      price: ['.price-box .special-price .price', '.price-box .price', '[data-price-amount]'],
+      listPrice: ['.price-box .old-price .price', '[data-price-type="oldPrice"]'],
+      promo: ['.product-label', '.sale-label'],
+      availability: ['.stock', '.availability'],
       sku: ['[data-product-id]'],
       image: ['.product-image-photo'],
       link: ['.product-item-link']
     }
   };
 
+  // Fields that can be overridden per website, mapped to PRODUCT_SELECTORS keys
+  static SELECTOR_FIELDS = {
+    container: 'productContainer',
+    name: 'name',
+    price: 'price',
+    list_price: 'listPrice',
+    promo: 'promo',
+    availability: 'availability',
+    sku: 'sku',
+    image: 'image',
+    link: 'link',
+    pagination: 'pagination'
+  };
+
+  // Validate selector overrides from user input. Each field may be a string
+  // with one selector per line or an array of selectors.
+  static normalizeSelectors(input = {}) {
+    const $ = cheerio.load('<html></html>');
+    const selectors = {};
+
+    for (const field of Object.keys(BaseCrawler.SELECTOR_FIELDS)) {
+      let value = input[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value === 'string') {
+        value = value.split('\n');
+      }
+      if (!Array.isArray(value)) {
+        throw new Error(`Selectors for "${field}" must be a string or an array`);
+      }
+
+      const list = value.map(v => String(v).trim()).filter(Boolean);
+      for (const selector of list) {
+        try {
+          $.root().find(selector);
+        } catch (e) {
+          throw new Error(`Invalid ${field} selector "${selector}": ${e.message}`);
+        }
+      }
+
+      if (list.length > 0) {
+        selectors[field] = list;
+      }
+    }
+
+    return selectors;
+  }
+
+  // Selector lists for a platform with the website's overrides placed first
+  getSelectors(platform = this.platform || 'generic') {
+    const builtIn = BaseCrawler.PRODUCT_SELECTORS[platform] || BaseCrawler.PRODUCT_SELECTORS.generic;
+    const custom = this.customSelectors || {};
+    const selectors = {};
+
+    for (const [field, key] of Object.entries(BaseCrawler.SELECTOR_FIELDS)) {
+      const overrides = custom[field] || [];
+      const defaults = builtIn[key] || BaseCrawler.PRODUCT_SELECTORS.generic[key] || [];
+      selectors[key] = [...new Set([...overrides, ...defaults])];
+    }
+
+    return selectors;
+  }
+
   // Normalize URL to absolute
   normalizeUrl(url) {
     if (!url) return null;
@@ -168,8 +298,148 @@ class BaseCrawler {
     return parseFloat(cleaned) || null;
   }
 
+  // Struck-through prices inside a price element
+  static STRUCK_PRICE_SELECTOR = 'del, s, strike, .regular-price, .was-price, .old-price, .price-item--regular';
+
+  // Text of the current price in a price element: the <ins> of a
+  // "<del>$20</del> <ins>$15</ins>" pair, else the text without struck-through prices
+  currentPriceText($el) {
+    const ins = $el.find('ins').first();
+    if (ins.length && ins.text().trim()) return ins.text().trim();
+
+    const current = $el.clone();
+    current.find(BaseCrawler.STRUCK_PRICE_SELECTOR).remove();
+    return current.text().trim() || $el.text().trim();
+  }
+
+  // A list price only counts when it is above the current price
+  listPriceFor(price, listPrice) {
+    return price && listPrice && listPrice > price ? listPrice : null;
+  }
+
+  // Promo badge text such as "Sale!" or "-20%"
+  cleanPromoText(text) {
+    const cleaned = (text || '').replace(/\s+/g, ' ').trim();
+    return cleaned ? cleaned.slice(0, 100) : null;
+  }
+
+  // Brand text without a label such as "Brand:" or "by"
+  cleanBrandText(text) {
+    const cleaned = (text || '').replace(/\s+/g, ' ').replace(/^(?:brand|by|manufacturer)\s*(?::\s*|\s+)/i, '').trim();
+    return cleaned && cleaned.length <= 100 ? cleaned : null;
+  }
+
+  // The most specific part of a category path such as "Electronics > Laptops";
+  // numeric taxonomy ids and URLs are not category names
+  leafCategory(value) {
+    if (!value || /^https?:/i.test(value)) return null;
+    const parts = String(value).split(/\s*(?:>|›|»|\||\/)\s*/).map(part => part.trim()).filter(Boolean);
+    const leaf = parts[parts.length - 1];
+    return leaf && !/^\d+$/.test(leaf) && leaf.length <= 100 ? leaf : null;
+  }
+
+  // ISO 4217 codes recognised in price text
+  static CURRENCY_CODES = [
+    'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK',
+    'HUF', 'RON', 'BGN', 'INR', 'BRL', 'MXN', 'HKD', 'SGD', 'ZAR', 'TRY', 'KRW', 'ILS', 'AED'
+  ];
+
+  // Currency symbols, most specific first. '$', 'kr' and '¥' are shared by
+  // several currencies and resolved with the site currency when possible.
+  static CURRENCY_SYMBOLS = [
+    ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['NZ$', 'NZD'],
+    ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'], ['MX$', 'MXN'], ['€', 'EUR'], ['£', 'GBP'],
+    ['₹', 'INR'], ['₩', 'KRW'], ['₺', 'TRY'], ['₪', 'ILS'], ['zł', 'PLN'], ['Kč', 'CZK'],
+    ['Ft', 'HUF'], ['lei', 'RON'], ['Fr.', 'CHF'], ['¥', 'JPY'], ['kr', 'SEK'], ['$', 'USD']
+  ];
+
+  // Currency of a locale's region (en-GB, de_CH) or, failing that, its language
+  static LOCALE_CURRENCIES = {
+    US: 'USD', GB: 'GBP', UK: 'GBP', IE: 'EUR', DE: 'EUR', AT: 'EUR', FR: 'EUR', BE: 'EUR', NL: 'EUR',
+    LU: 'EUR', IT: 'EUR', ES: 'EUR', PT: 'EUR', FI: 'EUR', GR: 'EUR', SK: 'EUR', SI: 'EUR', EE: 'EUR',
+    LV: 'EUR', LT: 'EUR', HR: 'EUR', CH: 'CHF', SE: 'SEK', NO: 'NOK', DK: 'DKK', PL: 'PLN', CZ: 'CZK',
+    HU: 'HUF', RO: 'RON', BG: 'BGN', CA: 'CAD', AU: 'AUD', NZ: 'NZD', JP: 'JPY', CN: 'CNY', HK: 'HKD',
+    SG: 'SGD', IN: 'INR', BR: 'BRL', MX: 'MXN', ZA: 'ZAR', TR: 'TRY', KR: 'KRW', IL: 'ILS', AE: 'AED',
+    de: 'EUR', fr: 'EUR', it: 'EUR', es: 'EUR', nl: 'EUR', fi: 'EUR', el: 'EUR', sv: 'SEK', nb: 'NOK',
+    no: 'NOK', da: 'DKK', pl: 'PLN', cs: 'CZK', hu: 'HUF', ro: 'RON', bg: 'BGN', ja: 'JPY', zh: 'CNY',
+    ko: 'KRW', tr: 'TRY', he: 'ILS'
+  };
+
+  // Detect the currency of a price string from its ISO code or symbol
+  detectCurrency(priceStr) {
+    if (!priceStr) return null;
+    const text = String(priceStr);
+
+    const code = text.toUpperCase().match(new RegExp(`\\b(${BaseCrawler.CURRENCY_CODES.join('|')})\\b`));
+    if (code) return code[1];
+
+    const site = this.siteCurrency;
+    for (const [symbol, currency] of BaseCrawler.CURRENCY_SYMBOLS) {
+      if (!text.includes(symbol)) continue;
+      if (symbol === '$' && ['CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'MXN'].includes(site)) return site;
+      if (symbol === 'kr' && ['NOK', 'DKK'].includes(site)) return site;
+      if (symbol === '¥' && site === 'CNY') return site;
+      return currency;
+    }
+    return null;
+  }
+
+  localeCurrency(locale) {
+    if (!locale) return null;
+    const [language, region] = String(locale).trim().split(/[-_]/);
+    return (region && BaseCrawler.LOCALE_CURRENCIES[region.toUpperCase()]) ||
+           BaseCrawler.LOCALE_CURRENCIES[(language || '').toLowerCase()] ||
+           null;
+  }
+
+  // Currency of the whole site, from price meta tags or the page locale.
+  // Detected once, on the first page that gives one.
+  detectSiteCurrency($) {
+    if (this.siteCurrency) return this.siteCurrency;
+
+    const declared = $('meta[property="product:price:currency"], meta[property="og:price:currency"], ' +
+                       'meta[itemprop="priceCurrency"], [itemprop="priceCurrency"][content]').first().attr('content');
+    const currency = (declared && declared.trim().toUpperCase()) ||
+                     this.localeCurrency($('meta[property="og:locale"]').attr('content')) ||
+                     this.localeCurrency($('html').attr('lang'));
+
+    if (currency && /^[A-Z]{3}$/.test(currency)) {
+      this.siteCurrency = currency;
+    }
+    return this.siteCurrency || null;
+  }
+
+  // Give products without a detected currency the site currency
+  applyCurrency(products, $ = null) {
+    const siteCurrency = $ ? this.detectSiteCurrency($) : this.siteCurrency;
+    for (const product of products) {
+      if (!product.currency && siteCurrency) {
+        product.currency = siteCurrency;
+      }
+    }
+    return products;
+  }
+
   // Extract SKU from various attributes
   extractSku(element, $) {
+    return this.findSku(element, $).sku;
+  }
+
+  // Find the SKU and the selector it was read from
+  findSku(element, $) {
+    // Per-website selectors: use a data attribute if present, else the text
+    const customSkuSelectors = (this.customSelectors && this.customSelectors.sku) || [];
+    for (const selector of customSkuSelectors) {
+      const el = $(element).find(selector).first();
+      if (el.length) {
+        const sku = el.attr('data-sku') ||
+                    el.attr('data-product-id') ||
+                    el.attr('content') ||
+                    el.text().trim();
+        if (sku) return { sku, selector };
+      }
+    }
+
     const skuSelectors = [
       '[data-sku]',
       '[data-product-id]',
@@ -184,7 +454,7 @@ class BaseCrawler {
                     el.attr('data-product-id') ||
                     el.attr('data-variant-id') ||
                     el.attr('data-item-id');
-        if (sku) return sku;
+        if (sku) return { sku, selector };
       }
     }
 
@@ -192,12 +462,1074 @@ class BaseCrawler {
     const skuText = $(element).find('.sku, .product-sku').text().trim();
     if (skuText) {
       const match = skuText.match(/(?:SKU|Item|#)?:?\s*([A-Z0-9-]+)/i);
-      if (match) return match[1];
+      if (match) return { sku: match[1], selector: '.sku, .product-sku' };
     }
 
+    return { sku: null, selector: null };
+  }
+
+  // Fill in null for fields no selector matched, in SELECTOR_FIELDS order
+  completeTrace(matched) {
+    const trace = {};
+    for (const field of Object.keys(BaseCrawler.SELECTOR_FIELDS)) {
+      if (field === 'pagination') continue;
+      trace[field] = matched[field] || null;
+    }
+    return trace;
+  }
+
+  // schema.org types treated as products in JSON-LD and microdata
+  static STRUCTURED_PRODUCT_TYPES = ['Product', 'IndividualProduct', 'ProductModel', 'ProductGroup'];
+
+  // Fields stored in raw_data when found in structured data
+  static STRUCTURED_EXTRAS = ['gtin', 'mpn', 'brand', 'category', 'currency', 'description', 'images'];
+
+  // Parse JSON-LD, microdata and OpenGraph product data from a page. Sources
+  // are listed in order of preference; later sources only fill missing fields.
+  extractStructuredData($, pageUrl) {
+    const products = [];
+    const sources = [
+      ['json-ld', () => this.extractJsonLd($, pageUrl)],
+      ['microdata', () => this.extractMicrodata($, pageUrl)],
+      ['opengraph', () => this.extractOpenGraph($, pageUrl)]
+    ];
+
+    for (const [source, extract] of sources) {
+      let found = [];
+      try {
+        found = extract();
+      } catch (e) {
+        console.error(`Error reading ${source} data from ${pageUrl}:`, e.message);
+      }
+
+      for (const item of found) {
+        item.source = source;
+        const existing = this.findMatchingProduct(products, item);
+        if (existing) {
+          for (const [key, value] of Object.entries(item)) {
+            if (existing[key] === null || existing[key] === undefined) {
+              existing[key] = value;
+            }
+          }
+        } else {
+          products.push(item);
+        }
+      }
+    }
+
+    return products.filter(p => p.name || p.product_url || p.sku);
+  }
+
+  extractJsonLd($, pageUrl) {
+    const products = [];
+    const isType = (node, types) => {
+      const nodeTypes = [].concat(node['@type'] || []).map(t => String(t).split(/[/#]/).pop());
+      return nodeTypes.some(t => types.includes(t));
+    };
+
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+
+      if (isType(node, BaseCrawler.STRUCTURED_PRODUCT_TYPES)) {
+        products.push(this.productFromJsonLd(node, pageUrl));
+      } else if (isType(node, ['ItemList'])) {
+        for (const element of [].concat(node.itemListElement || [])) {
+          // ListItem wraps the product in `item`; some shops list products directly
+          const item = element && element.item !== undefined ? element.item : element;
+          if (item && typeof item === 'object') visit(item);
+        }
+      } else if (node['@graph']) {
+        visit(node['@graph']);
+      } else if (node.mainEntity) {
+        visit(node.mainEntity);
+      }
+    };
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      try {
+        visit(JSON.parse($(el).contents().text()));
+      } catch (e) {
+        // Invalid JSON-LD block, skip
+      }
+    });
+
+    return products;
+  }
+
+  productFromJsonLd(node, pageUrl) {
+    const text = (value) => {
+      if (value === undefined || value === null) return null;
+      if (Array.isArray(value)) return text(value[0]);
+      if (typeof value === 'object') return text(value.name || value['@id'] || value.url);
+      const str = String(value).trim();
+      return str || null;
+    };
+
+    const offers = [].concat(node.offers || []);
+    const offer = offers.find(o => o && (o.price !== undefined || o.lowPrice !== undefined)) || offers[0] || {};
+    const images = [].concat(node.image || [])
+      .map(image => this.normalizeUrl(text(image && typeof image === 'object' ? image.url || image.contentUrl : image)))
+      .filter(Boolean);
+
+    const variants = this.variantsFromJsonLd(node, offers, text, pageUrl);
+    const variant = variants && this.pickVariant(variants);
+    const offerPrice = this.parseStructuredPrice(offer.price !== undefined ? offer.price : offer.lowPrice);
+    // The regular price of a discounted offer is a ListPrice or StrikethroughPrice specification
+    const listPriceSpec = [].concat(offer.priceSpecification || [])
+      .find(spec => spec && /(ListPrice|StrikethroughPrice)$/.test(text(spec.priceType) || ''));
+
+    return {
+      name: text(node.name),
+      price: offerPrice !== null ? offerPrice : (variant ? variant.price : null),
+      list_price: listPriceSpec ? this.parseStructuredPrice(listPriceSpec.price) : null,
+      sku: text(node.sku) || text(offer.sku) || text(node.productGroupID),
+      image_url: images[0] || null,
+      product_url: this.resolveStructuredUrl(text(node.url) || text(offer.url), pageUrl),
+      gtin: text(node.gtin13 || node.gtin12 || node.gtin14 || node.gtin8 || node.gtin || offer.gtin13 || offer.gtin),
+      mpn: text(node.mpn),
+      brand: text(node.brand),
+      category: this.leafCategory(text(node.category)),
+      currency: text(offer.priceCurrency),
+      availability: this.normalizeAvailability(text(offer.availability)),
+      stock_quantity: this.parseStockLevel(offer.inventoryLevel),
+      shipping_fee: this.shippingFromOffer(offer),
+      description: text(node.description),
+      images: images.length > 0 ? [...new Set(images)] : null,
+      variants
+    };
+  }
+
+  // schema.org properties a ProductGroup can vary by when variesBy is missing
+  static VARIANT_PROPERTIES = ['size', 'color', 'material', 'pattern', 'suggestedAge', 'suggestedGender'];
+
+  // Variants of a JSON-LD product: the hasVariant products of a ProductGroup,
+  // else one variant per offer when a product lists several named offers
+  variantsFromJsonLd(node, offers, text, pageUrl) {
+    const isAvailable = (availability) => (availability ? availability !== 'out_of_stock' : null);
+    const label = (name) => name.charAt(0).toUpperCase() + name.slice(1).replace(/([a-z])([A-Z])/g, '$1 $2');
+
+    const members = [].concat(node.hasVariant || []).filter(v => v && typeof v === 'object');
+    if (members.length > 0) {
+      const properties = [].concat(node.variesBy || [])
+        .map(p => String(p).split(/[/#]/).pop())
+        .filter(Boolean);
+      const names = properties.length > 0 ? properties : BaseCrawler.VARIANT_PROPERTIES;
+
+      return members.map(member => {
+        const variant = this.productFromJsonLd(member, pageUrl);
+        const options = {};
+        for (const name of names) {
+          const value = text(member[name]);
+          if (value) options[label(name)] = value;
+        }
+        return {
+          external_id: variant.sku || text(member['@id']),
+          title: Object.values(options).join(' / ') || variant.name,
+          sku: variant.sku,
+          options,
+          price: variant.price,
+          available: isAvailable(variant.availability)
+        };
+      });
+    }
+
+    const named = offers.filter(o => o && typeof o === 'object' && (o.name || o.sku));
+    if (named.length > 1) {
+      return named.map(o => ({
+        external_id: text(o.sku) || text(o['@id']),
+        title: text(o.name) || text(o.sku),
+        sku: text(o.sku),
+        options: {},
+        price: this.parseStructuredPrice(o.price !== undefined ? o.price : o.lowPrice),
+        available: isAvailable(this.normalizeAvailability(text(o.availability)))
+      }));
+    }
+
+    return null;
+  }
+
+  // Variants of a WooCommerce variable product, from the variation form
+  extractWooVariations($) {
+    const data = $('form.variations_form[data-product_variations]').first().attr('data-product_variations');
+    if (!data) return null;
+
+    let variations;
+    try {
+      variations = JSON.parse(data);
+    } catch (e) {
+      return null;
+    }
+    // "false" when the shop loads variations via AJAX
+    if (!Array.isArray(variations) || variations.length === 0) return null;
+
+    return variations.map(variation => {
+      const options = {};
+      for (const [key, value] of Object.entries(variation.attributes || {})) {
+        // attribute_pa_size -> Size; an empty value means "any"
+        const name = key.replace(/^attribute_(pa_)?/, '').replace(/[-_]+/g, ' ');
+        if (value) options[name.charAt(0).toUpperCase() + name.slice(1)] = value;
+      }
+      const price = this.parseStructuredPrice(variation.display_price);
+      const regularPrice = this.parseStructuredPrice(variation.display_regular_price);
+      return {
+        external_id: variation.variation_id,
+        title: Object.values(options).join(' / ') || null,
+        sku: variation.sku || null,
+        options,
+        price,
+        compare_at_price: regularPrice > price ? regularPrice : null,
+        available: variation.is_in_stock !== false,
+        stock_quantity: Number.isInteger(variation.max_qty) ? variation.max_qty : null
+      };
+    });
+  }
+
+  // Price a product at its cheapest in-stock variant (any variant if none is in stock)
+  pickVariant(variants) {
+    const inStock = variants.filter(v => v.available);
+    const candidates = (inStock.length > 0 ? inStock : variants).filter(v => v.price !== null);
+    return candidates.reduce((best, v) => (!best || v.price < best.price ? v : best), null);
+  }
+
+  extractMicrodata($, pageUrl) {
+    const products = [];
+    const typePattern = new RegExp(`schema\\.org/(${BaseCrawler.STRUCTURED_PRODUCT_TYPES.join('|')})$`, 'i');
+
+    $('[itemscope][itemtype]').each((i, el) => {
+      const $scope = $(el);
+      if (!typePattern.test(($scope.attr('itemtype') || '').trim())) return;
+
+      // First property that belongs to this scope rather than a nested one
+      const prop = ($parent, name) => {
+        const found = $parent.find(`[itemprop~="${name}"]`).filter((j, child) => {
+          return $(child).parent().closest('[itemscope]')[0] === $parent[0];
+        }).first();
+        return found.length ? found : null;
+      };
+      const value = ($el) => {
+        if (!$el) return null;
+        const str = $el.attr('content') || $el.attr('href') || $el.attr('src') || $el.text();
+        return str ? str.trim() || null : null;
+      };
+
+      const images = $scope.find('[itemprop~="image"]')
+        .map((j, img) => this.normalizeUrl(value($(img))))
+        .get()
+        .filter(Boolean);
+      const $offer = prop($scope, 'offers');
+      const $brand = prop($scope, 'brand');
+      const offerValue = (name) => ($offer ? value(prop($offer, name)) : null);
+
+      products.push({
+        name: value(prop($scope, 'name')),
+        price: this.parseStructuredPrice(offerValue('price') || offerValue('lowPrice') || value(prop($scope, 'price'))),
+        sku: value(prop($scope, 'sku')),
+        image_url: this.normalizeUrl(value(prop($scope, 'image'))),
+        product_url: this.resolveStructuredUrl(value(prop($scope, 'url')), pageUrl),
+        gtin: value(prop($scope, 'gtin13') || prop($scope, 'gtin12') || prop($scope, 'gtin14') ||
+                    prop($scope, 'gtin8') || prop($scope, 'gtin')),
+        mpn: value(prop($scope, 'mpn')),
+        brand: $brand && $brand.is('[itemscope]') ? value(prop($brand, 'name')) : value($brand),
+        category: this.leafCategory(value(prop($scope, 'category'))),
+        currency: offerValue('priceCurrency'),
+        availability: this.normalizeAvailability(offerValue('availability')),
+        description: value(prop($scope, 'description')),
+        images: images.length > 0 ? [...new Set(images)] : null
+      });
+    });
+
+    return products;
+  }
+
+  extractOpenGraph($, pageUrl) {
+    const meta = (property) => {
+      const content = $(`meta[property="${property}"], meta[name="${property}"]`).first().attr('content');
+      return content ? content.trim() || null : null;
+    };
+
+    const type = (meta('og:type') || '').toLowerCase();
+    const price = meta('product:sale_price:amount') || meta('product:price:amount') || meta('og:price:amount');
+    if (!type.includes('product') && !price) return [];
+
+    const images = $('meta[property="og:image"]')
+      .map((i, el) => this.normalizeUrl($(el).attr('content')))
+      .get()
+      .filter(Boolean);
+
+    return [{
+      name: meta('og:title'),
+      price: this.parseStructuredPrice(price),
+      list_price: this.parseStructuredPrice(meta('product:original_price:amount')),
+      sku: meta('product:retailer_item_id'),
+      image_url: images[0] || null,
+      product_url: this.resolveStructuredUrl(meta('og:url'), pageUrl) || pageUrl,
+      gtin: meta('product:ean') || meta('product:upc') || meta('product:gtin'),
+      mpn: meta('product:mfr_part_no'),
+      brand: meta('product:brand') || meta('og:brand'),
+      category: this.leafCategory(meta('product:category')),
+      currency: meta('product:price:currency') || meta('og:price:currency'),
+      availability: this.normalizeAvailability(meta('product:availability') || meta('og:availability')),
+      description: meta('og:description'),
+      images: images.length > 0 ? [...new Set(images)] : null
+    }];
+  }
+
+  // Structured prices use a dot as decimal separator; fall back to text parsing
+  parseStructuredPrice(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (Number.isFinite(number)) return number;
+    return this.parsePrice(String(value));
+  }
+
+  resolveStructuredUrl(url, pageUrl) {
+    if (!url) return null;
+    try {
+      return new URL(url, pageUrl).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Availability values stored on products
+  static AVAILABILITY_STATES = ['in_stock', 'out_of_stock', 'pre_order', 'back_order'];
+
+  // Other schema.org and feed values mapped to the stored ones
+  static AVAILABILITY_ALIASES = {
+    instock: 'in_stock',
+    limited_availability: 'in_stock',
+    online_only: 'in_stock',
+    in_store_only: 'in_stock',
+    outofstock: 'out_of_stock',
+    oos: 'out_of_stock',
+    sold_out: 'out_of_stock',
+    discontinued: 'out_of_stock',
+    preorder: 'pre_order',
+    pre_sale: 'pre_order',
+    backorder: 'back_order',
+    onbackorder: 'back_order'
+  };
+
+  // https://schema.org/InStock -> in_stock; free text such as "Only 3 left"
+  // is read with parseAvailabilityText
+  normalizeAvailability(value) {
+    if (!value) return null;
+    const key = value.trim().split(/[/#]/).pop()
+      .replace(/([a-z])([A-Z])/g, '$1_$2')
+      .replace(/[\s-]+/g, '_')
+      .toLowerCase();
+    if (BaseCrawler.AVAILABILITY_STATES.includes(key)) return key;
+    return BaseCrawler.AVAILABILITY_ALIASES[key] || this.parseAvailabilityText(value);
+  }
+
+  // schema.org inventoryLevel: a number or a QuantitativeValue
+  parseStockLevel(level) {
+    const value = level && typeof level === 'object' ? level.value : level;
+    const quantity = parseInt(value, 10);
+    return Number.isInteger(quantity) && quantity >= 0 ? quantity : null;
+  }
+
+  // Cheapest shippingRate among the offer's OfferShippingDetails
+  shippingFromOffer(offer) {
+    const rates = [].concat(offer.shippingDetails || [])
+      .map(details => details && details.shippingRate)
+      .map(rate => this.parseStructuredPrice(rate && typeof rate === 'object' ? rate.value : rate))
+      .filter(rate => rate !== null);
+    return rates.length > 0 ? Math.min(...rates) : null;
+  }
+
+  // Find a product in the list that refers to the same item (URL, SKU, then name)
+  findMatchingProduct(products, item) {
+    const urlKey = (url) => (url ? url.split('#')[0].replace(/\/$/, '') : null);
+    const nameKey = (name) => (name ? name.trim().toLowerCase() : null);
+
+    if (item.product_url) {
+      const match = products.find(p => urlKey(p.product_url) === urlKey(item.product_url));
+      if (match) return match;
+    }
+    if (item.sku) {
+      const match = products.find(p => p.sku && p.sku === item.sku);
+      if (match) return match;
+    }
+    if (item.name) {
+      return products.find(p => nameKey(p.name) === nameKey(item.name)) || null;
+    }
     return null;
   }
 
+  // Merge structured data into selector-scraped products. Structured values
+  // win; products only present in structured data are added.
+  applyStructuredData(products, $, pageUrl) {
+    const structured = this.extractStructuredData($, pageUrl);
+    const fields = {
+      name: 'name',
+      price: 'price',
+      list_price: 'list_price',
+      availability: 'availability',
+      stock_quantity: 'availability',
+      sku: 'sku',
+      image_url: 'image',
+      product_url: 'link'
+    };
+
+    for (const item of structured) {
+      const extras = {};
+      for (const key of BaseCrawler.STRUCTURED_EXTRAS) {
+        if (item[key]) extras[key] = item[key];
+      }
+
+      let product = this.findMatchingProduct(products, item);
+      if (!product) {
+        if (!item.name) continue;
+        product = {
+          name: null, price: null, list_price: null, promo_text: null, availability: null, stock_quantity: null,
+          sku: null, image_url: null, product_url: null
+        };
+        if (this.options.traceSelectors) {
+          product.matched_selectors = this.completeTrace({ container: item.source });
+        }
+        products.push(product);
+      }
+
+      for (const [key, traceKey] of Object.entries(fields)) {
+        if (item[key] !== null && item[key] !== undefined) {
+          product[key] = item[key];
+          if (product.matched_selectors) {
+            product.matched_selectors[traceKey] = item.source;
+          }
+        }
+      }
+      if (item.currency) {
+        product.currency = item.currency.toUpperCase();
+      }
+      product.list_price = this.listPriceFor(product.price, product.list_price);
+
+      if (item.variants) {
+        product.variants = item.variants;
+      }
+
+      product.raw_data = {
+        ...product.raw_data,
+        ...extras,
+        structured_source: item.source
+      };
+    }
+
+    // A category page's breadcrumbs name the category of the products it lists
+    const pageCategory = this.categoryFromBreadcrumbs(this.extractBreadcrumbs($));
+    if (pageCategory) {
+      for (const product of products) {
+        if (!product.raw_data || !product.raw_data.category) {
+          product.raw_data = { ...product.raw_data, category: pageCategory };
+        }
+      }
+    }
+
+    return products;
+  }
+
+  // Breadcrumb containers used when a page has no BreadcrumbList data
+  static BREADCRUMB_SELECTORS = [
+    '.woocommerce-breadcrumb',
+    'nav.breadcrumb',
+    'nav.breadcrumbs',
+    '[aria-label="breadcrumb"]',
+    '[aria-label="Breadcrumb"]',
+    '.breadcrumb',
+    '.breadcrumbs'
+  ];
+
+  // Names of a page's breadcrumb trail from JSON-LD or microdata
+  // BreadcrumbList, else from breadcrumb markup, without a leading "Home"
+  extractBreadcrumbs($) {
+    let crumbs = [];
+
+    const visit = (node) => {
+      if (crumbs.length > 0 || !node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if ([].concat(node['@type'] || []).includes('BreadcrumbList')) {
+        crumbs = [].concat(node.itemListElement || [])
+          .filter(element => element && typeof element === 'object')
+          .sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0))
+          .map(element => element.name || (element.item && typeof element.item === 'object'
+            ? element.item.name
+            : null));
+      } else if (node['@graph']) {
+        visit(node['@graph']);
+      }
+    };
+    $('script[type="application/ld+json"]').each((i, el) => {
+      try {
+        visit(JSON.parse($(el).contents().text()));
+      } catch (e) {
+        // Invalid JSON-LD block, skip
+      }
+    });
+
+    if (crumbs.length === 0) {
+      crumbs = $('[itemtype$="schema.org/BreadcrumbList"] [itemprop="itemListElement"]')
+        .map((i, el) => $(el).find('[itemprop="name"]').first().text())
+        .get();
+    }
+
+    for (const selector of BaseCrawler.BREADCRUMB_SELECTORS) {
+      if (crumbs.length > 0) break;
+      const $trail = $(selector).first();
+      if (!$trail.length) continue;
+      const $items = $trail.find('li').length ? $trail.find('li') : $trail.find('a, span');
+      crumbs = $items.map((i, el) => $(el).text()).get();
+      // Plain text trails such as "Home / Laptops / Acer Swift 3"
+      if (crumbs.length === 0) crumbs = $trail.text().split(/[>›»/|]/);
+    }
+
+    crumbs = crumbs.map(crumb => String(crumb || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+    if (crumbs.length > 0 && /^(home|start|home page|homepage)$/i.test(crumbs[0])) crumbs.shift();
+    return crumbs;
+  }
+
+  // Category named by a breadcrumb trail: its last entry, skipping the
+  // product's own name that product pages end their trail with
+  categoryFromBreadcrumbs(crumbs, productName = null) {
+    const trail = [...crumbs];
+    const key = (name) => name.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (productName && trail.length > 0 && key(trail[trail.length - 1]) === key(productName)) {
+      trail.pop();
+    }
+    return trail.length > 0 ? this.leafCategory(trail[trail.length - 1]) : null;
+  }
+
+  // Selectors used on product detail pages when structured data is missing
+  static DETAIL_SELECTORS = {
+    name: ['h1[itemprop="name"]', 'h1.product_title', 'h1.product-title', '.product__title h1', '.product-name h1', 'h1'],
+    description: [
+      '[itemprop="description"]',
+      '.product-description',
+      '.product__description',
+      '.woocommerce-product-details__short-description',
+      '#tab-description',
+      '#description',
+      '.description'
+    ],
+    brand: ['[itemprop="brand"]', '.product-brand', '.product__vendor', '.brand'],
+    availability: ['[itemprop="availability"]', '.stock', '.availability', '.product-stock', '[data-availability]'],
+    shipping: ['.shipping-cost', '.shipping-price', '.delivery-cost', '.product-shipping', '.shipping'],
+    images: [
+      '.woocommerce-product-gallery img',
+      '.product__media img',
+      '.product-gallery img',
+      '.product-images img',
+      '.product-image img',
+      '.gallery img',
+      '[data-zoom-image]'
+    ]
+  };
+
+  // Map stock text such as "Only 3 left in stock" to an availability value
+  parseAvailabilityText(text) {
+    if (!text) return null;
+    if (/out of stock|sold out|unavailable|not available/i.test(text)) return 'out_of_stock';
+    if (/pre-?order/i.test(text)) return 'pre_order';
+    if (/back-?order/i.test(text)) return 'back_order';
+    if (/in stock|available|left in stock/i.test(text)) return 'in_stock';
+    return null;
+  }
+
+  // Shipping fee from text such as "Shipping: $4.99" or "Free delivery".
+  // Free-shipping thresholds ("Free shipping over $50") are not a fee.
+  parseShippingText(text) {
+    if (!text) return null;
+    const clean = text.replace(/free (?:shipping|delivery) (?:on orders )?(?:over|above|from)\s*\S+/gi, ' ');
+    if (/free (?:shipping|delivery)|(?:shipping|delivery)\s*:?\s*free/i.test(clean)) return 0;
+
+    const match = clean.match(/(?:shipping|delivery|postage)[^\d$€£¥]{0,20}([$€£¥]?\s*\d[\d.,]*)/i);
+    if (match) return this.parsePrice(match[1]);
+    // A selector holding just the amount
+    return clean.trim().length <= 12 ? this.parsePrice(clean) : null;
+  }
+
+  // Quantity from stock text such as "Only 3 left" or "12 in stock"
+  parseStockQuantity(text) {
+    if (!text) return null;
+    const match = text.match(/(\d+)\s*(?:items?|pcs|units?)?\s*(?:in stock|left|available|remaining)/i) ||
+                  text.match(/\bstock\s*:?\s*(\d+)\b/i);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  // Add-to-cart buttons on listing and product pages
+  static ADD_TO_CART_SELECTOR = [
+    'button[name="add"]',
+    '[name="add-to-cart"]',
+    '.add_to_cart_button',
+    '.add-to-cart',
+    '.product-form__submit',
+    '.btn-cart',
+    '.tocart'
+  ].join(', ');
+
+  // Stock classes that WooCommerce and many themes put on the product container
+  static AVAILABILITY_CLASSES = {
+    outofstock: 'out_of_stock',
+    'out-of-stock': 'out_of_stock',
+    'sold-out': 'out_of_stock',
+    onbackorder: 'back_order',
+    instock: 'in_stock',
+    'in-stock': 'in_stock'
+  };
+
+  // A disabled or "Sold out" button means out of stock; "Pre-order" a preorder
+  availabilityFromCartButton(text, disabled) {
+    const fromText = this.parseAvailabilityText(text);
+    if (fromText && fromText !== 'in_stock') return fromText;
+    if (disabled) return 'out_of_stock';
+    return /add to (cart|bag|basket)|buy now/i.test(text || '') ? 'in_stock' : null;
+  }
+
+  // Availability of a listing entry from, in order: stock text ([selector, text]
+  // pairs), stock classes on the container, then the add-to-cart button state
+  resolveAvailability(stockTexts, containerClasses, cartButton) {
+    for (const [selector, text] of stockTexts) {
+      const availability = this.normalizeAvailability(text);
+      if (availability) {
+        return { availability, stock_quantity: this.parseStockQuantity(text), selector };
+      }
+    }
+
+    for (const name of (containerClasses || '').split(/\s+/)) {
+      const availability = BaseCrawler.AVAILABILITY_CLASSES[name.toLowerCase()];
+      if (availability) {
+        return { availability, stock_quantity: null, selector: `.${name}` };
+      }
+    }
+
+    if (cartButton) {
+      const availability = this.availabilityFromCartButton(cartButton.text, cartButton.disabled);
+      if (availability) {
+        return { availability, stock_quantity: null, selector: 'add-to-cart' };
+      }
+    }
+
+    return { availability: null, stock_quantity: null, selector: null };
+  }
+
+  // Enrich a product with the attributes found on its detail page
+  applyDetailPage(product, $, pageUrl) {
+    const selectors = BaseCrawler.DETAIL_SELECTORS;
+    const firstText = (list) => {
+      for (const selector of list) {
+        const el = $(selector).first();
+        const text = el.length ? (el.attr('content') || el.text()).replace(/\s+/g, ' ').trim() : '';
+        if (text) return text;
+      }
+      return null;
+    };
+
+    // The page's own product: the one matching the listing entry, else the only one
+    const structured = this.extractStructuredData($, pageUrl);
+    const item = structured.find(s => this.findMatchingProduct([product], s)) ||
+                 (structured.length === 1 ? structured[0] : {});
+
+    const bodyText = $('body').text().replace(/\s+/g, ' ');
+    const codeFromText = (pattern) => {
+      const match = bodyText.match(pattern);
+      return match ? match[1] : null;
+    };
+
+    const images = [...(item.images || [])];
+    for (const selector of selectors.images) {
+      $(selector).each((i, el) => {
+        const $img = $(el);
+        const src = $img.attr('data-zoom-image') || $img.attr('data-large_image') ||
+                    $img.attr('data-src') || $img.attr('src');
+        const url = this.normalizeUrl(src);
+        if (url && !url.startsWith('data:')) images.push(url);
+      });
+    }
+    if (product.image_url) images.push(product.image_url);
+
+    const breadcrumbs = this.extractBreadcrumbs($);
+    const details = {
+      description: item.description || firstText(selectors.description) ||
+                   $('meta[name="description"]').attr('content') || null,
+      brand: this.cleanBrandText(item.brand || firstText(selectors.brand)),
+      category: item.category || this.categoryFromBreadcrumbs(breadcrumbs, item.name || product.name),
+      breadcrumbs: breadcrumbs.length > 0 ? breadcrumbs : null,
+      gtin: item.gtin || codeFromText(/\b(?:EAN|GTIN|UPC)(?:-?1[234])?\s*[:#]?\s*(\d{8,14})\b/i),
+      mpn: item.mpn || codeFromText(/\bMPN\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{2,})\b/i),
+      images: images.length > 0 ? [...new Set(images)] : null
+    };
+
+    // Stock from structured data, else the stock text or the add-to-cart button
+    const $cart = $(BaseCrawler.ADD_TO_CART_SELECTOR).first();
+    const stock = this.resolveAvailability(
+      selectors.availability.map(selector => {
+        const el = $(selector).first();
+        return [selector, el.length ? (el.attr('content') || el.attr('href') || el.text()).trim() : ''];
+      }),
+      null,
+      $cart.length ? { text: $cart.text() || $cart.attr('value'), disabled: $cart.is('[disabled], .disabled') } : null
+    );
+    const availability = item.availability || stock.availability;
+    if (availability) {
+      product.availability = availability;
+      product.stock_quantity = Number.isInteger(item.stock_quantity) ? item.stock_quantity : stock.stock_quantity;
+    }
+
+    // Shipping fee for websites whose shipping rules read it from product pages
+    const shippingFee = Number.isFinite(item.shipping_fee)
+      ? item.shipping_fee
+      : this.parseShippingText($('[data-shipping]').first().attr('data-shipping') || firstText(selectors.shipping));
+    if (shippingFee !== null) product.shipping_fee = shippingFee;
+
+    // Detail pages carry the full name and the current price
+    const name = item.name || firstText(selectors.name);
+    if (name && name.length >= (product.name || '').length) product.name = name;
+    if (item.price) {
+      product.price = item.price;
+      product.list_price = this.listPriceFor(item.price, item.list_price || product.list_price);
+    }
+    if (item.sku && !product.sku) product.sku = item.sku;
+    if (!product.image_url && details.images) product.image_url = details.images[0];
+
+    const variants = item.variants || this.extractWooVariations($);
+    if (variants) product.variants = variants;
+
+    const raw = { ...product.raw_data };
+    for (const [key, value] of Object.entries(details)) {
+      if (value) raw[key] = value;
+    }
+    if (item.currency) {
+      raw.currency = item.currency;
+      product.currency = item.currency.toUpperCase();
+    }
+    raw.detail_crawled_at = new Date().toISOString();
+    product.raw_data = raw;
+
+    return product;
+  }
+
+  // Second pass: visit product detail pages (own page budget and delay).
+  // fetchHtml(url) returns the page HTML for the crawler in use.
+  async crawlDetailPages(fetchHtml) {
+    // Skip pages already read (sitemap product pages) or disallowed by robots.txt
+    const pending = this.products.filter(p => p.product_url &&
+      !this.detailVisited.has(p.product_url) &&
+      !(p.raw_data && p.raw_data.detail_crawled_at) &&
+      this.isAllowed(p.product_url));
+    const budget = Math.max(0, this.options.maxDetailPages - this.detailPagesCrawled);
+    const queue = pending.slice(0, budget);
+
+    this.onProgress({
+      status: 'details',
+      message: `Fetching ${queue.length} product detail pages...`,
+      pagesCrawled: this.pagesCrawled,
+      detailPagesCrawled: this.detailPagesCrawled,
+      productsFound: this.products.length
+    });
+
+    for (const product of queue) {
+      if (this.stopped) break;
+      const url = product.product_url;
+      this.detailVisited.add(url);
+
+      try {
+        const html = await fetchHtml(url);
+        this.applyDetailPage(product, cheerio.load(html), url);
+
+        this.detailPagesCrawled++;
+        this.onProgress({
+          status: 'details',
+          message: `Fetched details for ${url}`,
+          pagesCrawled: this.pagesCrawled,
+          detailPagesCrawled: this.detailPagesCrawled,
+          productsFound: this.products.length
+        });
+        if (this.detailPagesCrawled % this.options.checkpointInterval === 0) {
+          this.onCheckpoint(this.getCheckpoint());
+        }
+
+        await this.sleep(this.options.detailDelay);
+      } catch (error) {
+        console.error(`Error fetching details from ${url}:`, error.message);
+        this.onProgress({
+          status: 'error',
+          message: `Error fetching details from ${url}: ${error.message}`,
+          pagesCrawled: this.pagesCrawled,
+          detailPagesCrawled: this.detailPagesCrawled,
+          productsFound: this.products.length
+        });
+      }
+    }
+  }
+
+  // URL shapes used to classify sitemap entries
+  static PRODUCT_URL_PATTERNS = [
+    /\/products?\/[^/]+/i,
+    /\/p\/[^/]+/i,
+    /\/item\/[^/]+/i,
+    /\/dp\/[^/]+/i,
+    /-p-\d+/i
+  ];
+
+  static LISTING_URL_PATTERNS = [
+    /\/category\//i,
+    /\/product-category\//i,
+    /\/collections?\//i,
+    /\/catalog\//i,
+    /\/shop\//i
+  ];
+
+  // Upper bounds for sitemap discovery
+  static SITEMAP_LIMITS = { files: 25, urls: 5000 };
+
+  // Fetch a URL as a buffer (used for robots.txt and sitemaps)
+  async fetchResource(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.options.timeout);
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+        },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      return Buffer.from(await response.arrayBuffer());
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  async fetchJson(url) {
+    const body = await this.fetchResource(url);
+    return JSON.parse(body.toString('utf8'));
+  }
+
+  // Plain text from an HTML fragment (product descriptions from APIs)
+  htmlToText(html) {
+    if (!html) return null;
+    const text = cheerio.load(html).root().text().replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+
+  // Read robots.txt; a missing or unreadable file allows everything
+  async loadRobots() {
+    try {
+      const body = await this.fetchResource(`${this.parsedUrl.origin}/robots.txt`);
+      this.robots = new RobotsTxt(body.toString('utf8'));
+    } catch (e) {
+      this.robots = null;
+      return;
+    }
+
+    const crawlDelay = this.robots.crawlDelay;
+    if (crawlDelay) {
+      const delay = crawlDelay * 1000;
+      this.options.delay = Math.max(this.options.delay, delay);
+      this.options.detailDelay = Math.max(this.options.detailDelay, delay);
+    }
+  }
+
+  isAllowed(url) {
+    return !this.robots || this.robots.isAllowed(url);
+  }
+
+  // Same site, ignoring a leading "www."
+  isSameSite(url) {
+    try {
+      const strip = (host) => host.replace(/^www\./, '');
+      return strip(new URL(url).hostname) === strip(this.hostname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Sitemap file names often say what they list (product-sitemap.xml, sitemap_collections_1.xml)
+  classifySitemap(sitemapUrl) {
+    const name = sitemapUrl.split('?')[0].split('/').pop().toLowerCase();
+    if (/product/.test(name) && !/product[-_]?cat/.test(name)) return 'product';
+    if (/categor|collection|product[-_]?cat|taxonom/.test(name)) return 'listing';
+    if (/post|page|blog|article|news|author|tag|image|video/.test(name)) return 'ignore';
+    return null;
+  }
+
+  classifyUrl(url) {
+    if (BaseCrawler.PRODUCT_URL_PATTERNS.some(pattern => pattern.test(url))) return 'product';
+    if (BaseCrawler.LISTING_URL_PATTERNS.some(pattern => pattern.test(url))) return 'listing';
+    return null;
+  }
+
+  // Sitemaps may be gzipped (sitemap.xml.gz) whatever the Content-Type says
+  async fetchSitemap(url) {
+    const body = await this.fetchResource(url);
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      return zlib.gunzipSync(body).toString('utf8');
+    }
+    return body.toString('utf8');
+  }
+
+  // Walk the sitemaps declared in robots.txt (or /sitemap.xml), following
+  // sitemap indexes, and sort the URLs into product and listing pages
+  async discoverFromSitemaps() {
+    const limits = BaseCrawler.SITEMAP_LIMITS;
+    const declared = this.robots && this.robots.sitemaps.length > 0
+      ? this.robots.sitemaps
+      : [`${this.parsedUrl.origin}/sitemap.xml`];
+    const queue = [...declared];
+    const seen = new Set();
+    const productUrls = new Set();
+    const listingUrls = new Set();
+
+    while (queue.length > 0 && seen.size < limits.files && !this.stopped) {
+      const sitemapUrl = queue.shift();
+      if (seen.has(sitemapUrl)) continue;
+      seen.add(sitemapUrl);
+
+      try {
+        const $ = cheerio.load(await this.fetchSitemap(sitemapUrl), { xmlMode: true });
+
+        $('sitemapindex > sitemap > loc').each((i, el) => {
+          const loc = $(el).text().trim();
+          if (loc) queue.push(loc);
+        });
+
+        const hint = this.classifySitemap(sitemapUrl);
+        if (hint === 'ignore') continue;
+
+        $('urlset > url > loc').each((i, el) => {
+          const loc = $(el).text().trim();
+          if (!loc || !this.isSameSite(loc) || !this.isAllowed(loc)) return;
+          if (productUrls.size + listingUrls.size >= limits.urls) return false;
+
+          const type = hint || this.classifyUrl(loc);
+          if (type === 'product') {
+            productUrls.add(loc);
+          } else if (type === 'listing') {
+            listingUrls.add(loc);
+          }
+        });
+      } catch (error) {
+        console.error(`Error reading sitemap ${sitemapUrl}:`, error.message);
+      }
+    }
+
+    return { productUrls: [...productUrls], listingUrls: [...listingUrls] };
+  }
+
+  // Load robots.txt and, unless discovery mode is 'links', seed the frontier
+  // from sitemaps. Sitemaps are only read once per crawl (not after a resume).
+  async prepareDiscovery() {
+    await this.loadRobots();
+
+    const mode = this.options.discoveryMode;
+    if (this.discoveryDone || mode === 'links') return;
+    this.discoveryDone = true;
+
+    this.onProgress({
+      status: 'discovering',
+      message: 'Reading sitemaps...',
+      pagesCrawled: this.pagesCrawled,
+      productsFound: this.products.length
+    });
+
+    const { productUrls, listingUrls } = await this.discoverFromSitemaps();
+    if (productUrls.length === 0 && listingUrls.length === 0) {
+      if (mode === 'sitemap') {
+        this.sitemapFallback = true;
+      }
+      this.onProgress({
+        status: 'discovering',
+        message: 'No sitemap URLs found, following links instead',
+        pagesCrawled: this.pagesCrawled,
+        productsFound: this.products.length
+      });
+      return;
+    }
+
+    for (const url of listingUrls) {
+      if (!this.urlsToVisit.includes(url)) this.urlsToVisit.push(url);
+    }
+    this.productUrlsToVisit.push(...productUrls);
+
+    this.onProgress({
+      status: 'discovering',
+      message: `Sitemaps listed ${productUrls.length} product and ${listingUrls.length} listing pages`,
+      pagesCrawled: this.pagesCrawled,
+      productsFound: this.products.length
+    });
+  }
+
+  // In sitemap mode only pagination is followed, unless no sitemap was found
+  followCategoryLinks() {
+    return this.options.discoveryMode !== 'sitemap' || !!this.sitemapFallback;
+  }
+
+  hasPendingUrls() {
+    return this.urlsToVisit.length > 0 || this.productUrlsToVisit.length > 0;
+  }
+
+  // Listing pages are visited before product pages found in sitemaps
+  nextUrl() {
+    if (this.urlsToVisit.length > 0) {
+      return { url: this.urlsToVisit.shift(), isProductPage: false };
+    }
+    return { url: this.productUrlsToVisit.shift(), isProductPage: true };
+  }
+
+  // Product page found in a sitemap: structured data and detail selectors,
+  // with the listing price selectors as a last resort
+  extractProductPage($, pageUrl) {
+    const product = {
+      name: null, price: null, list_price: null, promo_text: null, availability: null, stock_quantity: null,
+      shipping_fee: null, sku: null, image_url: null, product_url: pageUrl
+    };
+    this.applyDetailPage(product, $, pageUrl);
+
+    const selectors = this.getSelectors();
+    if (!product.price) {
+      for (const selector of selectors.price) {
+        const $price = $(selector).first();
+        const text = $price.length ? this.currentPriceText($price) : '';
+        const price = this.parsePrice(text);
+        if (price) {
+          product.price = price;
+          product.currency = product.currency || this.detectCurrency(text);
+          break;
+        }
+      }
+    }
+    if (!product.list_price) {
+      for (const selector of selectors.listPrice) {
+        const listPrice = this.listPriceFor(product.price, this.parsePrice($(selector).first().text()));
+        if (listPrice) {
+          product.list_price = listPrice;
+          break;
+        }
+      }
+    }
+    for (const selector of selectors.promo) {
+      const promo = this.cleanPromoText($(selector).first().text());
+      if (promo) {
+        product.promo_text = promo;
+        break;
+      }
+    }
+    this.applyCurrency([product], $);
+
+    return product.name ? product : null;
+  }
+
   // Detect platform type
   detectPlatform(html) {
     if (html.includes('Shopify') || html.includes('cdn.shopify.com')) {
@@ -217,11 +1549,66 @@ class BaseCrawler {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  // Snapshot of the crawl frontier, used to resume after a restart
+  getCheckpoint() {
+    return {
+      urlsToVisit: [...this.urlsToVisit],
+      visitedUrls: [...this.visitedUrls],
+      products: this.products,
+      pagesCrawled: this.pagesCrawled,
+      detailVisited: [...this.detailVisited],
+      detailPagesCrawled: this.detailPagesCrawled,
+      productUrlsToVisit: [...this.productUrlsToVisit],
+      discoveryDone: !!this.discoveryDone,
+      sitemapFallback: !!this.sitemapFallback,
+      platform: this.platform || null,
+      siteCurrency: this.siteCurrency || null
+    };
+  }
+
+  restoreCheckpoint(checkpoint) {
+    this.urlsToVisit = checkpoint.urlsToVisit || [this.baseUrl];
+    this.visitedUrls = new Set(checkpoint.visitedUrls || []);
+    this.products = checkpoint.products || [];
+    this.pagesCrawled = checkpoint.pagesCrawled || 0;
+    this.detailVisited = new Set(checkpoint.detailVisited || []);
+    this.detailPagesCrawled = checkpoint.detailPagesCrawled || 0;
+    this.productUrlsToVisit = checkpoint.productUrlsToVisit || [];
+    this.discoveryDone = !!checkpoint.discoveryDone;
+    this.sitemapFallback = !!checkpoint.sitemapFallback;
+    if (checkpoint.platform) {
+      this.platform = checkpoint.platform;
+    }
+    this.siteCurrency = checkpoint.siteCurrency || null;
+    this.resumed = true;
+  }
+
+  // Call after each crawled page; saves a checkpoint at the configured interval
+  checkpointIfDue() {
+    if (this.pagesCrawled % this.options.checkpointInterval === 0) {
+      this.onCheckpoint(this.getCheckpoint());
+    }
+  }
+
+  // Why a page cannot be previewed, or null; HTML crawlers preview any page
+  previewScopeError(pageUrl) {
+    return null;
+  }
+
+  // Stop crawling after the current page
+  async close() {
+    this.stopped = true;
+  }
+
   // Abstract methods to be implemented by subclasses
   async crawl() {
     throw new Error('crawl() must be implemented by subclass');
   }
 
+  async preview(url) {
+    throw new Error('preview() must be implemented by subclass');
+  }
+
   async extractProducts(html, url) {
     throw new Error('extractProducts() must be implemented by subclass');
   }
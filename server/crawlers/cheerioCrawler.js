@@ -37,65 +37,82 @@ class CheerioCrawler extends BaseCrawler {
   }
 
   async crawl() {
-    const urlsToVisit = [this.baseUrl];
-    const productUrls = new Set();
-    let pagesCrawled = 0;
+    const urlsToVisit = this.urlsToVisit;
+    const productUrls = new Set(this.products.map(p => p.product_url).filter(Boolean));
 
     this.onProgress({
       status: 'starting',
-      message: 'Starting crawl...',
-      pagesCrawled: 0,
-      productsFound: 0
+      message: this.resumed ? 'Resuming crawl from checkpoint...' : 'Starting crawl...',
+      pagesCrawled: this.pagesCrawled,
+      productsFound: this.products.length
     });
 
+    // robots.txt rules and, depending on the discovery mode, sitemap URLs
+    await this.prepareDiscovery();
+
     // First pass: collect all product listing pages and product URLs
-    while (urlsToVisit.length > 0 && pagesCrawled < this.options.maxPages) {
-      const url = urlsToVisit.shift();
+    while (this.hasPendingUrls() && this.pagesCrawled < this.options.maxPages && !this.stopped) {
+      const { url, isProductPage } = this.nextUrl();
 
       if (this.visitedUrls.has(url)) continue;
       this.visitedUrls.add(url);
 
+      // Honour robots.txt Disallow rules
+      if (!this.isAllowed(url)) continue;
+
       try {
         const html = await this.fetchPage(url);
         const $ = cheerio.load(html);
 
         // Detect platform on first page
-        if (pagesCrawled === 0) {
+        if (!this.platform) {
           this.platform = this.detectPlatform(html);
         }
 
-        // Extract products from this page
-        const pageProducts = this.extractProductsFromPage($, url);
-        for (const product of pageProducts) {
-          if (product.product_url) {
-            productUrls.add(product.product_url);
+        if (isProductPage) {
+          // Product page from a sitemap
+          const product = this.extractProductPage($, url);
+          if (product) {
+            productUrls.add(url);
+            this.products.push(product);
+          }
+        } else {
+          // Extract products from this page
+          const pageProducts = this.extractProductsFromPage($, url);
+          for (const product of pageProducts) {
+            if (product.product_url) {
+              productUrls.add(product.product_url);
+            }
+            this.products.push(product);
           }
-          this.products.push(product);
-        }
 
-        // Find pagination links
-        const paginationLinks = this.findPaginationLinks($, url);
-        for (const link of paginationLinks) {
-          if (!this.visitedUrls.has(link) && !urlsToVisit.includes(link)) {
-            urlsToVisit.push(link);
+          // Find pagination links
+          const paginationLinks = this.findPaginationLinks($, url);
+          for (const link of paginationLinks) {
+            if (!this.visitedUrls.has(link) && !urlsToVisit.includes(link)) {
+              urlsToVisit.push(link);
+            }
           }
-        }
 
-        // Find category/listing links
-        const categoryLinks = this.findCategoryLinks($, url);
-        for (const link of categoryLinks) {
-          if (!this.visitedUrls.has(link) && !urlsToVisit.includes(link)) {
-            urlsToVisit.push(link);
+          // Find category/listing links
+          if (this.followCategoryLinks()) {
+            const categoryLinks = this.findCategoryLinks($, url);
+            for (const link of categoryLinks) {
+              if (!this.visitedUrls.has(link) && !urlsToVisit.includes(link)) {
+                urlsToVisit.push(link);
+              }
+            }
           }
         }
 
-        pagesCrawled++;
+        this.pagesCrawled++;
         this.onProgress({
           status: 'crawling',
           message: `Crawled ${url}`,
-          pagesCrawled,
+          pagesCrawled: this.pagesCrawled,
           productsFound: this.products.length
         });
+        this.checkpointIfDue();
 
         // Rate limiting
         await this.sleep(this.options.delay);
@@ -104,7 +121,7 @@ class CheerioCrawler extends BaseCrawler {
         this.onProgress({
           status: 'error',
           message: `Error crawling ${url}: ${error.message}`,
-          pagesCrawled,
+          pagesCrawled: this.pagesCrawled,
           productsFound: this.products.length
         });
       }
@@ -113,19 +130,43 @@ class CheerioCrawler extends BaseCrawler {
     // Deduplicate products
     this.products = this.deduplicateProducts(this.products);
 
+    // Second pass: enrich products from their detail pages
+    if (this.options.crawlDetails && !this.stopped) {
+      await this.crawlDetailPages(url => this.fetchPage(url));
+    }
+
     this.onProgress({
       status: 'completed',
       message: `Crawl completed. Found ${this.products.length} products.`,
-      pagesCrawled,
+      pagesCrawled: this.pagesCrawled,
       productsFound: this.products.length
     });
 
     return this.products;
   }
 
+  // Extract products from a single page without following any links
+  async preview(url = this.baseUrl) {
+    const html = await this.fetchPage(url);
+    const $ = cheerio.load(html);
+    this.platform = this.detectPlatform(html);
+
+    const links = [
+      ...this.findPaginationLinks($, url),
+      ...this.findCategoryLinks($, url)
+    ];
+
+    return {
+      url,
+      platform: this.platform,
+      products: this.extractProductsFromPage($, url),
+      links: [...new Set(links)]
+    };
+  }
+
   extractProductsFromPage($, pageUrl) {
     const products = [];
-    const selectors = BaseCrawler.PRODUCT_SELECTORS[this.platform || 'generic'];
+    const selectors = this.getSelectors();
 
     // Try each container selector
     for (const containerSelector of selectors.productContainer) {
@@ -133,7 +174,7 @@ class CheerioCrawler extends BaseCrawler {
 
       if (containers.length > 0) {
         containers.each((i, el) => {
-          const product = this.extractProductFromElement($, el, selectors);
+          const product = this.extractProductFromElement($, el, selectors, containerSelector);
           if (product && product.name) {
             products.push(product);
           }
@@ -145,13 +186,13 @@ class CheerioCrawler extends BaseCrawler {
 
     // If no products found with platform selectors, try generic
     if (products.length === 0 && this.platform !== 'generic') {
-      const genericSelectors = BaseCrawler.PRODUCT_SELECTORS.generic;
+      const genericSelectors = this.getSelectors('generic');
       for (const containerSelector of genericSelectors.productContainer) {
         const containers = $(containerSelector);
 
         if (containers.length > 0) {
           containers.each((i, el) => {
-            const product = this.extractProductFromElement($, el, genericSelectors);
+            const product = this.extractProductFromElement($, el, genericSelectors, containerSelector);
             if (product && product.name) {
               products.push(product);
             }
@@ -162,11 +203,15 @@ class CheerioCrawler extends BaseCrawler {
       }
     }
 
-    return products;
+    // JSON-LD, microdata and OpenGraph values take precedence
+    this.applyStructuredData(products, $, pageUrl);
+    return this.applyCurrency(products, $);
   }
 
-  extractProductFromElement($, element, selectors) {
+  extractProductFromElement($, element, selectors, containerSelector = null) {
     const $el = $(element);
+    // Selector that produced each field, returned when tracing (preview)
+    const matched = { container: containerSelector };
 
     // Extract name
     let name = null;
@@ -174,7 +219,10 @@ class CheerioCrawler extends BaseCrawler {
       const nameEl = $el.find(selector).first();
       if (nameEl.length) {
         name = nameEl.text().trim();
-        if (name) break;
+        if (name) {
+          matched.name = selector;
+          break;
+        }
       }
     }
 
@@ -182,16 +230,58 @@ class CheerioCrawler extends BaseCrawler {
 
     // Extract price
     let price = null;
+    let currency = null;
     for (const selector of selectors.price) {
       const priceEl = $el.find(selector).first();
       if (priceEl.length) {
-        price = this.parsePrice(priceEl.text());
-        if (price) break;
+        const priceText = this.currentPriceText(priceEl);
+        price = this.parsePrice(priceText);
+        if (price) {
+          currency = this.detectCurrency(priceText);
+          matched.price = selector;
+          break;
+        }
+      }
+    }
+
+    // Extract list price (only kept when above the current price)
+    let listPrice = null;
+    for (const selector of selectors.listPrice) {
+      const listPriceEl = $el.find(selector).first();
+      if (listPriceEl.length) {
+        listPrice = this.listPriceFor(price, this.parsePrice(listPriceEl.text()));
+        if (listPrice) {
+          matched.list_price = selector;
+          break;
+        }
+      }
+    }
+
+    // Extract promo badge
+    let promoText = null;
+    for (const selector of selectors.promo) {
+      promoText = this.cleanPromoText($el.find(selector).first().text());
+      if (promoText) {
+        matched.promo = selector;
+        break;
       }
     }
 
+    // Extract availability: stock text, stock classes, then the add-to-cart button
+    const cartEl = $el.find(BaseCrawler.ADD_TO_CART_SELECTOR).first();
+    const cartButton = cartEl.length
+      ? { text: cartEl.text() || cartEl.attr('value'), disabled: cartEl.is('[disabled], .disabled') }
+      : null;
+    const stock = this.resolveAvailability(
+      selectors.availability.map(selector => [selector, $el.find(selector).first().text().trim()]),
+      $el.attr('class'),
+      cartButton
+    );
+    matched.availability = stock.selector;
+
     // Extract SKU
-    const sku = this.extractSku(element, $);
+    const { sku, selector: skuSelector } = this.findSku(element, $);
+    matched.sku = skuSelector;
 
     // Extract image
     let imageUrl = null;
@@ -203,6 +293,7 @@ class CheerioCrawler extends BaseCrawler {
                    imgEl.attr('data-lazy-src');
         if (imageUrl) {
           imageUrl = this.normalizeUrl(imageUrl);
+          matched.image = selector;
           break;
         }
       }
@@ -217,6 +308,7 @@ class CheerioCrawler extends BaseCrawler {
                    anyImg.attr('data-lazy-src');
         if (imageUrl) {
           imageUrl = this.normalizeUrl(imageUrl);
+          matched.image = 'img';
         }
       }
     }
@@ -229,6 +321,7 @@ class CheerioCrawler extends BaseCrawler {
         productUrl = linkEl.attr('href');
         if (productUrl) {
           productUrl = this.normalizeUrl(productUrl);
+          matched.link = selector;
           break;
         }
       }
@@ -241,22 +334,36 @@ class CheerioCrawler extends BaseCrawler {
         productUrl = anyLink.attr('href');
         if (productUrl) {
           productUrl = this.normalizeUrl(productUrl);
+          matched.link = 'a';
         }
       }
     }
 
-    return {
+    const product = {
       name,
       price,
+      list_price: listPrice,
+      promo_text: promoText,
+      availability: stock.availability,
+      stock_quantity: stock.stock_quantity,
+      currency,
       sku,
       image_url: imageUrl,
       product_url: productUrl
     };
+
+    if (this.options.traceSelectors) {
+      product.matched_selectors = this.completeTrace(matched);
+    }
+
+    return product;
   }
 
   findPaginationLinks($, currentUrl) {
     const links = [];
+    const customSelectors = (this.customSelectors && this.customSelectors.pagination) || [];
     const paginationSelectors = [
+      ...customSelectors,
       '.pagination a',
       '.pager a',
       'a.page-numbers',
@@ -321,6 +428,17 @@ class CheerioCrawler extends BaseCrawler {
         const existing = seen.get(key);
         if (!existing.price && product.price) {
           existing.price = product.price;
+          existing.list_price = product.list_price;
+        }
+        if (!existing.promo_text && product.promo_text) {
+          existing.promo_text = product.promo_text;
+        }
+        if (!existing.availability && product.availability) {
+          existing.availability = product.availability;
+          existing.stock_quantity = product.stock_quantity;
+        }
+        if (!existing.currency && product.currency) {
+          existing.currency = product.currency;
         }
         if (!existing.sku && product.sku) {
           existing.sku = product.sku;
@@ -328,6 +446,12 @@ class CheerioCrawler extends BaseCrawler {
         if (!existing.image_url && product.image_url) {
           existing.image_url = product.image_url;
         }
+        if (!existing.raw_data && product.raw_data) {
+          existing.raw_data = product.raw_data;
+        }
+        if (!existing.variants && product.variants) {
+          existing.variants = product.variants;
+        }
       }
     }
 
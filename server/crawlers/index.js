@@ -1,5 +1,15 @@
+const BaseCrawler = require('./baseCrawler');
 const CheerioCrawler = require('./cheerioCrawler');
 const PuppeteerCrawler = require('./puppeteerCrawler');
+const ShopifyCrawler = require('./shopifyCrawler');
+const WooCommerceCrawler = require('./wooCommerceCrawler');
+
+const CRAWLER_CLASSES = {
+  cheerio: CheerioCrawler,
+  puppeteer: PuppeteerCrawler,
+  shopify: ShopifyCrawler,
+  woocommerce: WooCommerceCrawler
+};
 
 class CrawlerManager {
   constructor() {
@@ -23,6 +33,12 @@ class CrawlerManager {
 
       const html = await response.text();
 
+      // Prefer the platform's public JSON API when the shop exposes it
+      const apiType = await this.detectApiCrawler(url, html);
+      if (apiType) {
+        return apiType;
+      }
+
       // Check for indicators of JavaScript-heavy sites
       const jsIndicators = [
         'window.__NEXT_DATA__', // Next.js
@@ -75,14 +91,37 @@ class CrawlerManager {
     }
   }
 
-  async createCrawler(url, options = {}) {
-    let crawlerType = options.crawl_type || 'auto';
+  // Shopify and WooCommerce shops are crawled through their JSON APIs when available
+  async detectApiCrawler(url, html) {
+    const candidates = [];
+    if (html.includes('Shopify') || html.includes('cdn.shopify.com')) {
+      candidates.push(ShopifyCrawler);
+    }
+    if (html.includes('woocommerce') || html.includes('wp-content/plugins/woocommerce')) {
+      candidates.push(WooCommerceCrawler);
+    }
 
-    if (crawlerType === 'auto') {
-      crawlerType = await this.detectCrawlerType(url);
+    for (const CrawlerClass of candidates) {
+      const crawler = new CrawlerClass(url, { timeout: 10000 });
+      if (await crawler.isAvailable()) {
+        return CrawlerClass.PLATFORM;
+      }
     }
+    return null;
+  }
+
+  // Resolve 'auto' to a concrete crawler type
+  async resolveCrawlerType(url, crawlType = 'auto') {
+    if (!crawlType || crawlType === 'auto') {
+      return this.detectCrawlerType(url);
+    }
+    return crawlType;
+  }
+
+  async createCrawler(url, options = {}) {
+    const crawlerType = await this.resolveCrawlerType(url, options.crawl_type);
 
-    const CrawlerClass = crawlerType === 'puppeteer' ? PuppeteerCrawler : CheerioCrawler;
+    const CrawlerClass = CRAWLER_CLASSES[crawlerType] || CheerioCrawler;
     return {
       crawler: new CrawlerClass(url, options),
       type: crawlerType
@@ -90,28 +129,54 @@ class CrawlerManager {
   }
 
   async startCrawl(websiteId, url, options = {}) {
-    const { crawler, type } = await this.createCrawler(url, options);
-
+    // Register the job before crawler type detection so a second start for
+    // the same website is rejected while detection is still running
     const jobInfo = {
       websiteId,
+      jobId: options.jobId || null,
       url,
-      type,
-      crawler,
+      type: options.crawl_type && options.crawl_type !== 'auto' ? options.crawl_type : null,
+      crawler: null,
       startTime: Date.now()
     };
 
     this.activeJobs.set(websiteId, jobInfo);
 
     try {
+      const { crawler, type } = await this.createCrawler(url, options);
+      if (jobInfo.cancelled) {
+        throw new Error('Cancelled by user');
+      }
+      jobInfo.crawler = crawler;
+      jobInfo.type = type;
+
       const products = await crawler.crawl();
-      this.activeJobs.delete(websiteId);
-      return { success: true, products, crawlerType: type };
-    } catch (error) {
-      this.activeJobs.delete(websiteId);
-      throw error;
+      if (jobInfo.cancelled) {
+        throw new Error('Cancelled by user');
+      }
+      return { success: true, products, crawlerType: type, currency: crawler.siteCurrency || null };
+    } finally {
+      if (this.activeJobs.get(websiteId) === jobInfo) {
+        this.activeJobs.delete(websiteId);
+      }
     }
   }
 
+  // Run the extraction pipeline on one page and report which selectors
+  // matched; returns { error } for a page the crawler cannot preview
+  async preview(websiteUrl, pageUrl, options = {}) {
+    const { crawler, type } = await this.createCrawler(websiteUrl, {
+      ...options,
+      traceSelectors: true
+    });
+    const scopeError = crawler.previewScopeError(pageUrl || websiteUrl);
+    if (scopeError) {
+      return { error: scopeError };
+    }
+    const result = await crawler.preview(pageUrl || websiteUrl);
+    return { ...result, crawler_type: type };
+  }
+
   getActiveJob(websiteId) {
     return this.activeJobs.get(websiteId);
   }
@@ -120,13 +185,24 @@ class CrawlerManager {
     return Array.from(this.activeJobs.values());
   }
 
+  getActiveJobCount() {
+    return this.activeJobs.size;
+  }
+
+  countActiveByType(type) {
+    return this.getAllActiveJobs().filter(job => job.type === type).length;
+  }
+
+  // Stop a running crawl. The job keeps its concurrency slot until startCrawl
+  // returns, so no other crawl starts while a browser is still closing.
   cancelCrawl(websiteId) {
     const job = this.activeJobs.get(websiteId);
-    if (job && job.crawler) {
-      if (job.crawler.close) {
-        job.crawler.close();
+    if (job) {
+      job.cancelled = true;
+      if (job.crawler && job.crawler.close) {
+        Promise.resolve(job.crawler.close())
+          .catch(error => console.error(`Error closing crawler for website ${websiteId}:`, error.message));
       }
-      this.activeJobs.delete(websiteId);
       return true;
     }
     return false;
@@ -137,7 +213,10 @@ class CrawlerManager {
 const crawlerManager = new CrawlerManager();
 
 module.exports = {
+  BaseCrawler,
   CheerioCrawler,
   PuppeteerCrawler,
+  ShopifyCrawler,
+  WooCommerceCrawler,
   crawlerManager
 };
@@ -1,4 +1,5 @@
 const puppeteer = require('puppeteer');
+const cheerio = require('cheerio');
 const BaseCrawler = require('./baseCrawler');
 
 class PuppeteerCrawler extends BaseCrawler {
@@ -43,6 +44,7 @@ class PuppeteerCrawler extends BaseCrawler {
   }
 
   async close() {
+    this.stopped = true;
     if (this.browser) {
       await this.browser.close();
       this.browser = null;
@@ -54,23 +56,28 @@ class PuppeteerCrawler extends BaseCrawler {
     try {
       await this.init();
 
-      const urlsToVisit = [this.baseUrl];
-      let pagesCrawled = 0;
+      const urlsToVisit = this.urlsToVisit;
 
       this.onProgress({
         status: 'starting',
-        message: 'Starting Puppeteer crawl...',
-        pagesCrawled: 0,
-        productsFound: 0
+        message: this.resumed ? 'Resuming Puppeteer crawl from checkpoint...' : 'Starting Puppeteer crawl...',
+        pagesCrawled: this.pagesCrawled,
+        productsFound: this.products.length
       });
 
+      // robots.txt rules and, depending on the discovery mode, sitemap URLs
+      await this.prepareDiscovery();
+
       // First pass: collect products from listing pages
-      while (urlsToVisit.length > 0 && pagesCrawled < this.options.maxPages) {
-        const url = urlsToVisit.shift();
+      while (this.hasPendingUrls() && this.pagesCrawled < this.options.maxPages && !this.stopped) {
+        const { url, isProductPage } = this.nextUrl();
 
         if (this.visitedUrls.has(url)) continue;
         this.visitedUrls.add(url);
 
+        // Honour robots.txt Disallow rules
+        if (!this.isAllowed(url)) continue;
+
         try {
           await this.page.goto(url, {
             waitUntil: 'networkidle2',
@@ -84,30 +91,40 @@ class PuppeteerCrawler extends BaseCrawler {
           await this.autoScroll();
 
           // Detect platform on first page
-          if (pagesCrawled === 0) {
+          if (!this.platform) {
             const html = await this.page.content();
             this.platform = this.detectPlatform(html);
           }
 
-          // Extract products
-          const pageProducts = await this.extractProductsFromPage();
-          this.products.push(...pageProducts);
-
-          // Find pagination and category links
-          const newLinks = await this.findLinks();
-          for (const link of newLinks) {
-            if (!this.visitedUrls.has(link) && !urlsToVisit.includes(link)) {
-              urlsToVisit.push(link);
+          if (isProductPage) {
+            // Product page from a sitemap
+            const html = await this.page.content();
+            const product = this.extractProductPage(cheerio.load(html), url);
+            if (product) {
+              this.products.push(product);
+            }
+          } else {
+            // Extract products
+            const pageProducts = await this.extractProductsFromPage();
+            this.products.push(...pageProducts);
+
+            // Find pagination and category links
+            const newLinks = await this.findLinks(this.followCategoryLinks());
+            for (const link of newLinks) {
+              if (!this.visitedUrls.has(link) && !urlsToVisit.includes(link)) {
+                urlsToVisit.push(link);
+              }
             }
           }
 
-          pagesCrawled++;
+          this.pagesCrawled++;
           this.onProgress({
             status: 'crawling',
             message: `Crawled ${url}`,
-            pagesCrawled,
+            pagesCrawled: this.pagesCrawled,
             productsFound: this.products.length
           });
+          this.checkpointIfDue();
 
           // Rate limiting
           await this.sleep(this.options.delay);
@@ -116,7 +133,7 @@ class PuppeteerCrawler extends BaseCrawler {
           this.onProgress({
             status: 'error',
             message: `Error crawling ${url}: ${error.message}`,
-            pagesCrawled,
+            pagesCrawled: this.pagesCrawled,
             productsFound: this.products.length
           });
         }
@@ -125,10 +142,21 @@ class PuppeteerCrawler extends BaseCrawler {
       // Deduplicate products
       this.products = this.deduplicateProducts(this.products);
 
+      // Second pass: enrich products from their detail pages
+      if (this.options.crawlDetails && !this.stopped) {
+        await this.crawlDetailPages(async (url) => {
+          await this.page.goto(url, {
+            waitUntil: 'networkidle2',
+            timeout: this.options.timeout
+          });
+          return this.page.content();
+        });
+      }
+
       this.onProgress({
         status: 'completed',
         message: `Crawl completed. Found ${this.products.length} products.`,
-        pagesCrawled,
+        pagesCrawled: this.pagesCrawled,
         productsFound: this.products.length
       });
 
@@ -138,6 +166,31 @@ class PuppeteerCrawler extends BaseCrawler {
     }
   }
 
+  // Extract products from a single rendered page without following any links
+  async preview(url = this.baseUrl) {
+    try {
+      await this.init();
+      await this.page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: this.options.timeout
+      });
+      await this.sleep(1000);
+      await this.autoScroll();
+
+      const html = await this.page.content();
+      this.platform = this.detectPlatform(html);
+
+      return {
+        url,
+        platform: this.platform,
+        products: await this.extractProductsFromPage(),
+        links: await this.findLinks()
+      };
+    } finally {
+      await this.close();
+    }
+  }
+
   async autoScroll() {
     await this.page.evaluate(async () => {
       await new Promise((resolve) => {
@@ -163,19 +216,34 @@ class PuppeteerCrawler extends BaseCrawler {
   }
 
   async extractProductsFromPage() {
-    const selectors = BaseCrawler.PRODUCT_SELECTORS[this.platform || 'generic'];
-    const genericSelectors = BaseCrawler.PRODUCT_SELECTORS.generic;
-
-    return await this.page.evaluate((selectors, genericSelectors) => {
+    const selectors = this.getSelectors();
+    const genericSelectors = this.getSelectors('generic');
+    const customSkuSelectors = (this.customSelectors && this.customSelectors.sku) || [];
+    const traceSelectors = !!this.options.traceSelectors;
+    const struckPriceSelector = BaseCrawler.STRUCK_PRICE_SELECTOR;
+    const addToCartSelector = BaseCrawler.ADD_TO_CART_SELECTOR;
+
+    const products = await this.page.evaluate((selectors, genericSelectors, customSkuSelectors, traceSelectors,
+      struckPriceSelector, addToCartSelector) => {
       const products = [];
 
+      // Current price of a "<del>$20</del> <ins>$15</ins>" pair or of an
+      // element that also shows a struck-through price
+      function currentPriceText(el) {
+        const ins = el.querySelector('ins');
+        if (ins && ins.textContent.trim()) return ins.textContent.trim();
+        const current = el.cloneNode(true);
+        current.querySelectorAll(struckPriceSelector).forEach(struck => struck.remove());
+        return current.textContent.trim() || el.textContent.trim();
+      }
+
       function trySelectors(containerSelectors, fieldSelectors) {
         for (const containerSelector of containerSelectors) {
           const containers = document.querySelectorAll(containerSelector);
 
           if (containers.length > 0) {
             containers.forEach((container) => {
-              const product = extractProduct(container, fieldSelectors);
+              const product = extractProduct(container, fieldSelectors, containerSelector);
               if (product && product.name) {
                 products.push(product);
               }
@@ -187,24 +255,34 @@ class PuppeteerCrawler extends BaseCrawler {
         return false;
       }
 
-      function extractProduct(container, fieldSelectors) {
+      function extractProduct(container, fieldSelectors, containerSelector) {
+        // Selector that produced each field, returned when tracing (preview)
+        const matched = {
+          container: containerSelector, name: null, price: null, list_price: null, promo: null,
+          availability: null, sku: null, image: null, link: null
+        };
+
         // Extract name
         let name = null;
         for (const selector of fieldSelectors.name) {
           const el = container.querySelector(selector);
           if (el) {
             name = el.textContent.trim();
-            if (name) break;
+            if (name) {
+              matched.name = selector;
+              break;
+            }
           }
         }
         if (!name) return null;
 
         // Extract price
         let price = null;
+        let priceText = null;
         for (const selector of fieldSelectors.price) {
           const el = container.querySelector(selector);
           if (el) {
-            const priceText = el.textContent.trim();
+            priceText = currentPriceText(el);
             const cleaned = priceText.replace(/[^0-9.,]/g, '');
             if (cleaned) {
               if (cleaned.includes(',') && cleaned.includes('.')) {
@@ -225,26 +303,86 @@ class PuppeteerCrawler extends BaseCrawler {
               } else {
                 price = parseFloat(cleaned);
               }
-              if (price) break;
+              if (price) {
+                matched.price = selector;
+                break;
+              }
             }
           }
         }
 
+        // List price candidates, compared with the price outside the page context
+        const listPriceTexts = [];
+        for (const selector of fieldSelectors.listPrice) {
+          const el = container.querySelector(selector);
+          if (el && el.textContent.trim()) {
+            listPriceTexts.push([selector, el.textContent.trim()]);
+          }
+        }
+
+        // Extract promo badge
+        let promoText = null;
+        for (const selector of fieldSelectors.promo) {
+          const el = container.querySelector(selector);
+          if (el && el.textContent.trim()) {
+            promoText = el.textContent.replace(/\s+/g, ' ').trim().slice(0, 100);
+            matched.promo = selector;
+            break;
+          }
+        }
+
+        // Stock text, container classes and add-to-cart button, resolved
+        // outside the page context
+        const stockTexts = [];
+        for (const selector of fieldSelectors.availability) {
+          const el = container.querySelector(selector);
+          if (el && el.textContent.trim()) {
+            stockTexts.push([selector, el.textContent.trim()]);
+          }
+        }
+        const cart = container.querySelector(addToCartSelector);
+        const cartButton = cart
+          ? {
+              text: cart.textContent.trim() || cart.getAttribute('value'),
+              disabled: !!cart.disabled || cart.classList.contains('disabled')
+            }
+          : null;
+
         // Extract SKU
         let sku = null;
+        for (const selector of customSkuSelectors) {
+          const el = container.querySelector(selector);
+          if (el) {
+            sku = el.getAttribute('data-sku') ||
+                  el.getAttribute('data-product-id') ||
+                  el.getAttribute('content') ||
+                  el.textContent.trim();
+            if (sku) {
+              matched.sku = selector;
+              break;
+            }
+          }
+        }
         const skuAttrs = ['data-sku', 'data-product-id', 'data-variant-id', 'data-item-id'];
         for (const attr of skuAttrs) {
+          if (sku) break;
           const el = container.querySelector(`[${attr}]`);
           if (el) {
             sku = el.getAttribute(attr);
-            if (sku) break;
+            if (sku) {
+              matched.sku = `[${attr}]`;
+              break;
+            }
           }
         }
         if (!sku) {
           const skuEl = container.querySelector('.sku, .product-sku');
           if (skuEl) {
             const match = skuEl.textContent.match(/(?:SKU|Item|#)?:?\s*([A-Z0-9-]+)/i);
-            if (match) sku = match[1];
+            if (match) {
+              sku = match[1];
+              matched.sku = '.sku, .product-sku';
+            }
           }
         }
 
@@ -254,13 +392,17 @@ class PuppeteerCrawler extends BaseCrawler {
           const el = container.querySelector(selector);
           if (el) {
             imageUrl = el.src || el.getAttribute('data-src') || el.getAttribute('data-lazy-src');
-            if (imageUrl) break;
+            if (imageUrl) {
+              matched.image = selector;
+              break;
+            }
           }
         }
         if (!imageUrl) {
           const img = container.querySelector('img');
           if (img) {
             imageUrl = img.src || img.getAttribute('data-src') || img.getAttribute('data-lazy-src');
+            if (imageUrl) matched.image = 'img';
           }
         }
 
@@ -270,23 +412,39 @@ class PuppeteerCrawler extends BaseCrawler {
           const el = container.querySelector(selector);
           if (el) {
             productUrl = el.href;
-            if (productUrl) break;
+            if (productUrl) {
+              matched.link = selector;
+              break;
+            }
           }
         }
         if (!productUrl) {
           const link = container.querySelector('a');
           if (link) {
             productUrl = link.href;
+            if (productUrl) matched.link = 'a';
           }
         }
 
-        return {
+        const product = {
           name,
           price: price || null,
+          price_text: price ? priceText : null,
+          list_price_texts: listPriceTexts,
+          promo_text: promoText,
+          stock_texts: stockTexts,
+          container_classes: container.getAttribute('class') || '',
+          cart_button: cartButton,
           sku: sku || null,
           image_url: imageUrl || null,
           product_url: productUrl || null
         };
+
+        if (traceSelectors) {
+          product.matched_selectors = matched;
+        }
+
+        return product;
       }
 
       // Try platform-specific selectors first
@@ -296,12 +454,43 @@ class PuppeteerCrawler extends BaseCrawler {
       }
 
       return products;
-    }, selectors, genericSelectors);
+    }, selectors, genericSelectors, customSkuSelectors, traceSelectors, struckPriceSelector, addToCartSelector);
+
+    // The currency, list price and availability are read from the page text
+    // outside the page context
+    for (const product of products) {
+      product.currency = this.detectCurrency(product.price_text);
+      product.list_price = null;
+      for (const [selector, text] of product.list_price_texts) {
+        product.list_price = this.listPriceFor(product.price, this.parsePrice(text));
+        if (product.list_price) {
+          if (product.matched_selectors) product.matched_selectors.list_price = selector;
+          break;
+        }
+      }
+
+      const stock = this.resolveAvailability(product.stock_texts, product.container_classes, product.cart_button);
+      product.availability = stock.availability;
+      product.stock_quantity = stock.stock_quantity;
+      if (product.matched_selectors) product.matched_selectors.availability = stock.selector;
+
+      delete product.price_text;
+      delete product.list_price_texts;
+      delete product.stock_texts;
+      delete product.container_classes;
+      delete product.cart_button;
+    }
+
+    // JSON-LD, microdata and OpenGraph values take precedence
+    const $ = cheerio.load(await this.page.content());
+    this.applyStructuredData(products, $, this.page.url());
+    return this.applyCurrency(products, $);
   }
 
-  async findLinks() {
+  async findLinks(includeCategories = true) {
     const hostname = this.hostname;
-    return await this.page.evaluate((hostname) => {
+    const customPagination = (this.customSelectors && this.customSelectors.pagination) || [];
+    return await this.page.evaluate((hostname, customPagination, includeCategories) => {
       const links = [];
       const categoryPatterns = [
         /\/category\//i,
@@ -313,6 +502,7 @@ class PuppeteerCrawler extends BaseCrawler {
 
       // Pagination links
       const paginationSelectors = [
+        ...customPagination,
         '.pagination a',
         '.pager a',
         'a.page-numbers',
@@ -332,7 +522,7 @@ class PuppeteerCrawler extends BaseCrawler {
 
       // Category links
       document.querySelectorAll('a').forEach((el) => {
-        if (el.href) {
+        if (el.href && includeCategories) {
           try {
             const url = new URL(el.href);
             if (url.hostname === hostname) {
@@ -350,7 +540,7 @@ class PuppeteerCrawler extends BaseCrawler {
       });
 
       return [...new Set(links)].slice(0, 30);
-    }, hostname);
+    }, hostname, customPagination, includeCategories);
   }
 
   deduplicateProducts(products) {
@@ -364,6 +554,17 @@ class PuppeteerCrawler extends BaseCrawler {
         const existing = seen.get(key);
         if (!existing.price && product.price) {
           existing.price = product.price;
+          existing.list_price = product.list_price;
+        }
+        if (!existing.promo_text && product.promo_text) {
+          existing.promo_text = product.promo_text;
+        }
+        if (!existing.availability && product.availability) {
+          existing.availability = product.availability;
+          existing.stock_quantity = product.stock_quantity;
+        }
+        if (!existing.currency && product.currency) {
+          existing.currency = product.currency;
         }
         if (!existing.sku && product.sku) {
           existing.sku = product.sku;
@@ -371,6 +572,12 @@ class PuppeteerCrawler extends BaseCrawler {
         if (!existing.image_url && product.image_url) {
           existing.image_url = product.image_url;
         }
+        if (!existing.raw_data && product.raw_data) {
+          existing.raw_data = product.raw_data;
+        }
+        if (!existing.variants && product.variants) {
+          existing.variants = product.variants;
+        }
       }
     }
 
@@ -0,0 +1,98 @@
+// Minimal robots.txt parser: user-agent groups, Allow/Disallow with * and $
+// wildcards, Crawl-delay and Sitemap declarations
+class RobotsTxt {
+  constructor(text = '', userAgent = 'EcomCompare') {
+    this.groups = [];
+    this.sitemaps = [];
+    this.parse(text);
+    this.group = this.selectGroup(userAgent);
+  }
+
+  parse(text) {
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (!line || separator === -1) continue;
+
+      const key = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (key === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          this.groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+      lastWasAgent = false;
+
+      if (key === 'sitemap') {
+        if (value) this.sitemaps.push(value);
+      } else if (current && (key === 'allow' || key === 'disallow')) {
+        // An empty Disallow allows everything
+        if (value) {
+          current.rules.push({ allow: key === 'allow', path: value, pattern: RobotsTxt.toRegExp(value) });
+        }
+      } else if (current && key === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (Number.isFinite(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+      }
+    }
+  }
+
+  // Group naming our user agent, else the wildcard group
+  selectGroup(userAgent) {
+    const agent = userAgent.toLowerCase();
+    return this.groups.find(g => g.agents.some(a => a !== '*' && agent.includes(a))) ||
+           this.groups.find(g => g.agents.includes('*')) ||
+           null;
+  }
+
+  static toRegExp(path) {
+    const anchored = path.endsWith('$');
+    const body = (anchored ? path.slice(0, -1) : path)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  // Longest matching rule wins; Allow wins a tie
+  isAllowed(url) {
+    if (!this.group) return true;
+
+    let path;
+    try {
+      const parsed = new URL(url);
+      path = parsed.pathname + parsed.search;
+    } catch (e) {
+      return true;
+    }
+
+    let match = null;
+    for (const rule of this.group.rules) {
+      if (!rule.pattern.test(path)) continue;
+      if (!match || rule.path.length > match.path.length ||
+          (rule.path.length === match.path.length && rule.allow)) {
+        match = rule;
+      }
+    }
+
+    return !match || match.allow;
+  }
+
+  // Crawl-delay in seconds, or null
+  get crawlDelay() {
+    return this.group ? this.group.crawlDelay : null;
+  }
+}
+
+module.exports = RobotsTxt;
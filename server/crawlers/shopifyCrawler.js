@@ -0,0 +1,92 @@
+const ApiCrawler = require('./apiCrawler');
+
+// Crawls Shopify stores through the public /products.json endpoint
+class ShopifyCrawler extends ApiCrawler {
+  static PLATFORM = 'shopify';
+  static PAGE_SIZE = 250;
+
+  // A collection URL (/collections/shoes) limits the crawl to that collection
+  getProductsUrl(page, perPage) {
+    const collection = this.parsedUrl.pathname.match(/^\/collections\/[^/]+/);
+    const prefix = collection ? collection[0] : '';
+    return `${this.parsedUrl.origin}${prefix}/products.json?limit=${perPage}&page=${page}`;
+  }
+
+  // Collection pages of the shop preview that collection
+  previewScopeError(pageUrl) {
+    const page = new URL(pageUrl);
+    if (page.origin === this.parsedUrl.origin && /^\/collections\/[^/]+/.test(page.pathname)) {
+      return null;
+    }
+    return super.previewScopeError(pageUrl);
+  }
+
+  async fetchProductsPage(page, perPage) {
+    const data = await this.fetchJson(this.getProductsUrl(page, perPage));
+    if (!data || !Array.isArray(data.products)) {
+      throw new Error('Unexpected products.json response');
+    }
+    return data.products;
+  }
+
+  // products.json has no currency; the shop's /meta.json does
+  async loadStoreCurrency() {
+    try {
+      const meta = await this.fetchJson(`${this.parsedUrl.origin}/meta.json`);
+      if (meta && /^[A-Z]{3}$/.test(meta.currency)) {
+        this.siteCurrency = meta.currency;
+      }
+    } catch (e) {
+      // Left to the website's currency setting
+    }
+  }
+
+  productFromItem(item) {
+    // Option names (Size, Color...) are listed on the product, values as option1..3
+    const optionNames = (item.options || []).map(option => option.name);
+    const variants = (item.variants || []).map(v => {
+      const options = {};
+      [v.option1, v.option2, v.option3].forEach((value, i) => {
+        if (value) options[optionNames[i] || `Option ${i + 1}`] = value;
+      });
+      return {
+        external_id: v.id,
+        title: v.title,
+        sku: v.sku || null,
+        options,
+        price: this.parseStructuredPrice(v.price),
+        compare_at_price: this.parseStructuredPrice(v.compare_at_price),
+        available: v.available !== false
+      };
+    });
+    const variant = this.pickVariant(variants);
+    // The barcode (GTIN) of the variant whose price the product shows
+    const barcodeVariant = variant && (item.variants || []).find(v => v.id === variant.external_id);
+    // Products without options have a single "Default Title" variant
+    const hasVariants = !(variants.length === 1 && variants[0].title === 'Default Title');
+    const images = (item.images || []).map(image => image.src).filter(Boolean);
+
+    return {
+      name: item.title,
+      price: variant ? variant.price : null,
+      list_price: variant ? this.listPriceFor(variant.price, variant.compare_at_price) : null,
+      availability: variants.some(v => v.available) ? 'in_stock' : 'out_of_stock',
+      sku: variant ? variant.sku : null,
+      image_url: images[0] || null,
+      product_url: `${this.parsedUrl.origin}/products/${item.handle}`,
+      raw_data: {
+        api: 'shopify',
+        brand: item.vendor || null,
+        gtin: (barcodeVariant && barcodeVariant.barcode) || null,
+        product_type: item.product_type || null,
+        // Shops use the product type as their category
+        category: item.product_type || null,
+        description: this.htmlToText(item.body_html),
+        images
+      },
+      variants: hasVariants ? variants : []
+    };
+  }
+}
+
+module.exports = ShopifyCrawler;
@@ -0,0 +1,133 @@
+const ApiCrawler = require('./apiCrawler');
+
+// Crawls WooCommerce stores through the public Store API
+class WooCommerceCrawler extends ApiCrawler {
+  static PLATFORM = 'woocommerce';
+  static PAGE_SIZE = 100;
+
+  getProductsUrl(page, perPage, query = '') {
+    return `${this.parsedUrl.origin}/wp-json/wc/store/products?per_page=${perPage}&page=${page}${query}`;
+  }
+
+  async fetchProductsPage(page, perPage, query = '') {
+    const data = await this.fetchJson(this.getProductsUrl(page, perPage, query));
+    if (!Array.isArray(data)) {
+      throw new Error('Unexpected Store API response');
+    }
+    return data;
+  }
+
+  // Store API prices are strings in the currency's minor unit ("1999" = 19.99)
+  parseApiPrice(value, prices) {
+    if (value === undefined || value === null || value === '') return null;
+    const minorUnit = prices.currency_minor_unit !== undefined ? prices.currency_minor_unit : 2;
+    const amount = Number(value);
+    return Number.isFinite(amount) ? amount / Math.pow(10, minorUnit) : null;
+  }
+
+  // Variable products only list variation IDs; fetch the variations in bulk
+  async productsFromItems(items) {
+    const parentIds = items.filter(item => (item.variations || []).length > 0).map(item => item.id);
+    const variationsByParent = new Map();
+
+    if (parentIds.length > 0) {
+      const pageSize = this.constructor.PAGE_SIZE;
+      const query = `&type=variation&parent=${parentIds.join(',')}`;
+      for (let page = 1; !this.stopped; page++) {
+        let variations;
+        try {
+          variations = await this.fetchProductsPage(page, pageSize, query);
+        } catch (error) {
+          // Fall back to the price range of the parent product
+          console.error('Error fetching WooCommerce variations:', error.message);
+          break;
+        }
+
+        for (const variation of variations) {
+          if (!variationsByParent.has(variation.parent)) {
+            variationsByParent.set(variation.parent, []);
+          }
+          variationsByParent.get(variation.parent).push(variation);
+        }
+
+        if (variations.length < pageSize) break;
+        await this.sleep(this.options.delay);
+      }
+    }
+
+    const products = [];
+    for (const item of items) {
+      const product = this.productFromItem(item, variationsByParent.get(item.id) || []);
+      if (product && product.name) {
+        products.push(product);
+      }
+    }
+    return products;
+  }
+
+  productFromItem(item, variationItems = []) {
+    const prices = item.prices || {};
+    // The parent lists each variation's attributes, e.g. [{ name: 'Size', value: 'M' }]
+    const optionsById = new Map((item.variations || []).map(v => [v.id, v.attributes || []]));
+    const variants = variationItems.map(v => {
+      const variantPrices = v.prices || {};
+      const price = this.parseApiPrice(variantPrices.price, variantPrices);
+      const regularPrice = this.parseApiPrice(variantPrices.regular_price, variantPrices);
+      const options = {};
+      for (const attribute of optionsById.get(v.id) || []) {
+        if (attribute.name && attribute.value) options[attribute.name] = attribute.value;
+      }
+      return {
+        external_id: v.id,
+        title: this.htmlToText(v.variation || v.name),
+        sku: v.sku || null,
+        options,
+        price,
+        compare_at_price: this.listPriceFor(price, regularPrice),
+        available: v.is_in_stock !== false,
+        stock_quantity: Number.isInteger(v.low_stock_remaining) ? v.low_stock_remaining : null
+      };
+    });
+
+    const variant = this.pickVariant(variants);
+    const price = variant
+      ? variant.price
+      : this.parseApiPrice(prices.price, prices) ||
+        this.parseApiPrice(prices.price_range && prices.price_range.min_amount, prices);
+    const listPrice = variant
+      ? variant.compare_at_price
+      : this.listPriceFor(price, this.parseApiPrice(prices.regular_price, prices));
+
+    let availability = item.is_in_stock === false ? 'out_of_stock' : 'in_stock';
+    if (item.is_on_backorder) availability = 'back_order';
+
+    const images = (item.images || []).map(image => image.src).filter(Boolean);
+    const brand = (item.brands || [])[0];
+    const category = (item.categories || [])[0];
+
+    return {
+      name: this.htmlToText(item.name),
+      price: price || null,
+      list_price: listPrice,
+      // The Store API only flags sales; "Sale!" is WooCommerce's own badge text
+      promo_text: item.on_sale ? 'Sale!' : null,
+      availability,
+      stock_quantity: Number.isInteger(item.low_stock_remaining) ? item.low_stock_remaining : null,
+      currency: prices.currency_code || null,
+      sku: (variant && variant.sku) || item.sku || null,
+      image_url: images[0] || null,
+      product_url: item.permalink || null,
+      raw_data: {
+        api: 'woocommerce',
+        brand: brand ? brand.name : null,
+        category: category ? this.htmlToText(category.name) : null,
+        description: this.htmlToText(item.short_description || item.description),
+        currency: prices.currency_code || null,
+        images
+      },
+      variants
+    };
+  }
+}
+
+module.exports = WooCommerceCrawler;
@@ -0,0 +1,28 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// The user behind the changes made while handling a request. The audit
+// middleware runs each authenticated request inside runAs(), and the models
+// read currentActor() when they write audit log entries. Code running outside
+// a request (schedules, the crawl queue) has no actor and is logged as system.
+const storage = new AsyncLocalStorage();
+
+function runAs(actor, callback) {
+  return storage.run({ actor }, callback);
+}
+
+// Run work started by a request, such as a crawl, as a system action
+function runAsSystem(callback) {
+  return storage.exit(callback);
+}
+
+// The current user ({ id, username }) or null for system actions
+function currentActor() {
+  const store = storage.getStore();
+  return store ? store.actor : null;
+}
+
+module.exports = {
+  runAs,
+  runAsSystem,
+  currentActor
+};
@@ -1,5 +1,6 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const IdentifierService = require('../services/identifierService');
 
 const dbPath = path.join(__dirname, '../../data/ecomcompare.db');
 const db = new Database(dbPath);
@@ -12,7 +13,7 @@ db.exec(`
   -- Websites table
   CREATE TABLE IF NOT EXISTS websites (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    url TEXT NOT NULL UNIQUE,
+    url TEXT NOT NULL,
     name TEXT,
     is_source INTEGER DEFAULT 0,
     crawl_type TEXT DEFAULT 'auto',
@@ -49,6 +50,17 @@ db.exec(`
     UNIQUE(source_product_id, competitor_product_id)
   );
 
+  -- Price history table (one row per product per crawl)
+  CREATE TABLE IF NOT EXISTS price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    crawl_job_id INTEGER,
+    price REAL,
+    observed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (crawl_job_id) REFERENCES crawl_jobs(id) ON DELETE SET NULL
+  );
+
   -- Crawl jobs table
   CREATE TABLE IF NOT EXISTS crawl_jobs (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -64,12 +76,404 @@ db.exec(`
     FOREIGN KEY (website_id) REFERENCES websites(id) ON DELETE CASCADE
   );
 
+  -- Crawl checkpoints table (crawler frontier saved while a job runs)
+  CREATE TABLE IF NOT EXISTS crawl_checkpoints (
+    crawl_job_id INTEGER PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (crawl_job_id) REFERENCES crawl_jobs(id) ON DELETE CASCADE
+  );
+
+  -- Crawl schedules table (one recurring schedule per website)
+  CREATE TABLE IF NOT EXISTS crawl_schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    website_id INTEGER NOT NULL UNIQUE,
+    cron_expression TEXT NOT NULL,
+    enabled INTEGER DEFAULT 1,
+    last_run_at DATETIME,
+    next_run_at DATETIME,
+    last_job_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (website_id) REFERENCES websites(id) ON DELETE CASCADE
+  );
+
+  -- Product variants table (size, color, pack... of a product)
+  CREATE TABLE IF NOT EXISTS product_variants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    external_id TEXT,
+    title TEXT,
+    sku TEXT,
+    options TEXT,
+    price REAL,
+    compare_at_price REAL,
+    available INTEGER,
+    stock_quantity INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME,
+    last_seen_at DATETIME,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+  );
+
+  -- Variant matches table (variant pairs within a product match)
+  CREATE TABLE IF NOT EXISTS variant_matches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_match_id INTEGER NOT NULL,
+    source_variant_id INTEGER NOT NULL,
+    competitor_variant_id INTEGER NOT NULL,
+    match_type TEXT NOT NULL,
+    match_score REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_match_id) REFERENCES product_matches(id) ON DELETE CASCADE,
+    FOREIGN KEY (source_variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (competitor_variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    UNIQUE(source_variant_id, competitor_variant_id)
+  );
+
+  -- Exchange rates table (units of a currency per 1 USD)
+  CREATE TABLE IF NOT EXISTS exchange_rates (
+    currency TEXT PRIMARY KEY,
+    rate REAL NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Alert rules table (conditions checked after crawls and matching runs)
+  CREATE TABLE IF NOT EXISTS alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    rule_type TEXT NOT NULL,
+    threshold REAL,
+    website_id INTEGER,
+    enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (website_id) REFERENCES websites(id) ON DELETE CASCADE
+  );
+
+  -- Alerts table (one row per triggered rule and product pair)
+  CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER,
+    rule_type TEXT NOT NULL,
+    product_match_id INTEGER,
+    source_product_id INTEGER NOT NULL,
+    competitor_product_id INTEGER NOT NULL,
+    message TEXT NOT NULL,
+    data TEXT,
+    fingerprint TEXT,
+    status TEXT DEFAULT 'unread',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    read_at DATETIME,
+    FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE SET NULL,
+    FOREIGN KEY (product_match_id) REFERENCES product_matches(id) ON DELETE SET NULL,
+    FOREIGN KEY (source_product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (competitor_product_id) REFERENCES products(id) ON DELETE CASCADE
+  );
+
+  -- Webhooks table (outbound event subscriptions; events is a JSON array, empty for all)
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    description TEXT,
+    secret TEXT NOT NULL,
+    events TEXT,
+    enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Webhook deliveries table (delivery queue and log)
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at DATETIME,
+    response_status INTEGER,
+    error_message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+  );
+
+  -- Digest settings table (one row per workspace; recipients is a comma-separated list)
+  CREATE TABLE IF NOT EXISTS digest_settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL UNIQUE REFERENCES workspaces(id) ON DELETE CASCADE,
+    enabled INTEGER DEFAULT 0,
+    frequency TEXT DEFAULT 'daily',
+    recipients TEXT,
+    send_hour INTEGER DEFAULT 8,
+    send_day INTEGER DEFAULT 1,
+    last_sent_at DATETIME,
+    next_send_at DATETIME,
+    last_error TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Users table (password_hash is a salted scrypt hash, see services/authService.js)
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_login_at DATETIME
+  );
+
+  -- Sessions table (token_hash is the SHA-256 of the session token)
+  CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    last_used_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  -- Workspaces: each has its own source website and competitors
+  CREATE TABLE IF NOT EXISTS workspaces (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Competitor groups ("marketplaces", "direct rivals", ...) tagged on websites
+  CREATE TABLE IF NOT EXISTS website_groups (
+    website_id INTEGER NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    PRIMARY KEY (website_id, name),
+    FOREIGN KEY (website_id) REFERENCES websites(id) ON DELETE CASCADE
+  );
+
+  -- Brands and categories shared by all workspaces. name_key is the name
+  -- lowercased without accents, spaces or punctuation (see database/models.js);
+  -- aliases map other spellings ("Hewlett-Packard" for "HP") to an entry.
+  CREATE TABLE IF NOT EXISTS brands (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS brand_aliases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    brand_id INTEGER NOT NULL,
+    alias TEXT NOT NULL,
+    alias_key TEXT NOT NULL UNIQUE,
+    FOREIGN KEY (brand_id) REFERENCES brands(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS category_aliases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    category_id INTEGER NOT NULL,
+    alias TEXT NOT NULL,
+    alias_key TEXT NOT NULL UNIQUE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+  );
+
+  -- Audit log of changes; actor_id/actor_name are NULL for system actions.
+  -- No foreign keys so that entries outlive the users and entities they describe.
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_id INTEGER,
+    actor_name TEXT,
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id INTEGER,
+    before_value TEXT,
+    after_value TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
   -- Create indexes
   CREATE INDEX IF NOT EXISTS idx_products_website ON products(website_id);
   CREATE INDEX IF NOT EXISTS idx_products_sku ON products(sku);
   CREATE INDEX IF NOT EXISTS idx_matches_source ON product_matches(source_product_id);
   CREATE INDEX IF NOT EXISTS idx_matches_competitor ON product_matches(competitor_product_id);
   CREATE INDEX IF NOT EXISTS idx_crawl_jobs_website ON crawl_jobs(website_id);
+  CREATE INDEX IF NOT EXISTS idx_price_history_product ON price_history(product_id);
+  CREATE INDEX IF NOT EXISTS idx_price_history_job ON price_history(crawl_job_id);
+  CREATE INDEX IF NOT EXISTS idx_variants_product ON product_variants(product_id);
+  CREATE INDEX IF NOT EXISTS idx_variants_sku ON product_variants(sku);
+  CREATE INDEX IF NOT EXISTS idx_variant_matches_match ON variant_matches(product_match_id);
+`);
+
+// Add a column to an existing table if it is missing (for databases created
+// before the column was introduced); returns true when it was added
+function addColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+  return false;
+}
+
+// Column migrations
+addColumn('products', 'updated_at', 'DATETIME');
+addColumn('products', 'last_seen_at', 'DATETIME');
+addColumn('websites', 'selectors', 'TEXT');
+addColumn('crawl_jobs', 'crawl_type', "TEXT DEFAULT 'auto'");
+addColumn('crawl_jobs', 'crawler_type', 'TEXT');
+addColumn('crawl_jobs', 'options', 'TEXT');
+addColumn('websites', 'crawl_details', 'INTEGER DEFAULT 0');
+addColumn('websites', 'max_detail_pages', 'INTEGER DEFAULT 50');
+addColumn('websites', 'detail_delay', 'INTEGER');
+addColumn('websites', 'discovery_mode', "TEXT DEFAULT 'links'");
+addColumn('websites', 'currency', 'TEXT');
+addColumn('products', 'currency', 'TEXT');
+addColumn('price_history', 'currency', 'TEXT');
+addColumn('products', 'list_price', 'REAL');
+addColumn('products', 'promo_text', 'TEXT');
+addColumn('price_history', 'list_price', 'REAL');
+addColumn('products', 'availability', 'TEXT');
+addColumn('products', 'stock_quantity', 'INTEGER');
+addColumn('price_history', 'availability', 'TEXT');
+addColumn('price_history', 'stock_quantity', 'INTEGER');
+addColumn('websites', 'shipping_type', "TEXT DEFAULT 'none'");
+addColumn('websites', 'shipping_fee', 'REAL');
+addColumn('websites', 'free_shipping_threshold', 'REAL');
+addColumn('products', 'shipping_fee', 'REAL');
+addColumn('users', 'role', "TEXT DEFAULT 'viewer'");
+addColumn('websites', 'workspace_id', 'INTEGER REFERENCES workspaces(id)');
+addColumn('products', 'brand_id', 'INTEGER REFERENCES brands(id) ON DELETE SET NULL');
+addColumn('products', 'category_id', 'INTEGER REFERENCES categories(id) ON DELETE SET NULL');
+const identifiersAdded = addColumn('products', 'gtin', 'TEXT');
+addColumn('products', 'mpn', 'TEXT');
+addColumn('alert_rules', 'workspace_id', 'INTEGER REFERENCES workspaces(id) ON DELETE CASCADE');
+addColumn('webhooks', 'workspace_id', 'INTEGER REFERENCES workspaces(id) ON DELETE CASCADE');
+const auditWorkspaceAdded = addColumn('audit_log', 'workspace_id', 'INTEGER');
+
+// Products crawled before GTIN and MPN were columns have them in raw_data
+if (identifiersAdded) {
+  const update = db.prepare('UPDATE products SET gtin = ?, mpn = ? WHERE id = ?');
+  const rows = db.prepare(`
+    SELECT id, raw_data FROM products WHERE raw_data LIKE '%"gtin"%' OR raw_data LIKE '%"mpn"%'
+  `).all();
+  db.transaction(() => {
+    for (const row of rows) {
+      const raw = JSON.parse(row.raw_data);
+      update.run(IdentifierService.normalizeGtin(raw.gtin), IdentifierService.normalizeMpn(raw.mpn), row.id);
+    }
+  })();
+}
+
+// Accounts created before roles existed: make the first user an admin
+db.exec(`
+  UPDATE users SET role = 'admin'
+  WHERE id = (SELECT MIN(id) FROM users)
+  AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+`);
+
+// There is always at least one workspace; websites from before workspaces
+// existed belong to the first one, as do webhooks, and alert rules to their
+// website's workspace or, for rules covering all competitors, the first one
+db.exec(`
+  INSERT INTO workspaces (name) SELECT 'Default' WHERE NOT EXISTS (SELECT 1 FROM workspaces);
+  UPDATE websites SET workspace_id = (SELECT MIN(id) FROM workspaces) WHERE workspace_id IS NULL;
+  UPDATE alert_rules SET workspace_id = COALESCE(
+    (SELECT w.workspace_id FROM websites w WHERE w.id = alert_rules.website_id),
+    (SELECT MIN(id) FROM workspaces)
+  ) WHERE workspace_id IS NULL;
+  UPDATE webhooks SET workspace_id = (SELECT MIN(id) FROM workspaces) WHERE workspace_id IS NULL;
+`);
+
+// Audit entries from before they carried a workspace: find it from the entity
+// or, for deleted entities, from the workspace or website in the entry's values.
+// Entries about users and shared data (brands, categories, exchange rates) stay
+// without one; any others left, such as the digest's, belong to the first workspace.
+if (auditWorkspaceAdded) {
+  const value = (field) =>
+    `COALESCE(json_extract(a.after_value, '$.${field}'), json_extract(a.before_value, '$.${field}'))`;
+  db.exec(`
+    UPDATE audit_log AS a SET workspace_id = CASE a.entity_type
+      WHEN 'workspace' THEN a.entity_id
+      WHEN 'website' THEN (SELECT workspace_id FROM websites WHERE id = a.entity_id)
+      WHEN 'alert_rule' THEN (SELECT workspace_id FROM alert_rules WHERE id = a.entity_id)
+      WHEN 'webhook' THEN (SELECT workspace_id FROM webhooks WHERE id = a.entity_id)
+      WHEN 'product' THEN (SELECT w.workspace_id FROM products p JOIN websites w ON p.website_id = w.id
+        WHERE p.id = a.entity_id)
+      WHEN 'product_match' THEN (SELECT w.workspace_id FROM products p JOIN websites w ON p.website_id = w.id
+        WHERE p.id = ${value('source_product_id')})
+    END;
+    UPDATE audit_log AS a SET workspace_id = COALESCE(
+      ${value('workspace_id')},
+      (SELECT workspace_id FROM websites WHERE id = ${value('website_id')}),
+      (SELECT MIN(id) FROM workspaces)
+    ) WHERE workspace_id IS NULL
+      AND entity_type NOT IN ('user', 'brand', 'category', 'exchange_rate');
+  `);
+}
+
+// Website URLs used to be unique across all workspaces. SQLite cannot drop a
+// column constraint, so copy the table into one without it; URLs are unique
+// per workspace through idx_websites_workspace_url instead. Foreign keys are
+// off so that dropping the old table does not delete its products.
+const websitesSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'websites'").get().sql;
+if (websitesSql.includes('url TEXT NOT NULL UNIQUE')) {
+  db.pragma('foreign_keys = OFF');
+  db.transaction(() => {
+    db.exec(websitesSql
+      .replace('CREATE TABLE websites', 'CREATE TABLE websites_rebuilt')
+      .replace('url TEXT NOT NULL UNIQUE', 'url TEXT NOT NULL'));
+    db.exec(`
+      INSERT INTO websites_rebuilt SELECT * FROM websites;
+      DROP TABLE websites;
+      ALTER TABLE websites_rebuilt RENAME TO websites;
+    `);
+  })();
+  db.pragma('foreign_keys = ON');
+}
+
+// There used to be one digest for all workspaces, in a single row. Copy it into
+// a table with a row per workspace; its settings become the first workspace's.
+const digestSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'digest_settings'").get().sql;
+if (digestSql.includes('CHECK (id = 1)')) {
+  db.transaction(() => {
+    db.exec(digestSql
+      .replace('CREATE TABLE digest_settings', 'CREATE TABLE digest_settings_rebuilt')
+      .replace('id INTEGER PRIMARY KEY CHECK (id = 1),', `id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL UNIQUE REFERENCES workspaces(id) ON DELETE CASCADE,`));
+    db.exec(`
+      INSERT INTO digest_settings_rebuilt (workspace_id, enabled, frequency, recipients, send_hour, send_day,
+        last_sent_at, next_send_at, last_error, updated_at)
+      SELECT (SELECT MIN(id) FROM workspaces), enabled, frequency, recipients, send_hour, send_day,
+        last_sent_at, next_send_at, last_error, updated_at
+      FROM digest_settings;
+      DROP TABLE digest_settings;
+      ALTER TABLE digest_settings_rebuilt RENAME TO digest_settings;
+    `);
+  })();
+}
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_products_url ON products(website_id, product_url);
+  CREATE INDEX IF NOT EXISTS idx_crawl_jobs_status ON crawl_jobs(status);
+  CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status);
+  CREATE INDEX IF NOT EXISTS idx_alerts_rule_products ON alerts(rule_id, source_product_id, competitor_product_id);
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id);
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_price_history_observed ON price_history(product_id, observed_at);
+  CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_workspace ON audit_log(workspace_id);
+  CREATE INDEX IF NOT EXISTS idx_websites_workspace ON websites(workspace_id);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_websites_workspace_url ON websites(workspace_id, url);
+  CREATE INDEX IF NOT EXISTS idx_alert_rules_workspace ON alert_rules(workspace_id);
+  CREATE INDEX IF NOT EXISTS idx_products_brand ON products(brand_id);
+  CREATE INDEX IF NOT EXISTS idx_products_category ON products(category_id);
+  CREATE INDEX IF NOT EXISTS idx_products_gtin ON products(gtin);
+  CREATE INDEX IF NOT EXISTS idx_brand_aliases_brand ON brand_aliases(brand_id);
+  CREATE INDEX IF NOT EXISTS idx_category_aliases_category ON category_aliases(category_id);
 `);
 
 module.exports = db;
@@ -1,19 +1,101 @@
 const db = require('./init');
+const { currentActor } = require('./auditContext');
+const IdentifierService = require('../services/identifierService');
+
+// Website fields kept in audit entries for added and deleted websites
+const WEBSITE_AUDIT_FIELDS = ['workspace_id', 'url', 'name', 'is_source', 'crawl_type', 'discovery_mode', 'currency',
+  'shipping_type', 'shipping_fee', 'free_shipping_threshold'];
+// Website fields updated by crawls; changes to only these are not audited
+const WEBSITE_CRAWL_FIELDS = ['status', 'last_crawled_at'];
+// Product fields kept in audit entries (not the raw crawl data)
+const PRODUCT_AUDIT_FIELDS = ['id', 'website_id', 'name', 'sku', 'gtin', 'mpn', 'price', 'currency', 'product_url'];
+// Digest fields updated when digests are sent; changes to only these are not audited
+const DIGEST_SEND_FIELDS = ['next_send_at', 'last_sent_at', 'last_error'];
+
+// The given fields of a row (for audit before/after values)
+function pick(row, keys) {
+  const values = {};
+  for (const key of keys) {
+    if (row[key] !== undefined) values[key] = row[key];
+  }
+  return values;
+}
+
+// Workspace model
+const Workspace = {
+  create: (name) => {
+    const result = db.prepare('INSERT INTO workspaces (name) VALUES (?)').run(name);
+    const workspace = Workspace.findById(result.lastInsertRowid);
+    AuditLog.record('workspace.create', 'workspace', workspace.id, null, { name });
+    return workspace;
+  },
+
+  findById: (id) => {
+    return db.prepare('SELECT * FROM workspaces WHERE id = ?').get(id);
+  },
+
+  findByName: (name) => {
+    return db.prepare('SELECT * FROM workspaces WHERE name = ?').get(name);
+  },
+
+  // The workspace used when a request does not select one
+  findDefault: () => {
+    return db.prepare('SELECT * FROM workspaces ORDER BY id LIMIT 1').get();
+  },
+
+  findAll: () => {
+    return db.prepare(`
+      SELECT ws.*,
+             (SELECT COUNT(*) FROM websites w WHERE w.workspace_id = ws.id) as website_count,
+             (SELECT w.name FROM websites w WHERE w.workspace_id = ws.id AND w.is_source = 1) as source_website
+      FROM workspaces ws
+      ORDER BY ws.name
+    `).all();
+  },
+
+  rename: (id, name) => {
+    const before = Workspace.findById(id);
+    const result = db.prepare('UPDATE workspaces SET name = ? WHERE id = ?').run(name, id);
+    AuditLog.record('workspace.update', 'workspace', id, { name: before.name }, { name });
+    return result;
+  },
+
+  delete: (id) => {
+    const before = Workspace.findById(id);
+    const result = db.prepare('DELETE FROM workspaces WHERE id = ?').run(id);
+    AuditLog.record('workspace.delete', 'workspace', id, { name: before.name }, null);
+    return result;
+  }
+};
 
 // Website model
 const Website = {
   create: (data) => {
     const stmt = db.prepare(`
-      INSERT INTO websites (url, name, is_source, crawl_type, status)
-      VALUES (@url, @name, @is_source, @crawl_type, @status)
+      INSERT INTO websites (workspace_id, url, name, is_source, crawl_type, status, crawl_details, max_detail_pages,
+                            detail_delay, discovery_mode, currency, shipping_type, shipping_fee,
+                            free_shipping_threshold)
+      VALUES (@workspace_id, @url, @name, @is_source, @crawl_type, @status, @crawl_details, @max_detail_pages,
+              @detail_delay, @discovery_mode, @currency, @shipping_type, @shipping_fee, @free_shipping_threshold)
     `);
     const result = stmt.run({
+      workspace_id: data.workspace_id,
       url: data.url,
       name: data.name || new URL(data.url).hostname,
       is_source: data.is_source ? 1 : 0,
       crawl_type: data.crawl_type || 'auto',
-      status: 'pending'
+      status: 'pending',
+      crawl_details: data.crawl_details ? 1 : 0,
+      max_detail_pages: data.max_detail_pages || 50,
+      detail_delay: data.detail_delay || null,
+      discovery_mode: data.discovery_mode || 'links',
+      currency: data.currency || null,
+      shipping_type: data.shipping_type || 'none',
+      shipping_fee: Number.isFinite(data.shipping_fee) ? data.shipping_fee : null,
+      free_shipping_threshold: Number.isFinite(data.free_shipping_threshold) ? data.free_shipping_threshold : null
     });
+    AuditLog.record('website.create', 'website', result.lastInsertRowid, null,
+      pick(Website.findById(result.lastInsertRowid), WEBSITE_AUDIT_FIELDS));
     return { id: result.lastInsertRowid, ...data };
   },
 
@@ -21,61 +103,348 @@ const Website = {
     return db.prepare('SELECT * FROM websites WHERE id = ?').get(id);
   },
 
-  findByUrl: (url) => {
-    return db.prepare('SELECT * FROM websites WHERE url = ?').get(url);
+  findByUrl: (workspaceId, url) => {
+    return db.prepare('SELECT * FROM websites WHERE workspace_id = ? AND url = ?').get(workspaceId, url);
   },
 
-  findAll: () => {
-    return db.prepare('SELECT * FROM websites ORDER BY created_at DESC').all();
+  // Websites of a workspace, or of all workspaces when workspaceId is null
+  findAll: (workspaceId = null) => {
+    return db.prepare(`
+      SELECT w.* FROM websites w
+      WHERE (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
+      ORDER BY w.created_at DESC
+    `).all({ workspace_id: workspaceId });
   },
 
-  findSource: () => {
-    return db.prepare('SELECT * FROM websites WHERE is_source = 1').get();
+  findSource: (workspaceId) => {
+    return db.prepare('SELECT * FROM websites WHERE is_source = 1 AND workspace_id = ?').get(workspaceId);
   },
 
-  findCompetitors: () => {
-    return db.prepare('SELECT * FROM websites WHERE is_source = 0').all();
+  findCompetitors: (workspaceId = null) => {
+    return db.prepare(`
+      SELECT w.* FROM websites w
+      WHERE w.is_source = 0 AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
+    `).all({ workspace_id: workspaceId });
   },
 
   update: (id, data) => {
-    const fields = Object.keys(data).map(key => `${key} = @${key}`).join(', ');
+    const keys = Object.keys(data);
+    const before = keys.some(key => !WEBSITE_CRAWL_FIELDS.includes(key)) ? Website.findById(id) : null;
+    const fields = keys.map(key => `${key} = @${key}`).join(', ');
     const stmt = db.prepare(`UPDATE websites SET ${fields} WHERE id = @id`);
-    return stmt.run({ ...data, id });
+    const result = stmt.run({ ...data, id });
+    if (before) {
+      AuditLog.record('website.update', 'website', id, pick(before, keys), data);
+    }
+    return result;
   },
 
   delete: (id) => {
-    return db.prepare('DELETE FROM websites WHERE id = ?').run(id);
+    const before = Website.findById(id);
+    const result = db.prepare('DELETE FROM websites WHERE id = ?').run(id);
+    if (before) {
+      AuditLog.record('website.delete', 'website', id, pick(before, WEBSITE_AUDIT_FIELDS), null);
+    }
+    return result;
   },
 
+  // Make a website the source of its workspace; the previous source's entry records the change too
   setSource: (id) => {
-    db.prepare('UPDATE websites SET is_source = 0').run();
-    return db.prepare('UPDATE websites SET is_source = 1 WHERE id = ?').run(id);
+    const website = Website.findById(id);
+    const previous = Website.findSource(website.workspace_id);
+    db.prepare('UPDATE websites SET is_source = 0 WHERE workspace_id = ?').run(website.workspace_id);
+    const result = db.prepare('UPDATE websites SET is_source = 1 WHERE id = ?').run(id);
+    if (previous && previous.id !== Number(id)) {
+      AuditLog.record('website.unset_source', 'website', previous.id, { is_source: 1 }, { is_source: 0 });
+    }
+    if (!previous || previous.id !== Number(id)) {
+      AuditLog.record('website.set_source', 'website', id,
+        { is_source: 0, previous_source_id: previous ? previous.id : null }, { is_source: 1 });
+    }
+    return result;
+  },
+
+  // Per-website CSS selector overrides used by the crawlers
+  getSelectors: (id) => {
+    const row = db.prepare('SELECT selectors FROM websites WHERE id = ?').get(id);
+    return row && row.selectors ? JSON.parse(row.selectors) : null;
+  },
+
+  setSelectors: (id, selectors) => {
+    const before = Website.getSelectors(id);
+    const hasSelectors = selectors && Object.keys(selectors).length > 0;
+    const result = db.prepare('UPDATE websites SET selectors = ? WHERE id = ?')
+      .run(hasSelectors ? JSON.stringify(selectors) : null, id);
+    AuditLog.record('website.selectors', 'website', id,
+      { selectors: before }, { selectors: hasSelectors ? selectors : null });
+    return result;
+  }
+};
+
+// Competitor group model. Groups are names tagged on websites; a group exists
+// in a workspace while at least one of its competitor websites carries it.
+// Groups of a source website are kept but take effect only if it becomes a
+// competitor again.
+const CompetitorGroup = {
+  findAll: (workspaceId = null) => {
+    return db.prepare(`
+      SELECT g.name, COUNT(*) as website_count
+      FROM website_groups g
+      JOIN websites w ON g.website_id = w.id
+      WHERE w.is_source = 0 AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
+      GROUP BY g.name
+      ORDER BY g.name
+    `).all({ workspace_id: workspaceId });
+  },
+
+  findByName: (workspaceId, name) => {
+    return CompetitorGroup.findAll(workspaceId).find(g => g.name.toLowerCase() === name.toLowerCase());
+  },
+
+  findByWebsite: (websiteId) => {
+    return db.prepare('SELECT name FROM website_groups WHERE website_id = ? ORDER BY name')
+      .all(websiteId)
+      .map(row => row.name);
+  },
+
+  // Group names of every website, keyed by website id
+  mapByWebsite: () => {
+    const groups = new Map();
+    for (const row of db.prepare('SELECT website_id, name FROM website_groups ORDER BY name').all()) {
+      groups.set(row.website_id, [...(groups.get(row.website_id) || []), row.name]);
+    }
+    return groups;
+  },
+
+  // Ids of the competitor websites in a group
+  websiteIds: (workspaceId, name) => {
+    return db.prepare(`
+      SELECT g.website_id FROM website_groups g
+      JOIN websites w ON g.website_id = w.id
+      WHERE g.name = @name AND w.is_source = 0 AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
+    `).all({ workspace_id: workspaceId, name }).map(row => row.website_id);
+  },
+
+  // Replace the groups of a website
+  setForWebsite: (websiteId, names) => {
+    const before = CompetitorGroup.findByWebsite(websiteId);
+    const insert = db.prepare('INSERT OR IGNORE INTO website_groups (website_id, name) VALUES (?, ?)');
+    db.transaction(() => {
+      db.prepare('DELETE FROM website_groups WHERE website_id = ?').run(websiteId);
+      for (const name of names) {
+        insert.run(websiteId, name);
+      }
+    })();
+
+    const after = CompetitorGroup.findByWebsite(websiteId);
+    if (before.join('\n') !== after.join('\n')) {
+      AuditLog.record('website.groups', 'website', websiteId, { groups: before }, { groups: after });
+    }
   }
 };
 
+// Key used to match brand and category spellings: the name lowercased
+// without accents, spaces or punctuation ("Hewlett-Packard" is "hewlettpackard")
+function nameKey(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Brand and category models share one shape: named entries with aliases,
+// stored in `table` and `aliasTable` and referenced by products.`column`.
+// Crawls resolve the names they find to entries, creating new ones unaudited;
+// changes made by users are audited as `<entityType>.<action>`.
+function aliasedModel(entityType, table, aliasTable, column) {
+  const model = {
+    findById: (id) => {
+      return db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id);
+    },
+
+    // Entries with their aliases and product counts
+    findAll: () => {
+      const aliases = new Map();
+      for (const row of db.prepare(`SELECT ${column} as owner_id, alias FROM ${aliasTable} ORDER BY alias`).all()) {
+        aliases.set(row.owner_id, [...(aliases.get(row.owner_id) || []), row.alias]);
+      }
+      return db.prepare(`
+        SELECT t.*, (SELECT COUNT(*) FROM products p WHERE p.${column} = t.id) as product_count
+        FROM ${table} t
+        ORDER BY t.name COLLATE NOCASE
+      `).all().map(row => ({ ...row, aliases: aliases.get(row.id) || [] }));
+    },
+
+    findAliases: (id) => {
+      return db.prepare(`SELECT alias FROM ${aliasTable} WHERE ${column} = ? ORDER BY alias`)
+        .all(id)
+        .map(row => row.alias);
+    },
+
+    // The entry a name or one of its aliases matches
+    findByName: (name) => {
+      const key = nameKey(name);
+      if (!key) return undefined;
+      return db.prepare(`SELECT * FROM ${table} WHERE name_key = ?`).get(key) ||
+        db.prepare(`
+          SELECT t.* FROM ${table} t
+          JOIN ${aliasTable} a ON a.${column} = t.id
+          WHERE a.alias_key = ?
+        `).get(key);
+    },
+
+    // Id of the entry for a crawled name, created if it is new; null for no name
+    resolve: (name) => {
+      if (typeof name !== 'string' && typeof name !== 'number') return null;
+      const cleaned = String(name).replace(/\s+/g, ' ').trim();
+      if (!nameKey(cleaned)) return null;
+
+      const existing = model.findByName(cleaned);
+      if (existing) return existing.id;
+      return db.prepare(`INSERT INTO ${table} (name, name_key) VALUES (?, ?)`)
+        .run(cleaned, nameKey(cleaned)).lastInsertRowid;
+    },
+
+    create: (name, aliases = []) => {
+      const id = db.transaction(() => {
+        const newId = db.prepare(`INSERT INTO ${table} (name, name_key) VALUES (?, ?)`)
+          .run(name, nameKey(name)).lastInsertRowid;
+        model.replaceAliases(newId, aliases);
+        return newId;
+      })();
+      AuditLog.record(`${entityType}.create`, entityType, id, null, { name, aliases: model.findAliases(id) });
+      return { ...model.findById(id), aliases: model.findAliases(id) };
+    },
+
+    // Rename an entry and/or replace its aliases (undefined leaves them as they are)
+    update: (id, { name, aliases }) => {
+      const before = { name: model.findById(id).name, aliases: model.findAliases(id) };
+      db.transaction(() => {
+        if (name !== undefined) {
+          db.prepare(`UPDATE ${table} SET name = ?, name_key = ? WHERE id = ?`).run(name, nameKey(name), id);
+          // The new name no longer needs to be an alias
+          db.prepare(`DELETE FROM ${aliasTable} WHERE ${column} = ? AND alias_key = ?`).run(id, nameKey(name));
+        }
+        if (aliases !== undefined) {
+          model.replaceAliases(id, aliases);
+        }
+      })();
+
+      const after = { name: model.findById(id).name, aliases: model.findAliases(id) };
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        AuditLog.record(`${entityType}.update`, entityType, id, before, after);
+      }
+      return { ...model.findById(id), aliases: after.aliases };
+    },
+
+    // Replace the aliases of an entry. An alias naming another entry merges
+    // that entry into this one: its products and aliases move here. An alias
+    // of another entry moves to this one.
+    replaceAliases: (id, aliases) => {
+      const entry = model.findById(id);
+      const upsertAlias = db.prepare(`
+        INSERT INTO ${aliasTable} (${column}, alias, alias_key) VALUES (?, ?, ?)
+        ON CONFLICT(alias_key) DO UPDATE SET ${column} = excluded.${column}, alias = excluded.alias
+      `);
+
+      const keys = new Set([entry.name_key]);
+      db.prepare(`DELETE FROM ${aliasTable} WHERE ${column} = ?`).run(id);
+      for (const alias of aliases) {
+        const key = nameKey(alias);
+        if (!key || keys.has(key)) continue;
+        keys.add(key);
+
+        const other = db.prepare(`SELECT * FROM ${table} WHERE name_key = ? AND id != ?`).get(key, id);
+        if (other) {
+          db.prepare(`UPDATE products SET ${column} = ? WHERE ${column} = ?`).run(id, other.id);
+          db.prepare(`UPDATE ${aliasTable} SET ${column} = ? WHERE ${column} = ?`).run(id, other.id);
+          db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(other.id);
+          AuditLog.record(`${entityType}.merge`, entityType, other.id,
+            { name: other.name }, { merged_into: entry.name });
+        }
+        upsertAlias.run(id, alias, key);
+      }
+    },
+
+    // Delete an entry; its products keep no brand or category until the next crawl
+    delete: (id) => {
+      const before = { name: model.findById(id).name, aliases: model.findAliases(id) };
+      const result = db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id);
+      AuditLog.record(`${entityType}.delete`, entityType, id, before, null);
+      return result;
+    }
+  };
+  return model;
+}
+
+// Brand model
+const Brand = aliasedModel('brand', 'brands', 'brand_aliases', 'brand_id');
+
+// Category model
+const Category = aliasedModel('category', 'categories', 'category_aliases', 'category_id');
+
+// Brand and category ids for a product's given or crawled (raw_data) names
+function taxonomyIds(item) {
+  const raw = item.raw_data || {};
+  return {
+    brand_id: Brand.resolve(item.brand || raw.brand),
+    category_id: Category.resolve(item.category || raw.category)
+  };
+}
+
+// Normalised GTIN and MPN for a product's given or crawled (raw_data) identifiers
+function productIdentifiers(item) {
+  const raw = item.raw_data || {};
+  return {
+    gtin: IdentifierService.normalizeGtin(item.gtin || raw.gtin),
+    mpn: IdentifierService.normalizeMpn(item.mpn || raw.mpn)
+  };
+}
+
+// Brand and category names for product rows selected as `p`
+const PRODUCT_TAXONOMY_COLUMNS = 'b.name as brand_name, c.name as category_name';
+const PRODUCT_TAXONOMY_JOINS = `
+      LEFT JOIN brands b ON p.brand_id = b.id
+      LEFT JOIN categories c ON p.category_id = c.id`;
+
 // Product model
 const Product = {
   create: (data) => {
     const stmt = db.prepare(`
-      INSERT INTO products (website_id, name, price, sku, image_url, product_url, raw_data)
-      VALUES (@website_id, @name, @price, @sku, @image_url, @product_url, @raw_data)
+      INSERT INTO products (website_id, name, price, list_price, promo_text, availability, stock_quantity, currency,
+                            shipping_fee, sku, gtin, mpn, image_url, product_url, raw_data, brand_id, category_id)
+      VALUES (@website_id, @name, @price, @list_price, @promo_text, @availability, @stock_quantity, @currency,
+              @shipping_fee, @sku, @gtin, @mpn, @image_url, @product_url, @raw_data, @brand_id, @category_id)
     `);
     const result = stmt.run({
       website_id: data.website_id,
       name: data.name,
       price: data.price || null,
+      list_price: data.list_price || null,
+      promo_text: data.promo_text || null,
+      availability: data.availability || null,
+      stock_quantity: Number.isInteger(data.stock_quantity) ? data.stock_quantity : null,
+      shipping_fee: Number.isFinite(data.shipping_fee) ? data.shipping_fee : null,
+      currency: data.currency || null,
       sku: data.sku || null,
       image_url: data.image_url || null,
       product_url: data.product_url || null,
-      raw_data: data.raw_data ? JSON.stringify(data.raw_data) : null
+      raw_data: data.raw_data ? JSON.stringify(data.raw_data) : null,
+      ...taxonomyIds(data),
+      ...productIdentifiers(data)
     });
-    return { id: result.lastInsertRowid, ...data };
+    const product = Product.findById(result.lastInsertRowid);
+    AuditLog.record('product.create', 'product', product.id, null, pick(product, PRODUCT_AUDIT_FIELDS));
+    return product;
   },
 
   createMany: (products) => {
     const stmt = db.prepare(`
-      INSERT INTO products (website_id, name, price, sku, image_url, product_url, raw_data)
-      VALUES (@website_id, @name, @price, @sku, @image_url, @product_url, @raw_data)
+      INSERT INTO products (website_id, name, price, list_price, promo_text, availability, stock_quantity, currency,
+                            shipping_fee, sku, gtin, mpn, image_url, product_url, raw_data, brand_id, category_id)
+      VALUES (@website_id, @name, @price, @list_price, @promo_text, @availability, @stock_quantity, @currency,
+              @shipping_fee, @sku, @gtin, @mpn, @image_url, @product_url, @raw_data, @brand_id, @category_id)
     `);
     const insertMany = db.transaction((items) => {
       const results = [];
@@ -84,10 +453,18 @@ const Product = {
           website_id: item.website_id,
           name: item.name,
           price: item.price || null,
+          list_price: item.list_price || null,
+          promo_text: item.promo_text || null,
+          availability: item.availability || null,
+          stock_quantity: Number.isInteger(item.stock_quantity) ? item.stock_quantity : null,
+          shipping_fee: Number.isFinite(item.shipping_fee) ? item.shipping_fee : null,
+          currency: item.currency || null,
           sku: item.sku || null,
           image_url: item.image_url || null,
           product_url: item.product_url || null,
-          raw_data: item.raw_data ? JSON.stringify(item.raw_data) : null
+          raw_data: item.raw_data ? JSON.stringify(item.raw_data) : null,
+          ...taxonomyIds(item),
+          ...productIdentifiers(item)
         });
         results.push({ id: result.lastInsertRowid, ...item });
       }
@@ -96,43 +473,146 @@ const Product = {
     return insertMany(products);
   },
 
+  // Insert or update crawled products, matching existing rows by SKU, then
+  // product URL, then name. Every product also gets a price_history row for
+  // the crawl job so previous prices and existing matches are kept.
+  // `currency` (e.g. the website's currency override) replaces the
+  // crawled currency when given. Brand and category names in raw_data are
+  // resolved to their normalised entries.
+  upsertMany: (websiteId, products, crawlJobId = null, currency = null) => {
+    const findBySku = db.prepare('SELECT id FROM products WHERE website_id = ? AND sku = ?');
+    const findByUrl = db.prepare('SELECT id FROM products WHERE website_id = ? AND product_url = ?');
+    const findByName = db.prepare(
+      'SELECT id FROM products WHERE website_id = ? AND name = ? AND sku IS NULL AND product_url IS NULL'
+    );
+    const insertStmt = db.prepare(`
+      INSERT INTO products (website_id, name, price, list_price, promo_text, availability, stock_quantity, currency,
+                            shipping_fee, sku, gtin, mpn, image_url, product_url, raw_data, brand_id, category_id,
+                            last_seen_at)
+      VALUES (@website_id, @name, @price, @list_price, @promo_text, @availability, @stock_quantity, @currency,
+              @shipping_fee, @sku, @gtin, @mpn, @image_url, @product_url, @raw_data, @brand_id, @category_id,
+              datetime('now'))
+    `);
+    const updateStmt = db.prepare(`
+      UPDATE products
+      SET name = @name, price = @price,
+          list_price = @list_price, promo_text = @promo_text,
+          availability = @availability, stock_quantity = @stock_quantity,
+          currency = COALESCE(@currency, currency),
+          shipping_fee = COALESCE(@shipping_fee, shipping_fee),
+          sku = COALESCE(@sku, sku),
+          gtin = COALESCE(@gtin, gtin),
+          mpn = COALESCE(@mpn, mpn),
+          image_url = COALESCE(@image_url, image_url),
+          product_url = COALESCE(@product_url, product_url),
+          raw_data = COALESCE(@raw_data, raw_data),
+          brand_id = COALESCE(@brand_id, brand_id),
+          category_id = COALESCE(@category_id, category_id),
+          updated_at = datetime('now'), last_seen_at = datetime('now')
+      WHERE id = @id
+    `);
+    const historyStmt = db.prepare(`
+      INSERT INTO price_history (product_id, crawl_job_id, price, list_price, availability, stock_quantity, currency)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const upsert = db.transaction((items) => {
+      const results = { created: 0, updated: 0, products: [] };
+      for (const item of items) {
+        const row = {
+          website_id: websiteId,
+          name: item.name,
+          price: item.price || null,
+          list_price: item.list_price || null,
+          promo_text: item.promo_text || null,
+          availability: item.availability || null,
+          stock_quantity: Number.isInteger(item.stock_quantity) ? item.stock_quantity : null,
+          shipping_fee: Number.isFinite(item.shipping_fee) ? item.shipping_fee : null,
+          currency: currency || item.currency || null,
+          sku: item.sku || null,
+          image_url: item.image_url || null,
+          product_url: item.product_url || null,
+          raw_data: item.raw_data ? JSON.stringify(item.raw_data) : null,
+          ...taxonomyIds(item),
+          ...productIdentifiers(item)
+        };
+
+        const existing = (row.sku && findBySku.get(websiteId, row.sku)) ||
+                         (row.product_url && findByUrl.get(websiteId, row.product_url)) ||
+                         (!row.sku && !row.product_url && findByName.get(websiteId, row.name));
+
+        let id;
+        if (existing) {
+          id = existing.id;
+          updateStmt.run({ ...row, id });
+          results.updated++;
+        } else {
+          id = insertStmt.run(row).lastInsertRowid;
+          results.created++;
+        }
+
+        historyStmt.run(
+          id, crawlJobId, row.price, row.list_price, row.availability, row.stock_quantity, row.currency
+        );
+        if (Array.isArray(item.variants) && item.variants.length > 0) {
+          ProductVariant.sync(id, item.variants);
+        }
+        results.products.push({ id, ...item, website_id: websiteId });
+      }
+      return results;
+    });
+    return upsert(products);
+  },
+
   findById: (id) => {
-    return db.prepare('SELECT * FROM products WHERE id = ?').get(id);
+    return db.prepare(`
+      SELECT p.*, w.workspace_id, ${PRODUCT_TAXONOMY_COLUMNS}
+      FROM products p
+      JOIN websites w ON p.website_id = w.id ${PRODUCT_TAXONOMY_JOINS}
+      WHERE p.id = ?
+    `).get(id);
   },
 
   findByWebsite: (websiteId) => {
-    return db.prepare('SELECT * FROM products WHERE website_id = ? ORDER BY name').all(websiteId);
+    return db.prepare(`
+      SELECT p.*, ${PRODUCT_TAXONOMY_COLUMNS}
+      FROM products p ${PRODUCT_TAXONOMY_JOINS}
+      WHERE p.website_id = ?
+      ORDER BY p.name
+    `).all(websiteId);
   },
 
   findBySku: (sku) => {
     return db.prepare('SELECT * FROM products WHERE sku = ?').all(sku);
   },
 
-  findAll: () => {
+  // The finders below are limited to one workspace, or cover all workspaces when workspaceId is null
+  findAll: (workspaceId = null) => {
     return db.prepare(`
-      SELECT p.*, w.name as website_name, w.url as website_url, w.is_source
+      SELECT p.*, w.name as website_name, w.url as website_url, w.is_source, ${PRODUCT_TAXONOMY_COLUMNS}
       FROM products p
-      JOIN websites w ON p.website_id = w.id
+      JOIN websites w ON p.website_id = w.id ${PRODUCT_TAXONOMY_JOINS}
+      WHERE (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
       ORDER BY p.name
-    `).all();
+    `).all({ workspace_id: workspaceId });
   },
 
-  findSourceProducts: () => {
+  findSourceProducts: (workspaceId = null) => {
     return db.prepare(`
-      SELECT p.* FROM products p
-      JOIN websites w ON p.website_id = w.id
-      WHERE w.is_source = 1
+      SELECT p.*, ${PRODUCT_TAXONOMY_COLUMNS} FROM products p
+      JOIN websites w ON p.website_id = w.id ${PRODUCT_TAXONOMY_JOINS}
+      WHERE w.is_source = 1 AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
       ORDER BY p.name
-    `).all();
+    `).all({ workspace_id: workspaceId });
   },
 
-  findCompetitorProducts: () => {
+  findCompetitorProducts: (workspaceId = null) => {
     return db.prepare(`
-      SELECT p.*, w.name as website_name FROM products p
-      JOIN websites w ON p.website_id = w.id
-      WHERE w.is_source = 0
+      SELECT p.*, w.name as website_name, ${PRODUCT_TAXONOMY_COLUMNS} FROM products p
+      JOIN websites w ON p.website_id = w.id ${PRODUCT_TAXONOMY_JOINS}
+      WHERE w.is_source = 0 AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
       ORDER BY w.name, p.name
-    `).all();
+    `).all({ workspace_id: workspaceId });
   },
 
   count: (websiteId) => {
@@ -147,36 +627,59 @@ const Product = {
   },
 
   delete: (id) => {
-    return db.prepare('DELETE FROM products WHERE id = ?').run(id);
+    const before = Product.findById(id);
+    const result = db.prepare('DELETE FROM products WHERE id = ?').run(id);
+    if (before) {
+      AuditLog.record('product.delete', 'product', id, pick(before, PRODUCT_AUDIT_FIELDS), null);
+    }
+    return result;
   }
 };
 
+// Match fields kept in audit entries; both product ids are always included so
+// that the entries show up in each product's history
+const MATCH_AUDIT_FIELDS = ['source_product_id', 'competitor_product_id', 'match_type', 'match_score', 'is_confirmed'];
+
 // ProductMatch model
 const ProductMatch = {
+  // Save a manual match. An existing match of the pair keeps its id (and so
+  // its alerts, variant pairs and history) and becomes this manual match.
   create: (data) => {
-    const stmt = db.prepare(`
-      INSERT OR REPLACE INTO product_matches
+    const before = ProductMatch.findByProducts(data.source_product_id, data.competitor_product_id);
+    db.prepare(`
+      INSERT INTO product_matches
       (source_product_id, competitor_product_id, match_type, match_score, is_confirmed)
       VALUES (@source_product_id, @competitor_product_id, @match_type, @match_score, @is_confirmed)
-    `);
-    const result = stmt.run({
+      ON CONFLICT(source_product_id, competitor_product_id) DO UPDATE SET
+        match_type = excluded.match_type, match_score = excluded.match_score, is_confirmed = excluded.is_confirmed
+    `).run({
       source_product_id: data.source_product_id,
       competitor_product_id: data.competitor_product_id,
       match_type: data.match_type,
       match_score: data.match_score || null,
       is_confirmed: data.is_confirmed ? 1 : 0
     });
-    return { id: result.lastInsertRowid, ...data };
+    const match = ProductMatch.findByProducts(data.source_product_id, data.competitor_product_id);
+    ProductMatch.audit(before, match);
+    return { id: match.id, ...data };
   },
 
+  // Save matches found by a matching run; returns the pairs that are new.
+  // Existing matches keep their id; unless confirmed or manual, their type and
+  // score are updated.
   createMany: (matches) => {
     const stmt = db.prepare(`
-      INSERT OR REPLACE INTO product_matches
+      INSERT INTO product_matches
       (source_product_id, competitor_product_id, match_type, match_score, is_confirmed)
       VALUES (@source_product_id, @competitor_product_id, @match_type, @match_score, @is_confirmed)
+      ON CONFLICT(source_product_id, competitor_product_id) DO UPDATE SET
+        match_type = excluded.match_type, match_score = excluded.match_score
+      WHERE is_confirmed = 0 AND match_type != 'manual'
     `);
     const insertMany = db.transaction((items) => {
+      const created = [];
       for (const item of items) {
+        const before = ProductMatch.findByProducts(item.source_product_id, item.competitor_product_id);
         stmt.run({
           source_product_id: item.source_product_id,
           competitor_product_id: item.competitor_product_id,
@@ -184,14 +687,32 @@ const ProductMatch = {
           match_score: item.match_score || null,
           is_confirmed: item.is_confirmed ? 1 : 0
         });
+        const match = ProductMatch.findByProducts(item.source_product_id, item.competitor_product_id);
+        ProductMatch.audit(before, match);
+        if (!before) {
+          created.push({ id: match.id, ...item });
+        }
       }
+      return created;
     });
     return insertMany(matches);
   },
 
+  // Record a created or re-saved match; re-saving an unchanged match is not recorded
+  audit: (before, after) => {
+    const previous = before ? pick(before, MATCH_AUDIT_FIELDS) : null;
+    const current = pick(after, MATCH_AUDIT_FIELDS);
+    if (!previous) {
+      AuditLog.record('match.create', 'product_match', after.id, null, current);
+    } else if (MATCH_AUDIT_FIELDS.some(key => previous[key] !== current[key])) {
+      AuditLog.record('match.update', 'product_match', after.id, { id: before.id, ...previous }, current);
+    }
+  },
+
   findBySourceProduct: (sourceProductId) => {
     return db.prepare(`
-      SELECT pm.*, p.name, p.price, p.sku, p.image_url, p.product_url,
+      SELECT pm.*, p.name, p.price, p.list_price, p.promo_text, p.availability, p.stock_quantity, p.currency,
+             p.sku, p.image_url, p.product_url,
              w.name as website_name
       FROM product_matches pm
       JOIN products p ON pm.competitor_product_id = p.id
@@ -200,12 +721,20 @@ const ProductMatch = {
     `).all(sourceProductId);
   },
 
-  findAll: () => {
+  // Matches of a workspace's source products, or of all workspaces when workspaceId is null
+  findAll: (workspaceId = null) => {
     return db.prepare(`
       SELECT pm.*,
-             sp.name as source_name, sp.price as source_price, sp.sku as source_sku,
-             sp.image_url as source_image, sp.product_url as source_url,
-             cp.name as competitor_name, cp.price as competitor_price, cp.sku as competitor_sku,
+             sp.name as source_name, sp.price as source_price, sp.currency as source_currency,
+             sp.list_price as source_list_price, sp.promo_text as source_promo_text,
+             sp.availability as source_availability, sp.stock_quantity as source_stock_quantity,
+             sp.website_id as source_website_id, sp.shipping_fee as source_shipping_fee,
+             sp.sku as source_sku, sp.image_url as source_image, sp.product_url as source_url,
+             cp.name as competitor_name, cp.price as competitor_price, cp.currency as competitor_currency,
+             cp.list_price as competitor_list_price, cp.promo_text as competitor_promo_text,
+             cp.availability as competitor_availability, cp.stock_quantity as competitor_stock_quantity,
+             cp.website_id as competitor_website_id, cp.shipping_fee as competitor_shipping_fee,
+             cp.sku as competitor_sku,
              cp.image_url as competitor_image, cp.product_url as competitor_url,
              sw.name as source_website, cw.name as competitor_website
       FROM product_matches pm
@@ -213,44 +742,306 @@ const ProductMatch = {
       JOIN products cp ON pm.competitor_product_id = cp.id
       JOIN websites sw ON sp.website_id = sw.id
       JOIN websites cw ON cp.website_id = cw.id
+      WHERE (@workspace_id IS NULL OR sw.workspace_id = @workspace_id)
       ORDER BY sp.name
-    `).all();
+    `).all({ workspace_id: workspaceId });
   },
 
-  findUnmatched: () => {
+  findUnmatched: (workspaceId = null) => {
     return db.prepare(`
       SELECT p.*, w.name as website_name
       FROM products p
       JOIN websites w ON p.website_id = w.id
-      WHERE w.is_source = 1
+      WHERE w.is_source = 1 AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
       AND p.id NOT IN (SELECT source_product_id FROM product_matches)
       ORDER BY p.name
-    `).all();
+    `).all({ workspace_id: workspaceId });
   },
 
-  findUnmatchedCompetitors: () => {
+  findUnmatchedCompetitors: (workspaceId = null) => {
     return db.prepare(`
       SELECT p.*, w.name as website_name
       FROM products p
       JOIN websites w ON p.website_id = w.id
-      WHERE w.is_source = 0
+      WHERE w.is_source = 0 AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
       AND p.id NOT IN (SELECT competitor_product_id FROM product_matches)
       ORDER BY w.name, p.name
-    `).all();
+    `).all({ workspace_id: workspaceId });
   },
 
   confirm: (id) => {
-    return db.prepare('UPDATE product_matches SET is_confirmed = 1 WHERE id = ?').run(id);
+    const before = ProductMatch.findById(id);
+    const result = db.prepare('UPDATE product_matches SET is_confirmed = 1 WHERE id = ?').run(id);
+    if (before && !before.is_confirmed) {
+      const values = pick(before, MATCH_AUDIT_FIELDS);
+      AuditLog.record('match.confirm', 'product_match', id, values, { ...values, is_confirmed: 1 });
+    }
+    return result;
   },
 
   delete: (id) => {
-    return db.prepare('DELETE FROM product_matches WHERE id = ?').run(id);
+    const before = ProductMatch.findById(id);
+    const result = db.prepare('DELETE FROM product_matches WHERE id = ?').run(id);
+    if (before) {
+      AuditLog.record('match.delete', 'product_match', id, pick(before, MATCH_AUDIT_FIELDS), null);
+    }
+    return result;
   },
 
-  deleteByProducts: (sourceId, competitorId) => {
+  // A match with the workspace of its source product
+  findById: (id) => {
+    return db.prepare(`
+      SELECT pm.*, w.workspace_id
+      FROM product_matches pm
+      JOIN products p ON pm.source_product_id = p.id
+      JOIN websites w ON p.website_id = w.id
+      WHERE pm.id = ?
+    `).get(id);
+  },
+
+  findByProducts: (sourceId, competitorId) => {
     return db.prepare(
+      'SELECT * FROM product_matches WHERE source_product_id = ? AND competitor_product_id = ?'
+    ).get(sourceId, competitorId);
+  },
+
+  deleteByProducts: (sourceId, competitorId) => {
+    const before = ProductMatch.findByProducts(sourceId, competitorId);
+    const result = db.prepare(
       'DELETE FROM product_matches WHERE source_product_id = ? AND competitor_product_id = ?'
     ).run(sourceId, competitorId);
+    if (before) {
+      AuditLog.record('match.delete', 'product_match', before.id, pick(before, MATCH_AUDIT_FIELDS), null);
+    }
+    return result;
+  }
+};
+
+// Variant rows store their option values (e.g. { Size: 'M', Color: 'Blue' }) as JSON
+function parseVariant(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    options: row.options ? JSON.parse(row.options) : {},
+    available: row.available === null ? null : !!row.available
+  };
+}
+
+// ProductVariant model
+const ProductVariant = {
+  findByProduct: (productId) => {
+    return db.prepare('SELECT * FROM product_variants WHERE product_id = ? ORDER BY id')
+      .all(productId)
+      .map(parseVariant);
+  },
+
+  findAll: () => {
+    return db.prepare('SELECT * FROM product_variants ORDER BY product_id, id').all().map(parseVariant);
+  },
+
+  countByProduct: () => {
+    return db.prepare('SELECT product_id, COUNT(*) as count FROM product_variants GROUP BY product_id').all();
+  },
+
+  // Insert or update the crawled variants of a product, matching existing rows
+  // by external ID, then SKU, then option values. Variants missing from a crawl
+  // are kept so their matches survive a partial crawl.
+  sync: (productId, variants) => {
+    const insertStmt = db.prepare(`
+      INSERT INTO product_variants
+      (product_id, external_id, title, sku, options, price, compare_at_price, available, stock_quantity,
+       updated_at, last_seen_at)
+      VALUES (@product_id, @external_id, @title, @sku, @options, @price, @compare_at_price, @available,
+              @stock_quantity, datetime('now'), datetime('now'))
+    `);
+    const updateStmt = db.prepare(`
+      UPDATE product_variants
+      SET external_id = COALESCE(@external_id, external_id), title = @title,
+          sku = COALESCE(@sku, sku), options = @options, price = @price,
+          compare_at_price = @compare_at_price, available = @available, stock_quantity = @stock_quantity,
+          updated_at = datetime('now'), last_seen_at = datetime('now')
+      WHERE id = @id
+    `);
+
+    const sync = db.transaction(() => {
+      const existing = db.prepare('SELECT * FROM product_variants WHERE product_id = ?').all(productId);
+      const ids = [];
+      for (const variant of variants) {
+        const row = {
+          product_id: productId,
+          external_id: variant.external_id !== undefined && variant.external_id !== null
+            ? String(variant.external_id)
+            : null,
+          title: variant.title || null,
+          sku: variant.sku || null,
+          options: JSON.stringify(variant.options || {}),
+          price: variant.price !== undefined ? variant.price : null,
+          compare_at_price: variant.compare_at_price || null,
+          available: variant.available === undefined || variant.available === null
+            ? null
+            : (variant.available ? 1 : 0),
+          stock_quantity: Number.isInteger(variant.stock_quantity) ? variant.stock_quantity : null
+        };
+
+        const match = existing.find(e => row.external_id && e.external_id === row.external_id) ||
+                      existing.find(e => row.sku && e.sku === row.sku) ||
+                      existing.find(e => e.options === row.options && e.title === row.title);
+
+        if (match) {
+          updateStmt.run({ ...row, id: match.id });
+          ids.push(match.id);
+        } else {
+          ids.push(insertStmt.run(row).lastInsertRowid);
+        }
+      }
+      return ids;
+    });
+    return sync();
+  }
+};
+
+// VariantMatch model
+const VariantMatch = {
+  // Replace the variant pairs of a product match
+  replaceForMatch: (productMatchId, matches) => {
+    const deleteStmt = db.prepare('DELETE FROM variant_matches WHERE product_match_id = ?');
+    const insertStmt = db.prepare(`
+      INSERT OR REPLACE INTO variant_matches
+      (product_match_id, source_variant_id, competitor_variant_id, match_type, match_score)
+      VALUES (@product_match_id, @source_variant_id, @competitor_variant_id, @match_type, @match_score)
+    `);
+    const replace = db.transaction((items) => {
+      deleteStmt.run(productMatchId);
+      for (const item of items) {
+        insertStmt.run({
+          product_match_id: productMatchId,
+          source_variant_id: item.source_variant_id,
+          competitor_variant_id: item.competitor_variant_id,
+          match_type: item.match_type,
+          match_score: item.match_score || null
+        });
+      }
+    });
+    return replace(matches);
+  },
+
+  // Variant pairs with both variants' details, optionally for one product match
+  findAll: (productMatchId = null) => {
+    const rows = db.prepare(`
+      SELECT vm.*,
+             sv.title as source_title, sv.sku as source_sku, sv.options as source_options,
+             sv.price as source_price, sv.available as source_available,
+             cv.title as competitor_title, cv.sku as competitor_sku, cv.options as competitor_options,
+             cv.price as competitor_price, cv.available as competitor_available
+      FROM variant_matches vm
+      JOIN product_variants sv ON vm.source_variant_id = sv.id
+      JOIN product_variants cv ON vm.competitor_variant_id = cv.id
+      WHERE @productMatchId IS NULL OR vm.product_match_id = @productMatchId
+      ORDER BY vm.product_match_id, sv.id
+    `).all({ productMatchId });
+
+    return rows.map(row => ({
+      ...row,
+      source_options: row.source_options ? JSON.parse(row.source_options) : {},
+      competitor_options: row.competitor_options ? JSON.parse(row.competitor_options) : {},
+      source_available: row.source_available === null ? null : !!row.source_available,
+      competitor_available: row.competitor_available === null ? null : !!row.competitor_available
+    }));
+  },
+
+  findByMatch: (productMatchId) => {
+    return VariantMatch.findAll(productMatchId);
+  }
+};
+
+// PriceHistory model
+const PriceHistory = {
+  findByProduct: (productId) => {
+    return db.prepare(`
+      SELECT ph.*, cj.status as job_status
+      FROM price_history ph
+      LEFT JOIN crawl_jobs cj ON ph.crawl_job_id = cj.id
+      WHERE ph.product_id = ?
+      ORDER BY ph.observed_at DESC, ph.id DESC
+    `).all(productId);
+  },
+
+  findByJob: (crawlJobId) => {
+    return db.prepare(`
+      SELECT ph.*, p.name, p.sku, p.product_url
+      FROM price_history ph
+      JOIN products p ON ph.product_id = p.id
+      WHERE ph.crawl_job_id = ?
+      ORDER BY p.name
+    `).all(crawlJobId);
+  },
+
+  // The latest `limit` observations of each of the given products, newest first
+  findRecent: (productIds, limit = 2) => {
+    return db.prepare(`
+      SELECT * FROM (
+        SELECT ph.*, ROW_NUMBER() OVER (PARTITION BY ph.product_id ORDER BY ph.observed_at DESC, ph.id DESC) as position
+        FROM price_history ph
+        WHERE ph.product_id IN (SELECT value FROM json_each(@product_ids))
+      )
+      WHERE position <= @limit
+      ORDER BY product_id, position
+    `).all({ product_ids: JSON.stringify(productIds), limit });
+  },
+
+  // The latest observation of every product made at or before `time`
+  findLatestAsOf: (time) => {
+    return db.prepare(`
+      SELECT * FROM (
+        SELECT ph.*, ROW_NUMBER() OVER (PARTITION BY ph.product_id ORDER BY ph.observed_at DESC, ph.id DESC) as position
+        FROM price_history ph
+        WHERE ph.observed_at <= ?
+      )
+      WHERE position = 1
+    `).all(time);
+  }
+};
+
+// ExchangeRate model (rates are units of the currency per 1 USD)
+const ExchangeRate = {
+  findAll: () => {
+    return db.prepare('SELECT * FROM exchange_rates ORDER BY currency').all();
+  },
+
+  findByCurrency: (currency) => {
+    return db.prepare('SELECT * FROM exchange_rates WHERE currency = ?').get(currency);
+  },
+
+  upsert: (currency, rate) => {
+    const before = ExchangeRate.findByCurrency(currency);
+    db.prepare(`
+      INSERT INTO exchange_rates (currency, rate, updated_at)
+      VALUES (?, ?, datetime('now'))
+      ON CONFLICT(currency) DO UPDATE SET rate = excluded.rate, updated_at = excluded.updated_at
+    `).run(currency, rate);
+    if (!before || before.rate !== rate) {
+      AuditLog.record('rate.set', 'exchange_rate', null,
+        before ? { currency, rate: before.rate } : null, { currency, rate });
+    }
+    return ExchangeRate.findByCurrency(currency);
+  },
+
+  upsertMany: (rates) => {
+    const upsert = db.transaction((items) => {
+      for (const [currency, rate] of Object.entries(items)) {
+        ExchangeRate.upsert(currency, rate);
+      }
+    });
+    return upsert(rates);
+  },
+
+  delete: (currency) => {
+    const before = ExchangeRate.findByCurrency(currency);
+    const result = db.prepare('DELETE FROM exchange_rates WHERE currency = ?').run(currency);
+    if (before) {
+      AuditLog.record('rate.delete', 'exchange_rate', null, { currency, rate: before.rate }, null);
+    }
+    return result;
   }
 };
 
@@ -265,6 +1056,32 @@ const CrawlJob = {
     return { id: result.lastInsertRowid, website_id: websiteId, status: 'running' };
   },
 
+  // Add a job to the crawl queue; it is started later by the crawl service
+  enqueue: (websiteId, data = {}) => {
+    const stmt = db.prepare(`
+      INSERT INTO crawl_jobs (website_id, status, crawl_type, crawler_type, options)
+      VALUES (@website_id, 'queued', @crawl_type, @crawler_type, @options)
+    `);
+    const crawlType = data.crawl_type || 'auto';
+    const result = stmt.run({
+      website_id: websiteId,
+      crawl_type: crawlType,
+      crawler_type: crawlType !== 'auto' ? crawlType : null,
+      options: data.options ? JSON.stringify(data.options) : null
+    });
+    AuditLog.record('crawl.queue', 'crawl_job', result.lastInsertRowid, null,
+      { website_id: websiteId, crawl_type: crawlType, status: 'queued' });
+    return CrawlJob.findById(result.lastInsertRowid);
+  },
+
+  start: (id, crawlerType) => {
+    return db.prepare(`
+      UPDATE crawl_jobs
+      SET status = 'running', crawler_type = ?, started_at = datetime('now')
+      WHERE id = ?
+    `).run(crawlerType, id);
+  },
+
   findById: (id) => {
     return db.prepare('SELECT * FROM crawl_jobs WHERE id = ?').get(id);
   },
@@ -281,24 +1098,59 @@ const CrawlJob = {
     ).get(websiteId);
   },
 
-  findAll: () => {
+  // Jobs of a workspace's websites, or of all workspaces when workspaceId is null
+  findAll: (workspaceId = null) => {
     return db.prepare(`
       SELECT cj.*, w.name as website_name, w.url as website_url
       FROM crawl_jobs cj
       JOIN websites w ON cj.website_id = w.id
+      WHERE (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
       ORDER BY cj.created_at DESC
-    `).all();
+    `).all({ workspace_id: workspaceId });
   },
 
-  findRunning: () => {
+  findRunning: (workspaceId = null) => {
+    return db.prepare(`
+      SELECT cj.*, w.name as website_name, w.url as website_url, w.workspace_id
+      FROM crawl_jobs cj
+      JOIN websites w ON cj.website_id = w.id
+      WHERE cj.status = 'running' AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
+    `).all({ workspace_id: workspaceId });
+  },
+
+  // Failed jobs that finished at or after `since`
+  findFailedSince: (since, workspaceId = null) => {
     return db.prepare(`
       SELECT cj.*, w.name as website_name, w.url as website_url
       FROM crawl_jobs cj
       JOIN websites w ON cj.website_id = w.id
-      WHERE cj.status = 'running'
+      WHERE cj.status = 'failed' AND cj.completed_at >= @since
+        AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
+      ORDER BY cj.completed_at DESC
+    `).all({ since, workspace_id: workspaceId });
+  },
+
+  // Queued jobs in the order they will be started
+  findQueued: () => {
+    return db.prepare(`
+      SELECT cj.*, w.name as website_name, w.url as website_url, w.workspace_id
+      FROM crawl_jobs cj
+      JOIN websites w ON cj.website_id = w.id
+      WHERE cj.status = 'queued'
+      ORDER BY cj.created_at, cj.id
     `).all();
   },
 
+  // Queued or running job for a website, if any
+  findActiveByWebsite: (websiteId) => {
+    return db.prepare(`
+      SELECT * FROM crawl_jobs
+      WHERE website_id = ? AND status IN ('queued', 'running')
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `).get(websiteId);
+  },
+
   update: (id, data) => {
     const fields = Object.keys(data).map(key => `${key} = @${key}`).join(', ');
     const stmt = db.prepare(`UPDATE crawl_jobs SET ${fields} WHERE id = @id`);
@@ -306,20 +1158,685 @@ const CrawlJob = {
   },
 
   complete: (id, totalProducts) => {
-    return db.prepare(`
+    const result = db.prepare(`
       UPDATE crawl_jobs
       SET status = 'completed', total_products = ?, completed_at = datetime('now')
       WHERE id = ?
     `).run(totalProducts, id);
+    CrawlJob.audit('crawl.complete', id, { total_products: totalProducts });
+    return result;
   },
 
   fail: (id, errorMessage) => {
-    return db.prepare(`
+    const result = db.prepare(`
       UPDATE crawl_jobs
       SET status = 'failed', error_message = ?, completed_at = datetime('now')
       WHERE id = ?
     `).run(errorMessage, id);
+    CrawlJob.audit('crawl.fail', id, { error_message: errorMessage });
+    return result;
+  },
+
+  // Record a finished job; the entry carries the website id for its history
+  audit: (action, id, values) => {
+    const job = CrawlJob.findById(id);
+    if (job) {
+      AuditLog.record(action, 'crawl_job', id, null, { website_id: job.website_id, status: job.status, ...values });
+    }
+  },
+
+  // Store the crawler frontier so the job can be resumed after a restart
+  saveCheckpoint: (id, checkpoint) => {
+    return db.prepare(`
+      INSERT INTO crawl_checkpoints (crawl_job_id, data, updated_at)
+      VALUES (?, ?, datetime('now'))
+      ON CONFLICT(crawl_job_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(id, JSON.stringify(checkpoint));
+  },
+
+  getCheckpoint: (id) => {
+    const row = db.prepare('SELECT data FROM crawl_checkpoints WHERE crawl_job_id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  },
+
+  clearCheckpoint: (id) => {
+    return db.prepare('DELETE FROM crawl_checkpoints WHERE crawl_job_id = ?').run(id);
+  },
+
+  // Put an interrupted job back in the queue
+  requeue: (id) => {
+    return db.prepare(`UPDATE crawl_jobs SET status = 'queued' WHERE id = ?`).run(id);
+  },
+
+  cancel: (id) => {
+    const result = db.prepare(`
+      UPDATE crawl_jobs
+      SET status = 'cancelled', error_message = 'Cancelled by user', completed_at = datetime('now')
+      WHERE id = ?
+    `).run(id);
+    CrawlJob.audit('crawl.cancel', id, {});
+    return result;
+  }
+};
+
+// CrawlSchedule model
+const CrawlSchedule = {
+  findByWebsite: (websiteId) => {
+    return db.prepare('SELECT * FROM crawl_schedules WHERE website_id = ?').get(websiteId);
+  },
+
+  findAll: () => {
+    return db.prepare(`
+      SELECT cs.*, w.name as website_name, w.url as website_url
+      FROM crawl_schedules cs
+      JOIN websites w ON cs.website_id = w.id
+      ORDER BY cs.next_run_at
+    `).all();
+  },
+
+  findDue: (now) => {
+    return db.prepare(`
+      SELECT * FROM crawl_schedules
+      WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+      ORDER BY next_run_at
+    `).all(now);
+  },
+
+  upsert: (websiteId, data) => {
+    const before = CrawlSchedule.findByWebsite(websiteId);
+    db.prepare(`
+      INSERT INTO crawl_schedules (website_id, cron_expression, enabled, next_run_at)
+      VALUES (@website_id, @cron_expression, @enabled, @next_run_at)
+      ON CONFLICT(website_id) DO UPDATE SET
+        cron_expression = excluded.cron_expression,
+        enabled = excluded.enabled,
+        next_run_at = excluded.next_run_at
+    `).run({
+      website_id: websiteId,
+      cron_expression: data.cron_expression,
+      enabled: data.enabled ? 1 : 0,
+      next_run_at: data.next_run_at || null
+    });
+    const schedule = CrawlSchedule.findByWebsite(websiteId);
+    AuditLog.record('schedule.set', 'crawl_schedule', schedule.id,
+      before ? pick(before, ['website_id', 'cron_expression', 'enabled']) : null,
+      pick(schedule, ['website_id', 'cron_expression', 'enabled']));
+    return schedule;
+  },
+
+  update: (id, data) => {
+    const fields = Object.keys(data).map(key => `${key} = @${key}`).join(', ');
+    const stmt = db.prepare(`UPDATE crawl_schedules SET ${fields} WHERE id = @id`);
+    return stmt.run({ ...data, id });
+  },
+
+  deleteByWebsite: (websiteId) => {
+    const before = CrawlSchedule.findByWebsite(websiteId);
+    const result = db.prepare('DELETE FROM crawl_schedules WHERE website_id = ?').run(websiteId);
+    if (before) {
+      AuditLog.record('schedule.delete', 'crawl_schedule', before.id,
+        pick(before, ['website_id', 'cron_expression', 'enabled']), null);
+    }
+    return result;
+  }
+};
+
+// AlertRule model
+const AlertRule = {
+  create: (data) => {
+    const result = db.prepare(`
+      INSERT INTO alert_rules (workspace_id, name, rule_type, threshold, website_id, enabled)
+      VALUES (@workspace_id, @name, @rule_type, @threshold, @website_id, @enabled)
+    `).run({
+      workspace_id: data.workspace_id,
+      name: data.name || null,
+      rule_type: data.rule_type,
+      threshold: Number.isFinite(data.threshold) ? data.threshold : null,
+      website_id: data.website_id || null,
+      enabled: data.enabled === false ? 0 : 1
+    });
+    const rule = AlertRule.findById(result.lastInsertRowid);
+    AuditLog.record('alert_rule.create', 'alert_rule', rule.id, null, rule);
+    return rule;
+  },
+
+  findById: (id) => {
+    return db.prepare(`
+      SELECT ar.*, w.name as website_name
+      FROM alert_rules ar
+      LEFT JOIN websites w ON ar.website_id = w.id
+      WHERE ar.id = ?
+    `).get(id);
+  },
+
+  // Rules of a workspace, or of all workspaces when workspaceId is null
+  findAll: (workspaceId = null) => {
+    return db.prepare(`
+      SELECT ar.*, w.name as website_name
+      FROM alert_rules ar
+      LEFT JOIN websites w ON ar.website_id = w.id
+      WHERE (@workspace_id IS NULL OR ar.workspace_id = @workspace_id)
+      ORDER BY ar.created_at, ar.id
+    `).all({ workspace_id: workspaceId });
+  },
+
+  findEnabled: (workspaceId = null) => {
+    return db.prepare(`
+      SELECT * FROM alert_rules
+      WHERE enabled = 1 AND (@workspace_id IS NULL OR workspace_id = @workspace_id)
+      ORDER BY id
+    `).all({ workspace_id: workspaceId });
+  },
+
+  update: (id, data) => {
+    const before = AlertRule.findById(id);
+    const fields = Object.keys(data).map(key => `${key} = @${key}`).join(', ');
+    const stmt = db.prepare(`UPDATE alert_rules SET ${fields} WHERE id = @id`);
+    const result = stmt.run({ ...data, id });
+    if (before) {
+      AuditLog.record('alert_rule.update', 'alert_rule', id, pick(before, Object.keys(data)), data);
+    }
+    return result;
+  },
+
+  delete: (id) => {
+    const before = AlertRule.findById(id);
+    const result = db.prepare('DELETE FROM alert_rules WHERE id = ?').run(id);
+    if (before) {
+      AuditLog.record('alert_rule.delete', 'alert_rule', id, before, null);
+    }
+    return result;
+  }
+};
+
+// Alert model (status: unread, read or dismissed)
+const Alert = {
+  create: (data) => {
+    const result = db.prepare(`
+      INSERT INTO alerts (rule_id, rule_type, product_match_id, source_product_id, competitor_product_id,
+                          message, data, fingerprint)
+      VALUES (@rule_id, @rule_type, @product_match_id, @source_product_id, @competitor_product_id,
+              @message, @data, @fingerprint)
+    `).run({
+      rule_id: data.rule_id,
+      rule_type: data.rule_type,
+      product_match_id: data.product_match_id || null,
+      source_product_id: data.source_product_id,
+      competitor_product_id: data.competitor_product_id,
+      message: data.message,
+      data: data.data ? JSON.stringify(data.data) : null,
+      fingerprint: data.fingerprint || null
+    });
+    return Alert.findById(result.lastInsertRowid);
+  },
+
+  findById: (id) => {
+    return db.prepare(`
+      SELECT a.*, ar.name as rule_name,
+             sp.name as source_name, cp.name as competitor_name, cp.product_url as competitor_url,
+             w.name as competitor_website, w.workspace_id
+      FROM alerts a
+      LEFT JOIN alert_rules ar ON a.rule_id = ar.id
+      JOIN products sp ON a.source_product_id = sp.id
+      JOIN products cp ON a.competitor_product_id = cp.id
+      JOIN websites w ON cp.website_id = w.id
+      WHERE a.id = ?
+    `).get(id);
+  },
+
+  // Alerts of a workspace (all workspaces when workspaceId is null) with the
+  // given status, or all but dismissed ones
+  findAll: (workspaceId = null, status = null, limit = 200) => {
+    return db.prepare(`
+      SELECT a.*, ar.name as rule_name,
+             sp.name as source_name, cp.name as competitor_name, cp.product_url as competitor_url,
+             w.name as competitor_website, w.workspace_id
+      FROM alerts a
+      LEFT JOIN alert_rules ar ON a.rule_id = ar.id
+      JOIN products sp ON a.source_product_id = sp.id
+      JOIN products cp ON a.competitor_product_id = cp.id
+      JOIN websites w ON cp.website_id = w.id
+      WHERE ${status ? 'a.status = @status' : "a.status != 'dismissed'"}
+      AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT @limit
+    `).all({ workspace_id: workspaceId, status, limit });
+  },
+
+  // Latest fingerprint of a rule for a product pair, to avoid repeating an alert
+  findLatestFingerprint: (ruleId, sourceProductId, competitorProductId) => {
+    const row = db.prepare(`
+      SELECT fingerprint FROM alerts
+      WHERE rule_id = ? AND source_product_id = ? AND competitor_product_id = ?
+      ORDER BY id DESC LIMIT 1
+    `).get(ruleId, sourceProductId, competitorProductId);
+    return row ? row.fingerprint : null;
+  },
+
+  countUnread: (workspaceId = null) => {
+    return db.prepare(`
+      SELECT COUNT(*) as count
+      FROM alerts a
+      JOIN products cp ON a.competitor_product_id = cp.id
+      JOIN websites w ON cp.website_id = w.id
+      WHERE a.status = 'unread' AND (@workspace_id IS NULL OR w.workspace_id = @workspace_id)
+    `).get({ workspace_id: workspaceId }).count;
+  },
+
+  setStatus: (id, status) => {
+    return db.prepare(`
+      UPDATE alerts SET status = ?, read_at = COALESCE(read_at, datetime('now')) WHERE id = ?
+    `).run(status, id);
+  },
+
+  markAllRead: (workspaceId = null) => {
+    return db.prepare(`
+      UPDATE alerts SET status = 'read', read_at = datetime('now')
+      WHERE status = 'unread' AND (@workspace_id IS NULL OR competitor_product_id IN (
+        SELECT p.id FROM products p JOIN websites w ON p.website_id = w.id WHERE w.workspace_id = @workspace_id
+      ))
+    `).run({ workspace_id: workspaceId });
+  }
+};
+
+// Webhook model (events are stored as a JSON array; empty means all events)
+// Webhook fields kept in audit entries (not the signing secret)
+const WEBHOOK_AUDIT_FIELDS = ['id', 'workspace_id', 'url', 'description', 'events', 'enabled'];
+
+const Webhook = {
+  create: (data) => {
+    const result = db.prepare(`
+      INSERT INTO webhooks (workspace_id, url, description, secret, events, enabled)
+      VALUES (@workspace_id, @url, @description, @secret, @events, @enabled)
+    `).run({
+      workspace_id: data.workspace_id,
+      url: data.url,
+      description: data.description || null,
+      secret: data.secret,
+      events: JSON.stringify(data.events || []),
+      enabled: data.enabled === false ? 0 : 1
+    });
+    const webhook = Webhook.findById(result.lastInsertRowid);
+    AuditLog.record('webhook.create', 'webhook', webhook.id, null, pick(webhook, WEBHOOK_AUDIT_FIELDS));
+    return webhook;
+  },
+
+  parse: (row) => {
+    return row ? { ...row, events: row.events ? JSON.parse(row.events) : [] } : row;
+  },
+
+  findById: (id) => {
+    return Webhook.parse(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+  },
+
+  // Webhooks of a workspace, or of all workspaces when workspaceId is null
+  findAll: (workspaceId = null) => {
+    return db.prepare(`
+      SELECT wh.*,
+             (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = wh.id AND d.status = 'failed')
+               as failed_deliveries,
+             (SELECT MAX(d.delivered_at) FROM webhook_deliveries d WHERE d.webhook_id = wh.id)
+               as last_delivered_at
+      FROM webhooks wh
+      WHERE (@workspace_id IS NULL OR wh.workspace_id = @workspace_id)
+      ORDER BY wh.created_at, wh.id
+    `).all({ workspace_id: workspaceId }).map(Webhook.parse);
+  },
+
+  findEnabled: (workspaceId = null) => {
+    return db.prepare(`
+      SELECT * FROM webhooks
+      WHERE enabled = 1 AND (@workspace_id IS NULL OR workspace_id = @workspace_id)
+    `).all({ workspace_id: workspaceId }).map(Webhook.parse);
+  },
+
+  update: (id, data) => {
+    const before = Webhook.findById(id);
+    const values = { ...data };
+    if (values.events !== undefined) values.events = JSON.stringify(values.events || []);
+    const fields = Object.keys(values).map(key => `${key} = @${key}`).join(', ');
+    const stmt = db.prepare(`UPDATE webhooks SET ${fields} WHERE id = @id`);
+    const result = stmt.run({ ...values, id });
+    if (before) {
+      const keys = Object.keys(data).filter(key => WEBHOOK_AUDIT_FIELDS.includes(key));
+      AuditLog.record('webhook.update', 'webhook', id, pick(before, keys), pick(data, keys));
+    }
+    return result;
+  },
+
+  delete: (id) => {
+    const before = Webhook.findById(id);
+    const result = db.prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+    if (before) {
+      AuditLog.record('webhook.delete', 'webhook', id, pick(before, WEBHOOK_AUDIT_FIELDS), null);
+    }
+    return result;
+  }
+};
+
+// WebhookDelivery model (status: pending, success or failed)
+const WebhookDelivery = {
+  create: (webhookId, event, payload) => {
+    const result = db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+      VALUES (?, ?, ?, ?)
+    `).run(webhookId, event, payload, new Date().toISOString());
+    return WebhookDelivery.findById(result.lastInsertRowid);
+  },
+
+  findById: (id) => {
+    return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+  },
+
+  findByWebhook: (webhookId, limit = 100) => {
+    return db.prepare(`
+      SELECT * FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(webhookId, limit);
+  },
+
+  // Pending deliveries whose next attempt is due, with their webhook's URL and secret
+  findDue: (now, limit = 20) => {
+    return db.prepare(`
+      SELECT d.*, wh.url, wh.secret
+      FROM webhook_deliveries d
+      JOIN webhooks wh ON d.webhook_id = wh.id
+      WHERE d.status = 'pending' AND wh.enabled = 1 AND d.next_attempt_at <= ?
+      ORDER BY d.next_attempt_at, d.id
+      LIMIT ?
+    `).all(now, limit);
+  },
+
+  update: (id, data) => {
+    const fields = Object.keys(data).map(key => `${key} = @${key}`).join(', ');
+    const stmt = db.prepare(`UPDATE webhook_deliveries SET ${fields} WHERE id = @id`);
+    return stmt.run({ ...data, id });
+  },
+
+  // Queue a delivery again from its first attempt
+  retry: (id) => {
+    return db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = ?, error_message = NULL
+      WHERE id = ?
+    `).run(new Date().toISOString(), id);
+  }
+};
+
+// DigestSettings model (one row per workspace)
+const DigestSettings = {
+  // The workspace's settings; a workspace without them gets the defaults
+  get: (workspaceId) => {
+    const find = () => db.prepare('SELECT * FROM digest_settings WHERE workspace_id = ?').get(workspaceId);
+    if (!find()) {
+      db.prepare('INSERT INTO digest_settings (workspace_id) VALUES (?)').run(workspaceId);
+    }
+    return DigestSettings.parse(find());
+  },
+
+  parse: (settings) => ({ ...settings, recipients: settings.recipients ? settings.recipients.split(',') : [] }),
+
+  // Settings of the workspaces with the digest enabled
+  findEnabled: () => {
+    return db.prepare('SELECT * FROM digest_settings WHERE enabled = 1').all().map(DigestSettings.parse);
+  },
+
+  update: (workspaceId, data) => {
+    const keys = Object.keys(data).filter(key => !DIGEST_SEND_FIELDS.includes(key));
+    const before = DigestSettings.get(workspaceId);
+    if (Array.isArray(data.recipients)) {
+      data = { ...data, recipients: data.recipients.join(',') || null };
+    }
+    const fields = Object.keys(data).map(key => `${key} = @${key}`).join(', ');
+    const stmt = db.prepare(`
+      UPDATE digest_settings SET ${fields}, updated_at = datetime('now') WHERE workspace_id = @workspace_id
+    `);
+    stmt.run({ ...data, workspace_id: workspaceId });
+    const settings = DigestSettings.get(workspaceId);
+    if (keys.length > 0) {
+      AuditLog.record('digest.update', 'digest_settings', settings.id, pick(before, keys), pick(settings, keys));
+    }
+    return settings;
   }
 };
 
-module.exports = { Website, Product, ProductMatch, CrawlJob };
+// User model (password hashes are only returned by findByUsername)
+const User = {
+  create: (data) => {
+    const stmt = db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)');
+    const result = stmt.run(data.username, data.password_hash, data.role || 'viewer');
+    const user = User.findById(result.lastInsertRowid);
+    AuditLog.record('user.create', 'user', user.id, null, pick(user, ['username', 'role']));
+    return user;
+  },
+
+  findById: (id) => {
+    return db.prepare('SELECT id, username, role, created_at, last_login_at FROM users WHERE id = ?').get(id);
+  },
+
+  findByUsername: (username) => {
+    return db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+  },
+
+  findAll: () => {
+    return db.prepare('SELECT id, username, role, created_at, last_login_at FROM users ORDER BY username').all();
+  },
+
+  count: () => {
+    return db.prepare('SELECT COUNT(*) as count FROM users').get().count;
+  },
+
+  // Password changes are recorded without the hashes; sign-in times are not recorded
+  update: (id, data) => {
+    const before = User.findById(id);
+    const fields = Object.keys(data).map(key => `${key} = @${key}`).join(', ');
+    const stmt = db.prepare(`UPDATE users SET ${fields} WHERE id = @id`);
+    const result = stmt.run({ ...data, id });
+    if (before && data.role !== undefined) {
+      AuditLog.record('user.role', 'user', id, { username: before.username, role: before.role },
+        { username: before.username, role: data.role });
+    }
+    if (before && data.password_hash !== undefined) {
+      AuditLog.record('user.password', 'user', id, null, { username: before.username });
+    }
+    return result;
+  },
+
+  delete: (id) => {
+    const before = User.findById(id);
+    const result = db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    if (before) {
+      AuditLog.record('user.delete', 'user', id, pick(before, ['username', 'role']), null);
+    }
+    return result;
+  }
+};
+
+// Session model
+const Session = {
+  create: (userId, tokenHash, expiresAt) => {
+    const stmt = db.prepare(`
+      INSERT INTO sessions (user_id, token_hash, expires_at, last_used_at)
+      VALUES (?, ?, ?, datetime('now'))
+    `);
+    return stmt.run(userId, tokenHash, expiresAt);
+  },
+
+  // Session with its user, if it has not expired
+  findValid: (tokenHash, now) => {
+    return db.prepare(`
+      SELECT s.*, u.username, u.role
+      FROM sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.token_hash = ? AND s.expires_at > ?
+    `).get(tokenHash, now);
+  },
+
+  touch: (id) => {
+    return db.prepare("UPDATE sessions SET last_used_at = datetime('now') WHERE id = ?").run(id);
+  },
+
+  delete: (tokenHash) => {
+    return db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+  },
+
+  // Sign a user out everywhere, optionally keeping one session
+  deleteByUser: (userId, exceptTokenHash = null) => {
+    return db.prepare('DELETE FROM sessions WHERE user_id = ? AND token_hash IS NOT ?').run(userId, exceptTokenHash);
+  },
+
+  deleteExpired: (now) => {
+    return db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now);
+  }
+};
+
+// AuditLog model. Entries are written by the models above as they change
+// data; before/after hold the changed fields as JSON.
+// Queries for the workspace of an audited entity by its id. Entries about
+// other entity types (users, brands, categories, exchange rates) have no workspace.
+const AUDIT_WORKSPACE_QUERIES = {
+  website: 'SELECT workspace_id FROM websites WHERE id = ?',
+  product: 'SELECT w.workspace_id FROM products p JOIN websites w ON p.website_id = w.id WHERE p.id = ?',
+  product_match: `SELECT w.workspace_id FROM product_matches pm
+    JOIN products p ON pm.source_product_id = p.id JOIN websites w ON p.website_id = w.id WHERE pm.id = ?`,
+  crawl_job: 'SELECT w.workspace_id FROM crawl_jobs j JOIN websites w ON j.website_id = w.id WHERE j.id = ?',
+  crawl_schedule: 'SELECT w.workspace_id FROM crawl_schedules s JOIN websites w ON s.website_id = w.id WHERE s.id = ?',
+  alert_rule: 'SELECT workspace_id FROM alert_rules WHERE id = ?',
+  webhook: 'SELECT workspace_id FROM webhooks WHERE id = ?',
+  digest_settings: 'SELECT workspace_id FROM digest_settings WHERE id = ?'
+};
+
+const AuditLog = {
+  // Record an action by `actor` ({ id, username }), by default the user of the
+  // current request (null for system actions)
+  record: (action, entityType, entityId, before = null, after = null, actor = currentActor()) => {
+    db.prepare(`
+      INSERT INTO audit_log (workspace_id, actor_id, actor_name, action, entity_type, entity_id, before_value, after_value)
+      VALUES (@workspace_id, @actor_id, @actor_name, @action, @entity_type, @entity_id, @before_value, @after_value)
+    `).run({
+      workspace_id: AuditLog.workspaceOf(entityType, entityId, before, after),
+      actor_id: actor ? actor.id : null,
+      actor_name: actor ? actor.username : null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId === null || entityId === undefined ? null : Number(entityId),
+      before_value: before ? JSON.stringify(before) : null,
+      after_value: after ? JSON.stringify(after) : null
+    });
+  },
+
+  // The workspace an entry belongs to. Deleted entities can no longer be looked
+  // up, so their workspace comes from the workspace, website or source product
+  // in the entry's values.
+  workspaceOf: (entityType, entityId, before, after) => {
+    if (entityType === 'workspace') return Number(entityId);
+    if (!AUDIT_WORKSPACE_QUERIES[entityType]) return null;
+
+    const values = { ...before, ...after };
+    const lookup = (type, id) => {
+      const row = id ? db.prepare(AUDIT_WORKSPACE_QUERIES[type]).get(id) : null;
+      return row ? row.workspace_id : null;
+    };
+    return lookup(entityType, entityId) || values.workspace_id || lookup('website', values.website_id) ||
+      lookup('product', values.source_product_id);
+  },
+
+  parse: (row) => {
+    if (!row) return row;
+    const { before_value: before, after_value: after, ...entry } = row;
+    return { ...entry, before: before ? JSON.parse(before) : null, after: after ? JSON.parse(after) : null };
+  },
+
+  // WHERE clause and parameters for the filters of find() and count().
+  // `product_id` and `website_id` also match entries about the product's
+  // matches and the website's products, crawls and schedules.
+  where: (filters) => {
+    const conditions = [];
+    const params = {};
+    const related = (field, param) => `(json_extract(before_value, '$.${field}') = @${param} ` +
+      `OR json_extract(after_value, '$.${field}') = @${param})`;
+
+    // Entries of the workspace and those shared by all workspaces
+    if (filters.workspace_id !== undefined) {
+      conditions.push('(workspace_id = @workspace_id OR workspace_id IS NULL)');
+      params.workspace_id = filters.workspace_id;
+    }
+    if (filters.exclude_entity_types) {
+      conditions.push('entity_type NOT IN (SELECT value FROM json_each(@exclude_entity_types))');
+      params.exclude_entity_types = JSON.stringify(filters.exclude_entity_types);
+    }
+    if (filters.actor_id === null) {
+      conditions.push('actor_id IS NULL');
+    } else if (filters.actor_id !== undefined) {
+      conditions.push('actor_id = @actor_id');
+      params.actor_id = filters.actor_id;
+    }
+    for (const field of ['action', 'entity_type', 'entity_id']) {
+      if (filters[field] !== undefined) {
+        conditions.push(`${field} = @${field}`);
+        params[field] = filters[field];
+      }
+    }
+    if (filters.product_id !== undefined) {
+      conditions.push(`((entity_type = 'product' AND entity_id = @product_id) OR (entity_type = 'product_match'
+        AND (${related('source_product_id', 'product_id')} OR ${related('competitor_product_id', 'product_id')})))`);
+      params.product_id = filters.product_id;
+    }
+    if (filters.website_id !== undefined) {
+      conditions.push(`((entity_type = 'website' AND entity_id = @website_id)
+        OR (entity_type != 'website' AND ${related('website_id', 'website_id')}))`);
+      params.website_id = filters.website_id;
+    }
+    if (filters.since) {
+      conditions.push('created_at >= @since');
+      params.since = filters.since;
+    }
+    if (filters.until) {
+      conditions.push('created_at < @until');
+      params.until = filters.until;
+    }
+
+    return { clause: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  },
+
+  // Entries matching the filters, newest first
+  find: (filters = {}, limit = 100, offset = 0) => {
+    const { clause, params } = AuditLog.where(filters);
+    return db.prepare(`
+      SELECT * FROM audit_log ${clause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset }).map(AuditLog.parse);
+  },
+
+  count: (filters = {}) => {
+    const { clause, params } = AuditLog.where(filters);
+    return db.prepare(`SELECT COUNT(*) as count FROM audit_log ${clause}`).get(params).count;
+  }
+};
+
+module.exports = {
+  Workspace,
+  Website,
+  CompetitorGroup,
+  Brand,
+  Category,
+  Product,
+  ProductMatch,
+  ProductVariant,
+  VariantMatch,
+  PriceHistory,
+  ExchangeRate,
+  CrawlJob,
+  CrawlSchedule,
+  AlertRule,
+  Alert,
+  Webhook,
+  WebhookDelivery,
+  DigestSettings,
+  User,
+  Session,
+  AuditLog
+};
@@ -9,44 +9,80 @@ const websitesRouter = require('./routes/websites');
 const productsRouter = require('./routes/products');
 const matchingRouter = require('./routes/matching');
 const exportRouter = require('./routes/export');
+const exchangeRatesRouter = require('./routes/exchangeRates');
+const alertsRouter = require('./routes/alerts');
+const webhooksRouter = require('./routes/webhooks');
+const digestRouter = require('./routes/digest');
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const auditRouter = require('./routes/audit');
+const workspacesRouter = require('./routes/workspaces');
+const { brandsRouter, categoriesRouter } = require('./routes/taxonomy');
+const { requireAuth, requireRole, authenticateSocket } = require('./middleware/auth');
+const { selectWorkspace } = require('./middleware/workspace');
 
 // Import database to initialize
 require('./database/init');
 
 // Import crawl job manager
-const { CrawlJob } = require('./database/models');
+const { CrawlJob, Alert, Workspace } = require('./database/models');
+const { crawlService } = require('./services/crawlService');
+const { schedulerService } = require('./services/schedulerService');
+const { alertService } = require('./services/alertService');
+const { webhookService } = require('./services/webhookService');
+const { digestService } = require('./services/digestService');
 
 const app = express();
 const httpServer = createServer(app);
+// Origins of the development client (in production the client is served by this server)
+const CLIENT_ORIGINS = ['http://localhost:3000', 'http://localhost:3001'];
+
 const io = new Server(httpServer, {
   cors: {
-    origin: ['http://localhost:3000', 'http://localhost:3001'],
-    methods: ['GET', 'POST']
+    origin: CLIENT_ORIGINS,
+    methods: ['GET', 'POST'],
+    credentials: true
   }
 });
 
-// Make io available to routes
+// Make io available to routes and background services
 app.set('io', io);
+crawlService.setIo(io);
+alertService.setIo(io);
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CLIENT_ORIGINS, credentials: true }));
 app.use(express.json());
 
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Login and session routes; every other API route requires a signed-in user
+// and works in the workspace the request selects
+app.use('/api/auth', authRouter);
+app.use('/api', requireAuth, selectWorkspace);
+
 // API Routes
+app.use('/api/workspaces', workspacesRouter);
+app.use('/api/users', requireRole('admin'), usersRouter);
 app.use('/api/websites', websitesRouter);
 app.use('/api/products', productsRouter);
 app.use('/api/matching', matchingRouter);
 app.use('/api/export', exportRouter);
-
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+app.use('/api/exchange-rates', exchangeRatesRouter);
+app.use('/api/alerts', alertsRouter);
+app.use('/api/webhooks', requireRole('admin'), webhooksRouter);
+app.use('/api/digest', digestRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/brands', brandsRouter);
+app.use('/api/categories', categoriesRouter);
 
 // Get active crawl jobs
 app.get('/api/jobs', (req, res) => {
   try {
-    const jobs = CrawlJob.findAll();
+    const jobs = CrawlJob.findAll(req.workspace.id);
     res.json(jobs);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -56,13 +92,22 @@ app.get('/api/jobs', (req, res) => {
 // Get running jobs
 app.get('/api/jobs/running', (req, res) => {
   try {
-    const jobs = CrawlJob.findRunning();
+    const jobs = CrawlJob.findRunning(req.workspace.id);
     res.json(jobs);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Get the selected workspace's crawl queue and the shared concurrency limits
+app.get('/api/jobs/queue', (req, res) => {
+  try {
+    res.json(crawlService.getStatus(req.workspace.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Serve static files from React build in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../client/build')));
@@ -72,15 +117,23 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-// Socket.IO connection handling
+// Socket.IO connection handling (signed-in users only)
+io.use(authenticateSocket);
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
 
+  // Crawl and alert events are sent to the room of the workspace the client selected
+  const requested = socket.handshake.auth.workspace_id;
+  const workspace = (requested && Workspace.findById(requested)) || Workspace.findDefault();
+  socket.join(`workspace:${workspace.id}`);
+
   // Send current running jobs on connect
-  const runningJobs = CrawlJob.findRunning();
+  const runningJobs = CrawlJob.findRunning(workspace.id);
   if (runningJobs.length > 0) {
     socket.emit('running-jobs', runningJobs);
   }
+  socket.emit('crawl-queue', crawlService.getQueue(workspace.id));
+  socket.emit('unread-alerts', Alert.countUnread(workspace.id));
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
@@ -110,6 +163,12 @@ httpServer.listen(PORT, () => {
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
+
+  // Start queued and scheduled crawls
+  crawlService.start();
+  schedulerService.start();
+  webhookService.start();
+  digestService.start();
 });
 
 module.exports = { app, io };
@@ -0,0 +1,44 @@
+const AuthService = require('../services/authService');
+const { runAs } = require('../database/auditContext');
+
+const authService = new AuthService();
+
+// Require a signed-in user; sets req.user and req.sessionToken. The rest of
+// the request runs with the user as the actor of its audit log entries.
+function requireAuth(req, res, next) {
+  const token = AuthService.tokenFromHeaders(req.headers);
+  const user = authService.authenticate(token);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  req.sessionToken = token;
+  runAs({ id: user.id, username: user.username }, next);
+}
+
+// Require a role (or a more privileged one) for a route; use after requireAuth
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!AuthService.hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Socket.IO middleware: only signed-in users may connect. The token is read
+// from the handshake `auth.token` or, like HTTP requests, from the session cookie.
+function authenticateSocket(socket, next) {
+  const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+    AuthService.tokenFromHeaders(socket.handshake.headers);
+  const user = authService.authenticate(token);
+  if (!user) {
+    return next(new Error('Authentication required'));
+  }
+
+  socket.data.user = user;
+  next();
+}
+
+module.exports = { requireAuth, requireRole, authenticateSocket };
@@ -0,0 +1,35 @@
+const { Workspace, CompetitorGroup } = require('../database/models');
+
+// Select the workspace a request works in: the X-Workspace-Id header or, for
+// download links, the workspace_id query parameter. Without either the first
+// workspace is used. Sets req.workspace.
+function selectWorkspace(req, res, next) {
+  const requested = req.get('X-Workspace-Id') || req.query.workspace_id;
+  const workspace = requested ? Workspace.findById(requested) : Workspace.findDefault();
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+
+  req.workspace = workspace;
+  next();
+}
+
+// Select the competitor group given by the group query parameter, matched
+// ignoring case within the workspace. Sets req.competitorGroup to the group
+// name, or null when no group is given.
+function selectCompetitorGroup(req, res, next) {
+  if (!req.query.group) {
+    req.competitorGroup = null;
+    return next();
+  }
+
+  const group = CompetitorGroup.findByName(req.workspace.id, req.query.group);
+  if (!group) {
+    return res.status(404).json({ error: 'Competitor group not found' });
+  }
+
+  req.competitorGroup = group.name;
+  next();
+}
+
+module.exports = { selectWorkspace, selectCompetitorGroup };
@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const { Alert, AlertRule, Website } = require('../database/models');
+const { AlertService, alertService } = require('../services/alertService');
+const { requireRole } = require('../middleware/auth');
+
+const ALERT_STATUSES = ['unread', 'read', 'dismissed'];
+
+// Validate the fields of an alert rule of `workspace`; `existing` is the rule being updated
+function validateRule({ rule_type, threshold, website_id }, workspace, existing = null) {
+  const type = rule_type !== undefined ? rule_type : existing && existing.rule_type;
+  if (!AlertService.RULE_TYPES.includes(type)) {
+    return `rule_type must be one of: ${AlertService.RULE_TYPES.join(', ')}`;
+  }
+  if (threshold !== undefined && threshold !== null && !(Number.isFinite(threshold) && threshold >= 0)) {
+    return 'threshold must be a non-negative number (percent)';
+  }
+  if (website_id !== undefined && website_id !== null) {
+    const website = Website.findById(website_id);
+    if (!website || website.workspace_id !== workspace.id) {
+      return 'Website not found';
+    }
+    if (website.is_source) {
+      return 'website_id must be a competitor website';
+    }
+  }
+  return null;
+}
+
+// Get the workspace's alerts (?status=unread|read|dismissed, default all but dismissed)
+router.get('/', (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ALERT_STATUSES.join(', ')}` });
+    }
+
+    const limit = parseInt(req.query.limit) || 200;
+    const alerts = Alert.findAll(req.workspace.id, status || null, limit).map(a => ({
+      ...a,
+      data: a.data ? JSON.parse(a.data) : null
+    }));
+    res.json({ unread: Alert.countUnread(req.workspace.id), alerts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the workspace's alert rules
+router.get('/rules', (req, res) => {
+  try {
+    res.json(AlertRule.findAll(req.workspace.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an alert rule
+router.post('/rules', requireRole('analyst'), (req, res) => {
+  try {
+    const { name, rule_type, threshold, website_id, enabled } = req.body;
+
+    const ruleError = validateRule(req.body, req.workspace);
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+
+    const rule = AlertRule.create({ workspace_id: req.workspace.id, name, rule_type, threshold, website_id, enabled });
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update an alert rule
+router.put('/rules/:id', requireRole('analyst'), (req, res) => {
+  try {
+    const rule = AlertRule.findById(req.params.id);
+    if (!rule || rule.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const ruleError = validateRule(req.body, req.workspace, rule);
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+
+    const { name, rule_type, threshold, website_id, enabled } = req.body;
+    const updates = {};
+    if (name !== undefined) updates.name = name || null;
+    if (rule_type !== undefined) updates.rule_type = rule_type;
+    if (threshold !== undefined) updates.threshold = threshold;
+    if (website_id !== undefined) updates.website_id = website_id || null;
+    if (enabled !== undefined) updates.enabled = enabled ? 1 : 0;
+
+    if (Object.keys(updates).length > 0) {
+      AlertRule.update(rule.id, updates);
+    }
+
+    res.json(AlertRule.findById(rule.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an alert rule (its alerts are kept)
+router.delete('/rules/:id', requireRole('analyst'), (req, res) => {
+  try {
+    const rule = AlertRule.findById(req.params.id);
+    if (!rule || rule.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    AlertRule.delete(rule.id);
+    res.json({ message: 'Alert rule deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check the workspace's alert rules now
+router.post('/check', requireRole('analyst'), (req, res) => {
+  try {
+    const alerts = alertService.checkRules(req.workspace.id);
+    res.json({ alerts_triggered: alerts.length, alerts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark all unread alerts of the workspace as read
+router.post('/read-all', requireRole('analyst'), (req, res) => {
+  try {
+    const result = Alert.markAllRead(req.workspace.id);
+    alertService.emitUnreadCount(req.workspace.id);
+    res.json({ updated: result.changes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark an alert as read
+router.post('/:id/read', requireRole('analyst'), (req, res) => {
+  try {
+    const alert = Alert.findById(req.params.id);
+    if (!alert || alert.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    Alert.setStatus(alert.id, 'read');
+    alertService.emitUnreadCount(alert.workspace_id);
+    res.json({ message: 'Alert marked as read' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dismiss an alert
+router.post('/:id/dismiss', requireRole('analyst'), (req, res) => {
+  try {
+    const alert = Alert.findById(req.params.id);
+    if (!alert || alert.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    Alert.setStatus(alert.id, 'dismissed');
+    alertService.emitUnreadCount(alert.workspace_id);
+    res.json({ message: 'Alert dismissed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { AuditLog } = require('../database/models');
+const AuthService = require('../services/authService');
+
+const MAX_LIMIT = 500;
+const ID_FILTERS = ['entity_id', 'product_id', 'website_id'];
+// Entries about users and sessions, and about webhooks, are shown to admins only
+const ADMIN_ENTITY_TYPES = ['user', 'webhook'];
+
+// Audit log timestamps are stored as SQLite UTC times ("YYYY-MM-DD HH:MM:SS")
+function toSqlTime(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Build AuditLog filters from the query string; returns { filters } or { error }
+function parseFilters(query) {
+  const filters = {};
+
+  if (query.actor !== undefined) {
+    if (query.actor === 'system') {
+      filters.actor_id = null;
+    } else if (/^\d+$/.test(query.actor)) {
+      filters.actor_id = parseInt(query.actor);
+    } else {
+      return { error: 'actor must be a user id or "system"' };
+    }
+  }
+  if (query.action) filters.action = query.action;
+  if (query.entity_type) filters.entity_type = query.entity_type;
+
+  for (const field of ID_FILTERS) {
+    if (query[field] !== undefined) {
+      if (!/^\d+$/.test(query[field])) {
+        return { error: `${field} must be an id` };
+      }
+      filters[field] = parseInt(query[field]);
+    }
+  }
+
+  for (const field of ['since', 'until']) {
+    if (query[field] !== undefined) {
+      filters[field] = toSqlTime(query[field]);
+      if (!filters[field]) {
+        return { error: `${field} must be a date or ISO timestamp` };
+      }
+    }
+  }
+
+  return { filters };
+}
+
+// Get the audit log entries of the selected workspace and those about data
+// shared by all workspaces, newest first. Filters: actor (user id or "system"),
+// action, entity_type, entity_id, product_id, website_id, since, until;
+// paged with limit (default 100) and offset.
+router.get('/', (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    filters.workspace_id = req.workspace.id;
+    if (!AuthService.hasRole(req.user, 'admin')) {
+      filters.exclude_entity_types = ADMIN_ENTITY_TYPES;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_LIMIT);
+    const offset = parseInt(req.query.offset) || 0;
+    res.json({
+      total: AuditLog.count(filters),
+      entries: AuditLog.find(filters, limit, offset)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const { User, AuditLog } = require('../database/models');
+const AuthService = require('../services/authService');
+const { requireAuth } = require('../middleware/auth');
+
+const authService = new AuthService();
+
+// Set the session cookie and return the session
+function startSession(req, res, user) {
+  const session = authService.createSession(user);
+  AuditLog.record('user.login', 'user', user.id, null, null, user);
+  res.cookie(AuthService.COOKIE_NAME, session.token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    expires: new Date(session.expires_at)
+  });
+  return { user, ...session };
+}
+
+// Whether the first account still has to be created
+router.get('/status', (req, res) => {
+  try {
+    res.json({ setup_required: User.count() === 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create the first account and sign in; only allowed while there are no users
+router.post('/setup', (req, res) => {
+  try {
+    if (User.count() > 0) {
+      return res.status(409).json({ error: 'Setup has already been completed' });
+    }
+
+    const { username, password } = req.body;
+    const credentialsError = AuthService.validateUsername(username) || AuthService.validatePassword(password);
+    if (credentialsError) {
+      return res.status(400).json({ error: credentialsError });
+    }
+
+    // The first account administers the others
+    const user = authService.createUser(username.trim(), password, 'admin');
+    res.status(201).json(startSession(req, res, user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign in
+router.post('/login', (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = authService.verifyCredentials(username.trim(), password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    res.json(startSession(req, res, user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out of the current session
+router.post('/logout', (req, res) => {
+  try {
+    const token = AuthService.tokenFromHeaders(req.headers);
+    const user = authService.authenticate(token);
+    if (user) {
+      AuditLog.record('user.logout', 'user', user.id, null, null, user);
+    }
+    authService.endSession(token);
+    res.clearCookie(AuthService.COOKIE_NAME, { path: '/' });
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the signed-in user
+router.get('/me', requireAuth, (req, res) => {
+  try {
+    res.json(User.findById(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change the signed-in user's password; other sessions are signed out
+router.put('/password', requireAuth, (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    if (typeof current_password !== 'string' ||
+        !authService.verifyCredentials(req.user.username, current_password)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordError = AuthService.validatePassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    authService.setPassword(req.user.id, new_password);
+    authService.endOtherSessions(req.user.id, req.sessionToken);
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { DigestSettings } = require('../database/models');
+const { DigestService, digestService } = require('../services/digestService');
+const { requireRole } = require('../middleware/auth');
+
+const EMAIL_PATTERN = /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/;
+
+// Validate digest settings fields
+function validateSettings({ frequency, recipients, send_hour, send_day }) {
+  if (frequency !== undefined && !DigestService.FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of: ${DigestService.FREQUENCIES.join(', ')}`;
+  }
+  if (recipients !== undefined) {
+    if (!Array.isArray(recipients)) {
+      return 'recipients must be an array of email addresses';
+    }
+    const invalid = recipients.filter(r => typeof r !== 'string' || !EMAIL_PATTERN.test(r));
+    if (invalid.length > 0) {
+      return `Invalid email addresses: ${invalid.join(', ')}`;
+    }
+  }
+  if (send_hour !== undefined && !(Number.isInteger(send_hour) && send_hour >= 0 && send_hour <= 23)) {
+    return 'send_hour must be an hour from 0 to 23';
+  }
+  if (send_day !== undefined && !(Number.isInteger(send_day) && send_day >= 0 && send_day <= 6)) {
+    return 'send_day must be a weekday from 0 (Sunday) to 6 (Saturday)';
+  }
+  return null;
+}
+
+function withSchedule(settings) {
+  return {
+    ...settings,
+    enabled: settings.enabled === 1,
+    schedule: DigestService.describeSchedule(settings),
+    smtp_configured: digestService.isConfigured()
+  };
+}
+
+// Get the digest settings of the selected workspace
+router.get('/', (req, res) => {
+  try {
+    res.json(withSchedule(DigestSettings.get(req.workspace.id)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update the workspace's digest settings; the next send time is recalculated
+router.put('/', requireRole('admin'), (req, res) => {
+  try {
+    const settingsError = validateSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const { enabled, frequency, send_hour, send_day } = req.body;
+    const updates = {};
+    if (enabled !== undefined) updates.enabled = enabled ? 1 : 0;
+    if (frequency !== undefined) updates.frequency = frequency;
+    if (req.body.recipients !== undefined) updates.recipients = [...new Set(req.body.recipients)];
+    if (send_hour !== undefined) updates.send_hour = send_hour;
+    if (send_day !== undefined) updates.send_day = send_day;
+
+    const recipients = updates.recipients || DigestSettings.get(req.workspace.id).recipients;
+    if (updates.enabled && recipients.length === 0) {
+      return res.status(400).json({ error: 'Add at least one recipient before enabling the digest' });
+    }
+
+    res.json(withSchedule(digestService.updateSettings(req.workspace.id, updates)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview the workspace's next digest as HTML (?format=json for the digest data)
+router.get('/preview', (req, res) => {
+  try {
+    const digest = digestService.build(req.workspace.id);
+    if (req.query.format === 'json') {
+      return res.json(digest);
+    }
+    res.type('html').send(digestService.renderHtml(digest));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send the workspace's digest now, to the configured recipients or to
+// `recipients`. The period of the next scheduled digest is not changed.
+router.post('/send', requireRole('admin'), async (req, res) => {
+  try {
+    const settingsError = validateSettings({ recipients: req.body.recipients });
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const recipients = req.body.recipients || DigestSettings.get(req.workspace.id).recipients;
+    if (recipients.length === 0) {
+      return res.status(400).json({ error: 'No recipients given or configured' });
+    }
+    if (!digestService.isConfigured()) {
+      return res.status(400).json({ error: 'SMTP is not configured: set SMTP_HOST' });
+    }
+
+    res.json(await digestService.send(req.workspace.id, recipients));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { ExchangeRate } = require('../database/models');
+const CurrencyService = require('../services/currencyService');
+const { requireRole } = require('../middleware/auth');
+
+const currencyService = new CurrencyService();
+
+// Get exchange rates and the reporting currency
+router.get('/', (req, res) => {
+  try {
+    res.json(currencyService.listRates());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import exchange rates ({ base, rates } or { csv })
+router.post('/import', requireRole('admin'), (req, res) => {
+  try {
+    let imported;
+    try {
+      imported = currencyService.importRates(req.body.csv !== undefined ? String(req.body.csv) : req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ imported: Object.keys(imported).length, ...currencyService.listRates() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the rate of a currency
+router.put('/:currency', requireRole('admin'), (req, res) => {
+  try {
+    let rate;
+    try {
+      rate = currencyService.setRate(req.params.currency, req.body.rate);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(rate);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete the rate of a currency
+router.delete('/:currency', requireRole('admin'), (req, res) => {
+  try {
+    const code = CurrencyService.normalizeCode(req.params.currency);
+    if (!code || !ExchangeRate.findByCurrency(code)) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    ExchangeRate.delete(code);
+    res.json({ message: 'Exchange rate deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,27 @@
 const express = require('express');
 const router = express.Router();
+const { Website } = require('../database/models');
 const ExportService = require('../services/exportService');
+const { selectCompetitorGroup } = require('../middleware/workspace');
 
 const exportService = new ExportService();
 
+// Every export can be limited to the competitors of one group with ?group=
+router.use(selectCompetitorGroup);
+
 // Export products
 router.get('/products', (req, res) => {
   try {
     const format = req.query.format || 'json';
     const websiteId = req.query.website_id ? parseInt(req.query.website_id) : null;
+    if (websiteId) {
+      const website = Website.findById(websiteId);
+      if (!website || website.workspace_id !== req.workspace.id) {
+        return res.status(404).json({ error: 'Website not found' });
+      }
+    }
 
-    const data = exportService.exportProducts(format, websiteId);
+    const data = exportService.exportProducts(format, websiteId, req.workspace.id, req.competitorGroup);
 
     if (format === 'csv') {
       res.setHeader('Content-Type', 'text/csv');
@@ -30,7 +41,7 @@ router.get('/products', (req, res) => {
 router.get('/comparison', (req, res) => {
   try {
     const format = req.query.format || 'json';
-    const data = exportService.exportComparison(format);
+    const data = exportService.exportComparison(format, req.workspace.id, req.competitorGroup);
 
     if (format === 'csv') {
       res.setHeader('Content-Type', 'text/csv');
@@ -50,7 +61,7 @@ router.get('/comparison', (req, res) => {
 router.get('/unmatched', (req, res) => {
   try {
     const format = req.query.format || 'json';
-    const data = exportService.exportUnmatched(format);
+    const data = exportService.exportUnmatched(format, req.workspace.id, req.competitorGroup);
 
     if (format === 'csv') {
       res.setHeader('Content-Type', 'text/csv');
@@ -70,7 +81,7 @@ router.get('/unmatched', (req, res) => {
 router.get('/report', (req, res) => {
   try {
     const format = req.query.format || 'json';
-    const data = exportService.exportFullReport(format);
+    const data = exportService.exportFullReport(format, req.workspace.id, req.competitorGroup);
 
     if (format === 'csv') {
       res.setHeader('Content-Type', 'text/csv');
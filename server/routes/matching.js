@@ -1,14 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const { ProductMatch, Product } = require('../database/models');
+const { ProductMatch, Product, VariantMatch, CompetitorGroup } = require('../database/models');
 const MatchingService = require('../services/matchingService');
+const CurrencyService = require('../services/currencyService');
+const ShippingService = require('../services/shippingService');
+const { alertService } = require('../services/alertService');
+const { webhookService } = require('../services/webhookService');
+const { requireRole } = require('../middleware/auth');
+const { selectCompetitorGroup } = require('../middleware/workspace');
 
 const matchingService = new MatchingService();
+const currencyService = new CurrencyService();
+const shippingService = new ShippingService();
 
-// Get all matches
+// Match fields sent with match-created webhook events
+const matchPayload = (m) => ({
+  source_product_id: m.source_product_id,
+  competitor_product_id: m.competitor_product_id,
+  match_type: m.match_type,
+  match_score: m.match_score,
+  is_confirmed: !!m.is_confirmed
+});
+
+// Get the matches of the selected workspace
 router.get('/', (req, res) => {
   try {
-    const matches = ProductMatch.findAll();
+    const matches = ProductMatch.findAll(req.workspace.id);
     res.json(matches);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -18,7 +35,12 @@ router.get('/', (req, res) => {
 // Get matches for a source product
 router.get('/source/:sourceId', (req, res) => {
   try {
-    const matches = ProductMatch.findBySourceProduct(req.params.sourceId);
+    const product = Product.findById(req.params.sourceId);
+    if (!product || product.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const matches = ProductMatch.findBySourceProduct(product.id);
     res.json(matches);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -28,7 +50,7 @@ router.get('/source/:sourceId', (req, res) => {
 // Get unmatched source products
 router.get('/unmatched', (req, res) => {
   try {
-    const unmatched = ProductMatch.findUnmatched();
+    const unmatched = ProductMatch.findUnmatched(req.workspace.id);
     res.json(unmatched);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -38,7 +60,7 @@ router.get('/unmatched', (req, res) => {
 // Get unmatched competitor products
 router.get('/unmatched-competitors', (req, res) => {
   try {
-    const unmatched = ProductMatch.findUnmatchedCompetitors();
+    const unmatched = ProductMatch.findUnmatchedCompetitors(req.workspace.id);
     res.json(unmatched);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -48,8 +70,13 @@ router.get('/unmatched-competitors', (req, res) => {
 // Get suggested matches for a source product
 router.get('/suggestions/:sourceId', (req, res) => {
   try {
+    const product = Product.findById(req.params.sourceId);
+    if (!product || product.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
     const limit = parseInt(req.query.limit) || 10;
-    const suggestions = matchingService.getSuggestedMatches(req.params.sourceId, limit);
+    const suggestions = matchingService.getSuggestedMatches(product.id, limit);
     res.json(suggestions);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -57,23 +84,32 @@ router.get('/suggestions/:sourceId', (req, res) => {
 });
 
 // Run automatic matching
-router.post('/run', async (req, res) => {
+router.post('/run', requireRole('analyst'), async (req, res) => {
   try {
     const options = {
       minSimilarity: req.body.minSimilarity || 0.6,
       allowDuplicateMatches: req.body.allowDuplicateMatches || false,
-      maxMatchesPerProduct: req.body.maxMatchesPerProduct || 5
+      maxMatchesPerProduct: req.body.maxMatchesPerProduct || 5,
+      sameBrand: req.body.sameBrand === true,
+      sameCategory: req.body.sameCategory === true,
+      workspaceId: req.workspace.id
     };
 
     const result = await matchingService.runMatching(options);
-    res.json(result);
+    if (result.new_matches.length > 0) {
+      webhookService.dispatch('match-created', { source: 'automatic', matches: result.new_matches.map(matchPayload) },
+        req.workspace.id);
+    }
+    // New matches may trigger alert rules
+    const alerts = alertService.checkRules(req.workspace.id);
+    res.json({ ...result, alerts_triggered: alerts.length });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Create manual match
-router.post('/manual', (req, res) => {
+router.post('/manual', requireRole('analyst'), (req, res) => {
   try {
     const { source_product_id, competitor_product_id } = req.body;
 
@@ -81,18 +117,19 @@ router.post('/manual', (req, res) => {
       return res.status(400).json({ error: 'source_product_id and competitor_product_id are required' });
     }
 
-    // Verify products exist
+    // Verify products exist in the workspace
     const sourceProduct = Product.findById(source_product_id);
     const competitorProduct = Product.findById(competitor_product_id);
 
-    if (!sourceProduct) {
+    if (!sourceProduct || sourceProduct.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Source product not found' });
     }
-    if (!competitorProduct) {
+    if (!competitorProduct || competitorProduct.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Competitor product not found' });
     }
 
     const match = matchingService.createManualMatch(source_product_id, competitor_product_id);
+    webhookService.dispatch('match-created', { source: 'manual', matches: [matchPayload(match)] }, req.workspace.id);
     res.status(201).json(match);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -100,49 +137,140 @@ router.post('/manual', (req, res) => {
 });
 
 // Confirm a match
-router.post('/:id/confirm', (req, res) => {
+router.post('/:id/confirm', requireRole('analyst'), (req, res) => {
   try {
-    ProductMatch.confirm(req.params.id);
+    const match = ProductMatch.findById(req.params.id);
+    if (!match || match.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    ProductMatch.confirm(match.id);
+    webhookService.dispatch('match-confirmed', { match: { ...match, is_confirmed: 1 } }, req.workspace.id);
     res.json({ message: 'Match confirmed' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Get variant pairs of a match
+router.get('/:id/variants', (req, res) => {
+  try {
+    const match = ProductMatch.findById(req.params.id);
+    if (!match || match.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    res.json(VariantMatch.findByMatch(match.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-run variant matching for a match
+router.post('/:id/variants', requireRole('analyst'), (req, res) => {
+  try {
+    const match = ProductMatch.findById(req.params.id);
+    if (!match || match.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    matchingService.matchVariantsForMatch(match);
+    res.json(VariantMatch.findByMatch(match.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete a match
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requireRole('analyst'), (req, res) => {
   try {
-    ProductMatch.delete(req.params.id);
+    const match = ProductMatch.findById(req.params.id);
+    if (!match || match.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    ProductMatch.delete(match.id);
     res.json({ message: 'Match deleted' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get matching statistics
-router.get('/stats', (req, res) => {
+// Get matching statistics, for the competitors of one group with ?group=
+router.get('/stats', selectCompetitorGroup, (req, res) => {
   try {
-    const stats = matchingService.getStatistics();
+    const stats = matchingService.getStatistics(req.workspace.id, req.competitorGroup);
     res.json(stats);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get comparison view data
-router.get('/comparison', (req, res) => {
+// Get comparison view data. With exclude_out_of_stock=true, out-of-stock
+// competitor offers are left out of the lowest/highest competitor prices.
+// With group=<name> only the competitors of that group are compared.
+router.get('/comparison', selectCompetitorGroup, (req, res) => {
   try {
-    const sourceProducts = Product.findSourceProducts();
-    const matches = ProductMatch.findAll();
+    const excludeOutOfStock = req.query.exclude_out_of_stock === 'true';
+    const sourceProducts = Product.findSourceProducts(req.workspace.id);
+    const groupIds = req.competitorGroup ? CompetitorGroup.websiteIds(req.workspace.id, req.competitorGroup) : null;
+    const matches = ProductMatch.findAll(req.workspace.id)
+      .filter(m => !groupIds || groupIds.includes(m.competitor_website_id));
+    const variantMatches = VariantMatch.findAll();
+
+    // Differences are calculated in the reporting currency
+    const rates = currencyService.getRates();
+    const toReporting = (price, currency) =>
+      currencyService.convert(price, currency, currencyService.reportingCurrency, rates);
+    const difference = (competitorPrice, sourcePrice) =>
+      competitorPrice !== null && sourcePrice !== null ? competitorPrice - sourcePrice : null;
+    // Discount depth against the list price, in percent
+    const discount = (price, listPrice) =>
+      price && listPrice > price ? Math.round(((listPrice - price) / listPrice) * 1000) / 10 : null;
+    const onPromotion = (promoText, price, listPrice) => !!promoText || discount(price, listPrice) !== null;
+    // Landed prices add each website's shipping cost to the item price
+    const websites = shippingService.getWebsites();
 
     const comparison = sourceProducts.map(source => {
-      const productMatches = matches.filter(m => m.source_product_id === source.id);
+      const sourcePrice = toReporting(source.price, source.currency);
+      const sourceWebsite = websites.get(source.website_id);
+      const sourceLandedPrice = shippingService.landedPrice(source, sourceWebsite);
+      const sourceReportingLanded = toReporting(sourceLandedPrice, source.currency);
+      const productMatches = matches
+        .filter(m => m.source_product_id === source.id)
+        .map(m => {
+          const competitor = { price: m.competitor_price, shipping_fee: m.competitor_shipping_fee };
+          const website = websites.get(m.competitor_website_id);
+          const landedPrice = shippingService.landedPrice(competitor, website);
+          return {
+            ...m,
+            reporting_price: toReporting(m.competitor_price, m.competitor_currency),
+            shipping_cost: shippingService.shippingCost(competitor, website),
+            landed_price: landedPrice,
+            reporting_landed_price: toReporting(landedPrice, m.competitor_currency)
+          };
+        });
+      const competitorPrices = productMatches
+        .filter(m => m.reporting_price !== null)
+        .filter(m => !excludeOutOfStock || m.competitor_availability !== 'out_of_stock')
+        .map(m => m.reporting_price);
 
       return {
         source: {
           id: source.id,
           name: source.name,
           price: source.price,
+          list_price: source.list_price,
+          promo_text: source.promo_text,
+          discount_percent: discount(source.price, source.list_price),
+          on_promotion: onPromotion(source.promo_text, source.price, source.list_price),
+          availability: source.availability,
+          stock_quantity: source.stock_quantity,
+          currency: source.currency,
+          reporting_price: sourcePrice,
+          shipping_cost: shippingService.shippingCost(source, sourceWebsite),
+          landed_price: sourceLandedPrice,
+          reporting_landed_price: sourceReportingLanded,
           sku: source.sku,
           image_url: source.image_url,
           product_url: source.product_url
@@ -153,22 +281,59 @@ router.get('/comparison', (req, res) => {
           website: m.competitor_website,
           name: m.competitor_name,
           price: m.competitor_price,
+          list_price: m.competitor_list_price,
+          promo_text: m.competitor_promo_text,
+          discount_percent: discount(m.competitor_price, m.competitor_list_price),
+          on_promotion: onPromotion(m.competitor_promo_text, m.competitor_price, m.competitor_list_price),
+          availability: m.competitor_availability,
+          stock_quantity: m.competitor_stock_quantity,
+          currency: m.competitor_currency,
+          reporting_price: m.reporting_price,
+          shipping_cost: m.shipping_cost,
+          landed_price: m.landed_price,
+          reporting_landed_price: m.reporting_landed_price,
           sku: m.competitor_sku,
           image_url: m.competitor_image,
           product_url: m.competitor_url,
           match_type: m.match_type,
           match_score: m.match_score,
           is_confirmed: m.is_confirmed === 1,
-          price_difference: m.competitor_price !== null && source.price !== null
-            ? m.competitor_price - source.price
-            : null
+          price_difference: difference(m.reporting_price, sourcePrice),
+          landed_price_difference: difference(m.reporting_landed_price, sourceReportingLanded),
+          variants: variantMatches.filter(v => v.product_match_id === m.id).map(v => ({
+            id: v.id,
+            match_type: v.match_type,
+            match_score: v.match_score,
+            source: {
+              id: v.source_variant_id,
+              title: v.source_title,
+              sku: v.source_sku,
+              options: v.source_options,
+              price: v.source_price,
+              available: v.source_available
+            },
+            competitor: {
+              id: v.competitor_variant_id,
+              title: v.competitor_title,
+              sku: v.competitor_sku,
+              options: v.competitor_options,
+              price: v.competitor_price,
+              available: v.competitor_available
+            },
+            price_difference: difference(
+              toReporting(v.competitor_price, m.competitor_currency),
+              toReporting(v.source_price, source.currency)
+            )
+          }))
         })),
         has_matches: productMatches.length > 0,
-        lowest_competitor_price: productMatches.length > 0
-          ? Math.min(...productMatches.filter(m => m.competitor_price !== null).map(m => m.competitor_price))
+        competitor_promotions: productMatches
+          .filter(m => onPromotion(m.competitor_promo_text, m.competitor_price, m.competitor_list_price)).length,
+        lowest_competitor_price: competitorPrices.length > 0
+          ? Math.min(...competitorPrices)
           : null,
-        highest_competitor_price: productMatches.length > 0
-          ? Math.max(...productMatches.filter(m => m.competitor_price !== null).map(m => m.competitor_price))
+        highest_competitor_price: competitorPrices.length > 0
+          ? Math.max(...competitorPrices)
           : null
       };
     });
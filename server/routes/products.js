@@ -1,25 +1,47 @@
 const express = require('express');
 const router = express.Router();
-const { Product, Website } = require('../database/models');
+const { Product, Website, PriceHistory, ProductVariant } = require('../database/models');
+const CurrencyService = require('../services/currencyService');
+const IdentifierService = require('../services/identifierService');
+const { requireRole } = require('../middleware/auth');
 
-// Get all products
+// Get the products of the selected workspace, optionally of one website,
+// brand (brand_id) or category (category_id)
 router.get('/', (req, res) => {
   try {
     const { website_id, source_only, competitor_only } = req.query;
 
+    for (const field of ['brand_id', 'category_id']) {
+      if (req.query[field] !== undefined && !/^\d+$/.test(req.query[field])) {
+        return res.status(400).json({ error: `${field} must be an id` });
+      }
+    }
+
     let products;
 
     if (website_id) {
-      products = Product.findByWebsite(parseInt(website_id));
+      const website = Website.findById(website_id);
+      if (!website || website.workspace_id !== req.workspace.id) {
+        return res.status(404).json({ error: 'Website not found' });
+      }
+      products = Product.findByWebsite(website.id);
     } else if (source_only === 'true') {
-      products = Product.findSourceProducts();
+      products = Product.findSourceProducts(req.workspace.id);
     } else if (competitor_only === 'true') {
-      products = Product.findCompetitorProducts();
+      products = Product.findCompetitorProducts(req.workspace.id);
     } else {
-      products = Product.findAll();
+      products = Product.findAll(req.workspace.id);
     }
 
-    res.json(products);
+    if (req.query.brand_id !== undefined) {
+      products = products.filter(p => p.brand_id === parseInt(req.query.brand_id));
+    }
+    if (req.query.category_id !== undefined) {
+      products = products.filter(p => p.category_id === parseInt(req.query.category_id));
+    }
+
+    const variantCounts = new Map(ProductVariant.countByProduct().map(r => [r.product_id, r.count]));
+    res.json(products.map(p => ({ ...p, variant_count: variantCounts.get(p.id) || 0 })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -29,13 +51,14 @@ router.get('/', (req, res) => {
 router.get('/:id', (req, res) => {
   try {
     const product = Product.findById(req.params.id);
-    if (!product) {
+    if (!product || product.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
     // Get website info
     const website = Website.findById(product.website_id);
     product.website = website;
+    product.variants = ProductVariant.findByProduct(product.id);
 
     res.json(product);
   } catch (error) {
@@ -43,11 +66,40 @@ router.get('/:id', (req, res) => {
   }
 });
 
+// Get price history for a product
+router.get('/:id/history', (req, res) => {
+  try {
+    const product = Product.findById(req.params.id);
+    if (!product || product.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const history = PriceHistory.findByProduct(product.id);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get variants of a product
+router.get('/:id/variants', (req, res) => {
+  try {
+    const product = Product.findById(req.params.id);
+    if (!product || product.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(ProductVariant.findByProduct(product.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Search products
 router.get('/search/:query', (req, res) => {
   try {
     const query = req.params.query.toLowerCase();
-    const products = Product.findAll();
+    const products = Product.findAll(req.workspace.id);
 
     const results = products.filter(p =>
       p.name.toLowerCase().includes(query) ||
@@ -61,26 +113,46 @@ router.get('/search/:query', (req, res) => {
 });
 
 // Create product manually
-router.post('/', (req, res) => {
+router.post('/', requireRole('admin'), (req, res) => {
   try {
-    const { website_id, name, price, sku, image_url, product_url } = req.body;
+    const {
+      website_id, name, price, list_price, promo_text, currency, sku, gtin, mpn, image_url, product_url, brand, category
+    } = req.body;
 
     if (!website_id || !name) {
       return res.status(400).json({ error: 'website_id and name are required' });
     }
 
     const website = Website.findById(website_id);
-    if (!website) {
+    if (!website || website.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Website not found' });
     }
 
+    if (currency && !CurrencyService.normalizeCode(currency)) {
+      return res.status(400).json({ error: 'currency must be a 3-letter ISO 4217 code' });
+    }
+
+    if (gtin && !IdentifierService.normalizeGtin(gtin)) {
+      return res.status(400).json({ error: 'gtin must be an 8, 12, 13 or 14 digit barcode with a valid check digit' });
+    }
+    if (mpn && !IdentifierService.normalizeMpn(mpn)) {
+      return res.status(400).json({ error: 'mpn must have at least 3 letters or digits including a digit' });
+    }
+
     const product = Product.create({
       website_id,
       name,
       price: price || null,
+      list_price: list_price || null,
+      promo_text: promo_text || null,
+      currency: CurrencyService.normalizeCode(currency) || website.currency || null,
       sku: sku || null,
+      gtin: gtin || null,
+      mpn: mpn || null,
       image_url: image_url || null,
-      product_url: product_url || null
+      product_url: product_url || null,
+      brand: brand || null,
+      category: category || null
     });
 
     res.status(201).json(product);
@@ -90,10 +162,10 @@ router.post('/', (req, res) => {
 });
 
 // Delete product
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requireRole('admin'), (req, res) => {
   try {
     const product = Product.findById(req.params.id);
-    if (!product) {
+    if (!product || product.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
@@ -107,9 +179,9 @@ router.delete('/:id', (req, res) => {
 // Get product statistics
 router.get('/stats/overview', (req, res) => {
   try {
-    const sourceProducts = Product.findSourceProducts();
-    const competitorProducts = Product.findCompetitorProducts();
-    const websites = Website.findAll();
+    const sourceProducts = Product.findSourceProducts(req.workspace.id);
+    const competitorProducts = Product.findCompetitorProducts(req.workspace.id);
+    const websites = Website.findAll(req.workspace.id);
 
     // Calculate price stats
     const sourcePrices = sourceProducts.filter(p => p.price !== null).map(p => p.price);
@@ -0,0 +1,125 @@
+const express = require('express');
+const { Brand, Category } = require('../database/models');
+const { requireRole } = require('../middleware/auth');
+
+const MAX_ALIASES = 50;
+
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'name is required';
+  }
+  if (name.trim().length > 100) {
+    return 'name must be at most 100 characters';
+  }
+  if (!/[\p{L}\p{N}]/u.test(name)) {
+    return 'name must contain a letter or digit';
+  }
+  return null;
+}
+
+function validateAliases(aliases) {
+  if (aliases === undefined) {
+    return null;
+  }
+  if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+    return 'aliases must be an array of names';
+  }
+  if (aliases.length > MAX_ALIASES) {
+    return `at most ${MAX_ALIASES} aliases are allowed`;
+  }
+  if (aliases.some(alias => alias.trim().length > 100)) {
+    return 'aliases must be at most 100 characters';
+  }
+  return null;
+}
+
+function normalizeAliases(aliases) {
+  return aliases === undefined ? undefined : aliases.map(alias => alias.trim()).filter(Boolean);
+}
+
+// Routes for the brands or categories (`Model`) products are normalised to.
+// `label` names an entry in messages, e.g. "Brand".
+function createTaxonomyRouter(Model, label) {
+  const router = express.Router();
+
+  // Get all entries with their aliases and product counts
+  router.get('/', (req, res) => {
+    try {
+      res.json(Model.findAll());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create an entry
+  router.post('/', requireRole('admin'), (req, res) => {
+    try {
+      const { name, aliases } = req.body;
+      const error = validateName(name) || validateAliases(aliases);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      if (Model.findByName(name.trim())) {
+        return res.status(409).json({ error: `${label} "${name.trim()}" already exists or is an alias` });
+      }
+
+      res.status(201).json(Model.create(name.trim(), normalizeAliases(aliases) || []));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Rename an entry and/or replace its aliases. An alias that names another
+  // entry merges that entry into this one.
+  router.put('/:id', requireRole('admin'), (req, res) => {
+    try {
+      const entry = Model.findById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      const { name, aliases } = req.body;
+      const error = (name !== undefined ? validateName(name) : null) || validateAliases(aliases);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      if (name !== undefined) {
+        const existing = Model.findByName(name.trim());
+        if (existing && existing.id !== entry.id) {
+          return res.status(409).json({ error: `${label} "${name.trim()}" already exists or is an alias` });
+        }
+      }
+
+      res.json(Model.update(entry.id, {
+        name: name !== undefined ? name.trim() : undefined,
+        aliases: normalizeAliases(aliases)
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete an entry; its products are left without one until they are crawled again
+  router.delete('/:id', requireRole('admin'), (req, res) => {
+    try {
+      const entry = Model.findById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      Model.delete(entry.id);
+      res.json({ message: `${label} deleted` });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  brandsRouter: createTaxonomyRouter(Brand, 'Brand'),
+  categoriesRouter: createTaxonomyRouter(Category, 'Category')
+};
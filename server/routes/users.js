@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { User } = require('../database/models');
+const AuthService = require('../services/authService');
+
+const authService = new AuthService();
+
+function validateRole(role) {
+  if (!AuthService.ROLES.includes(role)) {
+    return `role must be one of: ${AuthService.ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+// Get all users
+router.get('/', (req, res) => {
+  try {
+    res.json(User.findAll());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a user (role defaults to viewer)
+router.post('/', (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body;
+    const credentialsError = AuthService.validateUsername(username) || AuthService.validatePassword(password) ||
+      validateRole(role);
+    if (credentialsError) {
+      return res.status(400).json({ error: credentialsError });
+    }
+
+    if (User.findByUsername(username.trim())) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    res.status(201).json(authService.createUser(username.trim(), password, role));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a user's role
+router.put('/:id', (req, res) => {
+  try {
+    const user = User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const roleError = validateRole(req.body.role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    // Keeps at least one admin: admins cannot demote or delete themselves
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    User.update(user.id, { role: req.body.role });
+    res.json(User.findById(user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set a user's password and sign them out everywhere
+router.put('/:id/password', (req, res) => {
+  try {
+    const user = User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const passwordError = AuthService.validatePassword(req.body.password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    authService.setPassword(user.id, req.body.password);
+    authService.endOtherSessions(user.id, user.id === req.user.id ? req.sessionToken : null);
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a user and their sessions
+router.delete('/:id', (req, res) => {
+  try {
+    const user = User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    User.delete(user.id);
+    res.json({ message: 'User deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
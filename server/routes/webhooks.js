@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const { Webhook, WebhookDelivery } = require('../database/models');
+const { WebhookService, webhookService } = require('../services/webhookService');
+
+// Validate webhook fields given when creating or updating a webhook
+function validateWebhook({ url, events, secret }) {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'Invalid URL format';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'Webhook URL must use http or https';
+    }
+  }
+  if (events !== undefined && events !== null) {
+    if (!Array.isArray(events)) {
+      return 'events must be an array of event names';
+    }
+    const unknown = events.filter(e => !WebhookService.EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')}. Valid events: ${WebhookService.EVENTS.join(', ')}`;
+    }
+  }
+  if (secret !== undefined && secret !== null && (typeof secret !== 'string' || secret.length < 8)) {
+    return 'secret must be a string of at least 8 characters';
+  }
+  return null;
+}
+
+// Get the workspace's webhooks and the events they can subscribe to
+router.get('/', (req, res) => {
+  try {
+    res.json({ events: WebhookService.EVENTS, webhooks: Webhook.findAll(req.workspace.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single webhook
+router.get('/:id', (req, res) => {
+  try {
+    const webhook = Webhook.findById(req.params.id);
+    if (!webhook || webhook.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhook);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a webhook to the workspace; a secret is generated when none is given
+router.post('/', (req, res) => {
+  try {
+    const { url, description, events, secret, enabled } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    const webhookError = validateWebhook(req.body);
+    if (webhookError) {
+      return res.status(400).json({ error: webhookError });
+    }
+
+    const webhook = Webhook.create({
+      workspace_id: req.workspace.id,
+      url,
+      description,
+      events: events || [],
+      secret: secret || WebhookService.generateSecret(),
+      enabled
+    });
+    res.status(201).json(webhook);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a webhook
+router.put('/:id', (req, res) => {
+  try {
+    const webhook = Webhook.findById(req.params.id);
+    if (!webhook || webhook.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const webhookError = validateWebhook(req.body);
+    if (webhookError) {
+      return res.status(400).json({ error: webhookError });
+    }
+
+    const { url, description, events, secret, enabled } = req.body;
+    const updates = {};
+    if (url !== undefined) updates.url = url;
+    if (description !== undefined) updates.description = description || null;
+    if (events !== undefined) updates.events = events || [];
+    if (secret) updates.secret = secret;
+    if (enabled !== undefined) updates.enabled = enabled ? 1 : 0;
+
+    if (Object.keys(updates).length > 0) {
+      Webhook.update(webhook.id, updates);
+    }
+
+    res.json(Webhook.findById(webhook.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', (req, res) => {
+  try {
+    const webhook = Webhook.findById(req.params.id);
+    if (!webhook || webhook.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    Webhook.delete(webhook.id);
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the delivery log of a webhook
+router.get('/:id/deliveries', (req, res) => {
+  try {
+    const webhook = Webhook.findById(req.params.id);
+    if (!webhook || webhook.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const limit = parseInt(req.query.limit) || 100;
+    res.json(WebhookDelivery.findByWebhook(webhook.id, limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a ping event to a webhook
+router.post('/:id/ping', (req, res) => {
+  try {
+    const webhook = Webhook.findById(req.params.id);
+    if (!webhook || webhook.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.status(202).json(webhookService.ping(webhook));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue a delivery again
+router.post('/:id/deliveries/:deliveryId/retry', (req, res) => {
+  try {
+    const webhook = Webhook.findById(req.params.id);
+    const delivery = WebhookDelivery.findById(req.params.deliveryId);
+    if (!webhook || webhook.workspace_id !== req.workspace.id || !delivery || delivery.webhook_id !== webhook.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    WebhookDelivery.retry(delivery.id);
+    webhookService.processQueue();
+    res.status(202).json(WebhookDelivery.findById(delivery.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,87 @@
 const express = require('express');
 const router = express.Router();
-const { Website, Product, CrawlJob } = require('../database/models');
-const { crawlerManager } = require('../crawlers');
+const { Website, CompetitorGroup, Product, CrawlJob, CrawlSchedule } = require('../database/models');
+const { BaseCrawler, crawlerManager } = require('../crawlers');
+const { crawlService } = require('../services/crawlService');
+const { schedulerService } = require('../services/schedulerService');
+const CurrencyService = require('../services/currencyService');
+const ShippingService = require('../services/shippingService');
+const { requireRole } = require('../middleware/auth');
+
+const CRAWL_TYPES = ['auto', 'cheerio', 'puppeteer', 'shopify', 'woocommerce'];
+const DISCOVERY_MODES = ['links', 'sitemap', 'both'];
+const MAX_GROUPS = 20;
+const MAX_GROUP_NAME_LENGTH = 50;
+
+// Validate crawl settings that can be given when creating or updating a website
+function validateCrawlSettings({
+  crawl_type, max_detail_pages, detail_delay, discovery_mode, currency,
+  shipping_type, shipping_fee, free_shipping_threshold
+}) {
+  if (crawl_type !== undefined && !CRAWL_TYPES.includes(crawl_type)) {
+    return `crawl_type must be one of: ${CRAWL_TYPES.join(', ')}`;
+  }
+  if (discovery_mode !== undefined && !DISCOVERY_MODES.includes(discovery_mode)) {
+    return `discovery_mode must be one of: ${DISCOVERY_MODES.join(', ')}`;
+  }
+  if (max_detail_pages !== undefined && !(Number.isInteger(max_detail_pages) && max_detail_pages > 0)) {
+    return 'max_detail_pages must be a positive integer';
+  }
+  if (detail_delay !== undefined && detail_delay !== null &&
+      !(Number.isInteger(detail_delay) && detail_delay >= 0)) {
+    return 'detail_delay must be a non-negative integer (ms)';
+  }
+  if (currency && !CurrencyService.normalizeCode(currency)) {
+    return 'currency must be a 3-letter ISO 4217 code';
+  }
+  if (shipping_type !== undefined && !ShippingService.SHIPPING_TYPES.includes(shipping_type)) {
+    return `shipping_type must be one of: ${ShippingService.SHIPPING_TYPES.join(', ')}`;
+  }
+  if (shipping_fee !== undefined && shipping_fee !== null &&
+      !(Number.isFinite(shipping_fee) && shipping_fee >= 0)) {
+    return 'shipping_fee must be a non-negative number';
+  }
+  if (free_shipping_threshold !== undefined && free_shipping_threshold !== null &&
+      !(Number.isFinite(free_shipping_threshold) && free_shipping_threshold >= 0)) {
+    return 'free_shipping_threshold must be a non-negative number';
+  }
+  return null;
+}
 
-// Get all websites
+// Validate competitor group names (an array of strings)
+function validateGroups(groups) {
+  if (!Array.isArray(groups) || groups.some(name => typeof name !== 'string' || !name.trim())) {
+    return 'groups must be an array of group names';
+  }
+  if (groups.length > MAX_GROUPS) {
+    return `A website can be in at most ${MAX_GROUPS} groups`;
+  }
+  if (groups.some(name => name.trim().length > MAX_GROUP_NAME_LENGTH)) {
+    return `Group names must be at most ${MAX_GROUP_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Trimmed group names without duplicates (ignoring case)
+function normalizeGroups(groups) {
+  const names = new Map();
+  for (const name of groups) {
+    const trimmed = name.trim();
+    if (!names.has(trimmed.toLowerCase())) names.set(trimmed.toLowerCase(), trimmed);
+  }
+  return [...names.values()];
+}
+
+// Get the websites of the selected workspace
 router.get('/', (req, res) => {
   try {
-    const websites = Website.findAll();
+    const websites = Website.findAll(req.workspace.id);
+    const groups = CompetitorGroup.mapByWebsite();
     const websitesWithStats = websites.map(w => ({
       ...w,
-      product_count: Product.count(w.id)
+      groups: groups.get(w.id) || [],
+      product_count: Product.count(w.id),
+      schedule: CrawlSchedule.findByWebsite(w.id) || null
     }));
     res.json(websitesWithStats);
   } catch (error) {
@@ -17,13 +89,23 @@ router.get('/', (req, res) => {
   }
 });
 
+// Get the competitor groups of the selected workspace with their website counts
+router.get('/groups', (req, res) => {
+  try {
+    res.json(CompetitorGroup.findAll(req.workspace.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get single website
 router.get('/:id', (req, res) => {
   try {
     const website = Website.findById(req.params.id);
-    if (!website) {
+    if (!website || website.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Website not found' });
     }
+    website.groups = CompetitorGroup.findByWebsite(website.id);
     website.product_count = Product.count(website.id);
     website.products = Product.findByWebsite(website.id);
     res.json(website);
@@ -32,10 +114,13 @@ router.get('/:id', (req, res) => {
   }
 });
 
-// Add new website
-router.post('/', (req, res) => {
+// Add a website to the selected workspace
+router.post('/', requireRole('admin'), (req, res) => {
   try {
-    const { url, name, is_source, crawl_type } = req.body;
+    const {
+      url, name, is_source, crawl_type, crawl_details, max_detail_pages, detail_delay, discovery_mode, currency,
+      shipping_type, shipping_fee, free_shipping_threshold
+    } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
@@ -48,38 +133,76 @@ router.post('/', (req, res) => {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
 
-    // Check if website already exists
-    const existing = Website.findByUrl(url);
+    // Check if website already exists in the workspace
+    const existing = Website.findByUrl(req.workspace.id, url);
     if (existing) {
       return res.status(409).json({ error: 'Website already exists', website: existing });
     }
 
+    const settingsError = validateCrawlSettings(req.body) ||
+      (req.body.groups !== undefined ? validateGroups(req.body.groups) : null);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
     const website = Website.create({
+      workspace_id: req.workspace.id,
       url,
       name,
       is_source: is_source || false,
-      crawl_type: crawl_type || 'auto'
+      crawl_type: crawl_type || 'auto',
+      crawl_details: crawl_details || false,
+      max_detail_pages,
+      detail_delay,
+      discovery_mode,
+      currency: CurrencyService.normalizeCode(currency),
+      shipping_type,
+      shipping_fee,
+      free_shipping_threshold
     });
+    const groups = normalizeGroups(req.body.groups || []);
+    if (groups.length > 0) {
+      CompetitorGroup.setForWebsite(website.id, groups);
+    }
 
-    res.status(201).json(website);
+    res.status(201).json({ ...website, groups });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Update website
-router.put('/:id', (req, res) => {
+router.put('/:id', requireRole('admin'), (req, res) => {
   try {
     const website = Website.findById(req.params.id);
-    if (!website) {
+    if (!website || website.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Website not found' });
     }
 
-    const { name, crawl_type, is_source } = req.body;
+    const {
+      name, crawl_type, is_source, crawl_details, max_detail_pages, detail_delay, discovery_mode, currency,
+      shipping_type, shipping_fee, free_shipping_threshold
+    } = req.body;
     const updates = {};
 
+    const settingsError = validateCrawlSettings(req.body) ||
+      (req.body.groups !== undefined ? validateGroups(req.body.groups) : null);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
     if (name !== undefined) updates.name = name;
     if (crawl_type !== undefined) updates.crawl_type = crawl_type;
+    if (crawl_details !== undefined) updates.crawl_details = crawl_details ? 1 : 0;
+    if (max_detail_pages !== undefined) updates.max_detail_pages = max_detail_pages;
+    if (detail_delay !== undefined) updates.detail_delay = detail_delay || null;
+    if (discovery_mode !== undefined) updates.discovery_mode = discovery_mode;
+    // Empty currency goes back to detection
+    if (currency !== undefined) updates.currency = CurrencyService.normalizeCode(currency);
+    // null clears a shipping fee or threshold
+    if (shipping_type !== undefined) updates.shipping_type = shipping_type;
+    if (shipping_fee !== undefined) updates.shipping_fee = shipping_fee;
+    if (free_shipping_threshold !== undefined) updates.free_shipping_threshold = free_shipping_threshold;
 
     if (Object.keys(updates).length > 0) {
       Website.update(req.params.id, updates);
@@ -90,18 +213,23 @@ router.put('/:id', (req, res) => {
       Website.setSource(req.params.id);
     }
 
+    // Competitor groups replace the website's current groups
+    if (req.body.groups !== undefined) {
+      CompetitorGroup.setForWebsite(website.id, normalizeGroups(req.body.groups));
+    }
+
     const updated = Website.findById(req.params.id);
-    res.json(updated);
+    res.json({ ...updated, groups: CompetitorGroup.findByWebsite(website.id) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Set website as source
-router.post('/:id/set-source', (req, res) => {
+// Set website as the source of its workspace
+router.post('/:id/set-source', requireRole('admin'), (req, res) => {
   try {
     const website = Website.findById(req.params.id);
-    if (!website) {
+    if (!website || website.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Website not found' });
     }
 
@@ -114,10 +242,10 @@ router.post('/:id/set-source', (req, res) => {
 });
 
 // Delete website
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requireRole('admin'), (req, res) => {
   try {
     const website = Website.findById(req.params.id);
-    if (!website) {
+    if (!website || website.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Website not found' });
     }
 
@@ -129,129 +257,190 @@ router.delete('/:id', (req, res) => {
 });
 
 // Start crawl for website
-router.post('/:id/crawl', async (req, res) => {
+router.post('/:id/crawl', requireRole('admin'), (req, res) => {
   try {
     const website = Website.findById(req.params.id);
-    if (!website) {
+    if (!website || website.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Website not found' });
     }
 
-    // Check if crawl is already running
-    const activeJob = crawlerManager.getActiveJob(website.id);
-    if (activeJob) {
+    // Check if crawl is already queued or running
+    if (crawlService.isCrawling(website.id)) {
       return res.status(409).json({ error: 'Crawl already in progress for this website' });
     }
 
-    // Create crawl job
-    const job = CrawlJob.create(website.id);
-    Website.update(website.id, { status: 'crawling' });
-
-    // Delete existing products for this website
-    Product.deleteByWebsite(website.id);
-
-    // Get Socket.IO instance from app
-    const io = req.app.get('io');
-
-    // Start crawl asynchronously
-    const options = {
-      maxPages: req.body.maxPages || 50,
-      delay: req.body.delay || 1000,
-      crawl_type: website.crawl_type,
-      onProgress: (progress) => {
-        // Update job progress
-        CrawlJob.update(job.id, {
-          crawled_pages: progress.pagesCrawled,
-          total_products: progress.productsFound
-        });
-
-        // Emit progress via Socket.IO
-        if (io) {
-          io.emit('crawl-progress', {
-            website_id: website.id,
-            job_id: job.id,
-            ...progress
-          });
-        }
-      }
-    };
+    const job = crawlService.queueCrawl(website, {
+      maxPages: req.body.maxPages,
+      delay: req.body.delay,
+      crawlDetails: req.body.crawlDetails,
+      maxDetailPages: req.body.maxDetailPages,
+      detailDelay: req.body.detailDelay,
+      discoveryMode: req.body.discoveryMode
+    });
 
-    // Return immediately with job info
     res.json({
-      message: 'Crawl started',
+      message: 'Crawl queued',
       job_id: job.id,
-      website_id: website.id
+      website_id: website.id,
+      position: job.position
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Run crawl in background
-    try {
-      const result = await crawlerManager.startCrawl(website.id, website.url, options);
-
-      // Save products
-      if (result.products.length > 0) {
-        const productsToSave = result.products.map(p => ({
-          ...p,
-          website_id: website.id
-        }));
-        Product.createMany(productsToSave);
-      }
+// Cancel crawl
+router.post('/:id/crawl/cancel', requireRole('admin'), (req, res) => {
+  try {
+    const website = Website.findById(req.params.id);
+    if (!website || website.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
 
-      // Update job and website status
-      CrawlJob.complete(job.id, result.products.length);
-      Website.update(website.id, {
-        status: 'completed',
-        last_crawled_at: new Date().toISOString()
-      });
-
-      // Emit completion
-      if (io) {
-        io.emit('crawl-complete', {
-          website_id: website.id,
-          job_id: job.id,
-          products_found: result.products.length,
-          crawler_type: result.crawlerType
-        });
-      }
+    const cancelled = crawlService.cancelCrawl(website.id);
+    if (cancelled) {
+      res.json({ message: 'Crawl cancelled' });
+    } else {
+      res.status(404).json({ error: 'No active crawl found for this website' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get custom selectors for website
+router.get('/:id/selectors', (req, res) => {
+  try {
+    const website = Website.findById(req.params.id);
+    if (!website || website.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    res.json({
+      selectors: Website.getSelectors(website.id) || {},
+      fields: Object.keys(BaseCrawler.SELECTOR_FIELDS)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set custom selectors for website (tried before the built-in selectors)
+router.put('/:id/selectors', requireRole('admin'), (req, res) => {
+  try {
+    const website = Website.findById(req.params.id);
+    if (!website || website.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    let selectors;
+    try {
+      selectors = BaseCrawler.normalizeSelectors(req.body);
     } catch (error) {
-      // Update job with error
-      CrawlJob.fail(job.id, error.message);
-      Website.update(website.id, { status: 'failed' });
-
-      // Emit error
-      if (io) {
-        io.emit('crawl-error', {
-          website_id: website.id,
-          job_id: job.id,
-          error: error.message
-        });
-      }
+      return res.status(400).json({ error: error.message });
     }
+
+    Website.setSelectors(website.id, selectors);
+    res.json({ selectors });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Cancel crawl
-router.post('/:id/crawl/cancel', (req, res) => {
+// Preview extraction for one page of a website without saving products.
+// Unsaved selectors can be passed in the body to test them before saving.
+router.post('/:id/preview', requireRole('admin'), async (req, res) => {
   try {
     const website = Website.findById(req.params.id);
-    if (!website) {
+    if (!website || website.workspace_id !== req.workspace.id) {
       return res.status(404).json({ error: 'Website not found' });
     }
 
-    const cancelled = crawlerManager.cancelCrawl(website.id);
-    if (cancelled) {
-      Website.update(website.id, { status: 'cancelled' });
+    const url = req.body.url || website.url;
+    try {
+      new URL(url);
+    } catch {
+      return res.status(400).json({ error: 'Invalid URL format' });
+    }
+
+    const settingsError = validateCrawlSettings({ crawl_type: req.body.crawl_type });
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
 
-      // Update latest job
-      const latestJob = CrawlJob.findLatest(website.id);
-      if (latestJob && latestJob.status === 'running') {
-        CrawlJob.fail(latestJob.id, 'Cancelled by user');
+    let selectors = Website.getSelectors(website.id);
+    if (req.body.selectors) {
+      try {
+        selectors = BaseCrawler.normalizeSelectors(req.body.selectors);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
       }
+    }
 
-      res.json({ message: 'Crawl cancelled' });
-    } else {
-      res.status(404).json({ error: 'No active crawl found for this website' });
+    const preview = await crawlerManager.preview(website.url, url, {
+      crawl_type: req.body.crawl_type || website.crawl_type,
+      selectors
+    });
+    if (preview.error) {
+      return res.status(400).json({ error: preview.error });
     }
+
+    res.json(preview);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get crawl schedule for website
+router.get('/:id/schedule', (req, res) => {
+  try {
+    const website = Website.findById(req.params.id);
+    if (!website || website.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    res.json(CrawlSchedule.findByWebsite(website.id) || null);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create or update crawl schedule for website
+router.put('/:id/schedule', requireRole('admin'), (req, res) => {
+  try {
+    const website = Website.findById(req.params.id);
+    if (!website || website.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    const { cron_expression, enabled } = req.body;
+    if (!cron_expression) {
+      return res.status(400).json({ error: 'cron_expression is required' });
+    }
+
+    let schedule;
+    try {
+      schedule = schedulerService.setSchedule(website.id, cron_expression, enabled !== false);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove crawl schedule for website
+router.delete('/:id/schedule', requireRole('admin'), (req, res) => {
+  try {
+    const website = Website.findById(req.params.id);
+    if (!website || website.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    schedulerService.removeSchedule(website.id);
+    res.json({ message: 'Schedule removed' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -260,7 +449,12 @@ router.post('/:id/crawl/cancel', (req, res) => {
 // Get crawl jobs for website
 router.get('/:id/jobs', (req, res) => {
   try {
-    const jobs = CrawlJob.findByWebsite(req.params.id);
+    const website = Website.findById(req.params.id);
+    if (!website || website.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    const jobs = CrawlJob.findByWebsite(website.id);
     res.json(jobs);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { Workspace } = require('../database/models');
+const { requireRole } = require('../middleware/auth');
+
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'name is required';
+  }
+  if (name.trim().length > 100) {
+    return 'name must be at most 100 characters';
+  }
+  return null;
+}
+
+// Get all workspaces with their website counts and source websites
+router.get('/', (req, res) => {
+  try {
+    res.json(Workspace.findAll());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a workspace
+router.post('/', requireRole('admin'), (req, res) => {
+  try {
+    const nameError = validateName(req.body.name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    const name = req.body.name.trim();
+    if (Workspace.findByName(name)) {
+      return res.status(409).json({ error: 'A workspace with this name already exists' });
+    }
+
+    res.status(201).json(Workspace.create(name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename a workspace
+router.put('/:id', requireRole('admin'), (req, res) => {
+  try {
+    const workspace = Workspace.findById(req.params.id);
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const nameError = validateName(req.body.name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    const name = req.body.name.trim();
+    const existing = Workspace.findByName(name);
+    if (existing && existing.id !== workspace.id) {
+      return res.status(409).json({ error: 'A workspace with this name already exists' });
+    }
+
+    Workspace.rename(workspace.id, name);
+    res.json(Workspace.findById(workspace.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an empty workspace (its websites must be deleted first)
+router.delete('/:id', requireRole('admin'), (req, res) => {
+  try {
+    const workspaces = Workspace.findAll();
+    const workspace = workspaces.find(w => w.id === parseInt(req.params.id));
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (workspaces.length === 1) {
+      return res.status(400).json({ error: 'The last workspace cannot be deleted' });
+    }
+    if (workspace.website_count > 0) {
+      return res.status(400).json({ error: 'Delete the websites of this workspace first' });
+    }
+
+    Workspace.delete(workspace.id);
+    res.json({ message: 'Workspace deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const { AlertRule, Alert, ProductMatch, PriceHistory } = require('../database/models');
+const CurrencyService = require('./currencyService');
+const { webhookService } = require('./webhookService');
+
+// Checks alert rules against matched competitor products. Rule types:
+// - 'undercut': the competitor price is more than `threshold` % below ours
+// - 'out_of_stock': the competitor product went out of stock in its last crawl
+// - 'price_drop': the competitor price dropped more than `threshold` % since the previous crawl
+// A rule belongs to a workspace and checks its matches, optionally only those
+// of one competitor website. An alert is not repeated while the condition
+// holds with the same prices or observation.
+class AlertService {
+  static RULE_TYPES = ['undercut', 'out_of_stock', 'price_drop'];
+
+  // Rule types whose threshold is a percentage
+  static THRESHOLD_TYPES = ['undercut', 'price_drop'];
+
+  constructor(options = {}) {
+    this.currencyService = new CurrencyService(options);
+    this.io = null;
+  }
+
+  // Socket.IO instance used to push new alerts
+  setIo(io) {
+    this.io = io;
+  }
+
+  // Alert events go to the clients of the workspace they belong to
+  emit(event, data, workspaceId) {
+    if (this.io) {
+      this.io.to(`workspace:${workspaceId}`).emit(event, data);
+    }
+  }
+
+  emitUnreadCount(workspaceId) {
+    this.emit('unread-alerts', Alert.countUnread(workspaceId), workspaceId);
+  }
+
+  // Check the enabled rules of a workspace (all workspaces when workspaceId is
+  // null) and store the triggered alerts; returns the new alerts. Given the
+  // website that was just crawled, only the matches with its products are
+  // checked, as the others have not changed.
+  checkRules(workspaceId = null, websiteId = null) {
+    const rules = AlertRule.findEnabled(workspaceId);
+    if (rules.length === 0) return [];
+
+    // Matches of each workspace with rules
+    const matchesByWorkspace = new Map();
+    for (const rule of rules) {
+      if (!matchesByWorkspace.has(rule.workspace_id)) {
+        const matches = ProductMatch.findAll(rule.workspace_id).filter(m => !websiteId ||
+          m.source_website_id === websiteId || m.competitor_website_id === websiteId);
+        matchesByWorkspace.set(rule.workspace_id, matches);
+      }
+    }
+    const rates = this.currencyService.getRates();
+    // Latest two observations per matched competitor product, newest first
+    const competitorIds = new Set();
+    for (const matches of matchesByWorkspace.values()) {
+      matches.forEach(m => competitorIds.add(m.competitor_product_id));
+    }
+    const history = new Map();
+    for (const row of PriceHistory.findRecent([...competitorIds], 2)) {
+      if (!history.has(row.product_id)) history.set(row.product_id, []);
+      history.get(row.product_id).push(row);
+    }
+
+    const created = [];
+    for (const rule of rules) {
+      for (const match of matchesByWorkspace.get(rule.workspace_id)) {
+        if (rule.website_id && match.competitor_website_id !== rule.website_id) continue;
+
+        const triggered = this.evaluate(rule, match, history.get(match.competitor_product_id) || [], rates);
+        if (!triggered) continue;
+
+        const previous = Alert.findLatestFingerprint(rule.id, match.source_product_id, match.competitor_product_id);
+        if (previous === triggered.fingerprint) continue;
+
+        const alert = Alert.create({
+          rule_id: rule.id,
+          rule_type: rule.rule_type,
+          product_match_id: match.id,
+          source_product_id: match.source_product_id,
+          competitor_product_id: match.competitor_product_id,
+          ...triggered
+        });
+        const payload = { ...alert, data: triggered.data };
+        created.push(payload);
+        this.emit('alert', payload, rule.workspace_id);
+        webhookService.dispatch('alert', payload, rule.workspace_id);
+      }
+    }
+
+    for (const id of new Set(created.map(alert => alert.workspace_id))) {
+      this.emitUnreadCount(id);
+    }
+    return created;
+  }
+
+  // { message, data, fingerprint } when the rule triggers for the match, else null
+  evaluate(rule, match, observations, rates) {
+    const threshold = rule.threshold || 0;
+
+    switch (rule.rule_type) {
+      case 'undercut': {
+        const to = this.currencyService.reportingCurrency;
+        const convert = (price, currency) => this.currencyService.convert(price, currency, to, rates);
+        const sourcePrice = convert(match.source_price, match.source_currency);
+        const competitorPrice = convert(match.competitor_price, match.competitor_currency);
+        if (!sourcePrice || competitorPrice === null) return null;
+
+        const percent = this.round(((sourcePrice - competitorPrice) / sourcePrice) * 100);
+        if (percent <= threshold) return null;
+
+        return {
+          message: `${match.competitor_website} undercuts "${match.source_name}" by ${percent}%: ` +
+                   `${this.formatAmount(competitorPrice, to)} vs your ${this.formatAmount(sourcePrice, to)}`,
+          data: { source_price: sourcePrice, competitor_price: competitorPrice, currency: to, percent },
+          fingerprint: `${match.source_price}:${match.competitor_price}`
+        };
+      }
+
+      case 'out_of_stock': {
+        const [latest, previous] = observations;
+        if (!latest || latest.availability !== 'out_of_stock') return null;
+        if (previous && previous.availability === 'out_of_stock') return null;
+
+        return {
+          message: `"${match.competitor_name}" at ${match.competitor_website} went out of stock`,
+          data: { previous_availability: previous ? previous.availability : null },
+          fingerprint: String(latest.id)
+        };
+      }
+
+      case 'price_drop': {
+        const [latest, previous] = observations;
+        if (!latest || !previous || !previous.price || latest.price === null) return null;
+        if ((latest.currency || null) !== (previous.currency || null)) return null;
+
+        const percent = this.round(((previous.price - latest.price) / previous.price) * 100);
+        if (percent <= threshold) return null;
+
+        const from = this.formatAmount(previous.price, latest.currency);
+        const to = this.formatAmount(latest.price, latest.currency);
+        return {
+          message: `"${match.competitor_name}" at ${match.competitor_website} dropped ${percent}%: ${from} → ${to}`,
+          data: { previous_price: previous.price, price: latest.price, currency: latest.currency, percent },
+          fingerprint: String(latest.id)
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  formatAmount(amount, currency) {
+    return currency ? `${amount.toFixed(2)} ${currency}` : amount.toFixed(2);
+  }
+}
+
+// Singleton instance
+const alertService = new AlertService();
+
+module.exports = { AlertService, alertService };
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { User, Session } = require('../database/models');
+
+const SCRYPT_KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{3,50}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// User passwords and login sessions. Passwords are stored as salted scrypt
+// hashes ("scrypt$<salt>$<hash>"). A login creates a random session token that
+// is sent back as an HTTP-only cookie and can also be given as a bearer token;
+// only its SHA-256 is stored.
+class AuthService {
+  static COOKIE_NAME = 'ecomcompare_session';
+
+  // Roles from least to most privileged; each role has the permissions of the ones before it:
+  // - viewer: read-only access
+  // - analyst: also runs matching, confirms and rejects matches and manages alerts
+  // - admin: also manages websites, crawls, products, exchange rates, webhooks, the digest and users
+  static ROLES = ['viewer', 'analyst', 'admin'];
+
+  constructor(options = {}) {
+    this.options = {
+      // Session lifetime (ms)
+      sessionTtl: options.sessionTtl || (parseInt(process.env.SESSION_TTL_HOURS) || 168) * 60 * 60 * 1000
+    };
+  }
+
+  // Validation error for a username, or null
+  static validateUsername(username) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+      return 'Username must be 3-50 letters, digits or . _ @ -';
+    }
+    return null;
+  }
+
+  // Validation error for a new password, or null
+  static validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  // Whether a user has the given role or a more privileged one
+  static hasRole(user, role) {
+    return Boolean(user) && AuthService.ROLES.indexOf(user.role) >= AuthService.ROLES.indexOf(role);
+  }
+
+  static hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  static verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+      const index = part.indexOf('=');
+      if (index === -1) continue;
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        cookies[name] = part.slice(index + 1).trim();
+      }
+    }
+    return cookies;
+  }
+
+  // Session token from an "Authorization: Bearer" header or the session cookie
+  static tokenFromHeaders(headers) {
+    const authorization = headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return authorization.slice(7).trim();
+    }
+    return AuthService.parseCookies(headers.cookie)[AuthService.COOKIE_NAME] || null;
+  }
+
+  createUser(username, password, role = 'viewer') {
+    return User.create({ username, password_hash: AuthService.hashPassword(password), role });
+  }
+
+  setPassword(userId, password) {
+    User.update(userId, { password_hash: AuthService.hashPassword(password) });
+  }
+
+  // Check a username and password; returns the user (without hash) or null
+  verifyCredentials(username, password) {
+    const user = User.findByUsername(username);
+    if (!user || !AuthService.verifyPassword(password, user.password_hash)) {
+      return null;
+    }
+    return User.findById(user.id);
+  }
+
+  // Start a session for a user; returns { token, expires_at }
+  createSession(user) {
+    const now = new Date();
+    Session.deleteExpired(now.toISOString());
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + this.options.sessionTtl).toISOString();
+    Session.create(user.id, AuthService.hashToken(token), expiresAt);
+    User.update(user.id, { last_login_at: now.toISOString() });
+    return { token, expires_at: expiresAt };
+  }
+
+  // The user of a valid session token, or null
+  authenticate(token) {
+    if (!token) return null;
+
+    const session = Session.findValid(AuthService.hashToken(token), new Date().toISOString());
+    if (!session) return null;
+
+    Session.touch(session.id);
+    return { id: session.user_id, username: session.username, role: session.role };
+  }
+
+  endSession(token) {
+    if (token) {
+      Session.delete(AuthService.hashToken(token));
+    }
+  }
+
+  // Sign a user out of every session but the given one
+  endOtherSessions(userId, token = null) {
+    Session.deleteByUser(userId, token ? AuthService.hashToken(token) : null);
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,300 @@
+const { Workspace, Website, Product, CrawlJob } = require('../database/models');
+const { runAsSystem } = require('../database/auditContext');
+const { crawlerManager } = require('../crawlers');
+const { alertService } = require('./alertService');
+const { webhookService } = require('./webhookService');
+
+class CrawlService {
+  constructor(options = {}) {
+    this.options = {
+      // Maximum number of crawls running at the same time
+      concurrency: options.concurrency || parseInt(process.env.CRAWL_CONCURRENCY) || 4,
+      // Maximum number of running crawls per crawler type
+      typeLimits: {
+        puppeteer: parseInt(process.env.CRAWL_CONCURRENCY_PUPPETEER) || 1,
+        cheerio: parseInt(process.env.CRAWL_CONCURRENCY_CHEERIO) || 4,
+        shopify: parseInt(process.env.CRAWL_CONCURRENCY_API) || 2,
+        woocommerce: parseInt(process.env.CRAWL_CONCURRENCY_API) || 2,
+        ...options.typeLimits
+      },
+      // Save a crawl checkpoint every N pages
+      checkpointInterval: options.checkpointInterval || parseInt(process.env.CRAWL_CHECKPOINT_INTERVAL) || 5,
+      // Resume crawls interrupted by a restart (otherwise they are marked failed)
+      resumeInterrupted: options.resumeInterrupted !== undefined
+        ? options.resumeInterrupted
+        : process.env.CRAWL_RESUME_INTERRUPTED !== 'false'
+    };
+    this.io = null;
+    this.processing = false;
+    this.processAgain = false;
+  }
+
+  // Socket.IO instance used to broadcast crawl events
+  setIo(io) {
+    this.io = io;
+  }
+
+  // Crawl events go to the clients of the website's workspace
+  emit(event, data, workspaceId) {
+    if (this.io) {
+      this.io.to(`workspace:${workspaceId}`).emit(event, data);
+    }
+  }
+
+  // Recover jobs interrupted by a restart and process the queue left by a previous run
+  start() {
+    this.recoverInterruptedJobs();
+    this.processQueue();
+  }
+
+  // Jobs still marked as running at startup belong to a process that died.
+  // Resume them from their last checkpoint or mark them failed.
+  recoverInterruptedJobs() {
+    for (const job of CrawlJob.findRunning()) {
+      if (crawlerManager.getActiveJob(job.website_id)) continue;
+
+      const hasCheckpoint = !!CrawlJob.getCheckpoint(job.id);
+      if (this.options.resumeInterrupted && hasCheckpoint) {
+        console.log(`Resuming interrupted crawl job ${job.id} for ${job.website_name} from checkpoint`);
+        CrawlJob.requeue(job.id);
+        Website.update(job.website_id, { status: 'queued' });
+      } else {
+        const reason = hasCheckpoint
+          ? 'Interrupted by server restart (resuming is disabled)'
+          : 'Interrupted by server restart before a checkpoint was saved';
+        console.log(`Crawl job ${job.id} for ${job.website_name} failed: ${reason}`);
+        CrawlJob.fail(job.id, reason);
+        CrawlJob.clearCheckpoint(job.id);
+        Website.update(job.website_id, { status: 'failed' });
+      }
+    }
+  }
+
+  // True when the website has a queued or running crawl
+  isCrawling(websiteId) {
+    return !!crawlerManager.getActiveJob(websiteId) || !!CrawlJob.findActiveByWebsite(websiteId);
+  }
+
+  // Add a crawl for a website to the queue
+  queueCrawl(website, options = {}) {
+    const job = CrawlJob.enqueue(website.id, {
+      crawl_type: website.crawl_type,
+      options: {
+        maxPages: options.maxPages || 50,
+        delay: options.delay || 1000,
+        // Detail page pass: per-crawl options override the website settings
+        crawlDetails: options.crawlDetails !== undefined ? !!options.crawlDetails : !!website.crawl_details,
+        maxDetailPages: options.maxDetailPages || website.max_detail_pages || 50,
+        detailDelay: options.detailDelay || website.detail_delay || options.delay || 1000,
+        discoveryMode: options.discoveryMode || website.discovery_mode || 'links'
+      }
+    });
+    Website.update(website.id, { status: 'queued' });
+
+    this.processQueue();
+
+    return { ...job, position: this.getQueuePosition(job.id) };
+  }
+
+  // Cancel the queued or running crawl for a website
+  cancelCrawl(websiteId) {
+    const job = CrawlJob.findActiveByWebsite(websiteId);
+    const stopped = crawlerManager.cancelCrawl(websiteId);
+
+    if (!job && !stopped) {
+      return false;
+    }
+
+    if (job) {
+      CrawlJob.cancel(job.id);
+    }
+    Website.update(websiteId, { status: 'cancelled' });
+
+    this.processQueue();
+    return true;
+  }
+
+  // The queued jobs of a workspace (or all of them). Positions are in the
+  // shared queue, since all workspaces share the concurrency limits.
+  getQueue(workspaceId = null) {
+    return CrawlJob.findQueued()
+      .map((job, index) => ({
+        job_id: job.id,
+        website_id: job.website_id,
+        website_name: job.website_name,
+        workspace_id: job.workspace_id,
+        crawl_type: job.crawl_type,
+        crawler_type: job.crawler_type,
+        position: index + 1,
+        queued_at: job.created_at
+      }))
+      .filter(entry => workspaceId === null || entry.workspace_id === workspaceId);
+  }
+
+  getQueuePosition(jobId) {
+    const entry = this.getQueue().find(item => item.job_id === jobId);
+    return entry ? entry.position : null;
+  }
+
+  getStatus(workspaceId = null) {
+    return {
+      concurrency: this.options.concurrency,
+      type_limits: this.options.typeLimits,
+      running: crawlerManager.getAllActiveJobs().map(job => ({
+        job_id: job.jobId,
+        website_id: job.websiteId,
+        crawler_type: job.type,
+        started_at: new Date(job.startTime).toISOString()
+      })),
+      queued: this.getQueue(workspaceId)
+    };
+  }
+
+  getTypeLimit(type) {
+    return this.options.typeLimits[type] || this.options.concurrency;
+  }
+
+  // Start queued jobs while global and per-type limits allow
+  async processQueue() {
+    if (this.processing) {
+      this.processAgain = true;
+      return;
+    }
+    this.processing = true;
+
+    try {
+      do {
+        this.processAgain = false;
+
+        for (const job of CrawlJob.findQueued()) {
+          if (crawlerManager.getActiveJobCount() >= this.options.concurrency) break;
+          if (crawlerManager.getActiveJob(job.website_id)) continue;
+
+          const website = Website.findById(job.website_id);
+          if (!website) continue;
+
+          let crawlerType = job.crawler_type;
+          if (!crawlerType) {
+            crawlerType = await crawlerManager.resolveCrawlerType(website.url, job.crawl_type);
+            CrawlJob.update(job.id, { crawler_type: crawlerType });
+
+            // The job may have been cancelled while the type was being detected
+            const current = CrawlJob.findById(job.id);
+            if (!current || current.status !== 'queued') continue;
+          }
+
+          if (crawlerManager.countActiveByType(crawlerType) >= this.getTypeLimit(crawlerType)) {
+            continue;
+          }
+
+          // Crawls are system actions in the audit log, whoever queued them
+          runAsSystem(() => this.runJob(website, job, crawlerType))
+            .catch(error => console.error(`Error running crawl job ${job.id}:`, error.message));
+        }
+      } while (this.processAgain);
+    } catch (error) {
+      console.error('Error processing crawl queue:', error.message);
+    } finally {
+      this.processing = false;
+    }
+
+    for (const workspace of Workspace.findAll()) {
+      this.emit('crawl-queue', this.getQueue(workspace.id), workspace.id);
+    }
+  }
+
+  // Errors, including in the stored options or the job's start, fail the job
+  async runJob(website, job, crawlerType) {
+    try {
+      const jobOptions = job.options ? JSON.parse(job.options) : {};
+
+      CrawlJob.start(job.id, crawlerType);
+      Website.update(website.id, { status: 'crawling' });
+
+      const crawlOptions = {
+        ...jobOptions,
+        jobId: job.id,
+        crawl_type: crawlerType,
+        selectors: Website.getSelectors(website.id),
+        checkpoint: CrawlJob.getCheckpoint(job.id),
+        checkpointInterval: this.options.checkpointInterval,
+        onCheckpoint: (checkpoint) => {
+          CrawlJob.saveCheckpoint(job.id, checkpoint);
+        },
+        onProgress: (progress) => {
+          // Update job progress
+          CrawlJob.update(job.id, {
+            crawled_pages: progress.pagesCrawled,
+            total_products: progress.productsFound
+          });
+
+          this.emit('crawl-progress', {
+            website_id: website.id,
+            job_id: job.id,
+            ...progress
+          }, website.workspace_id);
+        }
+      };
+
+      const result = await crawlerManager.startCrawl(website.id, website.url, crawlOptions);
+
+      // Save products, keeping existing rows and recording price history.
+      // The website's currency setting overrides the detected currency.
+      if (result.products.length > 0) {
+        const products = result.currency
+          ? result.products.map(p => ({ ...p, currency: p.currency || result.currency }))
+          : result.products;
+        Product.upsertMany(website.id, products, job.id, website.currency || null);
+      }
+
+      // Update job and website status
+      CrawlJob.complete(job.id, result.products.length);
+      CrawlJob.clearCheckpoint(job.id);
+      Website.update(website.id, {
+        status: 'completed',
+        last_crawled_at: new Date().toISOString()
+      });
+
+      const completed = {
+        website_id: website.id,
+        job_id: job.id,
+        products_found: result.products.length,
+        crawler_type: result.crawlerType
+      };
+      this.emit('crawl-complete', completed, website.workspace_id);
+      webhookService.dispatch('crawl-complete', { ...completed, website_name: website.name, website_url: website.url },
+        website.workspace_id);
+
+      // New prices and stock may trigger alert rules
+      try {
+        alertService.checkRules(website.workspace_id, website.id);
+      } catch (error) {
+        console.error('Error checking alert rules:', error.message);
+      }
+    } catch (error) {
+      // Cancelled jobs already have their final status
+      const current = CrawlJob.findById(job.id);
+      CrawlJob.clearCheckpoint(job.id);
+      if (current && current.status !== 'cancelled') {
+        CrawlJob.fail(job.id, error.message);
+        Website.update(website.id, { status: 'failed' });
+
+        const failed = {
+          website_id: website.id,
+          job_id: job.id,
+          error: error.message
+        };
+        this.emit('crawl-error', failed, website.workspace_id);
+        webhookService.dispatch('crawl-error', { ...failed, website_name: website.name, website_url: website.url },
+          website.workspace_id);
+      }
+    }
+
+    this.processQueue();
+  }
+}
+
+// Singleton instance
+const crawlService = new CrawlService();
+
+module.exports = { CrawlService, crawlService };
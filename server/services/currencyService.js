@@ -0,0 +1,112 @@
+const { ExchangeRate } = require('../database/models');
+
+// Converts prices between currencies with the rates in the exchange_rates
+// table. Rates are stored as units of the currency per 1 USD; USD itself is
+// always 1.
+class CurrencyService {
+  static BASE_CURRENCY = 'USD';
+
+  constructor(options = {}) {
+    this.reportingCurrency = CurrencyService.normalizeCode(
+      options.reportingCurrency || process.env.REPORTING_CURRENCY
+    ) || CurrencyService.BASE_CURRENCY;
+  }
+
+  static normalizeCode(code) {
+    if (!code || typeof code !== 'string') return null;
+    const normalized = code.trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(normalized) ? normalized : null;
+  }
+
+  // Map of currency -> rate per 1 USD
+  getRates() {
+    const rates = new Map(ExchangeRate.findAll().map(r => [r.currency, r.rate]));
+    rates.set(CurrencyService.BASE_CURRENCY, 1);
+    return rates;
+  }
+
+  // Convert an amount; prices without a currency are taken to already be in
+  // the target currency. Returns null when a rate is missing.
+  convert(amount, from, to = this.reportingCurrency, rates = null) {
+    if (amount === null || amount === undefined) return null;
+    if (!from || !to || from === to) return amount;
+
+    const table = rates || this.getRates();
+    if (!table.has(from) || !table.has(to)) return null;
+    return Math.round((amount / table.get(from)) * table.get(to) * 100) / 100;
+  }
+
+  // Rates as listed by GET /api/exchange-rates
+  listRates() {
+    return {
+      base: CurrencyService.BASE_CURRENCY,
+      reporting_currency: this.reportingCurrency,
+      rates: ExchangeRate.findAll()
+    };
+  }
+
+  setRate(currency, rate) {
+    const code = CurrencyService.normalizeCode(currency);
+    if (!code) {
+      throw new Error('currency must be a 3-letter ISO 4217 code');
+    }
+    if (code === CurrencyService.BASE_CURRENCY) {
+      throw new Error(`${CurrencyService.BASE_CURRENCY} is the base currency and always has rate 1`);
+    }
+    const value = Number(rate);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error('rate must be a positive number');
+    }
+    return ExchangeRate.upsert(code, value);
+  }
+
+  // Import rates given as { base, rates: { EUR: 0.92, ... } } (the format of
+  // most rate APIs) or as CSV lines "currency,rate". Rates quoted against
+  // another base are converted to per-USD rates.
+  importRates(data) {
+    let base = CurrencyService.BASE_CURRENCY;
+    let rates = {};
+
+    if (typeof data === 'string') {
+      for (const line of data.split(/\r?\n/)) {
+        const [currency, rate] = line.split(/[,;\t]/).map(v => v && v.trim());
+        if (!currency || /^currency$/i.test(currency)) continue;
+        rates[currency] = rate;
+      }
+    } else if (data && typeof data === 'object' && data.rates) {
+      base = CurrencyService.normalizeCode(data.base) || CurrencyService.BASE_CURRENCY;
+      rates = data.rates;
+    } else {
+      throw new Error('Expected { base, rates } or CSV lines "currency,rate"');
+    }
+
+    const parsed = {};
+    for (const [currency, rate] of Object.entries(rates)) {
+      const code = CurrencyService.normalizeCode(currency);
+      const value = Number(rate);
+      if (!code || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid rate for ${currency}: ${rate}`);
+      }
+      parsed[code] = value;
+    }
+    parsed[base] = 1;
+
+    // Rebase to USD: units per USD = units per base / USD per base
+    const usdPerBase = parsed[CurrencyService.BASE_CURRENCY];
+    if (!usdPerBase) {
+      throw new Error(`Rates against ${base} must include ${CurrencyService.BASE_CURRENCY}`);
+    }
+
+    const imported = {};
+    for (const [code, value] of Object.entries(parsed)) {
+      if (code !== CurrencyService.BASE_CURRENCY) {
+        imported[code] = value / usdPerBase;
+      }
+    }
+
+    ExchangeRate.upsertMany(imported);
+    return imported;
+  }
+}
+
+module.exports = CurrencyService;
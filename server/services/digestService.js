@@ -0,0 +1,440 @@
+const nodemailer = require('nodemailer');
+const { DigestSettings, Workspace, ProductMatch, PriceHistory, Product, CrawlJob } = require('../database/models');
+const MatchingService = require('./matchingService');
+const ExportService = require('./exportService');
+const { SchedulerService } = require('./schedulerService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Builds the price movement digest and emails it through the SMTP server set
+// with the SMTP_* environment variables. A digest covers the period since the
+// last scheduled one (one day or one week for the first): new matches, the
+// biggest competitor price drops, source products that are no longer the
+// cheapest and failed crawls, with the statistics of the full report. Each
+// workspace has its own digest settings and its digest covers only its data.
+class DigestService {
+  static FREQUENCIES = ['daily', 'weekly'];
+
+  constructor(options = {}) {
+    this.options = {
+      // Sender address
+      from: options.from || process.env.DIGEST_FROM || 'EcomCompare <digest@localhost>',
+      // Rows listed per digest section
+      sectionLimit: options.sectionLimit || 20,
+      // How often the send time is checked (ms)
+      checkInterval: options.checkInterval || 60000
+    };
+    this.exportService = new ExportService(options);
+    this.matchingService = new MatchingService();
+    this.transporter = null;
+    this.timer = null;
+    this.sending = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    // Schedule the next digests if the settings were changed by hand
+    for (const settings of DigestSettings.findEnabled()) {
+      if (!settings.next_send_at) {
+        DigestSettings.update(settings.workspace_id, { next_send_at: this.getNextSend(settings) });
+      }
+    }
+
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.options.checkInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Cron expression of the send time: every day, or one weekday, at send_hour
+  static toCron(settings) {
+    const day = settings.frequency === 'weekly' ? settings.send_day : '*';
+    return `0 ${settings.send_hour} * * ${day}`;
+  }
+
+  // Next send time (ISO) after `from`, or null when the digest is disabled
+  getNextSend(settings, from = new Date()) {
+    if (!settings.enabled) return null;
+    return SchedulerService.getNextRun(DigestService.toCron(settings), from).toISOString();
+  }
+
+  // Store a workspace's settings and reschedule its next digest
+  updateSettings(workspaceId, data) {
+    const settings = { ...DigestSettings.get(workspaceId), ...data };
+    return DigestSettings.update(workspaceId, { ...data, next_send_at: this.getNextSend(settings) });
+  }
+
+  isConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+  }
+
+  getTransporter() {
+    if (!this.isConfigured()) {
+      throw new Error('SMTP is not configured: set SMTP_HOST');
+    }
+
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  // Send the scheduled digests that are due
+  async tick() {
+    if (this.sending) return;
+
+    const now = new Date();
+    const due = DigestSettings.findEnabled()
+      .filter(settings => settings.next_send_at && new Date(settings.next_send_at) <= now);
+    if (due.length === 0) return;
+
+    this.sending = true;
+    try {
+      for (const settings of due) {
+        await this.sendScheduled(settings, now);
+      }
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  // Send a workspace's scheduled digest and schedule its next one
+  async sendScheduled(settings, now) {
+    try {
+      await this.send(settings.workspace_id, settings.recipients, settings, now);
+      DigestSettings.update(settings.workspace_id, {
+        last_sent_at: now.toISOString(),
+        last_error: null,
+        next_send_at: this.getNextSend(settings, now)
+      });
+    } catch (error) {
+      console.error(`Error sending digest of workspace ${settings.workspace_id}:`, error.message);
+      // Skip to the next send time rather than retrying every check
+      DigestSettings.update(settings.workspace_id, {
+        last_error: error.message,
+        next_send_at: this.getNextSend(settings, now)
+      });
+    }
+  }
+
+  // Email a workspace's digest; returns the SMTP result
+  async send(workspaceId, recipients, settings = DigestSettings.get(workspaceId), now = new Date()) {
+    if (!recipients || recipients.length === 0) {
+      throw new Error('No digest recipients configured');
+    }
+
+    const transporter = this.getTransporter();
+    const digest = this.build(workspaceId, settings, now);
+    const info = await transporter.sendMail({
+      from: this.options.from,
+      to: recipients.join(', '),
+      subject: this.subject(digest),
+      text: this.renderText(digest),
+      html: this.renderHtml(digest)
+    });
+
+    return { message_id: info.messageId, accepted: info.accepted, rejected: info.rejected };
+  }
+
+  // Start of the period covered by the next digest
+  getPeriodStart(settings, now = new Date()) {
+    if (settings.last_sent_at) return new Date(settings.last_sent_at);
+    return new Date(now.getTime() - (settings.frequency === 'weekly' ? 7 : 1) * DAY);
+  }
+
+  // Digest data of a workspace for the period ending `now`
+  build(workspaceId, settings = DigestSettings.get(workspaceId), now = new Date()) {
+    const workspace = Workspace.findById(workspaceId);
+    const start = this.getPeriodStart(settings, now);
+    const since = this.toSqlTime(start);
+    const limit = this.options.sectionLimit;
+
+    const matches = this.exportService.withReportingPrices(ProductMatch.findAll(workspaceId));
+    const report = this.exportService.buildFullReport(workspaceId, matches);
+    const before = new Map(PriceHistory.findLatestAsOf(since).map(row => [row.product_id, row]));
+
+    const newMatches = matches
+      .filter(m => m.created_at >= since)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(m => ({
+        source_name: m.source_name,
+        competitor_name: m.competitor_name,
+        competitor_website: m.competitor_website,
+        competitor_url: m.competitor_url,
+        match_type: m.match_type,
+        match_score: m.match_score,
+        source_price: m.source_reporting_price,
+        competitor_price: m.competitor_reporting_price
+      }));
+    const priceDrops = this.findPriceDrops(workspaceId, before, matches);
+    const noLongerCheapest = this.findNoLongerCheapest(before, matches);
+    const failedCrawls = CrawlJob.findFailedSince(since, workspaceId).map(job => ({
+      website_name: job.website_name,
+      error_message: job.error_message,
+      completed_at: job.completed_at
+    }));
+
+    return {
+      workspace: { id: workspace.id, name: workspace.name },
+      frequency: settings.frequency,
+      period_start: start.toISOString(),
+      period_end: now.toISOString(),
+      reporting_currency: report.statistics.reporting_currency,
+      statistics: { ...report.statistics, ...this.matchingService.getStatistics(workspaceId) },
+      price_analysis: report.price_analysis,
+      new_matches: { total: newMatches.length, items: newMatches.slice(0, limit) },
+      price_drops: { total: priceDrops.length, items: priceDrops.slice(0, limit) },
+      no_longer_cheapest: { total: noLongerCheapest.length, items: noLongerCheapest.slice(0, limit) },
+      failed_crawls: { total: failedCrawls.length, items: failedCrawls.slice(0, limit) }
+    };
+  }
+
+  // Competitor products of the workspace priced lower than at the start of the
+  // period, biggest drop first
+  findPriceDrops(workspaceId, before, matches) {
+    const matchedTo = new Map();
+    for (const m of matches) {
+      if (!matchedTo.has(m.competitor_product_id)) matchedTo.set(m.competitor_product_id, []);
+      matchedTo.get(m.competitor_product_id).push(m.source_name);
+    }
+
+    const drops = [];
+    for (const product of Product.findCompetitorProducts(workspaceId)) {
+      const previous = before.get(product.id);
+      if (!previous || !previous.price || product.price === null) continue;
+      if ((previous.currency || null) !== (product.currency || null)) continue;
+
+      const percent = this.round(((previous.price - product.price) / previous.price) * 100);
+      if (percent <= 0) continue;
+
+      drops.push({
+        name: product.name,
+        website_name: product.website_name,
+        product_url: product.product_url,
+        previous_price: previous.price,
+        price: product.price,
+        currency: product.currency,
+        percent,
+        matched_to: matchedTo.get(product.id) || []
+      });
+    }
+    return drops.sort((a, b) => b.percent - a.percent);
+  }
+
+  // Source products that were the cheapest of their matches at the start of
+  // the period and are now undercut by at least one competitor
+  findNoLongerCheapest(before, matches) {
+    const currencyService = this.exportService.currencyService;
+    const rates = currencyService.getRates();
+    const convert = (row) => row && row.price !== null
+      ? currencyService.convert(row.price, row.currency, currencyService.reportingCurrency, rates)
+      : null;
+
+    const bySource = new Map();
+    for (const m of matches) {
+      if (!bySource.has(m.source_product_id)) bySource.set(m.source_product_id, []);
+      bySource.get(m.source_product_id).push(m);
+    }
+
+    const results = [];
+    for (const [sourceId, group] of bySource) {
+      const price = group[0].source_reporting_price;
+      const previousPrice = convert(before.get(sourceId));
+      if (price === null || previousPrice === null) continue;
+
+      const cheaper = group.filter(m => m.competitor_reporting_price !== null && m.competitor_reporting_price < price);
+      if (cheaper.length === 0) continue;
+
+      const wasCheapest = group.every(m => {
+        const competitorPrice = convert(before.get(m.competitor_product_id));
+        return competitorPrice === null || competitorPrice >= previousPrice;
+      });
+      if (!wasCheapest) continue;
+
+      const cheapest = cheaper.reduce((a, b) => (b.competitor_reporting_price < a.competitor_reporting_price ? b : a));
+      results.push({
+        name: cheapest.source_name,
+        price,
+        competitor_name: cheapest.competitor_name,
+        competitor_website: cheapest.competitor_website,
+        competitor_url: cheapest.competitor_url,
+        competitor_price: cheapest.competitor_reporting_price,
+        difference: this.round(price - cheapest.competitor_reporting_price, 2)
+      });
+    }
+    return results.sort((a, b) => b.difference - a.difference);
+  }
+
+  subject(digest) {
+    const title = digest.frequency === 'weekly' ? 'Weekly' : 'Daily';
+    return `${title} price digest for ${digest.workspace.name}: ${digest.price_drops.total} price drops, ` +
+           `${digest.no_longer_cheapest.total} no longer cheapest, ${digest.new_matches.total} new matches`;
+  }
+
+  renderText(digest) {
+    const currency = digest.reporting_currency;
+    const lines = [
+      this.subject(digest),
+      `Period: ${this.formatDate(digest.period_start)} - ${this.formatDate(digest.period_end)}`,
+      ''
+    ];
+    const section = (title, { total, items }, format) => {
+      lines.push(`${title} (${total})`);
+      items.forEach(item => lines.push(`- ${format(item)}`));
+      if (total > items.length) lines.push(`  ...and ${total - items.length} more`);
+      lines.push('');
+    };
+
+    section('Biggest competitor price drops', digest.price_drops, d =>
+      `${d.name} (${d.website_name}): ${this.formatAmount(d.previous_price, d.currency)} -> ` +
+      `${this.formatAmount(d.price, d.currency)}, -${d.percent}%`);
+    section('No longer cheapest', digest.no_longer_cheapest, p =>
+      `${p.name}: ${this.formatAmount(p.price, currency)}, ${p.competitor_website} sells it for ` +
+      `${this.formatAmount(p.competitor_price, currency)}`);
+    section('New matches', digest.new_matches, m =>
+      `${m.source_name} <-> ${m.competitor_name} (${m.competitor_website}, ${m.match_type})`);
+    section('Failed crawls', digest.failed_crawls, c =>
+      `${c.website_name}: ${c.error_message || 'Unknown error'}`);
+
+    const stats = digest.statistics;
+    lines.push(`Matches: ${stats.total_matches} (${stats.confirmed_matches} confirmed), ` +
+               `unmatched source products: ${stats.unmatched_source_products}`);
+    return lines.join('\n');
+  }
+
+  renderHtml(digest) {
+    const currency = digest.reporting_currency;
+    const stats = digest.statistics;
+    const analysis = digest.price_analysis;
+    const cell = 'padding:6px 10px;border-bottom:1px solid #e2e8f0;text-align:left;';
+    const link = (text, url) => (url ? `<a href="${this.escape(url)}">${this.escape(text)}</a>` : this.escape(text));
+
+    const section = (title, { total, items }, headers, row) => {
+      const body = items.length === 0
+        ? '<p style="color:#64748b;">Nothing to report.</p>'
+        : `<table style="border-collapse:collapse;width:100%;font-size:14px;">
+            <tr>${headers.map(h => `<th style="${cell}background:#f1f5f9;">${h}</th>`).join('')}</tr>
+            ${items.map(item => `<tr>${row(item).map(v => `<td style="${cell}">${v}</td>`).join('')}</tr>`).join('')}
+          </table>${total > items.length ? `<p style="color:#64748b;">...and ${total - items.length} more</p>` : ''}`;
+      return `<h2 style="font-size:18px;margin:24px 0 8px;">${title} (${total})</h2>${body}`;
+    };
+
+    const summary = [
+      ['Matches', `${stats.total_matches} (${stats.confirmed_matches} confirmed)`],
+      ['Unmatched source products', stats.unmatched_source_products],
+      ['Cheaper than competitors', analysis.products_cheaper_than_competitors],
+      ['More expensive than competitors', analysis.products_more_expensive],
+      ['Average price difference', analysis.average_price_difference !== null
+        ? `${analysis.average_price_difference} ${currency}` : '-']
+    ];
+
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#1e293b;max-width:800px;margin:0 auto;padding:16px;">
+  <h1 style="font-size:22px;margin-bottom:4px;">${this.escape(this.subject(digest))}</h1>
+  <p style="color:#64748b;margin-top:0;">
+    ${this.formatDate(digest.period_start)} - ${this.formatDate(digest.period_end)}
+  </p>
+  <table style="border-collapse:collapse;font-size:14px;">
+    ${summary.map(([label, value]) => `<tr><td style="${cell}">${label}</td>` +
+      `<td style="${cell}font-weight:bold;">${this.escape(value)}</td></tr>`).join('')}
+  </table>
+  ${section('Biggest competitor price drops', digest.price_drops,
+    ['Product', 'Competitor', 'Was', 'Now', 'Drop'],
+    d => [
+      link(d.name, d.product_url) + (d.matched_to.length > 0
+        ? `<br><span style="color:#64748b;">Matches ${this.escape(d.matched_to.join(', '))}</span>` : ''),
+      this.escape(d.website_name),
+      this.formatAmount(d.previous_price, d.currency),
+      this.formatAmount(d.price, d.currency),
+      `<span style="color:#dc2626;">-${d.percent}%</span>`
+    ])}
+  ${section('No longer cheapest', digest.no_longer_cheapest,
+    ['Our product', 'Our price', 'Cheapest competitor', 'Their price', 'Difference'],
+    p => [
+      this.escape(p.name),
+      this.formatAmount(p.price, currency),
+      `${link(p.competitor_name, p.competitor_url)}<br><span style="color:#64748b;">` +
+        `${this.escape(p.competitor_website)}</span>`,
+      this.formatAmount(p.competitor_price, currency),
+      `<span style="color:#dc2626;">${this.formatAmount(p.difference, currency)}</span>`
+    ])}
+  ${section('New matches', digest.new_matches,
+    ['Our product', 'Competitor product', 'Competitor', 'Match'],
+    m => [
+      this.escape(m.source_name),
+      link(m.competitor_name, m.competitor_url),
+      this.escape(m.competitor_website),
+      this.escape(m.match_type)
+    ])}
+  ${section('Failed crawls', digest.failed_crawls,
+    ['Website', 'Error', 'Failed at'],
+    c => [
+      this.escape(c.website_name),
+      this.escape(c.error_message || 'Unknown error'),
+      this.formatDate(c.completed_at)
+    ])}
+  <p style="color:#94a3b8;font-size:12px;margin-top:32px;">
+    Prices in ${this.escape(currency)} unless noted. Sent by EcomCompare.
+  </p>
+</body>
+</html>`;
+  }
+
+  // "Every Monday at 08:00"
+  static describeSchedule(settings) {
+    const time = `${String(settings.send_hour).padStart(2, '0')}:00`;
+    return settings.frequency === 'weekly'
+      ? `Every ${WEEKDAYS[settings.send_day]} at ${time}`
+      : `Every day at ${time}`;
+  }
+
+  // SQLite timestamp (UTC) as stored by datetime('now')
+  toSqlTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  // Format an ISO or SQLite (UTC) timestamp
+  formatDate(value) {
+    const date = new Date(value.includes('T') ? value : value.replace(' ', 'T') + 'Z');
+    return date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  formatAmount(amount, currency) {
+    if (amount === null || amount === undefined) return '-';
+    return currency ? `${amount.toFixed(2)} ${currency}` : amount.toFixed(2);
+  }
+
+  round(value, digits = 1) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+
+  escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Singleton instance
+const digestService = new DigestService();
+
+module.exports = { DigestService, digestService };
@@ -1,15 +1,65 @@
 const { Parser } = require('json2csv');
-const { Product, ProductMatch, Website } = require('../database/models');
+const { Product, ProductMatch, Website, CompetitorGroup } = require('../database/models');
+const CurrencyService = require('./currencyService');
+const ShippingService = require('./shippingService');
 
 class ExportService {
-  // Export all products
-  exportProducts(format = 'json', websiteId = null) {
+  constructor(options = {}) {
+    this.currencyService = new CurrencyService(options);
+    this.shippingService = new ShippingService();
+  }
+
+  // Add prices converted to the reporting currency (null when a rate is missing)
+  withReportingPrices(matches) {
+    const rates = this.currencyService.getRates();
+    const to = this.currencyService.reportingCurrency;
+    return matches.map(m => ({
+      ...m,
+      source_reporting_price: this.currencyService.convert(m.source_price, m.source_currency, to, rates),
+      competitor_reporting_price: this.currencyService.convert(m.competitor_price, m.competitor_currency, to, rates)
+    }));
+  }
+
+  // Products with `price` converted to the reporting currency
+  toReportingCurrency(products) {
+    const rates = this.currencyService.getRates();
+    const to = this.currencyService.reportingCurrency;
+    return products.map(p => ({ ...p, price: this.currencyService.convert(p.price, p.currency, to, rates) }));
+  }
+
+  // Discount against the list price in percent, or null when not discounted
+  discountPercent(price, listPrice) {
+    return price && listPrice > price ? (((listPrice - price) / listPrice) * 100).toFixed(2) : null;
+  }
+
+  // A promo badge or a price below the list price
+  isOnPromotion(promoText, price, listPrice) {
+    return !!promoText || this.discountPercent(price, listPrice) !== null;
+  }
+
+  // Whether a competitor website is in `group` (every website is when group is null)
+  competitorFilter(workspaceId, group) {
+    const ids = group ? CompetitorGroup.websiteIds(workspaceId, group) : null;
+    return websiteId => !ids || ids.includes(websiteId);
+  }
+
+  // Matches of a workspace and competitor group, with reporting-currency prices
+  findMatches(workspaceId = null, group = null) {
+    const inGroup = this.competitorFilter(workspaceId, group);
+    return this.withReportingPrices(ProductMatch.findAll(workspaceId).filter(m => inGroup(m.competitor_website_id)));
+  }
+
+  // Export all products. Like the other exports, this covers one workspace
+  // (all workspaces when workspaceId is null) and, given a competitor group,
+  // only the competitors in that group.
+  exportProducts(format = 'json', websiteId = null, workspaceId = null, group = null) {
     let products;
 
     if (websiteId) {
-      products = Product.findByWebsite(websiteId);
+      products = Product.findAll(workspaceId).filter(p => p.website_id === websiteId);
     } else {
-      products = Product.findAll();
+      const inGroup = this.competitorFilter(workspaceId, group);
+      products = Product.findAll(workspaceId).filter(p => p.is_source === 1 || inGroup(p.website_id));
     }
 
     const data = products.map(p => ({
@@ -19,7 +69,15 @@ class ExportService {
       is_source: p.is_source === 1 ? 'Yes' : 'No',
       name: p.name,
       price: p.price,
+      list_price: p.list_price,
+      discount_percent: this.discountPercent(p.price, p.list_price),
+      promo_text: p.promo_text || '',
+      availability: p.availability || '',
+      stock_quantity: p.stock_quantity,
+      currency: p.currency || '',
       sku: p.sku || '',
+      gtin: p.gtin || '',
+      mpn: p.mpn || '',
       image_url: p.image_url || '',
       product_url: p.product_url || '',
       created_at: p.created_at
@@ -32,16 +90,23 @@ class ExportService {
     return JSON.stringify(data, null, 2);
   }
 
-  // Export price comparison data
-  exportComparison(format = 'json') {
-    const matches = ProductMatch.findAll();
-    const sourceProducts = Product.findSourceProducts();
+  // Export price comparison data; differences are in the reporting currency
+  exportComparison(format = 'json', workspaceId = null, group = null) {
+    const matches = this.findMatches(workspaceId, group);
+    const sourceProducts = Product.findSourceProducts(workspaceId);
+    const reportingCurrency = this.currencyService.reportingCurrency;
+    const websites = this.shippingService.getWebsites();
 
     // Create comparison data
     const comparisonData = [];
 
     for (const sourceProduct of sourceProducts) {
       const productMatches = matches.filter(m => m.source_product_id === sourceProduct.id);
+      const sourceWebsite = websites.get(sourceProduct.website_id);
+      const sourceShipping = this.shippingService.shippingCost(sourceProduct, sourceWebsite);
+      const sourceLanded = this.currencyService.convert(
+        this.shippingService.landedPrice(sourceProduct, sourceWebsite), sourceProduct.currency
+      );
 
       if (productMatches.length === 0) {
         // Unmatched product
@@ -49,39 +114,89 @@ class ExportService {
           source_name: sourceProduct.name,
           source_sku: sourceProduct.sku || '',
           source_price: sourceProduct.price,
+          source_list_price: sourceProduct.list_price,
+          source_discount_percent: this.discountPercent(sourceProduct.price, sourceProduct.list_price),
+          source_promo_text: sourceProduct.promo_text || '',
+          source_shipping: sourceShipping,
+          source_currency: sourceProduct.currency || '',
           source_url: sourceProduct.product_url || '',
           competitor_website: '',
           competitor_name: '',
           competitor_sku: '',
           competitor_price: null,
+          competitor_list_price: null,
+          competitor_discount_percent: null,
+          competitor_promo_text: '',
+          competitor_on_promotion: '',
+          competitor_availability: '',
+          competitor_shipping: null,
+          competitor_currency: '',
           competitor_url: '',
+          reporting_currency: reportingCurrency,
+          source_price_reporting: this.currencyService.convert(sourceProduct.price, sourceProduct.currency),
+          competitor_price_reporting: null,
+          source_landed_price_reporting: sourceLanded,
+          competitor_landed_price_reporting: null,
           price_difference: null,
           price_difference_percent: null,
+          landed_price_difference: null,
           match_type: 'no_match',
           match_score: null
         });
       } else {
         for (const match of productMatches) {
-          const priceDiff = match.competitor_price !== null && sourceProduct.price !== null
-            ? match.competitor_price - sourceProduct.price
+          const sourcePrice = match.source_reporting_price;
+          const competitorPrice = match.competitor_reporting_price;
+          const priceDiff = competitorPrice !== null && sourcePrice !== null
+            ? competitorPrice - sourcePrice
             : null;
 
-          const priceDiffPercent = priceDiff !== null && sourceProduct.price !== null && sourceProduct.price !== 0
-            ? ((priceDiff / sourceProduct.price) * 100).toFixed(2)
+          const priceDiffPercent = priceDiff !== null && sourcePrice !== 0
+            ? ((priceDiff / sourcePrice) * 100).toFixed(2)
+            : null;
+
+          // Landed prices include each website's shipping cost
+          const competitor = { price: match.competitor_price, shipping_fee: match.competitor_shipping_fee };
+          const competitorWebsite = websites.get(match.competitor_website_id);
+          const competitorLanded = this.currencyService.convert(
+            this.shippingService.landedPrice(competitor, competitorWebsite), match.competitor_currency
+          );
+          const landedDiff = competitorLanded !== null && sourceLanded !== null
+            ? Math.round((competitorLanded - sourceLanded) * 100) / 100
             : null;
 
           comparisonData.push({
             source_name: sourceProduct.name,
             source_sku: sourceProduct.sku || '',
             source_price: sourceProduct.price,
+            source_list_price: sourceProduct.list_price,
+            source_discount_percent: this.discountPercent(sourceProduct.price, sourceProduct.list_price),
+            source_promo_text: sourceProduct.promo_text || '',
+            source_shipping: sourceShipping,
+            source_currency: sourceProduct.currency || '',
             source_url: sourceProduct.product_url || '',
             competitor_website: match.competitor_website,
             competitor_name: match.competitor_name,
             competitor_sku: match.competitor_sku || '',
             competitor_price: match.competitor_price,
+            competitor_list_price: match.competitor_list_price,
+            competitor_discount_percent: this.discountPercent(match.competitor_price, match.competitor_list_price),
+            competitor_promo_text: match.competitor_promo_text || '',
+            competitor_on_promotion: this.isOnPromotion(
+              match.competitor_promo_text, match.competitor_price, match.competitor_list_price
+            ) ? 'Yes' : 'No',
+            competitor_availability: match.competitor_availability || '',
+            competitor_shipping: this.shippingService.shippingCost(competitor, competitorWebsite),
+            competitor_currency: match.competitor_currency || '',
             competitor_url: match.competitor_url || '',
+            reporting_currency: reportingCurrency,
+            source_price_reporting: sourcePrice,
+            competitor_price_reporting: competitorPrice,
+            source_landed_price_reporting: sourceLanded,
+            competitor_landed_price_reporting: competitorLanded,
             price_difference: priceDiff,
             price_difference_percent: priceDiffPercent,
+            landed_price_difference: landedDiff,
             match_type: match.match_type,
             match_score: match.match_score ? match.match_score.toFixed(3) : null
           });
@@ -96,10 +211,16 @@ class ExportService {
     return JSON.stringify(comparisonData, null, 2);
   }
 
-  // Export unmatched products
-  exportUnmatched(format = 'json') {
-    const unmatchedSource = ProductMatch.findUnmatched();
-    const unmatchedCompetitors = ProductMatch.findUnmatchedCompetitors();
+  // Export unmatched products. With a competitor group, source products
+  // without a match in the group count as unmatched.
+  exportUnmatched(format = 'json', workspaceId = null, group = null) {
+    const inGroup = this.competitorFilter(workspaceId, group);
+    const matchedSources = new Set(this.findMatches(workspaceId, group).map(m => m.source_product_id));
+    const unmatchedSource = group
+      ? Product.findSourceProducts(workspaceId).filter(p => !matchedSources.has(p.id))
+      : ProductMatch.findUnmatched(workspaceId);
+    const unmatchedCompetitors = ProductMatch.findUnmatchedCompetitors(workspaceId)
+      .filter(p => inGroup(p.website_id));
 
     const data = {
       unmatched_source_products: unmatchedSource.map(p => ({
@@ -132,29 +253,35 @@ class ExportService {
     return JSON.stringify(data, null, 2);
   }
 
-  // Export full report
-  exportFullReport(format = 'json') {
-    const websites = Website.findAll();
-    const matches = ProductMatch.findAll();
-    const sourceProducts = Product.findSourceProducts();
-    const competitorProducts = Product.findCompetitorProducts();
+  // Full report data: statistics, price analysis and all matches. `matches`
+  // carry reporting-currency prices (see withReportingPrices), which the
+  // averages and price analysis use.
+  buildFullReport(workspaceId = null, matches = this.findMatches(workspaceId), group = null) {
+    const inGroup = this.competitorFilter(workspaceId, group);
+    const websites = Website.findAll(workspaceId).filter(w => w.is_source === 1 || inGroup(w.id));
+    const sourceProducts = Product.findSourceProducts(workspaceId);
+    const competitorProducts = Product.findCompetitorProducts(workspaceId).filter(p => inGroup(p.website_id));
 
     // Calculate statistics
     const stats = {
+      competitor_group: group,
       total_websites: websites.length,
-      source_website: websites.find(w => w.is_source === 1)?.name || 'None',
+      source_website: websites.filter(w => w.is_source === 1).map(w => w.name).join(', ') || 'None',
       competitor_websites: websites.filter(w => w.is_source === 0).map(w => w.name),
       total_source_products: sourceProducts.length,
       total_competitor_products: competitorProducts.length,
       total_matches: matches.length,
-      average_price_source: this.calculateAveragePrice(sourceProducts),
-      average_price_competitors: this.calculateAveragePrice(competitorProducts)
+      competitor_promotions: competitorProducts
+        .filter(p => this.isOnPromotion(p.promo_text, p.price, p.list_price)).length,
+      reporting_currency: this.currencyService.reportingCurrency,
+      average_price_source: this.calculateAveragePrice(this.toReportingCurrency(sourceProducts)),
+      average_price_competitors: this.calculateAveragePrice(this.toReportingCurrency(competitorProducts))
     };
 
     // Price analysis
     const priceAnalysis = this.analyzePrices(matches, sourceProducts);
 
-    const report = {
+    return {
       generated_at: new Date().toISOString(),
       statistics: stats,
       price_analysis: priceAnalysis,
@@ -162,12 +289,25 @@ class ExportService {
         source: {
           name: m.source_name,
           price: m.source_price,
+          list_price: m.source_list_price,
+          discount_percent: this.discountPercent(m.source_price, m.source_list_price),
+          promo_text: m.source_promo_text,
+          currency: m.source_currency,
+          reporting_price: m.source_reporting_price,
           sku: m.source_sku
         },
         competitor: {
           website: m.competitor_website,
           name: m.competitor_name,
           price: m.competitor_price,
+          list_price: m.competitor_list_price,
+          discount_percent: this.discountPercent(m.competitor_price, m.competitor_list_price),
+          promo_text: m.competitor_promo_text,
+          on_promotion: this.isOnPromotion(m.competitor_promo_text, m.competitor_price, m.competitor_list_price),
+          availability: m.competitor_availability,
+          stock_quantity: m.competitor_stock_quantity,
+          currency: m.competitor_currency,
+          reporting_price: m.competitor_reporting_price,
           sku: m.competitor_sku
         },
         match_type: m.match_type,
@@ -175,19 +315,28 @@ class ExportService {
         is_confirmed: m.is_confirmed === 1
       }))
     };
+  }
+
+  // Export the full report (see buildFullReport)
+  exportFullReport(format = 'json', workspaceId = null, group = null) {
+    const matches = this.findMatches(workspaceId, group);
 
     if (format === 'csv') {
       // Flatten for CSV
       const flatData = matches.map(m => ({
         source_name: m.source_name,
         source_price: m.source_price,
+        source_currency: m.source_currency || '',
         source_sku: m.source_sku || '',
         competitor_website: m.competitor_website,
         competitor_name: m.competitor_name,
         competitor_price: m.competitor_price,
+        competitor_currency: m.competitor_currency || '',
         competitor_sku: m.competitor_sku || '',
-        price_difference: m.competitor_price !== null && m.source_price !== null
-          ? (m.competitor_price - m.source_price).toFixed(2)
+        competitor_discount_percent: this.discountPercent(m.competitor_price, m.competitor_list_price) || '',
+        competitor_promo_text: m.competitor_promo_text || '',
+        price_difference: m.competitor_reporting_price !== null && m.source_reporting_price !== null
+          ? (m.competitor_reporting_price - m.source_reporting_price).toFixed(2)
           : '',
         match_type: m.match_type,
         match_score: m.match_score ? m.match_score.toFixed(3) : '',
@@ -196,7 +345,7 @@ class ExportService {
       return this.toCSV(flatData);
     }
 
-    return JSON.stringify(report, null, 2);
+    return JSON.stringify(this.buildFullReport(workspaceId, matches, group), null, 2);
   }
 
   // Calculate average price
@@ -206,7 +355,7 @@ class ExportService {
     return (prices.reduce((a, b) => a + b, 0) / prices.length).toFixed(2);
   }
 
-  // Analyze prices
+  // Analyze prices (matches with reporting-currency prices, see withReportingPrices)
   analyzePrices(matches, sourceProducts) {
     const analysis = {
       products_cheaper_than_competitors: 0,
@@ -221,8 +370,10 @@ class ExportService {
     let diffCount = 0;
 
     for (const match of matches) {
-      if (match.source_price !== null && match.competitor_price !== null) {
-        const diff = match.competitor_price - match.source_price;
+      const sourcePrice = match.source_reporting_price;
+      const competitorPrice = match.competitor_reporting_price;
+      if (sourcePrice !== null && competitorPrice !== null) {
+        const diff = competitorPrice - sourcePrice;
         totalDiff += diff;
         diffCount++;
 
@@ -231,8 +382,8 @@ class ExportService {
           if (!analysis.max_savings_opportunity || diff > analysis.max_savings_opportunity.difference) {
             analysis.max_savings_opportunity = {
               source_product: match.source_name,
-              source_price: match.source_price,
-              competitor_price: match.competitor_price,
+              source_price: sourcePrice,
+              competitor_price: competitorPrice,
               difference: diff
             };
           }
@@ -241,8 +392,8 @@ class ExportService {
           if (!analysis.max_overpriced || diff < analysis.max_overpriced.difference) {
             analysis.max_overpriced = {
               source_product: match.source_name,
-              source_price: match.source_price,
-              competitor_price: match.competitor_price,
+              source_price: sourcePrice,
+              competitor_price: competitorPrice,
               difference: diff
             };
           }
@@ -0,0 +1,46 @@
+// Normalises the product identifiers that are shared across shops, unlike
+// retailer SKUs: GTIN barcodes (EAN-8, UPC-A, EAN-13, GTIN-14) and
+// manufacturer part numbers (MPN).
+class IdentifierService {
+  static GTIN_LENGTHS = [8, 12, 13, 14];
+
+  // A GTIN as its 14-digit form, zero-padded on the left so that a UPC-A and
+  // the same code written as an EAN-13 are equal. Spaces and dashes are
+  // ignored; codes with another length or a wrong check digit give null.
+  static normalizeGtin(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const digits = String(value).replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits) || !IdentifierService.GTIN_LENGTHS.includes(digits.length)) return null;
+
+    const gtin = digits.padStart(14, '0');
+    if (/^0+$/.test(gtin) || !IdentifierService.hasValidCheckDigit(gtin)) return null;
+    return gtin;
+  }
+
+  // GS1 check digit: digits weighted 3, 1, 3... from the right, excluding the
+  // check digit itself, must sum to a multiple of 10 with it
+  static hasValidCheckDigit(gtin) {
+    const digits = gtin.split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+  }
+
+  // An MPN as displayed (trimmed), or null when it cannot identify a product
+  static normalizeMpn(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const mpn = String(value).replace(/\s+/g, ' ').trim();
+    return IdentifierService.mpnKey(mpn) && mpn.length <= 70 ? mpn : null;
+  }
+
+  // An MPN for comparison: uppercase without spaces, dashes, dots or slashes,
+  // so "DF-123.A" equals "df123a". Null for values without a digit or shorter
+  // than 3 characters, which are too generic to match on.
+  static mpnKey(value) {
+    if (!value) return null;
+    const key = String(value).toUpperCase().replace(/[\s\-./_]/g, '');
+    return key.length >= 3 && /\d/.test(key) && /^[A-Z0-9#+]+$/.test(key) ? key : null;
+  }
+}
+
+module.exports = IdentifierService;
@@ -1,12 +1,17 @@
 const { distance } = require('fastest-levenshtein');
-const { Product, ProductMatch } = require('../database/models');
+const { CompetitorGroup, Product, ProductMatch, ProductVariant, VariantMatch } = require('../database/models');
+const CurrencyService = require('./currencyService');
+const IdentifierService = require('./identifierService');
 
 class MatchingService {
+  // Match types found by an identifier, in priority order; these matches are confirmed automatically
+  static IDENTIFIER_MATCH_TYPES = ['gtin_exact', 'mpn_exact', 'sku_exact', 'variant_sku'];
+
   constructor(options = {}) {
     this.options = {
       // Minimum similarity score (0-1) for fuzzy matches
       minSimilarity: options.minSimilarity || 0.6,
-      // Boost score for exact SKU match
+      // Score for identifier matches (GTIN, MPN, exact SKU)
       skuMatchBoost: options.skuMatchBoost || 1.0,
       // Weight for name similarity
       nameWeight: options.nameWeight || 0.7,
@@ -16,6 +21,9 @@ class MatchingService {
       maxPriceDiffRatio: options.maxPriceDiffRatio || 0.3,
       ...options
     };
+    this.currencyService = new CurrencyService();
+    // Exchange rates, loaded when a matching run starts
+    this.rates = null;
   }
 
   // Calculate Levenshtein-based similarity (0-1)
@@ -66,11 +74,33 @@ class MatchingService {
     return intersection / union; // Jaccard similarity
   }
 
+  // Match type when two products share a manufacturer identifier: the same
+  // GTIN, else the same MPN unless their known brands differ; null otherwise
+  matchIdentifiers(sourceProduct, competitorProduct) {
+    if (sourceProduct.gtin && sourceProduct.gtin === competitorProduct.gtin) {
+      return 'gtin_exact';
+    }
+
+    const mpn = IdentifierService.mpnKey(sourceProduct.mpn);
+    const brandsDiffer = sourceProduct.brand_id && competitorProduct.brand_id &&
+      sourceProduct.brand_id !== competitorProduct.brand_id;
+    if (mpn && !brandsDiffer && mpn === IdentifierService.mpnKey(competitorProduct.mpn)) {
+      return 'mpn_exact';
+    }
+    return null;
+  }
+
   // Calculate combined similarity score
   calculateSimilarity(sourceProduct, competitorProduct) {
     let score = 0;
     let matchType = 'none';
 
+    // GTINs and MPNs are the same across shops, unlike SKUs, so they come first
+    const identifierMatch = this.matchIdentifiers(sourceProduct, competitorProduct);
+    if (identifierMatch) {
+      return { score: this.options.skuMatchBoost, matchType: identifierMatch };
+    }
+
     // Check for exact SKU match
     if (sourceProduct.sku && competitorProduct.sku) {
       const normalizedSourceSku = sourceProduct.sku.toLowerCase().trim();
@@ -80,6 +110,11 @@ class MatchingService {
         return { score: this.options.skuMatchBoost, matchType: 'sku_exact' };
       }
 
+      // A product SKU can be a variant SKU on the other site
+      if (this.hasVariantSkuMatch(sourceProduct, competitorProduct)) {
+        return { score: this.options.skuMatchBoost, matchType: 'variant_sku' };
+      }
+
       // Check for partial SKU match
       if (normalizedSourceSku.includes(normalizedCompSku) ||
           normalizedCompSku.includes(normalizedSourceSku)) {
@@ -88,6 +123,12 @@ class MatchingService {
       }
     }
 
+    if (!sourceProduct.sku || !competitorProduct.sku) {
+      if (this.hasVariantSkuMatch(sourceProduct, competitorProduct)) {
+        return { score: this.options.skuMatchBoost, matchType: 'variant_sku' };
+      }
+    }
+
     // Calculate name similarity using both methods
     const levenshteinSim = this.calculateNameSimilarity(
       sourceProduct.name,
@@ -108,10 +149,17 @@ class MatchingService {
       matchType = matchType === 'sku_partial' ? 'sku_partial' : 'name_fuzzy';
     }
 
-    // Price similarity boost
-    if (sourceProduct.price && competitorProduct.price) {
-      const priceDiff = Math.abs(sourceProduct.price - competitorProduct.price);
-      const avgPrice = (sourceProduct.price + competitorProduct.price) / 2;
+    // Price similarity boost, with both prices in the reporting currency
+    const reportingCurrency = this.currencyService.reportingCurrency;
+    const sourcePrice = this.currencyService.convert(
+      sourceProduct.price, sourceProduct.currency, reportingCurrency, this.rates
+    );
+    const competitorPrice = this.currencyService.convert(
+      competitorProduct.price, competitorProduct.currency, reportingCurrency, this.rates
+    );
+    if (sourcePrice && competitorPrice) {
+      const priceDiff = Math.abs(sourcePrice - competitorPrice);
+      const avgPrice = (sourcePrice + competitorPrice) / 2;
       const priceDiffRatio = priceDiff / avgPrice;
 
       if (priceDiffRatio <= this.options.maxPriceDiffRatio) {
@@ -125,35 +173,148 @@ class MatchingService {
     return { score: Math.min(score, 1), matchType };
   }
 
-  // Find matches for a single source product
-  findMatchesForProduct(sourceProduct, competitorProducts) {
+  // SKUs of a product and its variants, normalized
+  getSkus(product) {
+    const skus = [product.sku, ...(product.variants || []).map(v => v.sku)]
+      .filter(Boolean)
+      .map(sku => sku.toLowerCase().trim());
+    return new Set(skus);
+  }
+
+  // True when a variant SKU of one product equals a product or variant SKU of the other
+  hasVariantSkuMatch(sourceProduct, competitorProduct) {
+    if (!(sourceProduct.variants || []).length && !(competitorProduct.variants || []).length) {
+      return false;
+    }
+    const competitorSkus = this.getSkus(competitorProduct);
+    return [...this.getSkus(sourceProduct)].some(sku => competitorSkus.has(sku));
+  }
+
+  // Option values of a variant as a comparable key ("blue|m"), ignoring option names
+  getOptionsKey(variant) {
+    const values = Object.values(variant.options || {})
+      .map(value => String(value).toLowerCase().replace(/[^\w]+/g, ' ').trim())
+      .filter(Boolean)
+      .sort();
+    return values.join('|');
+  }
+
+  // Pair the variants of two matched products: exact SKU first, then equal
+  // option values, then the most similar variant title
+  matchVariants(sourceVariants, competitorVariants) {
+    const matches = [];
+    const used = new Set();
+    const available = () => competitorVariants.filter(v => !used.has(v.id));
+    const sku = (variant) => (variant.sku ? variant.sku.toLowerCase().trim() : null);
+    const strategies = [
+      ['sku_exact', (s, c) => (sku(s) && sku(s) === sku(c) ? 1 : 0)],
+      ['options_exact', (s, c) => {
+        const key = this.getOptionsKey(s);
+        return key && key === this.getOptionsKey(c) ? 1 : 0;
+      }],
+      ['title_fuzzy', (s, c) => Math.max(
+        this.calculateNameSimilarity(s.title, c.title),
+        this.calculateWordSimilarity(s.title, c.title)
+      )]
+    ];
+
+    let pending = [...sourceVariants];
+    for (const [matchType, score] of strategies) {
+      const minScore = matchType === 'title_fuzzy' ? this.options.minSimilarity : 1;
+      pending = pending.filter(source => {
+        let best = null;
+        for (const competitor of available()) {
+          const value = score(source, competitor);
+          if (value >= minScore && (!best || value > best.score)) {
+            best = { competitor, score: value };
+          }
+        }
+        if (!best) return true;
+
+        used.add(best.competitor.id);
+        matches.push({
+          source_variant_id: source.id,
+          competitor_variant_id: best.competitor.id,
+          match_type: matchType,
+          match_score: best.score
+        });
+        return false;
+      });
+    }
+
+    return matches;
+  }
+
+  // Recalculate the variant pairs of a saved product match
+  matchVariantsForMatch(productMatch) {
+    const sourceVariants = ProductVariant.findByProduct(productMatch.source_product_id);
+    const competitorVariants = ProductVariant.findByProduct(productMatch.competitor_product_id);
+    const matches = this.matchVariants(sourceVariants, competitorVariants);
+    VariantMatch.replaceForMatch(productMatch.id, matches);
+    return matches;
+  }
+
+  // Attach stored variants to products (product.variants)
+  attachVariants(products) {
+    const byProduct = new Map();
+    for (const variant of ProductVariant.findAll()) {
+      if (!byProduct.has(variant.product_id)) {
+        byProduct.set(variant.product_id, []);
+      }
+      byProduct.get(variant.product_id).push(variant);
+    }
+    for (const product of products) {
+      product.variants = byProduct.get(product.id) || [];
+    }
+    return products;
+  }
+
+  // True when two products can be matched under the sameBrand/sameCategory
+  // options. A product whose brand or category is unknown can match any.
+  isComparable(sourceProduct, competitorProduct, options = {}) {
+    const differs = (field) => sourceProduct[field] && competitorProduct[field] &&
+      sourceProduct[field] !== competitorProduct[field];
+    return !(options.sameBrand && differs('brand_id')) && !(options.sameCategory && differs('category_id'));
+  }
+
+  // Find matches for a single source product; `options` may restrict the
+  // candidates to the same brand (sameBrand) or category (sameCategory)
+  findMatchesForProduct(sourceProduct, competitorProducts, options = {}) {
     const matches = [];
 
     for (const competitor of competitorProducts) {
+      if (!this.isComparable(sourceProduct, competitor, options)) continue;
+
       const { score, matchType } = this.calculateSimilarity(sourceProduct, competitor);
 
-      if (score >= this.options.minSimilarity || matchType === 'sku_exact') {
+      const identified = MatchingService.IDENTIFIER_MATCH_TYPES.includes(matchType);
+      if (score >= this.options.minSimilarity || identified) {
         matches.push({
           source_product_id: sourceProduct.id,
           competitor_product_id: competitor.id,
           match_type: matchType,
           match_score: score,
-          is_confirmed: matchType === 'sku_exact',
+          is_confirmed: identified,
           competitor_product: competitor
         });
       }
     }
 
-    // Sort by score descending
-    matches.sort((a, b) => b.match_score - a.match_score);
+    // Identifier matches first (GTIN, then MPN, SKU...), then by score descending
+    const rank = (match) => {
+      const index = MatchingService.IDENTIFIER_MATCH_TYPES.indexOf(match.match_type);
+      return index === -1 ? MatchingService.IDENTIFIER_MATCH_TYPES.length : index;
+    };
+    matches.sort((a, b) => rank(a) - rank(b) || b.match_score - a.match_score);
 
     return matches;
   }
 
-  // Run matching for all source products
+  // Run matching for the source products of options.workspaceId (all workspaces if unset)
   async runMatching(options = {}) {
-    const sourceProducts = Product.findSourceProducts();
-    const competitorProducts = Product.findCompetitorProducts();
+    this.rates = this.currencyService.getRates();
+    const sourceProducts = this.attachVariants(Product.findSourceProducts(options.workspaceId));
+    const competitorProducts = this.attachVariants(Product.findCompetitorProducts(options.workspaceId));
 
     if (sourceProducts.length === 0) {
       throw new Error('No source products found. Please set a source website and crawl it first.');
@@ -168,7 +329,7 @@ class MatchingService {
 
     // For each source product, find the best matches
     for (const sourceProduct of sourceProducts) {
-      const matches = this.findMatchesForProduct(sourceProduct, competitorProducts);
+      const matches = this.findMatchesForProduct(sourceProduct, competitorProducts, options);
 
       // Filter out already matched competitors if unique matching is enabled
       const filteredMatches = options.allowDuplicateMatches
@@ -186,7 +347,8 @@ class MatchingService {
       }
     }
 
-    // Save matches to database
+    // Save matches to database; pairs matched before keep their id and confirmation
+    let newMatches = [];
     if (allMatches.length > 0) {
       const matchesToSave = allMatches.map(m => ({
         source_product_id: m.source_product_id,
@@ -196,14 +358,32 @@ class MatchingService {
         is_confirmed: m.is_confirmed
       }));
 
-      ProductMatch.createMany(matchesToSave);
+      const created = new Set(ProductMatch.createMany(matchesToSave)
+        .map(m => `${m.source_product_id}:${m.competitor_product_id}`));
+      newMatches = allMatches.filter(m => created.has(`${m.source_product_id}:${m.competitor_product_id}`));
+    }
+
+    // Pair the variants of matched products that have them
+    let variantMatchesFound = 0;
+    for (const match of allMatches) {
+      const source = sourceProducts.find(p => p.id === match.source_product_id);
+      if (!source.variants.length || !match.competitor_product.variants.length) continue;
+
+      const saved = ProductMatch.findByProducts(match.source_product_id, match.competitor_product_id);
+      const variantMatches = this.matchVariants(source.variants, match.competitor_product.variants);
+      VariantMatch.replaceForMatch(saved.id, variantMatches);
+      variantMatchesFound += variantMatches.length;
     }
 
     return {
       total_source_products: sourceProducts.length,
       total_competitor_products: competitorProducts.length,
       matches_found: allMatches.length,
-      matches: allMatches
+      new_matches_found: newMatches.length,
+      variant_matches_found: variantMatchesFound,
+      matches: allMatches,
+      // Matches of pairs that had none before this run
+      new_matches: newMatches
     };
   }
 
@@ -214,7 +394,10 @@ class MatchingService {
       throw new Error('Source product not found');
     }
 
-    const competitorProducts = Product.findCompetitorProducts();
+    this.rates = this.currencyService.getRates();
+    this.attachVariants([sourceProduct]);
+    // Suggest competitors from the source product's own workspace
+    const competitorProducts = this.attachVariants(Product.findCompetitorProducts(sourceProduct.workspace_id));
 
     // Get all potential matches with scores
     const allMatches = [];
@@ -234,34 +417,55 @@ class MatchingService {
 
   // Create manual match
   createManualMatch(sourceProductId, competitorProductId) {
-    return ProductMatch.create({
+    const match = ProductMatch.create({
       source_product_id: sourceProductId,
       competitor_product_id: competitorProductId,
       match_type: 'manual',
       match_score: 1.0,
       is_confirmed: true
     });
+    this.matchVariantsForMatch(match);
+    return match;
   }
 
-  // Get matching statistics
-  getStatistics() {
-    const sourceProducts = Product.findSourceProducts();
-    const competitorProducts = Product.findCompetitorProducts();
-    const allMatches = ProductMatch.findAll();
-    const unmatched = ProductMatch.findUnmatched();
+  // Get matching statistics. With a competitor group, competitor products and
+  // matches are those of the group's websites, and source products without a
+  // match in the group count as unmatched. group_breakdown covers every group.
+  getStatistics(workspaceId = null, group = null) {
+    const sourceProducts = Product.findSourceProducts(workspaceId);
+    const competitorProducts = Product.findCompetitorProducts(workspaceId);
+    const matches = ProductMatch.findAll(workspaceId);
+
+    const groupIds = group ? CompetitorGroup.websiteIds(workspaceId, group) : null;
+    const inGroup = websiteId => !groupIds || groupIds.includes(websiteId);
+    const groupProducts = competitorProducts.filter(p => inGroup(p.website_id));
+    const groupMatches = matches.filter(m => inGroup(m.competitor_website_id));
+    const matchedSources = new Set(groupMatches.map(m => m.source_product_id));
 
     const matchTypeBreakdown = {};
-    for (const match of allMatches) {
+    for (const match of groupMatches) {
       matchTypeBreakdown[match.match_type] = (matchTypeBreakdown[match.match_type] || 0) + 1;
     }
 
+    const groupBreakdown = {};
+    for (const { name, website_count } of CompetitorGroup.findAll(workspaceId)) {
+      const ids = CompetitorGroup.websiteIds(workspaceId, name);
+      groupBreakdown[name] = {
+        competitor_websites: website_count,
+        competitor_products: competitorProducts.filter(p => ids.includes(p.website_id)).length,
+        matches: matches.filter(m => ids.includes(m.competitor_website_id)).length
+      };
+    }
+
     return {
+      competitor_group: group,
       total_source_products: sourceProducts.length,
-      total_competitor_products: competitorProducts.length,
-      total_matches: allMatches.length,
-      unmatched_source_products: unmatched.length,
-      confirmed_matches: allMatches.filter(m => m.is_confirmed).length,
-      match_type_breakdown: matchTypeBreakdown
+      total_competitor_products: groupProducts.length,
+      total_matches: groupMatches.length,
+      unmatched_source_products: sourceProducts.filter(p => !matchedSources.has(p.id)).length,
+      confirmed_matches: groupMatches.filter(m => m.is_confirmed).length,
+      match_type_breakdown: matchTypeBreakdown,
+      group_breakdown: groupBreakdown
     };
   }
 }
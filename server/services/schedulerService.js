@@ -0,0 +1,209 @@
+const { Website, CrawlSchedule } = require('../database/models');
+const { crawlService } = require('./crawlService');
+
+// Field ranges for the five cron fields: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// A cron field number; NaN unless the text is only digits ("5abc" is not 5)
+function parseCronNumber(text) {
+  return /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+}
+
+class SchedulerService {
+  constructor(options = {}) {
+    this.options = {
+      // How often due schedules are checked (ms)
+      checkInterval: options.checkInterval || 30000,
+      ...options
+    };
+    this.timer = null;
+  }
+
+  // Parse a cron expression into sets of allowed values per field
+  static parseCron(expression) {
+    if (!expression || typeof expression !== 'string') {
+      throw new Error('Cron expression is required');
+    }
+
+    const normalized = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+      throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const parsed = {};
+    parts.forEach((part, index) => {
+      const field = CRON_FIELDS[index];
+      const values = new Set();
+
+      for (const item of part.split(',')) {
+        const [rangePart, stepPart] = item.split('/');
+        const step = stepPart !== undefined ? parseCronNumber(stepPart) : 1;
+        if (!Number.isInteger(step) || step < 1) {
+          throw new Error(`Invalid step in ${field.name} field: ${item}`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (rangePart !== '*') {
+          const [from, to] = rangePart.split('-');
+          start = parseCronNumber(from);
+          end = to !== undefined ? parseCronNumber(to) : (stepPart !== undefined ? field.max : start);
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) ||
+            start < field.min || end > field.max || start > end) {
+          throw new Error(`Invalid value in ${field.name} field: ${item}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+          values.add(value);
+        }
+      }
+
+      // Both 0 and 7 mean Sunday in the day-of-week field
+      if (field.name === 'dayOfWeek' && values.delete(7)) {
+        values.add(0);
+      }
+
+      parsed[field.name] = values;
+    });
+
+    // As in standard cron, a day field starting with * (including steps such
+    // as */2) does not restrict the day
+    parsed.dayOfMonthRestricted = !parts[2].startsWith('*');
+    parsed.dayOfWeekRestricted = !parts[4].startsWith('*');
+    return parsed;
+  }
+
+  // Calculate the next run time (after `from`) for a cron expression
+  static getNextRun(expression, from = new Date()) {
+    const cron = SchedulerService.parseCron(expression);
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const matchesDay = (d) => {
+      const domMatch = cron.dayOfMonth.has(d.getDate());
+      const dowMatch = cron.dayOfWeek.has(d.getDay());
+      // Standard cron: when both day fields are restricted, either may match
+      if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+      }
+      return domMatch && dowMatch;
+    };
+
+    // Search up to roughly four years ahead (covers Feb 29 schedules)
+    const limit = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+      if (!cron.month.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!cron.hour.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!cron.minute.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+      return date;
+    }
+
+    throw new Error(`Cron expression never matches: ${expression}`);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    // Fill in next run times for schedules that do not have one yet
+    for (const schedule of CrawlSchedule.findAll()) {
+      if (schedule.enabled && !schedule.next_run_at) {
+        this.updateNextRun(schedule);
+      }
+    }
+
+    // Run anything that became due while the server was down
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.options.checkInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Create or replace the schedule for a website
+  setSchedule(websiteId, cronExpression, enabled = true) {
+    const nextRun = enabled ? SchedulerService.getNextRun(cronExpression) : null;
+    return CrawlSchedule.upsert(websiteId, {
+      cron_expression: cronExpression.trim(),
+      enabled,
+      next_run_at: nextRun ? nextRun.toISOString() : null
+    });
+  }
+
+  removeSchedule(websiteId) {
+    return CrawlSchedule.deleteByWebsite(websiteId);
+  }
+
+  updateNextRun(schedule) {
+    try {
+      const nextRun = SchedulerService.getNextRun(schedule.cron_expression);
+      CrawlSchedule.update(schedule.id, { next_run_at: nextRun.toISOString() });
+    } catch (error) {
+      console.error(`Invalid schedule for website ${schedule.website_id}:`, error.message);
+      CrawlSchedule.update(schedule.id, { enabled: 0, next_run_at: null });
+    }
+  }
+
+  // Start crawls for all schedules that are due
+  tick() {
+    const now = new Date().toISOString();
+
+    for (const schedule of CrawlSchedule.findDue(now)) {
+      try {
+        const website = Website.findById(schedule.website_id);
+        if (!website) continue;
+
+        if (crawlService.isCrawling(website.id)) {
+          console.log(`Skipping scheduled crawl for ${website.name}: crawl already in progress`);
+        } else {
+          const job = crawlService.queueCrawl(website);
+          CrawlSchedule.update(schedule.id, { last_run_at: now, last_job_id: job.id });
+        }
+      } catch (error) {
+        console.error(`Error running scheduled crawl for website ${schedule.website_id}:`, error.message);
+      }
+
+      this.updateNextRun(schedule);
+    }
+  }
+}
+
+// Singleton instance
+const schedulerService = new SchedulerService();
+
+module.exports = { SchedulerService, schedulerService };
@@ -0,0 +1,42 @@
+const { Website } = require('../database/models');
+
+// Applies each website's shipping rules to its products. Shipping types:
+// - 'none': no rule, the shipping cost is unknown
+// - 'flat': the website's shipping_fee for every product
+// - 'scraped': the fee read from the product page, else the website's shipping_fee
+// Under any type, products priced at or above free_shipping_threshold ship free.
+// Amounts are in the website's (product's) own currency.
+class ShippingService {
+  static SHIPPING_TYPES = ['none', 'flat', 'scraped'];
+
+  // Map of website id -> website with its shipping rules
+  getWebsites() {
+    return new Map(Website.findAll().map(w => [w.id, w]));
+  }
+
+  // Shipping cost of a product ({ price, shipping_fee }), or null when unknown
+  shippingCost(product, website) {
+    if (!website || product.price === null || product.price === undefined) return null;
+
+    const threshold = website.free_shipping_threshold;
+    if (threshold !== null && threshold !== undefined && product.price >= threshold) return 0;
+
+    if (website.shipping_type === 'scraped' &&
+        product.shipping_fee !== null && product.shipping_fee !== undefined) {
+      return product.shipping_fee;
+    }
+    if (website.shipping_type === 'flat' || website.shipping_type === 'scraped') {
+      return website.shipping_fee !== null && website.shipping_fee !== undefined ? website.shipping_fee : null;
+    }
+    return null;
+  }
+
+  // Item price plus shipping; an unknown shipping cost counts as zero
+  landedPrice(product, website) {
+    if (product.price === null || product.price === undefined) return null;
+    const shipping = this.shippingCost(product, website);
+    return Math.round((product.price + (shipping || 0)) * 100) / 100;
+  }
+}
+
+module.exports = ShippingService;
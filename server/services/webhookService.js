@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { Workspace, Webhook, WebhookDelivery } = require('../database/models');
+
+// Delivers events to webhook subscriptions. Webhooks belong to a workspace and
+// receive its events. Each event is queued as one delivery per subscribed
+// webhook and POSTed as JSON, signed with the
+// webhook's secret (X-EcomCompare-Signature: sha256=<HMAC-SHA256 of the body>).
+// Failed deliveries are retried with exponential backoff.
+class WebhookService {
+  static EVENTS = ['crawl-complete', 'crawl-error', 'match-created', 'match-confirmed', 'alert'];
+
+  constructor(options = {}) {
+    this.options = {
+      // Attempts before a delivery is marked failed
+      maxAttempts: options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      // Delay before the first retry (ms); doubles on every further attempt
+      retryDelay: options.retryDelay || parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30000,
+      // Request timeout (ms)
+      timeout: options.timeout || parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+      // How often due retries are checked (ms)
+      checkInterval: options.checkInterval || 5000
+    };
+    this.timer = null;
+    this.processing = false;
+    this.processAgain = false;
+  }
+
+  static generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  static sign(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  start() {
+    if (this.timer) return;
+
+    // Send deliveries left pending by a previous run
+    this.processQueue();
+    this.timer = setInterval(() => this.processQueue(), this.options.checkInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Queue an event of a workspace for every enabled webhook of the workspace
+  // subscribed to it. Errors are logged rather than thrown so that they never
+  // fail the caller.
+  dispatch(event, data, workspaceId) {
+    try {
+      const webhooks = Webhook.findEnabled(workspaceId)
+        .filter(w => w.events.length === 0 || w.events.includes(event));
+      if (webhooks.length === 0) return [];
+
+      const deliveries = webhooks.map(webhook => this.enqueue(webhook, event, data));
+      this.processQueue();
+      return deliveries;
+    } catch (error) {
+      console.error(`Error queueing webhook deliveries for ${event}:`, error.message);
+      return [];
+    }
+  }
+
+  // Queue one delivery; the payload is fixed when queued so retries send the same body
+  enqueue(webhook, event, data) {
+    const workspace = Workspace.findById(webhook.workspace_id);
+    const payload = JSON.stringify({
+      event,
+      created_at: new Date().toISOString(),
+      workspace: { id: workspace.id, name: workspace.name },
+      data
+    });
+    return WebhookDelivery.create(webhook.id, event, payload);
+  }
+
+  // Send a ping to one webhook, whatever its event filter
+  ping(webhook) {
+    const delivery = this.enqueue(webhook, 'ping', { webhook_id: webhook.id, url: webhook.url });
+    this.processQueue();
+    return delivery;
+  }
+
+  // Send all due deliveries, one at a time
+  async processQueue() {
+    if (this.processing) {
+      this.processAgain = true;
+      return;
+    }
+
+    this.processing = true;
+    try {
+      do {
+        this.processAgain = false;
+        for (const delivery of WebhookDelivery.findDue(new Date().toISOString())) {
+          await this.deliver(delivery);
+        }
+      } while (this.processAgain);
+    } catch (error) {
+      console.error('Error processing webhook deliveries:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async deliver(delivery) {
+    const attempts = delivery.attempts + 1;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.options.timeout);
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'EcomCompare-Webhook/1.0',
+          'X-EcomCompare-Event': delivery.event,
+          'X-EcomCompare-Delivery': String(delivery.id),
+          'X-EcomCompare-Signature': WebhookService.sign(delivery.secret, delivery.payload)
+        },
+        body: delivery.payload,
+        signal: controller.signal
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}: ${response.statusText}`;
+      }
+    } catch (e) {
+      error = e.name === 'AbortError' ? `Timed out after ${this.options.timeout}ms` : e.message;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!error) {
+      WebhookDelivery.update(delivery.id, {
+        status: 'success',
+        attempts,
+        response_status: responseStatus,
+        error_message: null,
+        next_attempt_at: null,
+        delivered_at: new Date().toISOString()
+      });
+    } else if (attempts >= this.options.maxAttempts) {
+      WebhookDelivery.update(delivery.id, {
+        status: 'failed',
+        attempts,
+        response_status: responseStatus,
+        error_message: error,
+        next_attempt_at: null
+      });
+    } else {
+      const delay = this.options.retryDelay * Math.pow(2, attempts - 1);
+      WebhookDelivery.update(delivery.id, {
+        attempts,
+        response_status: responseStatus,
+        error_message: error,
+        next_attempt_at: new Date(Date.now() + delay).toISOString()
+      });
+    }
+  }
+}
+
+// Singleton instance
+const webhookService = new WebhookService();
+
+module.exports = { WebhookService, webhookService };